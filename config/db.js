@@ -7,8 +7,7 @@ const connectDB = async () => {
     logger.info('MongoDB connected');
   } catch (error) {
     logger.error('MongoDB connection failed:', error.message || error.toString() || 'Unknown error');
-    console.error('Full error object:', error);
-    process.exit(1);
+    throw error;
   }
 };
 
@@ -0,0 +1,181 @@
+const { getStorage, publicUser } = require('../storage');
+const logger = require('../utility/logger');
+const { hashPassword, verifyPassword } = require('../utility/passwords');
+const { authenticate } = require('../middleware/auth');
+const {
+  REFRESH_COOKIE,
+  verifyRefreshToken,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utility/authTokens');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Registration is open for the very first account (which becomes admin),
+// when ALLOW_REGISTRATION=true, or when an admin is creating the account.
+// The first account is created with firstUser set, so the storage lets
+// only one of several concurrent first registrations through.
+async function canRegister(req) {
+  const userCount = await getStorage().countUsers();
+  if (userCount === 0) {
+    return { allowed: true, role: 'admin', firstUser: true };
+  }
+
+  const caller = authenticate(req);
+  if (caller && caller.role === 'admin') {
+    return { allowed: true, role: req.body.role === 'admin' ? 'admin' : 'viewer' };
+  }
+
+  return { allowed: process.env.ALLOW_REGISTRATION === 'true', role: 'viewer' };
+}
+
+// POST /api/auth/register
+async function register(req, res) {
+  try {
+    const { name, email, password } = req.body || {};
+
+    if (![name, email, password].every(value => typeof value === 'string' && value.trim())) {
+      return res.status(400).json({ status: false, message: 'name, email and password are required' });
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ status: false, message: 'Invalid email address' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ status: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const { allowed, role, firstUser } = await canRegister(req);
+    if (!allowed) {
+      return res.status(403).json({ status: false, message: 'Registration is disabled' });
+    }
+
+    // The storage refuses a taken email atomically; there is no check-then-insert
+    const storage = getStorage();
+    const user = await storage.createUser({
+      name,
+      email,
+      role,
+      passwordHash: await hashPassword(password),
+      ...(firstUser ? { firstUser } : {})
+    });
+    if (!user) {
+      const message = firstUser && !await storage.findUserByEmail(email)
+        ? 'Another account was created first, try again'
+        : 'Email is already registered';
+      return res.status(409).json({ status: false, message });
+    }
+
+    logger.info(`Registered user ${user.email} (${user.role})`);
+
+    setAuthCookies(res, user);
+    res.status(201).json({ status: true, user: publicUser(user) });
+  } catch (error) {
+    logger.error('Registration failed:', error.message);
+    res.status(500).json({ status: false, message: 'Registration failed' });
+  }
+}
+
+// POST /api/auth/login
+async function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ status: false, message: 'email and password are required' });
+    }
+
+    const storage = getStorage();
+    const user = await storage.findUserByEmail(email, { withPassword: true });
+    const passwordOk = user ? await verifyPassword(user.passwordHash, password) : false;
+
+    if (!passwordOk) {
+      logger.warn(`Failed login attempt for ${email}`);
+      return res.status(401).json({ status: false, message: 'Invalid email or password' });
+    }
+
+    user.lastLoginAt = new Date();
+    await storage.recordLogin(user._id);
+
+    setAuthCookies(res, user);
+    res.json({ status: true, user: publicUser(user) });
+  } catch (error) {
+    logger.error('Login failed:', error.message);
+    res.status(500).json({ status: false, message: 'Login failed' });
+  }
+}
+
+// POST /api/auth/refresh - swaps a valid refresh token for a new token pair
+async function refresh(req, res) {
+  try {
+    const token = req.cookies && req.cookies[REFRESH_COOKIE];
+    if (!token) {
+      return res.status(401).json({ status: false, message: 'Refresh token missing' });
+    }
+
+    let claims;
+    try {
+      claims = verifyRefreshToken(token);
+    } catch (error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ status: false, message: 'Refresh token invalid or expired' });
+    }
+
+    const user = await getStorage().getUser(claims.sub);
+    if (!user || user.tokenVersion !== claims.tokenVersion) {
+      clearAuthCookies(res);
+      return res.status(401).json({ status: false, message: 'Refresh token revoked' });
+    }
+
+    setAuthCookies(res, user);
+    res.json({ status: true, user: publicUser(user) });
+  } catch (error) {
+    logger.error('Token refresh failed:', error.message);
+    res.status(500).json({ status: false, message: 'Token refresh failed' });
+  }
+}
+
+// POST /api/auth/logout - clears cookies and revokes outstanding refresh tokens
+async function logout(req, res) {
+  try {
+    const token = req.cookies && req.cookies[REFRESH_COOKIE];
+    if (token) {
+      try {
+        const claims = verifyRefreshToken(token);
+        await getStorage().revokeUserTokens(claims.sub);
+      } catch (error) {
+        // Token already invalid, nothing to revoke
+      }
+    }
+
+    clearAuthCookies(res);
+    res.json({ status: true, message: 'Logged out' });
+  } catch (error) {
+    logger.error('Logout failed:', error.message);
+    res.status(500).json({ status: false, message: 'Logout failed' });
+  }
+}
+
+// GET /api/auth/me
+async function me(req, res) {
+  try {
+    const user = await getStorage().getUser(req.user.id);
+    if (!user) {
+      clearAuthCookies(res);
+      return res.status(401).json({ status: false, message: 'User no longer exists' });
+    }
+
+    res.json({ status: true, user: publicUser(user) });
+  } catch (error) {
+    logger.error('Failed to load current user:', error.message);
+    res.status(500).json({ status: false, message: 'Failed to load current user' });
+  }
+}
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  me
+};
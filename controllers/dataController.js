@@ -0,0 +1,296 @@
+const { getStorage } = require('../storage');
+const logger = require('../utility/logger');
+
+// Historical queries over the stored time series (GET /api/v1/...).
+// With MongoDB, rollup and top-N queries read day and hour rollups where
+// they cover the window and raw minute buckets for the rest; `segments` in
+// the response shows which resolution answered which part.
+// Time windows default to the last 24 hours. Invalid parameters get a 400
+// with every problem listed:
+//   { status: false, message: 'Invalid query parameters', errors: [{ param, message }] }
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_ROLLUP_WINDOW_MS = { minute: DEFAULT_WINDOW_MS, hour: 31 * DEFAULT_WINDOW_MS, day: 366 * 5 * DEFAULT_WINDOW_MS };
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+const MAX_TEXT_LENGTH = 200;
+
+// Collects validation errors while reading query parameters
+function createQueryReader(query) {
+  const errors = [];
+
+  const reader = {
+    errors,
+
+    date(param, fallback) {
+      const value = query[param];
+      if (value === undefined || value === '') {
+        return fallback;
+      }
+      const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        errors.push({ param, message: 'must be an ISO 8601 date or epoch milliseconds' });
+        return fallback;
+      }
+      return date;
+    },
+
+    integer(param, fallback, min, max) {
+      const value = query[param];
+      if (value === undefined || value === '') {
+        return fallback;
+      }
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        errors.push({ param, message: `must be an integer from ${min} to ${max}` });
+        return fallback;
+      }
+      return parsed;
+    },
+
+    text(param) {
+      const value = query[param];
+      if (value === undefined || value === '') {
+        return undefined;
+      }
+      if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+        errors.push({ param, message: `must be a single string of at most ${MAX_TEXT_LENGTH} characters` });
+        return undefined;
+      }
+      return value;
+    },
+
+    oneOf(param, allowed, fallback) {
+      const value = query[param];
+      if (value === undefined || value === '') {
+        return fallback;
+      }
+      if (!allowed.includes(value)) {
+        errors.push({ param, message: `must be one of: ${allowed.join(', ')}` });
+        return fallback;
+      }
+      return value;
+    },
+
+    // from/to, defaulting to the last 24 hours
+    window(maxWindowMs) {
+      const to = reader.date('to', new Date());
+      const from = reader.date('from', new Date(to.getTime() - DEFAULT_WINDOW_MS));
+      if (from > to) {
+        errors.push({ param: 'from', message: 'must not be after to' });
+      } else if (maxWindowMs && to - from > maxWindowMs) {
+        errors.push({ param: 'from', message: `window must not exceed ${maxWindowMs / DEFAULT_WINDOW_MS} days` });
+      }
+      return { from, to };
+    }
+  };
+
+  return reader;
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({
+    status: false,
+    message: 'Invalid query parameters',
+    errors
+  });
+}
+
+// Cursors are opaque to clients: the last record of a page, base64url-encoded
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify({ t: record.timestamp, id: record.recordId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const timestamp = new Date(t);
+    if (typeof id !== 'string' || Number.isNaN(timestamp.getTime())) {
+      return null;
+    }
+    return { timestamp, recordId: id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// GET /api/v1/records
+// Filters: from, to, name, origin, destination, route ("Origin->Destination"), emitterId
+// Paging: limit (1-1000, default 100), sort (asc|desc, default desc), cursor (nextCursor of the previous page)
+async function listRecords(req, res) {
+  const reader = createQueryReader(req.query);
+  const { from, to } = reader.window();
+  const filters = {
+    from,
+    to,
+    name: reader.text('name'),
+    origin: reader.text('origin'),
+    destination: reader.text('destination'),
+    emitterId: reader.text('emitterId')
+  };
+  const limit = reader.integer('limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+  const sort = reader.oneOf('sort', ['asc', 'desc'], 'desc');
+
+  const route = reader.text('route');
+  if (route !== undefined) {
+    const [origin, destination, ...rest] = route.split('->');
+    if (!origin || !destination || rest.length > 0) {
+      reader.errors.push({ param: 'route', message: 'must look like "Origin->Destination"' });
+    } else if ((filters.origin && filters.origin !== origin) || (filters.destination && filters.destination !== destination)) {
+      reader.errors.push({ param: 'route', message: 'contradicts origin or destination' });
+    } else {
+      filters.origin = origin;
+      filters.destination = destination;
+    }
+  }
+
+  const cursorParam = reader.text('cursor');
+  const after = cursorParam !== undefined ? decodeCursor(cursorParam) : undefined;
+  if (after === null) {
+    reader.errors.push({ param: 'cursor', message: 'is not a valid cursor' });
+  }
+
+  if (reader.errors.length > 0) {
+    return sendValidationErrors(res, reader.errors);
+  }
+
+  try {
+    // One extra record tells us whether there is another page
+    const records = await getStorage().queryRange(filters, {
+      sort: sort === 'asc' ? 1 : -1,
+      limit: limit + 1,
+      after
+    });
+    const hasMore = records.length > limit;
+    const page = hasMore ? records.slice(0, limit) : records;
+
+    res.json({
+      status: true,
+      data: page,
+      pagination: {
+        limit,
+        sort,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to query records:', error.message);
+    res.status(500).json({ status: false, message: 'Failed to query records' });
+  }
+}
+
+// GET /api/v1/rollups/minutely, /api/v1/rollups/hourly and /api/v1/rollups/daily - from, to
+function rollup(interval) {
+  return async (req, res) => {
+    const reader = createQueryReader(req.query);
+    const { from, to } = reader.window(MAX_ROLLUP_WINDOW_MS[interval]);
+
+    if (reader.errors.length > 0) {
+      return sendValidationErrors(res, reader.errors);
+    }
+
+    try {
+      const { rows, segments } = await getStorage().counts(from, to, interval);
+      res.json({
+        status: true,
+        interval,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        segments,
+        data: rows
+      });
+    } catch (error) {
+      logger.error(`Failed to build ${interval} rollup:`, error.message);
+      res.status(500).json({ status: false, message: 'Failed to build rollup' });
+    }
+  };
+}
+
+// GET /api/v1/top/routes and /api/v1/top/names - from, to, limit (1-100, default 10)
+function top(dimension) {
+  const key = dimension === 'routes' ? 'route' : 'name';
+
+  return async (req, res) => {
+    const reader = createQueryReader(req.query);
+    const { from, to } = reader.window();
+    const limit = reader.integer('limit', DEFAULT_TOP_LIMIT, 1, MAX_TOP_LIMIT);
+
+    if (reader.errors.length > 0) {
+      return sendValidationErrors(res, reader.errors);
+    }
+
+    try {
+      const storage = getStorage();
+      const { rows, segments } = await (dimension === 'routes' ? storage.topRoutes(from, to, limit) : storage.topNames(from, to, limit));
+      res.json({
+        status: true,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        segments,
+        data: rows.map(row => ({ [key]: row._id, count: row.totalCount }))
+      });
+    } catch (error) {
+      logger.error(`Failed to query top ${dimension}:`, error.message);
+      res.status(500).json({ status: false, message: `Failed to query top ${dimension}` });
+    }
+  };
+}
+
+// GET /api/v1/routes/matrix - from, to
+// Record counts per origin and destination. Origins and destinations are
+// listed busiest first; pairs without records are left out of `data`.
+async function routeMatrix(req, res) {
+  const reader = createQueryReader(req.query);
+  const { from, to } = reader.window();
+
+  if (reader.errors.length > 0) {
+    return sendValidationErrors(res, reader.errors);
+  }
+
+  try {
+    const { rows, segments } = await getStorage().topRoutes(from, to, Infinity);
+    const origins = new Map();
+    const destinations = new Map();
+    const data = rows.map(({ _id, totalCount }) => {
+      const [origin, destination] = _id.split('->');
+      origins.set(origin, (origins.get(origin) || 0) + totalCount);
+      destinations.set(destination, (destinations.get(destination) || 0) + totalCount);
+      return { origin, destination, count: totalCount };
+    });
+    const busiestFirst = totals => Array.from(totals, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .map(({ value }) => value);
+
+    res.json({
+      status: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      segments,
+      origins: busiestFirst(origins),
+      destinations: busiestFirst(destinations),
+      data
+    });
+  } catch (error) {
+    logger.error('Failed to build route matrix:', error.message);
+    res.status(500).json({ status: false, message: 'Failed to build route matrix' });
+  }
+}
+
+module.exports = {
+  listRecords,
+  minutelyRollup: rollup('minute'),
+  hourlyRollup: rollup('hour'),
+  dailyRollup: rollup('day'),
+  topRoutes: top('routes'),
+  topNames: top('names'),
+  routeMatrix,
+  // Shared with the other v1 controllers
+  createQueryReader,
+  sendValidationErrors,
+  // Exposed for tests
+  encodeCursor,
+  decodeCursor
+};
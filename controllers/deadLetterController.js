@@ -0,0 +1,132 @@
+const { getStorage } = require('../storage');
+const DeadLetter = require('../models/DeadLetter');
+const { createQueryReader, sendValidationErrors } = require('./dataController');
+const logger = require('../utility/logger');
+
+// Messages the listener rejected before it could read them (GET /api/v1/dead-letters).
+// Admin only: entries carry the raw ciphertext. Selected entries are
+// re-processed with POST /dead-letters/reprocess on the listener.
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const EXPORT_PAGE_SIZE = 1000;
+
+// Cursors are opaque to clients: the last entry of a page, base64url-encoded
+function encodeCursor(deadLetter) {
+  return Buffer.from(JSON.stringify({ t: deadLetter.receivedAt, id: deadLetter.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const receivedAt = new Date(t);
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id) || Number.isNaN(receivedAt.getTime())) {
+      return null;
+    }
+    return { receivedAt, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+function toResponse({ _id, __v, ...deadLetter }) {
+  return { id: _id.toString(), ...deadLetter };
+}
+
+// Reads from, to (receivedAt), emitterId, batchId, stage and status
+function readFilters(reader) {
+  const { from, to } = reader.window();
+  return {
+    from,
+    to,
+    emitterId: reader.text('emitterId'),
+    batchId: reader.text('batchId'),
+    stage: reader.oneOf('stage', DeadLetter.STAGES),
+    status: reader.oneOf('status', DeadLetter.STATUSES)
+  };
+}
+
+// GET /api/v1/dead-letters
+// Filters: from, to, emitterId, batchId, stage (decrypt|parse|signature), status
+// Paging: limit (1-1000, default 100), cursor (nextCursor of the previous page); newest first
+async function listDeadLetters(req, res) {
+  const reader = createQueryReader(req.query);
+  const filters = readFilters(reader);
+  const limit = reader.integer('limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+
+  const cursorParam = reader.text('cursor');
+  const after = cursorParam !== undefined ? decodeCursor(cursorParam) : undefined;
+  if (after === null) {
+    reader.errors.push({ param: 'cursor', message: 'is not a valid cursor' });
+  }
+
+  if (reader.errors.length > 0) {
+    return sendValidationErrors(res, reader.errors);
+  }
+
+  try {
+    // One extra entry tells us whether there is another page
+    const deadLetters = (await getStorage().listDeadLetters(filters, { limit: limit + 1, after })).map(toResponse);
+    const hasMore = deadLetters.length > limit;
+    const page = hasMore ? deadLetters.slice(0, limit) : deadLetters;
+
+    res.json({
+      status: true,
+      data: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to query dead letters:', error.message);
+    res.status(500).json({ status: false, message: 'Failed to query dead letters' });
+  }
+}
+
+// GET /api/v1/dead-letters/export - the same filters, every match as one JSON object per line
+async function exportDeadLetters(req, res) {
+  const reader = createQueryReader(req.query);
+  const filters = readFilters(reader);
+
+  if (reader.errors.length > 0) {
+    return sendValidationErrors(res, reader.errors);
+  }
+
+  const storage = getStorage();
+  try {
+    let deadLetters = await storage.listDeadLetters(filters, { limit: EXPORT_PAGE_SIZE });
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', 'attachment; filename="dead-letters.ndjson"');
+
+    while (deadLetters.length > 0) {
+      const page = deadLetters.map(toResponse);
+      res.write(page.map(deadLetter => JSON.stringify(deadLetter)).join('\n') + '\n');
+
+      if (deadLetters.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+      const last = page[page.length - 1];
+      const after = { receivedAt: new Date(last.receivedAt), id: last.id };
+      deadLetters = await storage.listDeadLetters(filters, { limit: EXPORT_PAGE_SIZE, after });
+    }
+    res.end();
+  } catch (error) {
+    logger.error('Failed to export dead letters:', error.message);
+    if (res.headersSent) {
+      // The client sees a truncated download rather than a clean end
+      res.destroy(error);
+    } else {
+      res.status(500).json({ status: false, message: 'Failed to export dead letters' });
+    }
+  }
+}
+
+module.exports = {
+  listDeadLetters,
+  exportDeadLetters,
+  // Exposed for tests
+  decodeCursor
+};
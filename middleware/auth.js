@@ -0,0 +1,62 @@
+const { extractAccessToken, verifyAccessToken } = require('../utility/authTokens');
+
+// Verifies the access token and attaches its claims to req.user.
+// Returns null when the request is not authenticated.
+function authenticate(req) {
+  const token = extractAccessToken(req);
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const claims = verifyAccessToken(token);
+    return { id: claims.sub, email: claims.email, role: claims.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Protects JSON endpoints - responds 401 when the caller is not logged in
+function requireAuth(req, res, next) {
+  const user = authenticate(req);
+  if (!user) {
+    return res.status(401).json({
+      status: false,
+      message: 'Authentication required'
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Protects pages - sends the browser to the login page instead of a 401
+function requireAuthPage(req, res, next) {
+  const user = authenticate(req);
+  if (!user) {
+    return res.redirect('/login.html');
+  }
+
+  req.user = user;
+  next();
+}
+
+// Restricts a route to the given roles; must run after requireAuth
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        status: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireAuthPage,
+  requireRole
+};
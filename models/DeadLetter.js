@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Messages the listener could not decrypt, parse or verify, kept with their
+// raw ciphertext so they can be inspected, exported and re-processed once
+// the keyring or signing configuration is fixed. Each message of a batch is
+// stored once, however often the emitter retries the batch.
+//
+//   status  pending       waiting for inspection or re-processing
+//           reprocessing  claimed by a listener re-processing it
+//           reprocessed   decoded and stored as a record (recordId)
+//           rejected      decoded, but refused by a later check (lastError)
+
+const STAGES = ['decrypt', 'parse', 'signature'];
+const STATUSES = ['pending', 'reprocessing', 'reprocessed', 'rejected'];
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const DeadLetterSchema = new mongoose.Schema({
+  emitterId: {
+    type: String,
+    required: true
+  },
+  batchId: {
+    type: String,
+    required: true
+  },
+  messageIndex: {
+    type: Number,
+    required: true
+  },
+
+  stage: {
+    type: String,
+    enum: STAGES,
+    required: true
+  },
+  error: String,
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  signatureAlgorithm: String,
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  claimedAt: Date,
+  lastAttemptAt: Date,
+  lastError: String,
+  recordId: String,
+
+  // Removed by a TTL index; see DEAD_LETTER_RETENTION_DAYS
+  expireAt: Date
+});
+
+DeadLetterSchema.index({ emitterId: 1, batchId: 1, messageIndex: 1 }, { unique: true });
+DeadLetterSchema.index({ receivedAt: -1, _id: -1 });
+DeadLetterSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+// Stores dead letters; ones already stored by an earlier attempt at the batch are left alone
+DeadLetterSchema.statics.addMany = function(entries) {
+  return this.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { emitterId: entry.emitterId, batchId: entry.batchId, messageIndex: entry.messageIndex },
+      update: { $setOnInsert: entry },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Newest first, paged with `after` = { receivedAt, id } of the previous page's last entry.
+// Filters: from, to (receivedAt), emitterId, batchId, stage, status.
+DeadLetterSchema.statics.findPage = function(filters, { limit = 100, after } = {}) {
+  const query = { receivedAt: { $gte: filters.from, $lte: filters.to } };
+  ['emitterId', 'batchId', 'stage', 'status'].forEach(field => {
+    if (filters[field]) {
+      query[field] = filters[field];
+    }
+  });
+  if (after) {
+    const afterId = new mongoose.Types.ObjectId(after.id);
+    query.$or = [
+      { receivedAt: { $lt: after.receivedAt } },
+      { receivedAt: after.receivedAt, _id: { $lt: afterId } }
+    ];
+  }
+
+  return this.find(query)
+    .sort({ receivedAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Claims the given dead letters for re-processing and returns the ones
+// claimed: pending entries, and claims abandoned by a listener that died
+DeadLetterSchema.statics.claim = async function(ids) {
+  const now = new Date();
+  const claimed = [];
+
+  for (const id of ids.filter(id => mongoose.Types.ObjectId.isValid(id))) {
+    const deadLetter = await this.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: 'pending' },
+          { status: 'reprocessing', claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } }
+        ]
+      },
+      { $set: { status: 'reprocessing', claimedAt: now } },
+      { new: true }
+    ).lean();
+    if (deadLetter) {
+      claimed.push(deadLetter);
+    }
+  }
+  return claimed;
+};
+
+// Records the outcome of a re-processing attempt
+DeadLetterSchema.statics.finish = function(id, fields) {
+  return this.updateOne(
+    { _id: id },
+    { $set: { ...fields, lastAttemptAt: new Date() }, $unset: { claimedAt: 1 }, $inc: { attempts: 1 } }
+  );
+};
+
+DeadLetterSchema.statics.STAGES = STAGES;
+DeadLetterSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('DeadLetter', DeadLetterSchema);
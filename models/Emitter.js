@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Registered emitters. Each emitter gets a stable emitterId and its own
+// secret; the listener only accepts socket handshakes carrying a token
+// issued for a registered, non-revoked emitter.
+
+const EmitterSchema = new mongoose.Schema({
+  emitterId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Per-emitter shared secret, handed out once at registration
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Bumped whenever credentials are re-issued, invalidating older tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+
+  lastSeenAt: Date,
+  lastAddress: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EmitterSchema.statics.generateSecret = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Registers a new emitter. Returns null if the name is taken: credentials of
+// an existing emitter are only re-issued by an admin, see rotate.
+EmitterSchema.statics.register = async function(name) {
+  try {
+    return await this.create({
+      emitterId: `em_${crypto.randomBytes(8).toString('hex')}`,
+      name,
+      secret: this.generateSecret(),
+      tokenVersion: 1
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Re-issues an emitter's secret and invalidates its tokens. A revoked
+// emitter is reinstated. Returns null for an unknown emitterId.
+EmitterSchema.statics.rotate = function(emitterId) {
+  return this.findOneAndUpdate(
+    { emitterId },
+    {
+      $set: { secret: this.generateSecret(), revoked: false, updatedAt: new Date() },
+      $inc: { tokenVersion: 1 }
+    },
+    { new: true }
+  ).select('+secret');
+};
+
+module.exports = mongoose.model('Emitter', EmitterSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Message nonces claimed by the listeners of a cluster, keyed by record ID
+// ("<emitterId>:<nonce>"). Each listener only remembers the nonces it has
+// seen itself, so clustered listeners also claim every accepted nonce here
+// for its batch; a nonce another batch holds is a replay another instance
+// already accepted. Claims expire with the replay window.
+
+const NonceClaimSchema = new mongoose.Schema({
+  _id: String,
+
+  // "<emitterId>:<batchId>" of the batch that claimed the nonce. Its own
+  // retries find the claim theirs rather than a replay.
+  owner: {
+    type: String,
+    required: true
+  },
+
+  expireAt: {
+    type: Date,
+    required: true
+  }
+}, { versionKey: false });
+
+NonceClaimSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+// Claims `keys` for `owner`; returns the keys other batches hold
+NonceClaimSchema.statics.claim = async function(keys, owner, expireAt) {
+  if (keys.length === 0) {
+    return [];
+  }
+
+  let taken = [];
+  try {
+    await this.insertMany(keys.map(_id => ({ _id, owner, expireAt })), { ordered: false, lean: true });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+    taken = writeErrors.map(writeError => keys[writeError.index]);
+  }
+
+  if (taken.length === 0) {
+    return [];
+  }
+  const others = await this.find({ _id: { $in: taken }, owner: { $ne: owner } }).select('_id').lean();
+  return others.map(claim => claim._id);
+};
+
+// Gives up a batch's claims, e.g. when its records could not be saved
+NonceClaimSchema.statics.release = async function(keys, owner) {
+  if (keys.length === 0) {
+    return;
+  }
+  await this.deleteMany({ _id: { $in: keys }, owner });
+};
+
+module.exports = mongoose.model('NonceClaim', NonceClaimSchema);
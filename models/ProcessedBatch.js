@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Ledger of message batches the listener has handled, keyed by
+// "<emitterId>:<batchId>". Emitters retry unacknowledged batches, so the
+// listener claims a batch before processing it and stores the results;
+// a retry of a completed batch gets the stored results back instead of
+// being counted and saved twice.
+
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const ProcessedBatchSchema = new mongoose.Schema({
+  _id: String,
+
+  emitterId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  batchId: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'done'],
+    default: 'processing'
+  },
+
+  results: mongoose.Schema.Types.Mixed,
+
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+
+  // Ledger entries are only needed while a batch could still be retried
+  expireAt: {
+    type: Date,
+    required: true
+  }
+});
+
+ProcessedBatchSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+// Tries to claim a batch for processing.
+// Returns { claimed: true } or { claimed: false, status, results }.
+ProcessedBatchSchema.statics.claim = async function(emitterId, batchId, retentionMs) {
+  const _id = `${emitterId}:${batchId}`;
+  const now = new Date();
+
+  try {
+    await this.create({
+      _id,
+      emitterId,
+      batchId,
+      claimedAt: now,
+      expireAt: new Date(now.getTime() + retentionMs)
+    });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over claims abandoned by a listener that died mid-batch
+  const takenOver = await this.findOneAndUpdate(
+    { _id, status: 'processing', claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+    { $set: { claimedAt: now } },
+    { new: true }
+  );
+  if (takenOver) {
+    return { claimed: true };
+  }
+
+  const existing = await this.findById(_id).lean();
+  if (!existing) {
+    // Released between our insert and lookup - let the caller retry
+    return { claimed: false, status: 'processing' };
+  }
+
+  return { claimed: false, status: existing.status, results: existing.results };
+};
+
+ProcessedBatchSchema.statics.complete = function(emitterId, batchId, results) {
+  return this.updateOne(
+    { _id: `${emitterId}:${batchId}` },
+    { $set: { status: 'done', results, completedAt: new Date() } }
+  );
+};
+
+// Drops a claim so a failed batch can be retried from scratch
+ProcessedBatchSchema.statics.release = function(emitterId, batchId) {
+  return this.deleteOne({ _id: `${emitterId}:${batchId}`, status: 'processing' });
+};
+
+module.exports = mongoose.model('ProcessedBatch', ProcessedBatchSchema);
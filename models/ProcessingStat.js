@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { STAT_COUNTERS, REASON_FIELDS, GRANULARITIES } = require('../utility/processingStats');
+
+// Listener processing statistics, one document per emitter and minute,
+// hour or day (see utility/processingStats.js). Listeners add their deltas
+// with $inc, so several listeners add up to one set of totals.
+// Reasons are keys of invalidReasons and errorReasons; "." and "$" in a
+// reason are stored as "_".
+
+const ProcessingStatSchema = new mongoose.Schema({
+  granularity: {
+    type: String,
+    enum: Object.keys(GRANULARITIES),
+    required: true
+  },
+
+  // Start of the UTC minute, hour or day
+  periodStart: {
+    type: Date,
+    required: true
+  },
+
+  emitterId: {
+    type: String,
+    required: true
+  },
+
+  ...Object.fromEntries(STAT_COUNTERS.map(counter => [counter, { type: Number, default: 0 }])),
+
+  invalidReasons: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  errorReasons: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Minute and hour documents expire; day documents have none
+  expireAt: Date
+}, { minimize: false });
+
+ProcessingStatSchema.index({ granularity: 1, periodStart: 1, emitterId: 1 }, { unique: true });
+ProcessingStatSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+function reasonKey(reason) {
+  return String(reason).replace(/[.$]/g, '_');
+}
+
+// Adds the entries' stats to their documents, creating them as needed
+ProcessingStatSchema.statics.addMany = function(entries) {
+  if (entries.length === 0) {
+    return Promise.resolve();
+  }
+
+  return this.bulkWrite(entries.map(({ granularity, periodStart, emitterId, stats, expireAt }) => {
+    const increments = {};
+    STAT_COUNTERS.forEach(counter => {
+      if (stats[counter]) {
+        increments[counter] = stats[counter];
+      }
+    });
+    REASON_FIELDS.forEach(field => {
+      Object.entries(stats[field] || {}).forEach(([reason, count]) => {
+        increments[`${field}.${reasonKey(reason)}`] = count;
+      });
+    });
+
+    return {
+      updateOne: {
+        filter: { granularity, periodStart, emitterId },
+        update: {
+          $inc: increments,
+          ...(expireAt ? { $setOnInsert: { expireAt } } : {})
+        },
+        upsert: true
+      }
+    };
+  }), { ordered: false });
+};
+
+// Entries of one granularity with periodStart in [from, to], oldest first
+ProcessingStatSchema.statics.findPeriods = async function({ granularity, from, to, emitterId }) {
+  const documents = await this.find({
+    granularity,
+    periodStart: { $gte: from, $lte: to },
+    ...(emitterId ? { emitterId } : {})
+  }).sort({ periodStart: 1 }).lean();
+
+  return documents.map(doc => ({
+    granularity: doc.granularity,
+    periodStart: doc.periodStart,
+    emitterId: doc.emitterId,
+    stats: {
+      ...Object.fromEntries(STAT_COUNTERS.map(counter => [counter, doc[counter] || 0])),
+      invalidReasons: doc.invalidReasons || {},
+      errorReasons: doc.errorReasons || {}
+    },
+    expireAt: doc.expireAt || null
+  }));
+};
+
+module.exports = mongoose.model('ProcessingStat', ProcessingStatSchema);
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const TimeSeries = require('./timeSeries');
+const RollupState = require('./RollupState');
+
+// Pre-aggregated hour and day documents built from the raw minute buckets.
+// Each holds the totals, route counts and name frequencies of its period.
+// Rollups are always rebuilt from their sources (minutes for an hour, hours
+// for a day) rather than incremented, so rebuilding is idempotent and late
+// data is picked up by simply rebuilding the period again.
+// The fields mirror the minute documents (timestamp, recordCount, routes,
+// nameFrequency), so the same aggregation works on minutes and rollups.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RESOLUTIONS = ['hour', 'day'];
+
+// $dateToString formats for the start of a UTC minute, hour or day
+const PERIOD_FORMATS = {
+  minute: '%Y-%m-%dT%H:%M:00.000Z',
+  hour: '%Y-%m-%dT%H:00:00.000Z',
+  day: '%Y-%m-%dT00:00:00.000Z'
+};
+
+const RollupSchema = new mongoose.Schema({
+  resolution: {
+    type: String,
+    enum: RESOLUTIONS,
+    required: true
+  },
+
+  // Start of the UTC hour or day
+  timestamp: {
+    type: Date,
+    required: true
+  },
+
+  recordCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Minute buckets that had data in this period
+  minuteBuckets: {
+    type: Number,
+    default: 0
+  },
+
+  routes: [{
+    route: String,
+    count: Number
+  }],
+
+  nameFrequency: [{
+    name: String,
+    count: Number
+  }],
+
+  firstRecordTime: Date,
+  lastRecordTime: Date,
+
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RollupSchema.index({ resolution: 1, timestamp: 1 }, { unique: true });
+
+function floorTo(date, unitMs) {
+  return new Date(Math.floor(date.getTime() / unitMs) * unitMs);
+}
+
+function ceilTo(date, unitMs) {
+  return new Date(Math.ceil(date.getTime() / unitMs) * unitMs);
+}
+
+// Sums route and name counters of several documents into one. Minute
+// documents count once per distinct minute, however many sub-buckets it has.
+function mergeCounters(documents) {
+  const routes = new Map();
+  const names = new Map();
+  const minutes = new Set();
+  const merged = { recordCount: 0, minuteBuckets: 0, firstRecordTime: null, lastRecordTime: null };
+
+  documents.forEach(doc => {
+    merged.recordCount += doc.recordCount || 0;
+    if (doc.minuteBuckets !== undefined) {
+      merged.minuteBuckets += doc.minuteBuckets;
+    } else if (!minutes.has(doc.minuteBucket)) {
+      minutes.add(doc.minuteBucket);
+      merged.minuteBuckets++;
+    }
+    (doc.routes || []).forEach(({ route, count }) => routes.set(route, (routes.get(route) || 0) + count));
+    (doc.nameFrequency || []).forEach(({ name, count }) => names.set(name, (names.get(name) || 0) + count));
+
+    if (doc.firstRecordTime && (!merged.firstRecordTime || doc.firstRecordTime < merged.firstRecordTime)) {
+      merged.firstRecordTime = doc.firstRecordTime;
+    }
+    if (doc.lastRecordTime && (!merged.lastRecordTime || doc.lastRecordTime > merged.lastRecordTime)) {
+      merged.lastRecordTime = doc.lastRecordTime;
+    }
+  });
+
+  merged.routes = Array.from(routes, ([route, count]) => ({ route, count })).sort((a, b) => b.count - a.count);
+  merged.nameFrequency = Array.from(names, ([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+  return merged;
+}
+
+// Replaces the rollup of one period with the merge of its source documents,
+// or removes it when the period has no data
+RollupSchema.statics.replacePeriod = async function(resolution, timestamp, sources) {
+  if (sources.length === 0) {
+    await this.deleteOne({ resolution, timestamp });
+    return null;
+  }
+
+  const merged = mergeCounters(sources);
+  await this.updateOne(
+    { resolution, timestamp },
+    { $set: { ...merged, computedAt: new Date() } },
+    { upsert: true }
+  );
+  return merged;
+};
+
+// Rebuilds the rollup of the UTC hour starting at hourStart from its minute buckets
+RollupSchema.statics.rebuildHour = async function(hourStart) {
+  const start = floorTo(new Date(hourStart), HOUR_MS);
+  const minutes = await TimeSeries.aggregateMinutes(
+    { timestamp: { $gte: start, $lt: new Date(start.getTime() + HOUR_MS) } },
+    [{ $project: { minuteBucket: 1, recordCount: 1, routes: 1, nameFrequency: 1, firstRecordTime: 1, lastRecordTime: 1 } }]
+  );
+
+  return this.replacePeriod('hour', start, minutes);
+};
+
+// Rebuilds the rollup of the UTC day starting at dayStart from its hour rollups
+RollupSchema.statics.rebuildDay = async function(dayStart) {
+  const start = floorTo(new Date(dayStart), DAY_MS);
+  const hours = await this.find({ resolution: 'hour', timestamp: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) } })
+    .select('recordCount minuteBuckets routes nameFrequency firstRecordTime lastRecordTime')
+    .lean();
+
+  return this.replacePeriod('day', start, hours);
+};
+
+// Splits the half-open window [from, to) into aligned segments, coarsest
+// first where possible: whole UTC days, whole hours, then the leftover
+// minutes at both ends. Only periods before rolledUpBefore have rollups;
+// the rest of the window is read from minute buckets. maxResolution caps
+// the coarsest resolution used (an hourly breakdown cannot use days, a
+// per-minute one only uses minutes).
+function planSegments(from, to, rolledUpBefore, maxResolution = 'day') {
+  const segments = [];
+  const push = (resolution, start, end) => {
+    if (end > start) {
+      segments.push({ resolution, from: start, to: end });
+    }
+  };
+
+  const rollupEnd = new Date(Math.min(to.getTime(), rolledUpBefore ? rolledUpBefore.getTime() : 0));
+  const hourStart = ceilTo(from, HOUR_MS);
+  const hourEnd = floorTo(rollupEnd, HOUR_MS);
+
+  if (maxResolution === 'minute' || hourStart >= hourEnd) {
+    push('minute', from, to);
+    return segments;
+  }
+
+  push('minute', from, hourStart);
+
+  const dayStart = ceilTo(hourStart, DAY_MS);
+  const dayEnd = floorTo(hourEnd, DAY_MS);
+  if (maxResolution === 'day' && dayStart < dayEnd) {
+    push('hour', hourStart, dayStart);
+    push('day', dayStart, dayEnd);
+    push('hour', dayEnd, hourEnd);
+  } else {
+    push('hour', hourStart, hourEnd);
+  }
+
+  push('minute', hourEnd, to);
+  return segments;
+}
+
+// Plans a query over the inclusive window [from, to] using the rollups the compactor has finished
+RollupSchema.statics.planQuery = async function(from, to, maxResolution = 'day') {
+  const state = await RollupState.get();
+  return planSegments(new Date(from), new Date(new Date(to).getTime() + 1), state && state.rolledUpBefore, maxResolution);
+};
+
+// Runs the same pipeline over every segment, against minutes or rollups
+RollupSchema.statics.aggregateSegments = function(segments, buildPipeline) {
+  return Promise.all(segments.map(segment => {
+    const match = { timestamp: { $gte: segment.from, $lt: segment.to } };
+    if (segment.resolution === 'minute') {
+      return TimeSeries.aggregateMinutes(match, buildPipeline(segment));
+    }
+    return this.aggregate([{ $match: { ...match, resolution: segment.resolution } }, ...buildPipeline(segment)]);
+  }));
+};
+
+// Record counts per UTC minute, hour or day in [from, to], read from the coarsest
+// data that fits. Each row: { period, recordCount, minuteBuckets, avgRecordsPerMinute }.
+// Returns { rows, segments }.
+RollupSchema.statics.getCounts = async function(from, to, interval) {
+  const segments = await this.planQuery(from, to, interval);
+  const results = await this.aggregateSegments(segments, segment => [
+    // Sub-buckets of a minute count as one minute
+    ...(segment.resolution === 'minute'
+      ? [{ $group: { _id: '$minuteBucket', timestamp: { $first: '$timestamp' }, recordCount: { $sum: '$recordCount' } } }]
+      : []),
+    {
+      $group: {
+        _id: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$timestamp', timezone: 'UTC' } },
+        recordCount: { $sum: '$recordCount' },
+        minuteBuckets: { $sum: { $ifNull: ['$minuteBuckets', 1] } }
+      }
+    }
+  ]);
+
+  const periods = new Map();
+  results.flat().forEach(({ _id, recordCount, minuteBuckets }) => {
+    const period = periods.get(_id) || { period: _id, recordCount: 0, minuteBuckets: 0 };
+    period.recordCount += recordCount;
+    period.minuteBuckets += minuteBuckets;
+    periods.set(_id, period);
+  });
+
+  const rows = Array.from(periods.values())
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(row => ({ ...row, avgRecordsPerMinute: row.minuteBuckets > 0 ? row.recordCount / row.minuteBuckets : 0 }));
+
+  return { rows, segments };
+};
+
+// Top routes ('routes') or names ('nameFrequency') in [from, to].
+// Each row: { _id, totalCount }, like TimeSeries.getTopRoutes. Returns { rows, segments }.
+RollupSchema.statics.getTop = async function(field, from, to, limit = 10) {
+  const key = field === 'routes' ? 'route' : 'name';
+  const segments = await this.planQuery(from, to);
+  const results = await this.aggregateSegments(segments, () => [
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}.${key}`, totalCount: { $sum: `$${field}.count` } } }
+  ]);
+
+  const totals = new Map();
+  results.flat().forEach(({ _id, totalCount }) => totals.set(_id, (totals.get(_id) || 0) + totalCount));
+
+  const rows = Array.from(totals, ([_id, totalCount]) => ({ _id, totalCount }))
+    .sort((a, b) => b.totalCount - a.totalCount)
+    .slice(0, limit);
+
+  return { rows, segments };
+};
+
+RollupSchema.statics.planSegments = planSegments;
+RollupSchema.statics.mergeCounters = mergeCounters;
+
+module.exports = mongoose.model('Rollup', RollupSchema);
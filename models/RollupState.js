@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Progress of the rollup compactor, shared by every process that reads
+// rollups. A single document with _id "rollups":
+//   rolledUpBefore  every hour before this has up-to-date rollups
+//   lastRunAt       when the last completed run started; minute buckets
+//                   updated after it are rolled up again on the next run
+
+const RollupStateSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'rollups'
+  },
+
+  rolledUpBefore: {
+    type: Date,
+    required: true
+  },
+
+  lastRunAt: {
+    type: Date,
+    required: true
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RollupStateSchema.statics.get = function() {
+  return this.findById('rollups').lean();
+};
+
+RollupStateSchema.statics.record = function(rolledUpBefore, lastRunAt) {
+  return this.updateOne(
+    { _id: 'rollups' },
+    { $set: { rolledUpBefore, lastRunAt, updatedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('RollupState', RollupStateSchema);
@@ -2,7 +2,20 @@ const mongoose = require('mongoose');
 
 // Time-series optimized schema for storing message data
 // Groups data by minute intervals for optimal aggregation performance
-// Each document represents one minute and contains multiple message records
+// Each document represents one minute and contains multiple message records.
+// A busy minute is split into numbered sub-buckets (subBucket 0, 1, ...) of
+// at most maxRecordsPerBucket records each, which keeps documents well below
+// MongoDB's 16 MB limit and bounds their routes/nameFrequency arrays too.
+// Readers must not assume one document per minute: counters are summed
+// across sub-buckets, and minute counts use distinct minuteBucket values.
+
+const DEFAULT_MAX_RECORDS_PER_BUCKET = 10000;
+const HOUR_MS = 60 * 60 * 1000;
+const TTL_INDEX_NAME = 'retention_ttl';
+
+// Sub-bucket most recently written per minute, so writers rarely have to probe
+const openSubBuckets = new Map();
+const MAX_TRACKED_MINUTES = 1000;
 
 const MessageRecordSchema = new mongoose.Schema({
   name: {
@@ -27,9 +40,16 @@ const MessageRecordSchema = new mongoose.Schema({
   },
   recordId: {
     type: String,
-    required: true,
-    unique: true // Ensures no duplicate records
-  }
+    required: true
+  },
+  emitterId: {
+    type: String,
+    index: true
+  },
+  // When the listener received the message; timestamp is the emitter's event time
+  receivedAt: Date,
+  // Set until the record is added to its sub-bucket's route/name counters
+  uncounted: Boolean
 }, { _id: false }); // Disable _id for sub-documents to save space
 
 // Main time series document schema
@@ -37,9 +57,14 @@ const TimeSeriesDataSchema = new mongoose.Schema({
   minuteBucket: {
     type: String,
     required: true,
-    unique: true,
     index: true
   },
+
+  // Position of this document among the minute's sub-buckets
+  subBucket: {
+    type: Number,
+    default: 0
+  },
   
   timestamp: {
     type: Date,
@@ -87,6 +112,9 @@ const TimeSeriesDataSchema = new mongoose.Schema({
 
   firstRecordTime: Date,
   lastRecordTime: Date,
+
+  // Set once the retention job has emptied `records`; the counters are kept
+  recordsPurgedAt: Date,
   
   createdAt: {
     type: Date,
@@ -99,11 +127,63 @@ const TimeSeriesDataSchema = new mongoose.Schema({
 });
 
 // Indexes
+TimeSeriesDataSchema.index({ minuteBucket: 1, subBucket: 1 }, { unique: true });
+TimeSeriesDataSchema.index({ subBucket: 1, timestamp: -1 }); // the minutes themselves, via their first sub-bucket
 TimeSeriesDataSchema.index({ timestamp: 1, yearMonth: 1 });
 TimeSeriesDataSchema.index({ dateOnly: 1, hour: 1 });
 TimeSeriesDataSchema.index({ 'records.origin': 1, 'records.destination': 1 });
 TimeSeriesDataSchema.index({ 'records.name': 1, timestamp: 1 });
 TimeSeriesDataSchema.index({ recordCount: 1, timestamp: 1 });
+TimeSeriesDataSchema.index({ updatedAt: 1 }); // finds buckets changed since the last rollup run
+
+// No record is stored twice. Retention empties the records of old buckets
+// (stripRecords), and a unique multikey index gives every empty array the
+// same missing key, so only buckets that still hold records are indexed.
+const RECORD_ID_INDEX = 'records.recordId_1';
+TimeSeriesDataSchema.index({ 'records.recordId': 1 }, {
+  name: RECORD_ID_INDEX,
+  unique: true,
+  partialFilterExpression: { 'records.recordId': { $exists: true } }
+});
+
+// Sums { [key], count } counters from several arrays, largest first
+function sumCounters(lists, key) {
+  const totals = new Map();
+  lists.forEach(list => (list || []).forEach(item => totals.set(item[key], (totals.get(item[key]) || 0) + item.count)));
+  return Array.from(totals, ([value, count]) => ({ [key]: value, count })).sort((a, b) => b.count - a.count);
+}
+
+// Combines the sub-bucket documents of each minute into one object per
+// minute, in the order the minutes first appear
+function mergeSubBuckets(documents) {
+  const minutes = new Map();
+  documents.forEach(doc => {
+    const parts = minutes.get(doc.minuteBucket) || [];
+    parts.push(doc);
+    minutes.set(doc.minuteBucket, parts);
+  });
+
+  return Array.from(minutes.values(), parts => {
+    const [first] = parts;
+    if (parts.length === 1) {
+      return { ...first, subBuckets: 1 };
+    }
+
+    const merged = {
+      minuteBucket: first.minuteBucket,
+      timestamp: first.timestamp,
+      subBuckets: parts.length,
+      recordCount: parts.reduce((sum, part) => sum + (part.recordCount || 0), 0),
+      routes: sumCounters(parts.map(part => part.routes), 'route'),
+      nameFrequency: sumCounters(parts.map(part => part.nameFrequency), 'name')
+    };
+    if (parts.some(part => part.records)) {
+      merged.records = [].concat(...parts.map(part => part.records || []))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+    return merged;
+  });
+}
 
 // Static methods
 TimeSeriesDataSchema.statics.createMinuteBucket = function(timestamp) {
@@ -121,124 +201,396 @@ TimeSeriesDataSchema.statics.createMinuteBucket = function(timestamp) {
   };
 };
 
-TimeSeriesDataSchema.statics.addRecord = async function(messageData) {
-  const timestamp = new Date();
-  const bucketInfo = this.createMinuteBucket(timestamp);
-  const recordId = `${timestamp.getTime()}-${Math.random().toString(36).substr(2, 9)}`;
-  
-  const record = {
-    ...messageData,
-    timestamp,
-    recordId
-  };
-  
-  // Create route string for aggregation
-  const route = `${messageData.origin}->${messageData.destination}`;
-  
+// Inserts a batch of messages with a single ordered bulkWrite.
+// Messages are grouped by minute bucket and their route/name counters merged
+// in memory first, so a batch costs one round-trip instead of ~6 per message.
+// Each message is bucketed by its own timestamp (the event time) when given,
+// so late data lands in its historical bucket; otherwise by receive time.
+// context.emitterId identifies the authenticated emitter that sent the batch;
+// context.maxRecordsPerBucket caps the records of one sub-bucket document.
+//
+// A batch can span several sub-bucket documents, and a write that fails
+// partway leaves the earlier ones stored. When the batch is sent again, its
+// stored records collide with the unique index on record IDs; the batch is
+// then resumed (see resumeBatch) so every record is stored and counted once.
+TimeSeriesDataSchema.statics.addRecords = async function(messages, context = {}) {
+  if (!messages || messages.length === 0) {
+    return { savedCount: 0, minuteBuckets: [] };
+  }
+
+  const receivedAt = new Date();
+  const maxRecords = context.maxRecordsPerBucket || DEFAULT_MAX_RECORDS_PER_BUCKET;
+
+  const records = messages.map(messageData => {
+    const timestamp = messageData.timestamp ? new Date(messageData.timestamp) : receivedAt;
+    return {
+      ...messageData,
+      timestamp,
+      receivedAt,
+      recordId: messageData.recordId || `${timestamp.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+      emitterId: context.emitterId
+    };
+  });
+  const buckets = this.bucketRecords(records, maxRecords);
+
+  let storedCount = 0;
   try {
-    // First try to find existing document
-    let result = await this.findOne({ minuteBucket: bucketInfo.minuteBucket });
-    
-    if (result) {
-      // Document exists, just add the record
-      result = await this.findOneAndUpdate(
-        { minuteBucket: bucketInfo.minuteBucket },
-        {
-          $push: { records: record },
-          $inc: { recordCount: 1 },
-          $set: { 
-            lastRecordTime: timestamp,
-            updatedAt: new Date()
-          }
-        },
-        { new: true, runValidators: true }
-      );
-    } else {
-      // Document doesn't exist, create new one
-      result = await this.create({
-        ...bucketInfo,
-        records: [record],
-        routes: [],
-        nameFrequency: [],
-        recordCount: 1,
-        firstRecordTime: timestamp,
-        lastRecordTime: timestamp,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      });
-    }
-    
-    // Update aggregated data (routes and name frequency)
-    await this.updateAggregatedData(bucketInfo.minuteBucket, route, messageData.name);
-    
-    return result;
+    await this.writeBuckets(buckets, maxRecords);
   } catch (error) {
-    throw new Error(`Failed to add record: ${error.message}`);
+    if (error.code !== 'RECORDS_STORED') {
+      throw new Error(`Failed to add records: ${error.message}`);
+    }
+    try {
+      storedCount = await this.resumeBatch(records, maxRecords);
+    } catch (resumeError) {
+      throw new Error(`Failed to add records: ${resumeError.message}`);
+    }
   }
+
+  return {
+    savedCount: messages.length,
+    storedCount,
+    minuteBuckets: Array.from(new Set(buckets.map(bucket => bucket.bucketInfo.minuteBucket)))
+  };
 };
 
-TimeSeriesDataSchema.statics.updateAggregatedData = async function(minuteBucket, route, name) {
-  try {
-    // Update route frequency
-    await this.updateOne(
-      { 
-        minuteBucket,
-        'routes.route': route 
-      },
-      { 
-        $inc: { 'routes.$.count': 1 } 
+// Groups records by minute bucket; a minute with more records than fit in
+// one sub-bucket is written in several
+TimeSeriesDataSchema.statics.bucketRecords = function(records, maxRecords = DEFAULT_MAX_RECORDS_PER_BUCKET) {
+  const minutes = new Map();
+  records.forEach(record => {
+    const bucketInfo = this.createMinuteBucket(record.timestamp);
+    let minute = minutes.get(bucketInfo.minuteBucket);
+    if (!minute) {
+      minute = { bucketInfo, records: [] };
+      minutes.set(bucketInfo.minuteBucket, minute);
+    }
+    minute.records.push(record);
+  });
+
+  const buckets = [];
+  minutes.forEach(({ bucketInfo, records: minuteRecords }) => {
+    for (let i = 0; i < minuteRecords.length; i += maxRecords) {
+      buckets.push(this.summarizeBucket(bucketInfo, minuteRecords.slice(i, i + maxRecords)));
+    }
+  });
+  return buckets;
+};
+
+// Finishes a batch that an earlier attempt stored part of: adds the stored
+// records that were never counted to their counters, then writes the records
+// that are missing. Returns how many records were already stored.
+TimeSeriesDataSchema.statics.resumeBatch = async function(records, maxRecords = DEFAULT_MAX_RECORDS_PER_BUCKET) {
+  const stored = await this.findStoredRecords(records.map(record => record.recordId));
+  const storedIds = new Set();
+  const operations = [];
+
+  stored.forEach(doc => {
+    doc.records.forEach(record => storedIds.add(record.recordId));
+    const uncounted = doc.records.filter(record => record.uncounted);
+    if (uncounted.length > 0) {
+      const bucket = this.summarizeBucket({ minuteBucket: doc.minuteBucket }, uncounted);
+      bucket.subBucket = doc.subBucket;
+      operations.push(...this.buildCounterOperations(bucket));
+    }
+  });
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: true });
+  }
+
+  const missing = records.filter(record => !storedIds.has(record.recordId));
+  if (missing.length > 0) {
+    await this.writeBuckets(this.bucketRecords(missing, maxRecords), maxRecords);
+  }
+  return storedIds.size;
+};
+
+// The records among `recordIds` that are stored, grouped by sub-bucket document
+TimeSeriesDataSchema.statics.findStoredRecords = function(recordIds) {
+  return this.aggregate([
+    { $match: { 'records.recordId': { $in: recordIds } } },
+    {
+      $project: {
+        _id: 0,
+        minuteBucket: 1,
+        subBucket: 1,
+        records: { $filter: { input: '$records', cond: { $in: ['$$this.recordId', recordIds] } } }
       }
-    );
-    
-    // If route doesn't exist, add it
-    await this.updateOne(
-      { 
-        minuteBucket,
-        'routes.route': { $ne: route }
+    }
+  ]);
+};
+
+// Merges the route/name counters and time range of records bound for one sub-bucket
+TimeSeriesDataSchema.statics.summarizeBucket = function(bucketInfo, records) {
+  const bucket = {
+    bucketInfo,
+    subBucket: openSubBuckets.get(bucketInfo.minuteBucket) || 0,
+    records,
+    routes: new Map(),
+    names: new Map(),
+    firstRecordTime: records[0].timestamp,
+    lastRecordTime: records[0].timestamp
+  };
+
+  records.forEach(record => {
+    const route = `${record.origin}->${record.destination}`;
+    bucket.routes.set(route, (bucket.routes.get(route) || 0) + 1);
+    bucket.names.set(record.name, (bucket.names.get(record.name) || 0) + 1);
+
+    if (record.timestamp < bucket.firstRecordTime) bucket.firstRecordTime = record.timestamp;
+    if (record.timestamp > bucket.lastRecordTime) bucket.lastRecordTime = record.timestamp;
+  });
+
+  return bucket;
+};
+
+// Builds the write operations for one sub-bucket:
+//   1. upsert the sub-bucket document and append its records, flagged
+//      uncounted, provided they still fit; a full sub-bucket makes the
+//      upsert collide with it (E11000)
+//   2. add the records to the route/name counters (buildCounterOperations)
+// Each step is a single-document atomic update, so concurrent listeners can
+// interleave without losing counts or creating duplicate counter entries.
+TimeSeriesDataSchema.statics.buildBucketOperations = function(bucket, maxRecords = DEFAULT_MAX_RECORDS_PER_BUCKET) {
+  const { bucketInfo, records, subBucket } = bucket;
+  const { minuteBucket } = bucketInfo;
+  const target = { minuteBucket, subBucket };
+  const now = new Date();
+
+  return [{
+    updateOne: {
+      filter: { ...target, recordCount: { $lte: maxRecords - records.length } },
+      update: {
+        $setOnInsert: { ...bucketInfo, subBucket, createdAt: now },
+        $push: { records: { $each: records.map(record => ({ ...record, uncounted: true })) } },
+        $inc: { recordCount: records.length },
+        $min: { firstRecordTime: bucket.firstRecordTime },
+        $max: { lastRecordTime: bucket.lastRecordTime },
+        $set: { updatedAt: now }
       },
-      { 
-        $push: { 
-          routes: { route, count: 1 } 
-        } 
+      upsert: true
+    }
+  }, ...this.buildCounterOperations(bucket)];
+};
+
+// Builds the operations adding a sub-bucket's records to its counters:
+//   1. for every route/name: add a zero counter if it is missing
+//   2. one update that $incs all of them and clears the records' uncounted
+//      flag; it only matches while the records are still flagged
+// Running them again after a failure therefore never counts a record twice.
+TimeSeriesDataSchema.statics.buildCounterOperations = function(bucket) {
+  const target = { minuteBucket: bucket.bucketInfo.minuteBucket, subBucket: bucket.subBucket };
+  const recordIds = bucket.records.map(record => record.recordId);
+  const operations = [];
+  const increments = {};
+  const arrayFilters = [];
+
+  Array.from(bucket.routes).forEach(([route, count], index) => {
+    operations.push({
+      updateOne: {
+        filter: { ...target, 'routes.route': { $ne: route } },
+        update: { $push: { routes: { route, count: 0 } } }
       }
-    );
-    
-    // Update name frequency
-    await this.updateOne(
-      { 
-        minuteBucket,
-        'nameFrequency.name': name 
-      },
-      { 
-        $inc: { 'nameFrequency.$.count': 1 } 
+    });
+    increments[`routes.$[route${index}].count`] = count;
+    arrayFilters.push({ [`route${index}.route`]: route });
+  });
+
+  Array.from(bucket.names).forEach(([name, count], index) => {
+    operations.push({
+      updateOne: {
+        filter: { ...target, 'nameFrequency.name': { $ne: name } },
+        update: { $push: { nameFrequency: { name, count: 0 } } }
       }
-    );
-    
-    // If name doesn't exist, add it
-    await this.updateOne(
-      { 
-        minuteBucket,
-        'nameFrequency.name': { $ne: name }
-      },
-      { 
-        $push: { 
-          nameFrequency: { name, count: 1 } 
-        } 
+    });
+    increments[`nameFrequency.$[name${index}].count`] = count;
+    arrayFilters.push({ [`name${index}.name`]: name });
+  });
+
+  operations.push({
+    updateOne: {
+      filter: { ...target, records: { $elemMatch: { recordId: { $in: recordIds }, uncounted: true } } },
+      update: { $inc: increments, $unset: { 'records.$[counted].uncounted': '' } },
+      arrayFilters: [...arrayFilters, { 'counted.recordId': { $in: recordIds } }]
+    }
+  });
+
+  return operations;
+};
+
+// Whether a duplicate key error came from the unique index on record IDs
+function isRecordIdConflict(error) {
+  const keyPattern = error.keyPattern || (error.err && error.err.keyPattern);
+  if (keyPattern) {
+    return 'records.recordId' in keyPattern;
+  }
+  return String(error.errmsg || error.message).includes(RECORD_ID_INDEX);
+}
+
+// Tells addRecords that some of the batch's records are already stored
+function storedRecordsError(cause) {
+  const error = new Error(`Batch has records that are already stored: ${cause.message}`);
+  error.code = 'RECORDS_STORED';
+  return error;
+}
+
+// Writes sub-buckets with one ordered bulkWrite. An upsert fails with E11000
+// when its sub-bucket is full, or when another listener created the same new
+// sub-bucket first. Either way the sub-bucket to use is looked up again and
+// the operations from the failed one onwards are re-run.
+TimeSeriesDataSchema.statics.writeBuckets = async function(buckets, maxRecords = DEFAULT_MAX_RECORDS_PER_BUCKET) {
+  let remaining = buckets;
+  const maxAttempts = buckets.length + 3;
+
+  for (let attempt = 1; ; attempt++) {
+    const operations = [];
+    const starts = remaining.map(bucket => {
+      const start = operations.length;
+      operations.push(...this.buildBucketOperations(bucket, maxRecords));
+      return start;
+    });
+
+    try {
+      await this.bulkWrite(operations, { ordered: true });
+      break;
+    } catch (error) {
+      const writeError = error.writeErrors && error.writeErrors[0];
+      const failedBucket = writeError ? starts.indexOf(writeError.index) : -1;
+      const conflict = error.code === 11000 || (writeError && writeError.code === 11000);
+
+      // A record that is already stored, not a full sub-bucket
+      if (conflict && isRecordIdConflict(writeError || error)) {
+        throw storedRecordsError(error);
       }
-    );
-  } catch (error) {
-    console.error('Error updating aggregated data:', error);
+      if (!conflict || failedBucket === -1 || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      remaining = remaining.slice(failedBucket);
+      await this.findOpenSubBucket(remaining[0], maxRecords);
+      // Later parts of the same minute start from there too
+      remaining.forEach(bucket => {
+        if (bucket.bucketInfo.minuteBucket === remaining[0].bucketInfo.minuteBucket) {
+          bucket.subBucket = Math.max(bucket.subBucket, remaining[0].subBucket);
+        }
+      });
+    }
+  }
+
+  buckets.forEach(bucket => {
+    openSubBuckets.delete(bucket.bucketInfo.minuteBucket);
+    openSubBuckets.set(bucket.bucketInfo.minuteBucket, bucket.subBucket);
+  });
+  while (openSubBuckets.size > MAX_TRACKED_MINUTES) {
+    openSubBuckets.delete(openSubBuckets.keys().next().value);
   }
 };
 
+// Points `bucket` at its minute's last sub-bucket if its records fit there, or at a new one after it
+TimeSeriesDataSchema.statics.findOpenSubBucket = async function(bucket, maxRecords) {
+  const last = await this.findOne({ minuteBucket: bucket.bucketInfo.minuteBucket })
+    .sort({ subBucket: -1 })
+    .select('subBucket recordCount')
+    .lean();
+
+  if (!last) {
+    bucket.subBucket = 0;
+  } else if (last.recordCount + bucket.records.length <= maxRecords) {
+    bucket.subBucket = last.subBucket;
+  } else {
+    bucket.subBucket = last.subBucket + 1;
+  }
+};
+
+// Replaces the unique index on minuteBucket of databases written before
+// sub-buckets existed with the one on { minuteBucket, subBucket }
+TimeSeriesDataSchema.statics.migrateSubBuckets = async function() {
+  const indexes = await this.collection.indexes();
+  const legacy = indexes.find(index => index.name === 'minuteBucket_1' && index.unique);
+  if (!legacy) {
+    return false;
+  }
+
+  await this.updateMany({ subBucket: { $exists: false } }, { $set: { subBucket: 0 } });
+  await this.collection.dropIndex(legacy.name);
+  await this.createIndexes();
+  return true;
+};
+
+// Replaces the unique index on records.recordId of databases written before
+// it was partial; with the old one, stripping a second bucket's records fails
+TimeSeriesDataSchema.statics.migrateRecordIdIndex = async function() {
+  const indexes = await this.collection.indexes();
+  const legacy = indexes.find(index => index.name === RECORD_ID_INDEX && !index.partialFilterExpression);
+  if (!legacy) {
+    return false;
+  }
+
+  await this.collection.dropIndex(legacy.name);
+  await this.createIndexes();
+  return true;
+};
+
+// Brings an existing database up to date before the listener writes to it.
+// Returns whether minute buckets were migrated to sub-buckets.
+TimeSeriesDataSchema.statics.prepare = async function() {
+  const migrated = await this.migrateSubBuckets();
+  await this.migrateRecordIdIndex();
+  return migrated;
+};
+
+// Adds a single message - kept for callers that do not batch
+TimeSeriesDataSchema.statics.addRecord = async function(messageData, context = {}) {
+  return this.addRecords([messageData], context);
+};
+
 // Query helper methods
-TimeSeriesDataSchema.statics.getByTimeRange = function(startTime, endTime) {
-  return this.find({
+
+// Record ids (emitterId:nonce) and timestamps of records newer than `since`, oldest first
+TimeSeriesDataSchema.statics.getRecordIdsSince = function(since) {
+  return this.aggregate([
+    { $match: { lastRecordTime: { $gte: since } } },
+    { $unwind: '$records' },
+    { $match: { 'records.timestamp': { $gte: since } } },
+    { $project: { _id: 0, recordId: '$records.recordId', timestamp: '$records.timestamp' } },
+    { $sort: { timestamp: 1 } }
+  ]).allowDiskUse(true);
+};
+
+// Minutes in [startTime, endTime], oldest first, each with its sub-buckets merged
+TimeSeriesDataSchema.statics.getByTimeRange = async function(startTime, endTime) {
+  const documents = await this.find({
     timestamp: {
       $gte: new Date(startTime),
       $lte: new Date(endTime)
     }
-  }).sort({ timestamp: 1 });
+  }).sort({ timestamp: 1, subBucket: 1 }).lean();
+
+  return mergeSubBuckets(documents);
+};
+
+// The `limit` most recent minutes, newest first, each with its sub-buckets
+// merged. Records are only loaded when withRecords is set.
+TimeSeriesDataSchema.statics.getRecentMinutes = async function(limit = 10, { withRecords = false } = {}) {
+  const fields = `minuteBucket subBucket timestamp recordCount routes nameFrequency${withRecords ? ' records' : ''}`;
+
+  // Every minute has a sub-bucket 0, so those identify the latest minutes
+  const firsts = await this.find({ subBucket: 0 })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select(fields)
+    .lean();
+  if (firsts.length === 0) {
+    return [];
+  }
+
+  const rest = await this.find({ minuteBucket: { $in: firsts.map(doc => doc.minuteBucket) }, subBucket: { $gt: 0 } })
+    .sort({ subBucket: 1 })
+    .select(fields)
+    .lean();
+
+  return mergeSubBuckets([...firsts, ...rest]);
 };
 
 TimeSeriesDataSchema.statics.getHourlyAggregation = function(date) {
@@ -248,6 +600,14 @@ TimeSeriesDataSchema.statics.getHourlyAggregation = function(date) {
     {
       $match: { dateOnly: dateStr }
     },
+    // One row per minute, whatever the number of sub-buckets
+    {
+      $group: {
+        _id: '$minuteBucket',
+        hour: { $first: '$hour' },
+        recordCount: { $sum: '$recordCount' }
+      }
+    },
     {
       $group: {
         _id: '$hour',
@@ -290,4 +650,166 @@ TimeSeriesDataSchema.statics.getTopRoutes = function(startTime, endTime, limit =
   ]);
 };
 
+TimeSeriesDataSchema.statics.getTopNames = function(startTime, endTime, limit = 10) {
+  return this.aggregate([
+    {
+      $match: {
+        timestamp: {
+          $gte: new Date(startTime),
+          $lte: new Date(endTime)
+        }
+      }
+    },
+    {
+      $unwind: '$nameFrequency'
+    },
+    {
+      $group: {
+        _id: '$nameFrequency.name',
+        totalCount: { $sum: '$nameFrequency.count' }
+      }
+    },
+    {
+      $sort: { totalCount: -1 }
+    },
+    {
+      $limit: limit
+    }
+  ]);
+};
+
+// Individual records matching `filters`, ordered by timestamp then recordId.
+//   filters: { from, to, name, origin, destination, emitterId }
+//   options: { sort: 1 | -1, limit, after: { timestamp, recordId } }
+// `after` is the last record of the previous page (keyset pagination).
+TimeSeriesDataSchema.statics.findRecords = function(filters, options = {}) {
+  const { sort = -1, limit = 100, after } = options;
+  const recordMatch = { 'records.timestamp': { $gte: filters.from, $lte: filters.to } };
+  ['name', 'origin', 'destination', 'emitterId'].forEach(field => {
+    if (filters[field]) {
+      recordMatch[`records.${field}`] = filters[field];
+    }
+  });
+
+  // Buckets are keyed by minute, so a bucket can hold records up to a minute after its timestamp
+  const bucketStart = new Date(filters.from);
+  bucketStart.setUTCSeconds(0, 0);
+  const bucketMatch = { ...recordMatch, timestamp: { $gte: bucketStart, $lte: filters.to } };
+  delete bucketMatch['records.timestamp'];
+
+  const pipeline = [
+    { $match: bucketMatch },
+    { $unwind: '$records' },
+    { $match: recordMatch }
+  ];
+
+  if (after) {
+    const comparison = sort === 1 ? '$gt' : '$lt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { 'records.timestamp': { [comparison]: after.timestamp } },
+          { 'records.timestamp': after.timestamp, 'records.recordId': { [comparison]: after.recordId } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { 'records.timestamp': sort, 'records.recordId': sort } },
+    { $limit: limit },
+    { $replaceRoot: { newRoot: '$records' } },
+    { $project: { uncounted: 0 } }
+  );
+
+  return this.aggregate(pipeline).allowDiskUse(true);
+};
+
+// Runs `pipeline` over the minute documents matching `match`. The native
+// storage (TimeSeriesEvent) offers the same method over minutes it builds
+// from individual events, so rollups can read either storage.
+TimeSeriesDataSchema.statics.aggregateMinutes = function(match, pipeline = []) {
+  return this.aggregate([{ $match: match }, ...pipeline]);
+};
+
+// Start times of the hours before `before` with minute data that is newer
+// than `after` or was changed since `changedSince`
+TimeSeriesDataSchema.statics.findHours = async function({ before, after, changedSince }) {
+  const match = { timestamp: { $lt: before } };
+  if (after && changedSince) {
+    match.$or = [{ timestamp: { $gte: after } }, { updatedAt: { $gte: changedSince } }];
+  } else if (after) {
+    match.timestamp.$gte = after;
+  }
+
+  const rows = await this.aggregate([
+    { $match: match },
+    // Date minus its offset into the hour; $dateTrunc would need MongoDB 5
+    { $group: { _id: { $subtract: ['$timestamp', { $mod: [{ $toLong: '$timestamp' }, HOUR_MS] }] } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(row => row._id);
+};
+
+// Retention: empties the records of minute buckets older than `before`,
+// keeping their counters. Returns what was (or would be) removed.
+TimeSeriesDataSchema.statics.stripRecords = async function(before, dryRun) {
+  const filter = { timestamp: { $lt: before }, 'records.0': { $exists: true } };
+  const [counts] = await this.aggregate([
+    { $match: filter },
+    { $group: { _id: null, buckets: { $sum: 1 }, records: { $sum: { $size: '$records' } } } }
+  ]);
+  const result = { buckets: counts ? counts.buckets : 0, records: counts ? counts.records : 0 };
+
+  if (!dryRun && result.buckets > 0) {
+    await this.updateMany(filter, { $set: { records: [], recordsPurgedAt: new Date() } });
+  }
+  return result;
+};
+
+// Retention: deletes minute documents older than `before`
+TimeSeriesDataSchema.statics.deleteMinutes = async function(before, dryRun) {
+  const filter = { timestamp: { $lt: before } };
+  if (dryRun) {
+    return this.countDocuments(filter);
+  }
+  const { deletedCount } = await this.deleteMany(filter);
+  return deletedCount;
+};
+
+// Retention: creates, updates or drops the TTL index on createdAt so minute
+// buckets expire after `seconds` (null: never). Returns the action taken.
+TimeSeriesDataSchema.statics.syncExpiry = async function(seconds, dryRun) {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const existing = indexes.find(index => index.name === TTL_INDEX_NAME);
+
+  let action = 'none';
+  if (seconds && !existing) {
+    action = 'create';
+  } else if (seconds && existing.expireAfterSeconds !== seconds) {
+    action = 'update';
+  } else if (!seconds && existing) {
+    action = 'drop';
+  }
+
+  if (dryRun || action === 'none') {
+    return action;
+  }
+
+  if (action === 'create') {
+    await this.collection.createIndex({ createdAt: 1 }, { name: TTL_INDEX_NAME, expireAfterSeconds: seconds });
+  } else if (action === 'update') {
+    await this.db.db.command({
+      collMod: this.collection.collectionName,
+      index: { name: TTL_INDEX_NAME, expireAfterSeconds: seconds }
+    });
+  } else {
+    await this.collection.dropIndex(TTL_INDEX_NAME);
+  }
+  return action;
+};
+
+TimeSeriesDataSchema.statics.mergeSubBuckets = mergeSubBuckets;
+TimeSeriesDataSchema.statics.sumCounters = sumCounters;
+
 module.exports = mongoose.model('TimeSeriesData', TimeSeriesDataSchema);
\ No newline at end of file
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const TimeSeriesData = require('./TimeSeriesData');
+
+// Native storage: one document per message in a MongoDB time-series
+// collection (MongoDB 5.0+), with the event time as timeField and the
+// message's name, origin and destination as metaField. MongoDB buckets the
+// events internally, so there are no hand-made minute documents to grow.
+// The statics mirror TimeSeriesData, so either model can be selected with
+// TIMESERIES_STORAGE (see models/timeSeries.js). Where TimeSeriesData
+// returns minute documents, minutes are built from the events on the fly.
+// Time-series collections have no unique indexes; duplicate batches are
+// stopped by the ProcessedBatch ledger and the nonce cache instead.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const TimeSeriesEventSchema = new mongoose.Schema({
+  // The emitter's event time
+  timestamp: {
+    type: Date,
+    required: true
+  },
+
+  meta: {
+    name: { type: String, required: true },
+    origin: { type: String, required: true },
+    destination: { type: String, required: true }
+  },
+
+  recordId: {
+    type: String,
+    required: true
+  },
+  emitterId: String,
+  receivedAt: Date
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+TimeSeriesEventSchema.index({ 'meta.origin': 1, 'meta.destination': 1, timestamp: 1 });
+TimeSeriesEventSchema.index({ 'meta.name': 1, timestamp: 1 });
+TimeSeriesEventSchema.index({ receivedAt: 1 }); // finds hours changed since the last rollup run
+
+// Start of the minute (or hour) an event belongs to; $dateTrunc would need MongoDB 5
+function truncate(unitMs) {
+  return { $subtract: ['$timestamp', { $mod: [{ $toLong: '$timestamp' }, unitMs] }] };
+}
+
+// Turns matched events into documents shaped like TimeSeriesData minutes:
+// { minuteBucket, timestamp, recordCount, routes, nameFrequency, firstRecordTime, lastRecordTime }.
+// A name can appear once per route in nameFrequency; every reader sums counters by key.
+const MINUTE_STAGES = [
+  {
+    $group: {
+      _id: {
+        minute: truncate(MINUTE_MS),
+        route: { $concat: ['$meta.origin', '->', '$meta.destination'] },
+        name: '$meta.name'
+      },
+      count: { $sum: 1 },
+      first: { $min: '$timestamp' },
+      last: { $max: '$timestamp' }
+    }
+  },
+  {
+    $group: {
+      _id: { minute: '$_id.minute', route: '$_id.route' },
+      count: { $sum: '$count' },
+      names: { $push: { name: '$_id.name', count: '$count' } },
+      first: { $min: '$first' },
+      last: { $max: '$last' }
+    }
+  },
+  {
+    $group: {
+      _id: '$_id.minute',
+      recordCount: { $sum: '$count' },
+      routes: { $push: { route: '$_id.route', count: '$count' } },
+      names: { $push: '$names' },
+      firstRecordTime: { $min: '$first' },
+      lastRecordTime: { $max: '$last' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      minuteBucket: { $dateToString: { format: '%Y-%m-%dT%H:%M', date: '$_id', timezone: 'UTC' } },
+      timestamp: '$_id',
+      recordCount: 1,
+      routes: 1,
+      nameFrequency: { $reduce: { input: '$names', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } },
+      firstRecordTime: 1,
+      lastRecordTime: 1
+    }
+  }
+];
+
+// The record shape TimeSeriesData keeps in its buckets
+const RECORD_PROJECTION = {
+  _id: 0,
+  name: '$meta.name',
+  origin: '$meta.origin',
+  destination: '$meta.destination',
+  timestamp: 1,
+  recordId: 1,
+  emitterId: 1,
+  receivedAt: 1
+};
+
+// Sums repeated counters and attaches each minute's records when requested
+async function finishMinutes(model, minutes, withRecords) {
+  minutes.forEach(minute => {
+    minute.routes = TimeSeriesData.sumCounters([minute.routes], 'route');
+    minute.nameFrequency = TimeSeriesData.sumCounters([minute.nameFrequency], 'name');
+  });
+
+  if (withRecords && minutes.length > 0) {
+    const times = minutes.map(minute => minute.timestamp.getTime());
+    const records = await model.aggregate([
+      { $match: { timestamp: { $gte: new Date(Math.min(...times)), $lt: new Date(Math.max(...times) + MINUTE_MS) } } },
+      { $sort: { timestamp: 1 } },
+      { $project: RECORD_PROJECTION }
+    ]);
+    minutes.forEach(minute => {
+      const end = minute.timestamp.getTime() + MINUTE_MS;
+      minute.records = records.filter(record => record.timestamp >= minute.timestamp && record.timestamp.getTime() < end);
+    });
+  }
+
+  return minutes;
+}
+
+// Creates the time-series collection and its indexes if they do not exist yet
+TimeSeriesEventSchema.statics.prepare = async function() {
+  await this.init();
+  return false;
+};
+
+// Inserts a batch of messages in one unordered insertMany. Each message is
+// stored at its own timestamp (the event time) when given, otherwise at
+// receive time. context.emitterId identifies the emitter that sent the batch.
+TimeSeriesEventSchema.statics.addRecords = async function(messages, context = {}) {
+  if (!messages || messages.length === 0) {
+    return { savedCount: 0, minuteBuckets: [] };
+  }
+
+  const receivedAt = new Date();
+  const minutes = new Set();
+  const events = messages.map(messageData => {
+    const timestamp = messageData.timestamp ? new Date(messageData.timestamp) : receivedAt;
+    minutes.add(TimeSeriesData.createMinuteBucket(timestamp).minuteBucket);
+
+    return {
+      timestamp,
+      meta: { name: messageData.name, origin: messageData.origin, destination: messageData.destination },
+      recordId: messageData.recordId || `${timestamp.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+      emitterId: context.emitterId,
+      receivedAt
+    };
+  });
+
+  try {
+    await this.insertMany(events, { ordered: false });
+  } catch (error) {
+    throw new Error(`Failed to add records: ${error.message}`);
+  }
+
+  return {
+    savedCount: messages.length,
+    minuteBuckets: Array.from(minutes)
+  };
+};
+
+TimeSeriesEventSchema.statics.addRecord = async function(messageData, context = {}) {
+  return this.addRecords([messageData], context);
+};
+
+// Record ids (emitterId:nonce) and timestamps of records newer than `since`, oldest first
+TimeSeriesEventSchema.statics.getRecordIdsSince = function(since) {
+  return this.aggregate([
+    { $match: { timestamp: { $gte: since } } },
+    { $project: { _id: 0, recordId: 1, timestamp: 1 } },
+    { $sort: { timestamp: 1 } }
+  ]).allowDiskUse(true);
+};
+
+TimeSeriesEventSchema.statics.aggregateMinutes = function(match, pipeline = []) {
+  return this.aggregate([{ $match: match }, ...MINUTE_STAGES, ...pipeline]).allowDiskUse(true);
+};
+
+// Minutes in [startTime, endTime], oldest first
+TimeSeriesEventSchema.statics.getByTimeRange = async function(startTime, endTime) {
+  const minutes = await this.aggregateMinutes(
+    { timestamp: { $gte: new Date(startTime), $lte: new Date(endTime) } },
+    [{ $sort: { timestamp: 1 } }]
+  );
+  return finishMinutes(this, minutes, true);
+};
+
+// The `limit` most recent minutes with data, newest first. The lookback
+// grows until it finds enough minutes or reaches a day.
+TimeSeriesEventSchema.statics.getRecentMinutes = async function(limit = 10, { withRecords = false } = {}) {
+  const latest = await this.findOne().sort({ timestamp: -1 }).select('timestamp').lean();
+  if (!latest) {
+    return [];
+  }
+
+  const end = new Date(Math.floor(latest.timestamp.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  let lookbackMs = limit * MINUTE_MS;
+  let minutes;
+  do {
+    minutes = await this.aggregateMinutes(
+      { timestamp: { $gte: new Date(end - lookbackMs), $lt: end } },
+      [{ $sort: { timestamp: -1 } }, { $limit: limit }]
+    );
+    lookbackMs *= 4;
+  } while (minutes.length < limit && lookbackMs <= 4 * DAY_MS);
+
+  return finishMinutes(this, minutes, withRecords);
+};
+
+TimeSeriesEventSchema.statics.getHourlyAggregation = function(date) {
+  const start = new Date(new Date(date).toISOString().substring(0, 10));
+
+  return this.aggregate([
+    { $match: { timestamp: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) } } },
+    { $group: { _id: truncate(MINUTE_MS), recordCount: { $sum: 1 } } },
+    {
+      $group: {
+        _id: { $hour: '$_id' },
+        totalRecords: { $sum: '$recordCount' },
+        documents: { $sum: 1 },
+        avgRecordsPerMinute: { $avg: '$recordCount' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+TimeSeriesEventSchema.statics.getTopRoutes = function(startTime, endTime, limit = 10) {
+  return this.aggregate([
+    { $match: { timestamp: { $gte: new Date(startTime), $lte: new Date(endTime) } } },
+    { $group: { _id: { $concat: ['$meta.origin', '->', '$meta.destination'] }, totalCount: { $sum: 1 } } },
+    { $sort: { totalCount: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+TimeSeriesEventSchema.statics.getTopNames = function(startTime, endTime, limit = 10) {
+  return this.aggregate([
+    { $match: { timestamp: { $gte: new Date(startTime), $lte: new Date(endTime) } } },
+    { $group: { _id: '$meta.name', totalCount: { $sum: 1 } } },
+    { $sort: { totalCount: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+// Individual records matching `filters`, ordered by timestamp then recordId.
+// Same filters, options and result shape as TimeSeriesData.findRecords.
+TimeSeriesEventSchema.statics.findRecords = function(filters, options = {}) {
+  const { sort = -1, limit = 100, after } = options;
+  const match = { timestamp: { $gte: filters.from, $lte: filters.to } };
+  ['name', 'origin', 'destination'].forEach(field => {
+    if (filters[field]) {
+      match[`meta.${field}`] = filters[field];
+    }
+  });
+  if (filters.emitterId) {
+    match.emitterId = filters.emitterId;
+  }
+
+  const pipeline = [{ $match: match }];
+  if (after) {
+    const comparison = sort === 1 ? '$gt' : '$lt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { timestamp: { [comparison]: after.timestamp } },
+          { timestamp: after.timestamp, recordId: { [comparison]: after.recordId } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { timestamp: sort, recordId: sort } },
+    { $limit: limit },
+    { $project: RECORD_PROJECTION }
+  );
+
+  return this.aggregate(pipeline).allowDiskUse(true);
+};
+
+// Start times of the hours before `before` with events that are newer than
+// `after` or were received since `changedSince`
+TimeSeriesEventSchema.statics.findHours = async function({ before, after, changedSince }) {
+  const match = { timestamp: { $lt: before } };
+  if (after && changedSince) {
+    match.$or = [{ timestamp: { $gte: after } }, { receivedAt: { $gte: changedSince } }];
+  } else if (after) {
+    match.timestamp.$gte = after;
+  }
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: truncate(HOUR_MS) } },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(row => row._id);
+};
+
+// Retention: events are both the records and the counters, so they are only
+// removed with the minute tier
+TimeSeriesEventSchema.statics.stripRecords = async function() {
+  return { buckets: 0, records: 0 };
+};
+
+// Retention: deletes events older than `before` (deletes with a timeField
+// filter need MongoDB 7.0)
+TimeSeriesEventSchema.statics.deleteMinutes = async function(before, dryRun) {
+  const filter = { timestamp: { $lt: before } };
+  if (dryRun) {
+    return this.countDocuments(filter);
+  }
+  const { deletedCount } = await this.deleteMany(filter);
+  return deletedCount;
+};
+
+// Retention: sets or clears the collection's own expireAfterSeconds, which
+// MongoDB applies to time-series collections by event time
+TimeSeriesEventSchema.statics.syncExpiry = async function(seconds, dryRun) {
+  const [info] = await this.db.db.listCollections({ name: this.collection.collectionName }).toArray();
+  const current = info && info.options.expireAfterSeconds;
+
+  let action = 'none';
+  if (seconds && current !== seconds) {
+    action = current ? 'update' : 'create';
+  } else if (!seconds && current) {
+    action = 'drop';
+  }
+
+  if (dryRun || action === 'none') {
+    return action;
+  }
+
+  await this.db.db.command({
+    collMod: this.collection.collectionName,
+    expireAfterSeconds: seconds || 'off'
+  });
+  return action;
+};
+
+module.exports = mongoose.model('TimeSeriesEvent', TimeSeriesEventSchema);
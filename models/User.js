@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Dashboard users. Passwords are stored as "salt:hash" using scrypt with a
+// random per-user salt, never in plain text (see utility/passwords.js).
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  role: {
+    type: String,
+    enum: ['viewer', 'admin'],
+    default: 'viewer'
+  },
+
+  // Bumped on logout so previously issued refresh tokens stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  lastLoginAt: Date,
+
+  // Set on the account created while there were none, which becomes admin.
+  // The unique index lets only one concurrent first registration win.
+  firstUser: Boolean,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UserSchema.index({ firstUser: 1 }, { unique: true, partialFilterExpression: { firstUser: true } });
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,18 @@
+// The model that stores messages, chosen with TIMESERIES_STORAGE:
+//   buckets (default)  TimeSeriesData - minute documents with embedded records
+//   native             TimeSeriesEvent - a MongoDB time-series collection
+// Both offer the same statics, so callers do not need to know which is in use.
+// Existing bucket data is copied to the native collection with
+//   node utility/migrateTimeSeries.js
+
+const STORAGES = {
+  buckets: () => require('./TimeSeriesData'),
+  native: () => require('./TimeSeriesEvent')
+};
+
+const storage = process.env.TIMESERIES_STORAGE || 'buckets';
+if (!STORAGES[storage]) {
+  throw new Error(`TIMESERIES_STORAGE must be one of: ${Object.keys(STORAGES).join(', ')}`);
+}
+
+module.exports = STORAGES[storage]();
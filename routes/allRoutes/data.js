@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const dataController = require('../../controllers/dataController');
+const deadLetterController = require('../../controllers/deadLetterController');
+const { requireAuth, requireRole } = require('../../middleware/auth');
+
+// Historical data API, version 1
+router.use(requireAuth);
+
+router.get('/records', dataController.listRecords);
+router.get('/rollups/minutely', dataController.minutelyRollup);
+router.get('/rollups/hourly', dataController.hourlyRollup);
+router.get('/rollups/daily', dataController.dailyRollup);
+router.get('/top/routes', dataController.topRoutes);
+router.get('/top/names', dataController.topNames);
+router.get('/routes/matrix', dataController.routeMatrix);
+router.get('/dead-letters', requireRole('admin'), deadLetterController.listDeadLetters);
+router.get('/dead-letters/export', requireRole('admin'), deadLetterController.exportDeadLetters);
+
+// Unknown endpoints get the same JSON error shape as everything else
+router.use((req, res) => {
+  res.status(404).json({ status: false, message: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+module.exports = router;
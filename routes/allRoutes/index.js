@@ -1,4 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const authController = require('../../controllers/authController');
+const { requireAuth } = require('../../middleware/auth');
 
-module.exports = router;   
\ No newline at end of file
+router.post('/register', authController.register);
+router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.get('/me', requireAuth, authController.me);
+
+module.exports = router;
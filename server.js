@@ -1,10 +1,11 @@
 require('dotenv').config();
 const express = require('express');
-const connectDB = require('./config/db');
+const { getStorage } = require('./storage');
 const logger = require('./utility/logger');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
+const { requireAuthPage } = require('./middleware/auth');
 
 const app = express();
 const path = require('path');
@@ -12,10 +13,19 @@ const path = require('path');
 app.use(express.json());
 app.use(cookieParser());
 
+// Dashboard requires a logged in user; login.html and other assets stay public
+const sendDashboard = (req, res) => {
+  res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
+};
+app.get(['/', '/index.html'], requireAuthPage, sendDashboard);
+
 // Serve frontend
-app.use(express.static(path.join(__dirname, 'frontend')));
+app.use(express.static(path.join(__dirname, 'frontend'), { index: false }));
 
-connectDB();
+getStorage().connect().catch(error => {
+  logger.error('Failed to open storage:', error.message);
+  process.exit(1);
+});
 
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -42,11 +52,7 @@ app.use(cors({
 
 // Routes
 app.use('/api/auth', require('./routes/allRoutes/index'));
-
-// Root for frontend
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
-});
+app.use('/api/v1', require('./routes/allRoutes/data'));
 
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, () => logger.info(`Server running on port ${PORT}`));
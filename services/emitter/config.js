@@ -0,0 +1,152 @@
+const { CORRUPTION_KINDS } = require('../../utility/messageGenerator');
+
+// Load-generator settings for the emitter. Every setting can be given as a
+// command-line flag or an environment variable; flags win.
+//
+//   --profile               EMITTER_PROFILE                 steady (default), burst or ramp
+//   --interval              EMITTER_INTERVAL_MS             base time between batches (default 10000)
+//   --batch-size            EMITTER_BATCH_SIZE              "min-max" or a fixed size (default 49-499)
+//   --invalid-ratio         EMITTER_INVALID_RATIO           share of deliberately corrupted messages, 0-1 (default 0)
+//   --corruption            EMITTER_CORRUPTION              comma-separated corruption kinds (default: all)
+//   --emitters              EMITTER_COUNT                   emitters to run in this process (default 1)
+//   --name                  EMITTER_NAME                    emitter name (default emitter-1); with several
+//                                                           emitters, "<name>-<n>" (default emitter-<n>)
+//   --host / --port         LISTENER_HOST / LISTENER_PORT   where the listener runs
+//   --max-reconnect-attempts  EMITTER_MAX_RECONNECT_ATTEMPTS  (default 10)
+//   --reconnect-interval    EMITTER_RECONNECT_INTERVAL_MS   (default 5000)
+//   --metrics-port          EMITTER_METRICS_PORT            serve Prometheus metrics on this port (default: off)
+
+// Scenario profiles scale the base interval over the run
+const PROFILES = {
+  // Same rate throughout
+  steady: () => 1,
+  // Ten times the rate for the first 10 seconds of every minute
+  burst: (elapsedMs) => (elapsedMs % 60000 < 10000 ? 0.1 : 1),
+  // Rate grows linearly to ten times the base over 5 minutes, then holds
+  ramp: (elapsedMs) => 1 / (1 + 9 * Math.min(1, elapsedMs / 300000))
+};
+
+// Flag name -> environment variable
+const OPTIONS = {
+  profile: 'EMITTER_PROFILE',
+  interval: 'EMITTER_INTERVAL_MS',
+  'batch-size': 'EMITTER_BATCH_SIZE',
+  'invalid-ratio': 'EMITTER_INVALID_RATIO',
+  corruption: 'EMITTER_CORRUPTION',
+  emitters: 'EMITTER_COUNT',
+  name: 'EMITTER_NAME',
+  host: 'LISTENER_HOST',
+  port: 'LISTENER_PORT',
+  'max-reconnect-attempts': 'EMITTER_MAX_RECONNECT_ATTEMPTS',
+  'reconnect-interval': 'EMITTER_RECONNECT_INTERVAL_MS',
+  'metrics-port': 'EMITTER_METRICS_PORT'
+};
+
+// Parses "--flag value" and "--flag=value" pairs
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match || !(match[1] in OPTIONS)) {
+      throw new Error(`Unknown option "${argv[i]}"; expected one of: ${Object.keys(OPTIONS).map(flag => `--${flag}`).join(', ')}`);
+    }
+
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Option --${match[1]} needs a value`);
+    }
+    args[match[1]] = value;
+  }
+
+  return args;
+}
+
+function parseInteger(value, flag, min) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new Error(`--${flag} must be an integer of at least ${min}`);
+  }
+  return parsed;
+}
+
+function parseBatchSize(value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error('--batch-size must be "min-max" or a single size');
+  }
+
+  const min = parseInt(match[1], 10);
+  const max = match[2] !== undefined ? parseInt(match[2], 10) : min;
+  if (min < 1 || max < min) {
+    throw new Error('--batch-size must be at least 1, with min <= max');
+  }
+  return { min, max };
+}
+
+function parseRatio(value) {
+  const ratio = Number(value);
+  if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw new Error('--invalid-ratio must be between 0 and 1');
+  }
+  return ratio;
+}
+
+function parseCorruptionKinds(value) {
+  const kinds = String(value).split(',').map(kind => kind.trim()).filter(Boolean);
+  const unknown = kinds.filter(kind => !CORRUPTION_KINDS.includes(kind));
+  if (kinds.length === 0 || unknown.length > 0) {
+    throw new Error(`--corruption must list kinds from: ${CORRUPTION_KINDS.join(', ')}`);
+  }
+  return kinds;
+}
+
+// Reads the load-generator settings from flags and environment variables
+function loadEmitterConfig(argv = [], env = process.env) {
+  const args = parseArgs(argv);
+  const get = (flag, fallback) => {
+    if (args[flag] !== undefined) return args[flag];
+    if (env[OPTIONS[flag]] !== undefined && env[OPTIONS[flag]] !== '') return env[OPTIONS[flag]];
+    return fallback;
+  };
+
+  const profile = get('profile', 'steady');
+  if (!PROFILES[profile]) {
+    throw new Error(`--profile must be one of: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  return {
+    profile,
+    intervalMs: parseInteger(get('interval', 10000), 'interval', 100),
+    batchSize: parseBatchSize(get('batch-size', '49-499')),
+    invalidRatio: parseRatio(get('invalid-ratio', 0)),
+    corruptionKinds: parseCorruptionKinds(get('corruption', CORRUPTION_KINDS.join(','))),
+    emitters: parseInteger(get('emitters', 1), 'emitters', 1),
+    name: get('name', undefined),
+    listenerHost: get('host', 'localhost'),
+    listenerPort: parseInteger(get('port', 3001), 'port', 0),
+    maxReconnectAttempts: parseInteger(get('max-reconnect-attempts', 10), 'max-reconnect-attempts', 0),
+    reconnectIntervalMs: parseInteger(get('reconnect-interval', 5000), 'reconnect-interval', 0),
+    metricsPort: get('metrics-port', undefined) !== undefined ? parseInteger(get('metrics-port'), 'metrics-port', 0) : null
+  };
+}
+
+// Names of the emitters to run; a single emitter keeps the configured name
+function emitterNames(config) {
+  if (config.emitters === 1) {
+    return [config.name || 'emitter-1'];
+  }
+  return Array.from({ length: config.emitters }, (_, index) => `${config.name || 'emitter'}-${index + 1}`);
+}
+
+// Factor the profile applies to the base interval, elapsedMs into the run
+function profileIntervalFactor(profile, elapsedMs) {
+  return PROFILES[profile](elapsedMs);
+}
+
+module.exports = {
+  PROFILES,
+  loadEmitterConfig,
+  emitterNames,
+  profileIntervalFactor
+};
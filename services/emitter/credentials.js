@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utility/logger');
+const { emitterTokenProof } = require('../../utility/authTokens');
+
+// Emitter credentials (emitterId, handshake token and signing secret) are
+// obtained once from the listener and cached on disk so restarts reuse them.
+
+const CREDENTIALS_DIR = process.env.EMITTER_CREDENTIALS_DIR || path.join(__dirname, '../../.emitter-credentials');
+
+function credentialsPath(name) {
+  return path.join(CREDENTIALS_DIR, `${name}.json`);
+}
+
+// Loads cached credentials for an emitter name, or null if none are stored
+function loadCredentials(name) {
+  try {
+    const filePath = credentialsPath(name);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.warn(`Ignoring unreadable credentials for emitter ${name}: ${error.message}`);
+    return null;
+  }
+}
+
+function saveCredentials(credentials) {
+  fs.mkdirSync(CREDENTIALS_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(credentialsPath(credentials.name), JSON.stringify(credentials, null, 2), { mode: 0o600 });
+}
+
+function clearCredentials(name) {
+  const filePath = credentialsPath(name);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// Registers with the listener using the shared registration key
+async function registerEmitter(listenerUrl, name) {
+  const registrationKey = process.env.EMITTER_REGISTRATION_KEY;
+  if (!registrationKey) {
+    throw new Error('EMITTER_REGISTRATION_KEY is not configured');
+  }
+
+  const response = await fetch(`${listenerUrl}/emitters/register`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-registration-key': registrationKey
+    },
+    body: JSON.stringify({ name })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Registration rejected (${response.status}): ${body.error || 'unknown error'}`);
+  }
+
+  const credentials = {
+    emitterId: body.emitterId,
+    name: body.name,
+    token: body.token,
+    secret: body.secret
+  };
+  saveCredentials(credentials);
+
+  logger.info(`Registered emitter ${credentials.name} as ${credentials.emitterId}`);
+  return credentials;
+}
+
+// Gets a new handshake token for expired credentials by proving we hold the secret
+async function renewToken(listenerUrl, credentials) {
+  const timestamp = Date.now();
+  const response = await fetch(`${listenerUrl}/emitters/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      emitterId: credentials.emitterId,
+      timestamp,
+      proof: emitterTokenProof(credentials.emitterId, credentials.secret, timestamp)
+    })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Token renewal rejected (${response.status}): ${body.error || 'unknown error'}`);
+  }
+
+  const renewed = { ...credentials, token: body.token };
+  saveCredentials(renewed);
+
+  logger.info(`Renewed handshake token for emitter ${credentials.name}`);
+  return renewed;
+}
+
+// Returns cached credentials, registering first if there are none
+async function ensureCredentials(listenerUrl, name) {
+  const cached = loadCredentials(name);
+  if (cached) {
+    return cached;
+  }
+  return registerEmitter(listenerUrl, name);
+}
+
+module.exports = {
+  loadCredentials,
+  saveCredentials,
+  clearCredentials,
+  registerEmitter,
+  renewToken,
+  ensureCredentials
+};
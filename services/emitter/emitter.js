@@ -1,32 +1,115 @@
 require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const crypto = require('crypto');
+const path = require('path');
 const io = require('socket.io-client');
 const { createMessageStream } = require('../../utility/messageGenerator');
+const { encodeMessageStream, wireBytes } = require('../../utility/messageFraming');
 const logger = require('../../utility/logger');
+const { ensureCredentials, renewToken, loadCredentials, clearCredentials } = require('./credentials');
+const Outbox = require('./outbox');
+const { getEmitterMetrics, startMetricsServer } = require('./metrics');
+const { loadEmitterConfig, emitterNames, profileIntervalFactor } = require('./config');
+
+const OUTBOX_DIR = process.env.EMITTER_OUTBOX_DIR || path.join(__dirname, '../../.emitter-outbox');
+
+// Shortest time between batches, whatever the profile and rate
+const MIN_INTERVAL_MS = 100;
 
 class EmitterService {
-  constructor(listenerHost = 'localhost', listenerPort = 3001) {
+  // options takes any setting of loadEmitterConfig (see ./config.js) and
+  // `metrics` (default: the process-wide emitter metrics); the rest come
+  // from the environment
+  constructor(listenerHost = 'localhost', listenerPort = 3001, options = {}) {
+    const config = { ...loadEmitterConfig([]), ...options };
+
     this.listenerUrl = `http://${listenerHost}:${listenerPort}`;
+    this.name = config.name || 'emitter-1';
+    this.credentials = null;
+    this.tokenExpired = false; // renew the handshake token before the next connection
+    this.session = null;
+    this.signingConfig = null; // kept across disconnects so batches can still be queued
+    this.signatureAlgorithms = (process.env.EMITTER_SIGNATURE_ALGORITHMS || 'hmac-sha256,hmac-sha512')
+      .split(',')
+      .map(algorithm => algorithm.trim());
+    // Batch wire formats and compressions we offer, in preference order;
+    // the outbox keeps text streams and each delivery is encoded for the session
+    this.streamFormats = (process.env.EMITTER_STREAM_FORMATS || 'binary,text')
+      .split(',')
+      .map(format => format.trim());
+    this.compressions = (process.env.EMITTER_COMPRESSIONS || 'gzip,deflate')
+      .split(',')
+      .map(compression => compression.trim())
+      .filter(compression => compression !== 'none');
+    this.streamConfig = { streamFormat: 'text', compression: 'none' };
     this.socket = null;
-    this.intervalId = null;
+    this.messageTimer = null;
     this.isConnected = false;
-    this.messageInterval = 10000; 
+    this.messageInterval = config.intervalMs;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10; 
-    this.reconnectInterval = 5000;
+    this.maxReconnectAttempts = config.maxReconnectAttempts;
+    this.reconnectInterval = config.reconnectIntervalMs;
+    this.credentialsTimer = null; // polls for replaced credentials after a rejection
+
+    // Load generation: the profile scales messageInterval over the run, and
+    // invalidRatio of the messages are corrupted on purpose
+    this.profile = config.profile;
+    this.batchSize = config.batchSize;
+    this.invalidRatio = config.invalidRatio;
+    this.corruptionKinds = config.corruptionKinds;
+    this.profileStartedAt = null;
+
+    // Delivery: every batch goes through the on-disk outbox and stays there
+    // until the listener acks it; failures are retried with backoff
+    this.outbox = new Outbox(path.join(OUTBOX_DIR, this.name));
+    this.ackTimeoutMs = parseInt(process.env.EMITTER_ACK_TIMEOUT_MS, 10) || 30000;
+    this.retryBaseDelayMs = 1000;
+    this.retryMaxDelayMs = 60000;
+    this.retryAttempt = 0;
+    this.retryTimer = null;
+
+    // Flow control: at most `maxInFlight` unacked batches (the listener's
+    // credits), no new batches while the listener asks us to pause, a longer
+    // interval while it reports a backlog, and no new batches at all once
+    // the outbox holds maxPendingBatches
+    this.inFlight = new Set();
+    this.maxInFlight = 1;
+    this.listenerPaused = false;
+    this.listenerLoad = null;
+    this.intervalMultiplier = 1;
+    this.maxIntervalMultiplier = 8;
+    this.maxPendingBatches = parseInt(process.env.EMITTER_MAX_PENDING_BATCHES, 10) || 100;
+    this.shedBatches = 0;
+
+    this.metrics = config.metrics || getEmitterMetrics();
+    this.metrics.track(this);
+    this.metricLabels = { emitter: this.name };
   }
 
   // Initialize and start the emitter service
   start() {
-    logger.info(`Starting Emitter Service - connecting to ${this.listenerUrl}`);
+    logger.info(`Starting Emitter Service ${this.name} - connecting to ${this.listenerUrl}`);
+    this.outbox.load();
     this.connect();
   }
 
-  // Connect to the listener service via socket
-  connect() {
+  // Connect to the listener service via socket, registering first if we have no credentials
+  async connect() {
     try {
+      this.credentials = await ensureCredentials(this.listenerUrl, this.name);
+      if (this.tokenExpired) {
+        this.credentials = await renewToken(this.listenerUrl, this.credentials);
+        this.tokenExpired = false;
+      }
+
       this.socket = io(this.listenerUrl, {
         timeout: 5000,
-        reconnection: false
+        reconnection: false,
+        auth: {
+          token: this.credentials.token,
+          signatureAlgorithms: this.signatureAlgorithms,
+          streamFormats: this.streamFormats,
+          compressions: this.compressions
+        }
       });
 
       this.setupSocketEventHandlers();
@@ -42,39 +125,85 @@ class EmitterService {
     this.socket.on('connect', () => {
       this.isConnected = true;
       this.reconnectAttempts = 0;
-      logger.info(`Connected to Listener Service at ${this.listenerUrl}`);
+      logger.info(`Connected to Listener Service at ${this.listenerUrl} as ${this.credentials.emitterId}`);
       logger.info('Socket ID:', this.socket.id);
-      
-      this.startPeriodicMessaging();
+    });
+
+    // The listener tells us how to sign messages; only start sending once we know
+    this.socket.on('session_config', (config) => {
+      this.session = config;
+      this.signingConfig = {
+        key: config.signingKey === 'shared' ? process.env.SIGNING_KEY : this.credentials.secret,
+        algorithm: config.signatureAlgorithm
+      };
+      // Listeners that predate binary frames announce no format and take text
+      this.streamConfig = {
+        streamFormat: config.streamFormat || 'text',
+        compression: config.compression || 'none'
+      };
+      this.maxInFlight = config.credits || 1;
+      this.listenerPaused = !!config.paused;
+      logger.info(`Session established: signing with ${config.signatureAlgorithm} using the ${config.signingKey} key, ${this.streamConfig.streamFormat} streams (compression: ${this.streamConfig.compression}), ${this.maxInFlight} batches in flight`);
+
+      if (!this.messageTimer) {
+        this.startPeriodicMessaging();
+      }
+
+      // Deliver whatever piled up while we were away, oldest first
+      this.cancelRetry();
+      this.retryAttempt = 0;
+      this.flush();
     });
 
     this.socket.on('connect_error', (error) => {
       logger.error('Socket connection error:', error.message);
       this.isConnected = false;
+
+      // An expired token is renewed with our secret. Revoked or superseded
+      // credentials are not replaced automatically: they are cleared, and we
+      // stop reconnecting until an admin installs the new credentials file.
+      if (error.data && error.data.code === 'TOKEN_EXPIRED') {
+        this.tokenExpired = true;
+      } else if (error.data && error.data.code === 'UNAUTHORIZED') {
+        logger.error(`Listener rejected the credentials of ${this.name}; they were revoked or rotated and must be replaced by an admin`);
+        clearCredentials(this.name);
+        this.credentials = null;
+        this.waitForCredentials();
+        return;
+      }
+
       this.scheduleReconnect();
     });
 
     // Disconnection
     this.socket.on('disconnect', (reason) => {
       this.isConnected = false;
+      this.session = null;
       logger.warn('Disconnected from Listener Service. Reason:', reason);
       
-      this.stopPeriodicMessaging();
+      // Keep producing batches; they wait in the outbox until we reconnect.
+      // Batches in flight on this socket are re-sent on the next one.
+      this.inFlight.clear();
       
       if (reason !== 'io client disconnect') {
         this.scheduleReconnect();
       }
     });
 
-    // Acknowledgment from listener
-    this.socket.on('message_received', (data) => {
-      logger.info('Listener acknowledged message receipt:', {
-        messageCount: data.messageCount,
-        processedCount: data.processedCount,
-        validCount: data.validCount,
-        invalidCount: data.invalidCount,
-        timestamp: data.timestamp
-      });
+    // The listener pauses us while its processing queue is under pressure
+    this.socket.on('flow_control', (control) => {
+      this.listenerPaused = !!control.paused;
+      this.listenerLoad = control.load || null;
+      if (control.credits) {
+        this.maxInFlight = control.credits;
+      }
+
+      if (this.listenerPaused) {
+        logger.warn('Listener asked us to pause sending');
+      } else {
+        logger.info('Listener asked us to resume sending');
+        this.flush();
+      }
     });
 
     // Error from listener
@@ -90,54 +219,216 @@ class EmitterService {
 
   // Start sending periodic messages
   startPeriodicMessaging() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
+    if (this.messageTimer) {
+      clearTimeout(this.messageTimer);
     }
 
-    logger.info(`Starting periodic messaging every ${this.messageInterval / 1000} seconds`);
-    
-    this.sendMessageStream();
+    logger.info(`Starting periodic messaging every ${this.messageInterval / 1000} seconds (${this.profile} profile)`);
+    if (!this.profileStartedAt) {
+      this.profileStartedAt = Date.now();
+    }
     
-    this.intervalId = setInterval(() => {
+    const tick = () => {
       this.sendMessageStream();
-    }, this.messageInterval);
+      // Re-armed after every batch, so a slowdown takes effect on the next one
+      this.messageTimer = setTimeout(tick, this.getCurrentInterval());
+    };
+    tick();
   }
 
   // Stop periodic messaging
   stopPeriodicMessaging() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    if (this.messageTimer) {
+      clearTimeout(this.messageTimer);
+      this.messageTimer = null;
       logger.info('Stopped periodic messaging');
     }
   }
 
-  // Generate and send encrypted message stream
-  async sendMessageStream() {
-    if (!this.isConnected || !this.socket) {
-      logger.warn('Cannot send message - not connected to listener');
-      return;
+  // Base interval scaled by the profile, then slowed down by backpressure
+  getCurrentInterval() {
+    const elapsedMs = this.profileStartedAt ? Date.now() - this.profileStartedAt : 0;
+    const profileInterval = this.messageInterval * profileIntervalFactor(this.profile, elapsedMs);
+    return Math.round(Math.max(MIN_INTERVAL_MS, profileInterval) * this.intervalMultiplier);
+  }
+
+  // Doubles the interval while the listener has a backlog or we cannot keep
+  // up with the batches we produce, and halves it again once both clear
+  adjustRate(load) {
+    if (load) {
+      this.listenerLoad = load;
+    }
+
+    const listenerBehind = !!load && (load.paused || load.queuedBatches > 0);
+    const outboxBehind = this.outbox.size > this.maxInFlight;
+    const previous = this.intervalMultiplier;
+
+    if (listenerBehind || outboxBehind) {
+      this.intervalMultiplier = Math.min(this.maxIntervalMultiplier, this.intervalMultiplier * 2);
+    } else if (this.intervalMultiplier > 1) {
+      this.intervalMultiplier = Math.max(1, this.intervalMultiplier / 2);
+    }
+
+    if (this.intervalMultiplier !== previous) {
+      logger.info(`Message interval is now ${this.getCurrentInterval() / 1000} seconds`);
+    }
+  }
+
+  // Generate an encrypted message stream and store it in the outbox
+  produceBatch() {
+    if (!this.signingConfig) {
+      logger.warn('Cannot generate messages - no session established with the listener yet');
+      return null;
+    }
+
+    if (this.listenerPaused) {
+      logger.info('Listener has paused us - not generating a batch');
+      return null;
+    }
+
+    // Shed load rather than grow the outbox without bound
+    if (this.outbox.size >= this.maxPendingBatches) {
+      this.shedBatches++;
+      this.metrics.batchesShed.inc(this.metricLabels);
+      logger.warn(`Outbox is full (${this.outbox.size} batches) - skipping this batch`);
+      return null;
     }
 
     try {
-      const startTime = Date.now();
-      
-      const messageStream = createMessageStream();
+      const messageStream = createMessageStream({
+        ...this.signingConfig,
+        batchSize: this.batchSize,
+        invalidRatio: this.invalidRatio,
+        corruptionKinds: this.corruptionKinds
+      });
       const messageCount = messageStream.split('|').length;
-      
-      logger.info(`Sending message stream with ${messageCount} messages`);
-      
-      this.socket.emit('encrypted_message_stream', {
+
+      const payload = {
+        batchId: crypto.randomUUID(),
         stream: messageStream,
         timestamp: new Date().toISOString(),
         messageCount: messageCount
-      });
-      
-      const processingTime = Date.now() - startTime;
-      logger.info(`Message stream sent in ${processingTime}ms`);
-      
+      };
+      this.outbox.enqueue(payload);
+      this.metrics.batchesGenerated.inc(this.metricLabels);
+      this.metrics.messagesGenerated.inc(this.metricLabels, messageCount);
+
+      logger.info(`Queued batch ${payload.batchId} with ${messageCount} messages (${this.outbox.size} pending)`);
+      return payload;
     } catch (error) {
-      logger.error('Failed to send message stream:', error.message);
+      logger.error('Failed to generate message stream:', error.message);
+      return null;
+    }
+  }
+
+  // Generate a batch and try to deliver everything pending
+  sendMessageStream() {
+    this.produceBatch();
+    this.flush();
+  }
+
+  // Sends pending batches oldest first, keeping up to maxInFlight of them
+  // waiting for an ack. Nothing new is sent while a retry is scheduled or
+  // the listener has paused us.
+  flush() {
+    if (!this.isConnected || !this.socket || !this.session || this.retryTimer || this.listenerPaused) {
+      return;
+    }
+
+    for (const payload of this.outbox.pending()) {
+      if (this.inFlight.size >= this.maxInFlight) {
+        break;
+      }
+      if (!this.inFlight.has(payload.batchId)) {
+        this.deliver(payload);
+      }
+    }
+  }
+
+  // Sends one batch and handles the listener's ack
+  async deliver(payload) {
+    const socket = this.socket;
+    const startTime = Date.now();
+    this.inFlight.add(payload.batchId);
+
+    let response;
+    try {
+      const wirePayload = await encodeMessageStream(payload, this.streamConfig);
+      this.metrics.batchesSent.inc(this.metricLabels);
+      this.metrics.bytesSent.inc(this.metricLabels, wireBytes(wirePayload));
+      response = await socket.timeout(this.ackTimeoutMs).emitWithAck('encrypted_message_stream', wirePayload);
+    } catch (error) {
+      response = null;
+    }
+    if (response) {
+      this.metrics.ackDuration.observe(this.metricLabels, (Date.now() - startTime) / 1000);
+    }
+
+    // The connection was replaced meanwhile; the batch is re-sent on the new one
+    if (socket !== this.socket || !this.isConnected) {
+      return;
+    }
+    this.inFlight.delete(payload.batchId);
+
+    if (response) {
+      this.adjustRate(response.load);
+    }
+
+    if (!response) {
+      logger.warn(`No acknowledgement for batch ${payload.batchId} within ${this.ackTimeoutMs}ms`);
+      this.metrics.batchesFailed.inc({ ...this.metricLabels, reason: 'timeout' });
+      this.scheduleRetry();
+    } else if (response.status === 'ok') {
+      this.outbox.ack(payload.batchId);
+      this.metrics.batchesAcked.inc(this.metricLabels);
+      this.retryAttempt = 0;
+      logger.info(`Listener acknowledged batch ${payload.batchId} in ${Date.now() - startTime}ms:`, {
+        messageCount: response.messageCount,
+        validCount: response.validCount,
+        invalidCount: response.invalidCount,
+        savedCount: response.savedCount,
+        duplicate: !!response.duplicate
+      });
+      this.flush();
+    } else if (response.retryable === false) {
+      // Sending the same bytes again cannot succeed - set it aside rather than block the queue
+      logger.error(`Listener rejected batch ${payload.batchId} permanently: ${response.error}`);
+      this.metrics.batchesFailed.inc({ ...this.metricLabels, reason: 'rejected' });
+      this.outbox.expire(payload.batchId);
+      this.flush();
+    } else {
+      logger.warn(`Listener could not process batch ${payload.batchId}: ${response.error}`);
+      this.metrics.batchesFailed.inc({ ...this.metricLabels, reason: response.overloaded ? 'overloaded' : 'retryable' });
+      this.scheduleRetry(response.retryAfterMs);
+    }
+  }
+
+  // Exponential backoff with jitter: half of the delay is fixed, half random
+  getRetryDelay(attempt) {
+    const exponential = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  // An overloaded listener tells us how long to wait at least
+  scheduleRetry(minDelayMs = 0) {
+    if (this.retryTimer) {
+      return;
+    }
+
+    this.retryAttempt++;
+    const delay = Math.max(minDelayMs, this.getRetryDelay(this.retryAttempt));
+    logger.info(`Retrying delivery of ${this.outbox.size} pending batches in ${delay}ms (attempt ${this.retryAttempt})`);
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  cancelRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
     }
   }
 
@@ -150,6 +441,7 @@ class EmitterService {
     }
 
     this.reconnectAttempts++;
+    this.metrics.reconnects.inc(this.metricLabels);
     logger.info(`Scheduling reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${this.reconnectInterval / 1000} seconds`);
     
     setTimeout(() => {
@@ -158,11 +450,30 @@ class EmitterService {
     }, this.reconnectInterval);
   }
 
+  // Checks for a new credentials file every reconnect interval and connects
+  // once one is there. Registering again instead would make a new emitter.
+  waitForCredentials() {
+    this.credentialsTimer = setTimeout(() => {
+      this.credentialsTimer = null;
+      if (!loadCredentials(this.name)) {
+        this.waitForCredentials();
+        return;
+      }
+
+      logger.info(`Found new credentials for ${this.name}; reconnecting`);
+      this.reconnectAttempts = 0;
+      this.connect();
+    }, this.reconnectInterval);
+  }
+
   // Stop the emitter service
   stop() {
     logger.info('Stopping Emitter Service');
     
     this.stopPeriodicMessaging();
+    this.cancelRetry();
+    clearTimeout(this.credentialsTimer);
+    this.credentialsTimer = null;
     
     if (this.socket) {
       this.socket.disconnect();
@@ -176,39 +487,63 @@ class EmitterService {
   // Get current status
   getStatus() {
     return {
+      name: this.name,
+      emitterId: this.credentials ? this.credentials.emitterId : null,
       isConnected: this.isConnected,
+      signatureAlgorithm: this.session ? this.session.signatureAlgorithm : null,
+      streamFormat: this.session ? this.streamConfig.streamFormat : null,
+      compression: this.session ? this.streamConfig.compression : null,
       listenerUrl: this.listenerUrl,
       reconnectAttempts: this.reconnectAttempts,
       messageInterval: this.messageInterval,
-      hasActiveInterval: !!this.intervalId
+      profile: this.profile,
+      invalidRatio: this.invalidRatio,
+      currentInterval: this.getCurrentInterval(),
+      hasActiveInterval: !!this.messageTimer,
+      pendingBatches: this.outbox.size,
+      inFlightBatches: this.inFlight.size,
+      maxInFlight: this.maxInFlight,
+      oldestPendingAgeMs: this.outbox.oldestAge(),
+      retryAttempt: this.retryAttempt,
+      listenerPaused: this.listenerPaused,
+      listenerLoad: this.listenerLoad,
+      shedBatches: this.shedBatches
     };
   }
 }
 
 process.on('SIGINT', () => {
   logger.info('Received SIGINT, shutting down gracefully');
-  if (global.emitterService) {
-    global.emitterService.stop();
-  }
+  (global.emitterServices || []).forEach(emitterService => emitterService.stop());
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   logger.info('Received SIGTERM, shutting down gracefully');
-  if (global.emitterService) {
-    global.emitterService.stop();
-  }
+  (global.emitterServices || []).forEach(emitterService => emitterService.stop());
   process.exit(0);
 });
 
 if (require.main === module) {
-  const listenerHost = process.env.LISTENER_HOST || 'localhost';
-  const listenerPort = process.env.LISTENER_PORT || 3001;
-  
-  const emitterService = new EmitterService(listenerHost, listenerPort);
-  global.emitterService = emitterService;
-  
-  emitterService.start();
+  let config;
+  try {
+    config = loadEmitterConfig(process.argv.slice(2));
+  } catch (error) {
+    logger.error(`Invalid emitter configuration: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Several emitters in one process, e.g. for load testing; each registers
+  // under its own name and keeps its own outbox
+  global.emitterServices = emitterNames(config).map(name => {
+    const emitterService = new EmitterService(config.listenerHost, config.listenerPort, { ...config, name });
+    emitterService.start();
+    return emitterService;
+  });
+
+  if (config.metricsPort !== null) {
+    startMetricsServer(getEmitterMetrics().registry, config.metricsPort);
+  }
 }
 
 module.exports = EmitterService;
\ No newline at end of file
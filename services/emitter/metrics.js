@@ -0,0 +1,82 @@
+const http = require('http');
+const { MetricsRegistry, metricsHandler } = require('../../utility/metrics');
+const logger = require('../../utility/logger');
+
+// Prometheus metrics of the emitters in this process, labelled by emitter
+// name. With --metrics-port (EMITTER_METRICS_PORT) they are served at
+// GET /metrics on that port. Gauges are read from the tracked emitters at
+// scrape time.
+
+function createEmitterMetrics() {
+  const registry = new MetricsRegistry();
+  const emitters = new Set();
+  const labelNames = ['emitter'];
+
+  // One sample per tracked emitter
+  const perEmitter = (read) => () => Array.from(emitters, emitter => ({ labels: { emitter: emitter.name }, value: read(emitter) }));
+
+  const metrics = {
+    registry,
+    track: (emitter) => emitters.add(emitter),
+    batchesGenerated: registry.counter('emitter_batches_generated_total', 'Batches generated and queued in the outbox', { labelNames }),
+    messagesGenerated: registry.counter('emitter_messages_generated_total', 'Messages generated', { labelNames }),
+    batchesShed: registry.counter('emitter_batches_shed_total', 'Batches skipped because the outbox was full', { labelNames }),
+    batchesSent: registry.counter('emitter_batches_sent_total', 'Batch deliveries, retries included', { labelNames }),
+    bytesSent: registry.counter('emitter_bytes_sent_total', 'Bytes of batch payload sent, binary frames or text stream', { labelNames }),
+    batchesAcked: registry.counter('emitter_batches_acked_total', 'Batches the listener acknowledged', { labelNames }),
+    batchesFailed: registry.counter('emitter_batches_failed_total', 'Deliveries that did not succeed, by reason', {
+      labelNames: ['emitter', 'reason']
+    }),
+    reconnects: registry.counter('emitter_reconnects_total', 'Reconnection attempts', { labelNames }),
+    ackDuration: registry.histogram('emitter_ack_duration_seconds', 'Time from sending a batch to the listener\'s answer', { labelNames })
+  };
+
+  registry.gauge('emitter_connected', 'Whether the emitter is connected to the listener', {
+    labelNames,
+    collect: perEmitter(emitter => (emitter.isConnected ? 1 : 0))
+  });
+  registry.gauge('emitter_pending_batches', 'Batches in the outbox waiting for an ack', {
+    labelNames,
+    collect: perEmitter(emitter => emitter.outbox.size)
+  });
+  registry.gauge('emitter_in_flight_batches', 'Batches sent and waiting for an ack', {
+    labelNames,
+    collect: perEmitter(emitter => emitter.inFlight.size)
+  });
+
+  return metrics;
+}
+
+let sharedMetrics = null;
+
+// The metrics every emitter in this process reports to
+function getEmitterMetrics() {
+  if (!sharedMetrics) {
+    sharedMetrics = createEmitterMetrics();
+  }
+  return sharedMetrics;
+}
+
+// Serves the registry at /metrics on `port`; returns the http server
+function startMetricsServer(registry, port) {
+  const handler = metricsHandler(registry);
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      handler(req, res);
+    } else {
+      res.statusCode = 404;
+      res.end('Not found\n');
+    }
+  });
+
+  server.listen(port, () => {
+    logger.info(`Emitter metrics available at http://localhost:${server.address().port}/metrics`);
+  });
+  return server;
+}
+
+module.exports = {
+  createEmitterMetrics,
+  getEmitterMetrics,
+  startMetricsServer
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utility/logger');
+
+// Durable outbox of batches the listener has not acknowledged yet.
+// Each batch is one JSON file named "<sequence>-<batchId>.json", so batches
+// survive restarts and are replayed in the order they were produced.
+// Files are written to a temp name and renamed, so a crash never leaves a
+// half-written batch behind.
+// Batches the listener rejects permanently are moved to "expired/" instead
+// of being deleted, so they can still be inspected or replayed by hand.
+
+class Outbox {
+  constructor(directory) {
+    this.directory = directory;
+    this.entries = []; // [{ batchId, file, payload }] oldest first
+    this.sequence = 0;
+  }
+
+  // Loads pending batches left over from a previous run
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const files = fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .sort();
+
+    this.entries = [];
+    files.forEach(file => {
+      try {
+        const payload = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.entries.push({ batchId: payload.batchId, file, payload });
+      } catch (error) {
+        logger.error(`Discarding unreadable outbox file ${file}: ${error.message}`);
+        fs.unlinkSync(path.join(this.directory, file));
+      }
+    });
+
+    const last = files[files.length - 1];
+    this.sequence = last ? parseInt(last.split('-')[0], 10) || 0 : 0;
+
+    if (this.entries.length > 0) {
+      logger.info(`Outbox has ${this.entries.length} unacknowledged batches from a previous run`);
+    }
+    return this.entries.length;
+  }
+
+  // Persists a batch before it is sent
+  enqueue(payload) {
+    this.sequence++;
+    const file = `${String(this.sequence).padStart(12, '0')}-${payload.batchId}.json`;
+    const filePath = path.join(this.directory, file);
+    const tempPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(payload));
+    fs.renameSync(tempPath, filePath);
+
+    this.entries.push({ batchId: payload.batchId, file, payload });
+  }
+
+  // Oldest unacknowledged batch, or null
+  peek() {
+    return this.entries.length > 0 ? this.entries[0].payload : null;
+  }
+
+  // All unacknowledged batches, oldest first
+  pending() {
+    return this.entries.map(entry => entry.payload);
+  }
+
+  // Removes a batch once the listener has acknowledged it
+  ack(batchId) {
+    const index = this.entries.findIndex(entry => entry.batchId === batchId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.entries.splice(index, 1);
+    fs.rmSync(path.join(this.directory, entry.file), { force: true });
+    return true;
+  }
+
+  // Moves a batch out of the queue into the expired directory
+  expire(batchId) {
+    const index = this.entries.findIndex(entry => entry.batchId === batchId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.entries.splice(index, 1);
+    const expiredDirectory = path.join(this.directory, 'expired');
+    fs.mkdirSync(expiredDirectory, { recursive: true });
+    fs.renameSync(path.join(this.directory, entry.file), path.join(expiredDirectory, entry.file));
+    return true;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Age in ms of the oldest pending batch
+  oldestAge(now = Date.now()) {
+    const oldest = this.peek();
+    return oldest ? now - new Date(oldest.timestamp).getTime() : 0;
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,209 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const logger = require('../../utility/logger');
+
+// Socket.IO adapters that let several listener instances act as one, chosen
+// with LISTENER_ADAPTER:
+//   local (default)  Socket.IO's own adapter; a single instance
+//   mongo            instances exchange messages through a MongoDB change
+//                    stream (needs STORAGE_BACKEND=mongo on a replica set)
+//   memory           instances in the same process share an in-memory bus,
+//                    for tests and local experiments
+// Clustered, a broadcast from any instance reaches the dashboards of every
+// instance, and fetchSockets() and serverSideEmit() span the cluster.
+//
+// A bus carries envelopes { kind: 'message' | 'response', nsp, to, payload }
+// to every subscribed adapter, the sender included. Payloads are JSON with
+// Buffers encoded, so both buses carry exactly what the other would.
+
+const ADAPTERS = ['local', 'mongo', 'memory'];
+const ADAPTER_COLLECTION = 'socketio_adapter_events';
+
+// Adapter events only need to outlive a change stream's resume
+const EVENT_TTL_SECONDS = 60 * 60;
+
+// A resume token older than the oplog (ChangeStreamHistoryLost) cannot be used again
+const HISTORY_LOST = 286;
+
+function loadAdapterKind(value = process.env.LISTENER_ADAPTER) {
+  const kind = value || 'local';
+  if (!ADAPTERS.includes(kind)) {
+    throw new Error(`LISTENER_ADAPTER must be one of: ${ADAPTERS.join(', ')}`);
+  }
+  return kind;
+}
+
+function encodePayload(payload) {
+  return JSON.stringify(payload);
+}
+
+// JSON.stringify writes Buffers as { type: 'Buffer', data: [...] }
+function decodePayload(text) {
+  return JSON.parse(text, (key, value) => (value && value.type === 'Buffer' && Array.isArray(value.data)
+    ? Buffer.from(value.data)
+    : value));
+}
+
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, options) {
+    super(nsp, options);
+    this.bus = bus;
+    this.unsubscribe = bus.subscribe(envelope => this.receive(envelope));
+  }
+
+  receive(envelope) {
+    if (envelope.nsp !== this.nsp.name) {
+      return;
+    }
+    try {
+      if (envelope.kind === 'response') {
+        if (envelope.to === this.uid) {
+          this.onResponse(decodePayload(envelope.payload));
+        }
+      } else {
+        this.onMessage(decodePayload(envelope.payload));
+      }
+    } catch (error) {
+      logger.error(`Failed to handle a cluster ${envelope.kind}:`, error.message);
+    }
+  }
+
+  async doPublish(message) {
+    await this.bus.publish({ kind: 'message', nsp: this.nsp.name, to: null, payload: encodePayload(message) });
+    return undefined; // no offsets; connection state recovery is not supported
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.bus.publish({ kind: 'response', nsp: this.nsp.name, to: requesterUid, payload: encodePayload(response) });
+  }
+
+  close() {
+    super.close();
+    this.unsubscribe();
+  }
+}
+
+// A value for io.adapter(): Socket.IO creates one adapter per namespace
+function createBusAdapter(bus, options = {}) {
+  return function(nsp) {
+    return new BusAdapter(nsp, bus, options);
+  };
+}
+
+// Delivers every envelope to every subscriber on a later tick, like a network would
+function createMemoryBus() {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  return {
+    publish(envelope) {
+      setImmediate(() => events.emit('envelope', envelope));
+      return Promise.resolve();
+    },
+    subscribe(handler) {
+      events.on('envelope', handler);
+      return () => events.off('envelope', handler);
+    }
+  };
+}
+
+let sharedMemoryBus = null;
+
+// The bus every memory-adapter listener in this process shares
+function getMemoryBus() {
+  if (!sharedMemoryBus) {
+    sharedMemoryBus = createMemoryBus();
+  }
+  return sharedMemoryBus;
+}
+
+// Envelopes are inserted into a collection that every instance watches. The
+// change stream is opened with the first subscriber and closed with the last.
+// The driver resumes it after transient errors itself; when it fails for
+// good, it is reopened from the last resume token, waiting `reopenDelayMs`
+// and doubling up to `maxReopenDelayMs` while it keeps failing.
+async function createMongoBus(db = mongoose.connection.db, { reopenDelayMs = 1000, maxReopenDelayMs = 30000 } = {}) {
+  if (!db) {
+    throw new Error('LISTENER_ADAPTER=mongo needs STORAGE_BACKEND=mongo');
+  }
+
+  const collection = db.collection(ADAPTER_COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS });
+
+  const handlers = new Set();
+  let changeStream = null;
+  let resumeToken = null;
+  let failures = 0;
+  let reopenTimer = null;
+
+  const open = () => {
+    const stream = collection.watch([{ $match: { operationType: 'insert' } }], resumeToken ? { resumeAfter: resumeToken } : {});
+    changeStream = stream;
+    stream.on('change', change => {
+      resumeToken = change._id;
+      failures = 0;
+      const { _id, createdAt, ...envelope } = change.fullDocument;
+      handlers.forEach(handler => handler(envelope));
+    });
+    stream.on('error', error => {
+      if (changeStream !== stream) {
+        return;
+      }
+      // A change stream needs a replica set; without one nothing is shared
+      logger.error('Socket.IO adapter change stream failed:', error.message);
+      resumeToken = stream.resumeToken || resumeToken;
+      if (error.code === HISTORY_LOST) {
+        logger.error('Socket.IO adapter events were lost; the change stream starts again from now');
+        resumeToken = null;
+      }
+      stream.close().catch(() => {});
+      changeStream = null;
+
+      const delay = Math.min(reopenDelayMs * 2 ** failures, maxReopenDelayMs);
+      failures++;
+      logger.warn(`Reopening the Socket.IO adapter change stream in ${delay}ms`);
+      reopenTimer = setTimeout(() => {
+        reopenTimer = null;
+        if (handlers.size > 0) {
+          open();
+        }
+      }, delay);
+    });
+  };
+
+  return {
+    publish(envelope) {
+      return collection.insertOne({ ...envelope, createdAt: new Date() });
+    },
+    subscribe(handler) {
+      handlers.add(handler);
+      if (!changeStream && !reopenTimer) {
+        open();
+      }
+      return () => {
+        handlers.delete(handler);
+        if (handlers.size > 0) {
+          return;
+        }
+        clearTimeout(reopenTimer);
+        reopenTimer = null;
+        resumeToken = null;
+        failures = 0;
+        if (changeStream) {
+          changeStream.close().catch(() => {});
+          changeStream = null;
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  ADAPTERS,
+  loadAdapterKind,
+  createBusAdapter,
+  createMemoryBus,
+  getMemoryBus,
+  createMongoBus
+};
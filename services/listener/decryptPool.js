@@ -0,0 +1,187 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getKeyring } = require('../../utility/crypto');
+const { STAGES, summarizeTimings } = require('./messageDecoder');
+const logger = require('../../utility/logger');
+
+// A pool of worker threads that decode batches off the main event loop.
+// A batch is split into up to `size` slices of at least MIN_SLICE_SIZE
+// messages, decoded in parallel. Workers are started on first use and
+// replaced if one crashes; the slices it was working on fail, and with
+// them the batch, which the emitter then retries.
+
+const MIN_SLICE_SIZE = 25;
+
+class DecryptPool {
+  constructor({ size, eventTimePolicy, replayWindowMs, schemaSettings }) {
+    this.size = size;
+    this.settings = { eventTimePolicy, replayWindowMs, schemaSettings };
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.nextTaskId = 1;
+    this.closed = false;
+    this.stats = {
+      batches: 0,
+      messages: 0,
+      workerRestarts: 0,
+      stageMs: Object.fromEntries(STAGES.map(stage => [stage, 0]))
+    };
+  }
+
+  start() {
+    if (this.workers.length > 0) {
+      return;
+    }
+
+    // Derived once here and handed to every worker
+    const keyring = getKeyring();
+    this.workerData = {
+      ...this.settings,
+      keyring: {
+        keys: Array.from(keyring.keys.entries()),
+        activeKeyId: keyring.activeKeyId,
+        legacyKey: keyring.legacyKey
+      }
+    };
+
+    for (let i = 0; i < this.size; i++) {
+      this.spawn();
+    }
+    logger.info(`Started ${this.size} decrypt workers`);
+  }
+
+  spawn() {
+    const worker = new Worker(path.join(__dirname, 'decryptWorker.js'), { workerData: this.workerData });
+    worker.unref();
+    worker.task = null;
+
+    worker.on('message', ({ id, results, timings }) => {
+      const task = this.tasks.get(id);
+      this.tasks.delete(id);
+      worker.task = null;
+      this.release(worker);
+      if (task) {
+        task.resolve({ results, timings });
+      }
+    });
+
+    const fail = (error) => {
+      if (!this.workers.includes(worker)) {
+        return;
+      }
+      logger.error('Decrypt worker failed:', error.message);
+      this.workers = this.workers.filter(other => other !== worker);
+      this.idle = this.idle.filter(other => other !== worker);
+
+      if (worker.task) {
+        const task = this.tasks.get(worker.task);
+        this.tasks.delete(worker.task);
+        if (task) {
+          task.reject(new Error(`Decrypt worker failed: ${error.message}`));
+        }
+      }
+
+      if (!this.closed) {
+        this.stats.workerRestarts++;
+        this.spawn();
+      }
+    };
+    worker.on('error', fail);
+    worker.on('exit', (code) => fail(new Error(`exited with code ${code}`)));
+
+    this.workers.push(worker);
+    this.release(worker);
+  }
+
+  // Hands the worker the next queued slice, or marks it idle
+  release(worker) {
+    const next = this.queue.shift();
+    if (next) {
+      this.assign(worker, next);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  assign(worker, task) {
+    worker.task = task.message.id;
+    this.tasks.set(task.message.id, task);
+    worker.postMessage(task.message);
+  }
+
+  runSlice(message) {
+    return new Promise((resolve, reject) => {
+      const task = { message: { ...message, id: this.nextTaskId++ }, resolve, reject };
+      const worker = this.idle.shift();
+      if (worker) {
+        this.assign(worker, task);
+      } else {
+        this.queue.push(task);
+      }
+    });
+  }
+
+  // Decodes a batch; returns { results, timings } with one result per
+  // message, in order, and the milliseconds spent in each stage plus `wallMs`
+  async decode(messages, emitter, { receivedAt = Date.now() } = {}) {
+    this.start();
+    const startedAt = Date.now();
+
+    const sliceCount = Math.max(1, Math.min(this.size, Math.ceil(messages.length / MIN_SLICE_SIZE)));
+    const sliceSize = Math.ceil(messages.length / sliceCount);
+    const slices = [];
+    for (let firstIndex = 0; firstIndex < messages.length; firstIndex += sliceSize) {
+      slices.push(this.runSlice({
+        messages: messages.slice(firstIndex, firstIndex + sliceSize),
+        firstIndex,
+        emitter: { signingKey: emitter.signingKey, signatureAlgorithm: emitter.signatureAlgorithm },
+        receivedAt
+      }));
+    }
+
+    const decoded = await Promise.all(slices);
+    const stageMs = Object.fromEntries(STAGES.map(stage => [stage, 0]));
+    decoded.forEach(slice => {
+      STAGES.forEach(stage => {
+        stageMs[stage] += slice.timings[stage] || 0;
+      });
+    });
+
+    this.stats.batches++;
+    this.stats.messages += messages.length;
+    STAGES.forEach(stage => {
+      this.stats.stageMs[stage] += stageMs[stage];
+    });
+
+    return {
+      results: decoded.flatMap(slice => slice.results),
+      timings: summarizeTimings(stageMs, Date.now() - startedAt)
+    };
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      running: this.workers.length,
+      busy: this.workers.length - this.idle.length,
+      queuedSlices: this.queue.length,
+      ...this.stats,
+      stageMs: Object.fromEntries(STAGES.map(stage => [stage, Math.round(this.stats.stageMs[stage])]))
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    [...this.queue, ...this.tasks.values()].forEach(task => task.reject(new Error('Decrypt pool closed')));
+    this.queue = [];
+    this.tasks.clear();
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = DecryptPool;
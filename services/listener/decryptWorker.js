@@ -0,0 +1,29 @@
+const { parentPort, workerData } = require('worker_threads');
+const { setKeyring } = require('../../utility/crypto');
+const { loadMessageSchemas } = require('../../utility/messageSchema');
+const { createMessageDecoder } = require('./messageDecoder');
+
+// Decrypt worker started by DecryptPool. The keys arrive already derived
+// from the main thread's keyring, so a worker never runs scrypt. Each task
+// is a slice of a batch; results come back in order with the time spent
+// in each stage.
+
+const { keyring, eventTimePolicy, replayWindowMs, schemaSettings } = workerData;
+
+setKeyring({
+  keys: new Map(keyring.keys.map(([keyId, key]) => [keyId, Buffer.from(key)])),
+  activeKeyId: keyring.activeKeyId,
+  legacyKey: keyring.legacyKey && Buffer.from(keyring.legacyKey)
+});
+
+const decodeMessage = createMessageDecoder({
+  eventTimePolicy,
+  replayWindowMs,
+  messageSchemas: loadMessageSchemas(schemaSettings)
+});
+
+parentPort.on('message', ({ id, messages, firstIndex, emitter, receivedAt }) => {
+  const timings = {};
+  const results = messages.map((message, offset) => decodeMessage(message, firstIndex + offset, emitter, { receivedAt, timings }));
+  parentPort.postMessage({ id, results, timings });
+});
@@ -2,34 +2,185 @@ require('dotenv').config({ path: require('path').join(__dirname, '../../.env') }
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const connectDB = require('../../config/db');
-const { decrypt, validateSecretKey } = require('../../utility/crypto');
-const { parseMessageStream } = require('../../utility/messageGenerator');
-const TimeSeriesData = require('../../models/TimeSeriesData');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const os = require('os');
+const crypto = require('crypto');
+const { loadStreamSettings, decodeMessageStream, wireBytes } = require('../../utility/messageFraming');
+const { getStorage, publicEmitter } = require('../../storage');
 const logger = require('../../utility/logger');
+const { requireAuth, requireRole, authenticate } = require('../../middleware/auth');
+const { loadEventTimePolicy } = require('../../utility/eventTime');
+const { loadMessageSchemas } = require('../../utility/messageSchema');
+const NonceCache = require('../../utility/nonceCache');
+const BatchQueue = require('../../utility/batchQueue');
+const RollupCompactor = require('../../utility/rollupCompactor');
+const { loadRetentionPolicy, RetentionJob } = require('../../utility/retention');
+const { signEmitterToken, safeEqual, emitterTokenProof } = require('../../utility/authTokens');
+const { createSocketAuth, loadSigningKeyMode, signingKeyFor } = require('./socketAuth');
+const { createMessageDecoder, summarizeTimings } = require('./messageDecoder');
+const { ERROR_REASONS, createListenerMetrics } = require('./metrics');
+const { metricsHandler } = require('../../utility/metrics');
+const { emptyStats, addStats, resolveStatsWindow, StatsRecorder, summarizeStats } = require('../../utility/processingStats');
+const { loadAdapterKind, createBusAdapter, getMemoryBus, createMongoBus } = require('./clusterAdapter');
+const { ROOM_PREFIX, subscriptionKey, subscriptionFilter, feedRecord, bucketDeltas } = require('./recordFeed');
+const DecryptPool = require('./decryptPool');
+
+// How far an emitter's token renewal proof may be from our clock
+const TOKEN_PROOF_MAX_AGE_MS = 60 * 1000;
+
+// Default replay window when late data is merged rather than rejected
+const MERGE_REPLAY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How long an emitter refused for overload should wait before retrying
+const OVERLOAD_RETRY_AFTER_MS = 5000;
+
+// Record subscriptions a dashboard may hold at once
+const MAX_RECORD_SUBSCRIPTIONS = 50;
+
+// Messages failing at these stages are kept as dead letters with their ciphertext
+const DEAD_LETTER_STAGES = ['decrypt', 'parse', 'signature'];
+const DEFAULT_DEAD_LETTER_RETENTION_DAYS = 30;
+const MAX_REPROCESS_IDS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exception text (parse positions, key ids from the envelope) is never used
+// as a reason, so the set of reasons in the stats stays small
+function rejectionReason(result) {
+  return result.exception ? 'Undecodable message' : result.reason;
+}
+
+// A message's record ID, which is also its key in the replay checks
+function nonceKeyOf(emitterId, nonce) {
+  return `${emitterId}:${nonce}`;
+}
+
+// Marks an error that a retry of the same batch cannot fix
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
 
 class ListenerService {
-  constructor(port = 3001) {
+  constructor(port = 3001, { storage = getStorage(), adapter, bus } = {}) {
     this.port = port;
+    this.storage = storage;
     this.app = express();
     this.server = http.createServer(this.app);
+    this.dashboardOrigins = (process.env.DASHBOARD_ORIGINS || 'http://localhost:8000').split(',');
     this.io = socketIo(this.server, {
       cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
+        origin: this.dashboardOrigins,
+        methods: ["GET", "POST"],
+        credentials: true
       }
     });
     
+
+    // With a clustered adapter, several listeners behind a load balancer
+    // share dashboards and emitters. The mongo adapter is set up once
+    // storage is connected.
+    this.adapterKind = loadAdapterKind(adapter);
+    this.clustered = this.adapterKind !== 'local';
+    this.instanceId = process.env.LISTENER_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+    if (this.adapterKind === 'memory') {
+      this.io.adapter(createBusAdapter(bus || getMemoryBus()));
+    }
+
+    // Sockets connected to this instance
     this.connectedEmitters = new Map();
     this.frontendClients = new Set();
-    this.processingStats = {
-      totalReceived: 0,
-      totalProcessed: 0,
-      totalValid: 0,
-      totalInvalid: 0,
-      totalSaved: 0,
-      errors: 0
-    };
+
+    // Totals since this listener started. The same deltas are recorded per
+    // emitter and period and flushed to storage, which /stats and the
+    // dashboards are served from.
+    this.processingStats = emptyStats();
+    this.statsRecorder = new StatsRecorder();
+    this.statsFlushIntervalMs = parseInt(process.env.STATS_FLUSH_INTERVAL_MS, 10) || 5000;
+    this.statsTimer = null;
+    this.statsFlush = Promise.resolve();
+    this.eventTimePolicy = loadEventTimePolicy();
+    this.messageSchemas = loadMessageSchemas();
+
+    // Refuse to start with a signing setup no message could pass
+    loadSigningKeyMode();
+
+    // Batch wire formats we accept; each emitter's is agreed in the handshake
+    this.streamSettings = loadStreamSettings();
+
+    // The nonce cache remembers nonces for the replay window, so messages the
+    // late-data policy accepts are still rejected as stale beyond it. With
+    // LATE_DATA_POLICY=merge the window defaults to a day.
+    const lateDataWindowMs = this.eventTimePolicy.lateWindowMs + this.eventTimePolicy.maxClockSkewMs;
+    this.replayWindowMs = parseInt(process.env.REPLAY_WINDOW_MS, 10)
+      || (this.eventTimePolicy.latePolicy === 'merge' ? Math.max(MERGE_REPLAY_WINDOW_MS, lateDataWindowMs) : lateDataWindowMs);
+    this.nonceCache = new NonceCache({
+      maxEntries: parseInt(process.env.NONCE_CACHE_SIZE, 10) || 200000,
+      ttlMs: this.replayWindowMs
+    });
+
+    this.decodeMessage = createMessageDecoder({
+      eventTimePolicy: this.eventTimePolicy,
+      replayWindowMs: this.replayWindowMs,
+      messageSchemas: this.messageSchemas
+    });
+
+    // Batches are decoded in worker threads, one fewer than there are CPUs
+    // by default; LISTENER_DECRYPT_WORKERS=0 decodes on the main thread
+    const decryptWorkers = parseInt(process.env.LISTENER_DECRYPT_WORKERS, 10);
+    const poolSize = decryptWorkers >= 0 ? decryptWorkers : Math.max(1, os.cpus().length - 1);
+    this.decryptPool = poolSize === 0 ? null : new DecryptPool({
+      size: poolSize,
+      eventTimePolicy: this.eventTimePolicy,
+      replayWindowMs: this.replayWindowMs,
+      schemaSettings: {
+        MESSAGE_REFERENCE_DATA: process.env.MESSAGE_REFERENCE_DATA,
+        MESSAGE_UNKNOWN_FIELDS: process.env.MESSAGE_UNKNOWN_FIELDS
+      }
+    });
+
+    // Flow control: batches are processed a few at a time from a bounded
+    // queue, and each emitter may only have `emitterCredits` batches in
+    // flight. Emitters are told to pause while the queue is under pressure.
+    this.emitterCredits = parseInt(process.env.LISTENER_EMITTER_CREDITS, 10) || 2;
+    this.batchQueue = new BatchQueue({
+      concurrency: parseInt(process.env.LISTENER_MAX_CONCURRENT_BATCHES, 10) || 4,
+      maxQueued: parseInt(process.env.LISTENER_MAX_QUEUED_BATCHES, 10) || 50,
+      onPressureChange: (paused) => this.broadcastFlowControl(paused)
+    });
+
+    // Prometheus metrics, served at /metrics
+    this.metrics = createListenerMetrics(this);
+
+    // Saved batches whose ledger entry could not be written yet, by emitterId:batchId
+    this.unfinishedBatches = new Map();
+    this.completeRetryMs = parseInt(process.env.BATCH_COMPLETE_RETRY_MS, 10) || 5000;
+
+    // Busy minutes are split into sub-bucket documents of at most this many records
+    this.maxRecordsPerBucket = parseInt(process.env.MAX_RECORDS_PER_BUCKET, 10) || 10000;
+
+    // Dead letters expire after this long; 0 keeps them until removed by hand
+    const deadLetterDays = parseInt(process.env.DEAD_LETTER_RETENTION_DAYS, 10);
+    this.deadLetterRetentionMs = (deadLetterDays >= 0 ? deadLetterDays : DEFAULT_DEAD_LETTER_RETENTION_DAYS) * DAY_MS;
+
+    // Hour and day rollups are maintained here, next to the data they
+    // summarize. The file storage answers every query from its records.
+    const mongoJobs = this.storage.kind === 'mongo';
+    this.rollupCompactor = !mongoJobs || process.env.ROLLUPS_ENABLED === 'false' ? null : new RollupCompactor({
+      intervalMs: parseInt(process.env.ROLLUP_INTERVAL_MS, 10) || 60 * 1000,
+      closeDelayMs: parseInt(process.env.ROLLUP_CLOSE_DELAY_MS, 10) || 2 * 60 * 1000
+    });
+
+    // Raw records are what the replay cache is reloaded from on restart, so
+    // they must be kept for at least the replay window
+    const retentionPolicy = loadRetentionPolicy();
+    if (retentionPolicy.rawRecordsDays > 0 && retentionPolicy.rawRecordsDays * 24 * 60 * 60 * 1000 < this.replayWindowMs) {
+      throw new Error('RAW_RECORDS_RETENTION_DAYS must cover the replay window (REPLAY_WINDOW_MS)');
+    }
+    this.retentionJob = !mongoJobs || process.env.RETENTION_ENABLED === 'false' ? null : new RetentionJob(retentionPolicy, {
+      intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 60 * 60 * 1000
+    });
     
     this.setupRoutes();
     this.setupSocketHandlers();
@@ -37,35 +188,65 @@ class ListenerService {
   
   setupRoutes() {
     this.app.use(express.json());
+    this.app.use(cookieParser());
+
+    // The dashboard is served from the main server, so allow it to send its session cookie
+    this.app.use(cors({
+      origin: this.dashboardOrigins,
+      credentials: true
+    }));
     
-    this.app.get('/health', (req, res) => {
+    this.app.get('/health', async (req, res) => {
       res.json({
         status: 'healthy',
         service: 'listener',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         connectedEmitters: this.connectedEmitters.size,
-        processingStats: this.processingStats
+        processingStats: this.getProcessingTotals(),
+        replayCache: this.nonceCache.getStats(),
+        flowControl: this.batchQueue.getStats(),
+        storage: this.storage.getStatus(),
+        decryptPool: this.decryptPool ? this.decryptPool.getStats() : null,
+        rollups: this.rollupCompactor ? this.rollupCompactor.getStatus() : null,
+        retention: this.retentionJob ? this.retentionJob.getStatus() : null,
+        cluster: {
+          adapter: this.adapterKind,
+          instanceId: this.instanceId,
+          servers: await this.io.of('/').adapter.serverCount()
+        }
       });
     });
 
-    this.app.get('/stats', (req, res) => {
-      res.json({
-        processingStats: this.processingStats,
-        connectedEmitters: Array.from(this.connectedEmitters.entries()).map(([id, info]) => ({
-          id,
-          ...info
-        }))
-      });
+    // Prometheus scrape endpoint; protected by METRICS_TOKEN when it is set
+    this.app.get('/metrics', metricsHandler(this.metrics.registry));
+
+    // ?window=all|15m|24h|7d... (default all) and optionally ?emitterId=
+    this.app.get('/stats', requireAuth, async (req, res) => {
+      try {
+        const stats = await this.getStats({
+          window: req.query.window || 'all',
+          emitterId: typeof req.query.emitterId === 'string' ? req.query.emitterId : undefined
+        });
+        if (!stats) {
+          return res.status(400).json({ error: 'window must be "all" or a duration such as 15m, 24h or 7d' });
+        }
+
+        res.json({
+          ...stats,
+          flowControl: this.batchQueue.getStats(),
+          connectedEmitters: await this.listConnectedEmitters()
+        });
+      } catch (error) {
+        logger.error('Failed to fetch processing stats:', error.message);
+        res.status(500).json({ error: 'Failed to fetch processing stats' });
+      }
     });
 
-    this.app.get('/recent-data', async (req, res) => {
+    this.app.get('/recent-data', requireAuth, async (req, res) => {
       try {
         const limit = parseInt(req.query.limit) || 10;
-        const recentData = await TimeSeriesData.find()
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .select('minuteBucket timestamp recordCount routes nameFrequency');
+        const recentData = await this.storage.recent(limit);
         
         res.json(recentData);
       } catch (error) {
@@ -73,22 +254,174 @@ class ListenerService {
         res.status(500).json({ error: 'Failed to fetch recent data' });
       }
     });
+
+    // Emitters call this with the shared registration key (or an admin session)
+    // to obtain their emitterId, handshake token and signing secret. Names
+    // are registered once; only an admin can re-issue their credentials.
+    this.app.post('/emitters/register', async (req, res) => {
+      try {
+        const registrationKey = process.env.EMITTER_REGISTRATION_KEY;
+        const providedKey = req.headers['x-registration-key'];
+        const caller = authenticate(req);
+        const keyOk = Boolean(registrationKey) && typeof providedKey === 'string' && safeEqual(providedKey, registrationKey);
+
+        if (!keyOk && !(caller && caller.role === 'admin')) {
+          return res.status(401).json({ error: 'Invalid registration key' });
+        }
+
+        const name = req.body && req.body.name;
+        if (typeof name !== 'string' || !name.trim()) {
+          return res.status(400).json({ error: 'Emitter name is required' });
+        }
+
+        const emitter = await this.storage.registerEmitter(name.trim());
+        if (!emitter) {
+          return res.status(409).json({ error: 'Emitter name is already registered; an admin can rotate its credentials' });
+        }
+        logger.info(`Issued credentials for emitter ${emitter.name} (${emitter.emitterId})`);
+
+        res.status(201).json({
+          emitterId: emitter.emitterId,
+          name: emitter.name,
+          token: signEmitterToken(emitter),
+          secret: emitter.secret
+        });
+      } catch (error) {
+        logger.error('Failed to register emitter:', error.message);
+        res.status(500).json({ error: 'Failed to register emitter' });
+      }
+    });
+
+    // Emitters whose handshake token expired get a new one by proving they
+    // still hold their secret; revoked emitters are refused
+    this.app.post('/emitters/token', async (req, res) => {
+      try {
+        const { emitterId, timestamp, proof } = req.body || {};
+        if (typeof emitterId !== 'string' || typeof proof !== 'string' || !Number.isFinite(timestamp)) {
+          return res.status(400).json({ error: 'emitterId, timestamp and proof are required' });
+        }
+        if (Math.abs(Date.now() - timestamp) > TOKEN_PROOF_MAX_AGE_MS) {
+          return res.status(401).json({ error: 'Proof timestamp is out of range' });
+        }
+
+        const emitter = await this.storage.getEmitter(emitterId, { withSecret: true });
+        if (!emitter || emitter.revoked || !safeEqual(proof, emitterTokenProof(emitterId, emitter.secret, timestamp))) {
+          return res.status(401).json({ error: 'Invalid emitter proof' });
+        }
+
+        res.json({ token: signEmitterToken(emitter) });
+      } catch (error) {
+        logger.error('Failed to renew emitter token:', error.message);
+        res.status(500).json({ error: 'Failed to renew emitter token' });
+      }
+    });
+
+    this.app.get('/emitters', requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const emitters = await this.storage.listEmitters();
+        res.json(emitters.map(publicEmitter));
+      } catch (error) {
+        logger.error('Failed to list emitters:', error.message);
+        res.status(500).json({ error: 'Failed to list emitters' });
+      }
+    });
+
+    this.app.post('/emitters/:emitterId/revoke', requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const emitter = await this.storage.revokeEmitter(req.params.emitterId);
+        if (!emitter) {
+          return res.status(404).json({ error: 'Emitter not found' });
+        }
+
+        this.disconnectEmitter(emitter.emitterId);
+        logger.info(`Revoked emitter ${emitter.name} (${emitter.emitterId})`);
+
+        res.json(publicEmitter(emitter));
+      } catch (error) {
+        logger.error('Failed to revoke emitter:', error.message);
+        res.status(500).json({ error: 'Failed to revoke emitter' });
+      }
+    });
+
+    // Re-issues an emitter's credentials (and reinstates it if it was revoked).
+    // Its old token stops working; the new credentials have to be installed
+    // on the emitter, e.g. as .emitter-credentials/<name>.json.
+    this.app.post('/emitters/:emitterId/rotate', requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const emitter = await this.storage.rotateEmitter(req.params.emitterId);
+        if (!emitter) {
+          return res.status(404).json({ error: 'Emitter not found' });
+        }
+
+        this.disconnectEmitter(emitter.emitterId);
+        logger.info(`Rotated credentials for emitter ${emitter.name} (${emitter.emitterId})`);
+
+        res.json({
+          emitterId: emitter.emitterId,
+          name: emitter.name,
+          token: signEmitterToken(emitter),
+          secret: emitter.secret
+        });
+      } catch (error) {
+        logger.error('Failed to rotate emitter credentials:', error.message);
+        res.status(500).json({ error: 'Failed to rotate emitter credentials' });
+      }
+    });
+
+    // Re-processes selected dead letters after a key or configuration fix.
+    // They are listed and exported through GET /api/v1/dead-letters on the server.
+    this.app.post('/dead-letters/reprocess', requireAuth, requireRole('admin'), async (req, res) => {
+      const ids = req.body && req.body.ids;
+      if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REPROCESS_IDS || !ids.every(id => typeof id === 'string')) {
+        return res.status(400).json({ error: `ids must be an array of 1 to ${MAX_REPROCESS_IDS} dead letter ids` });
+      }
+
+      try {
+        res.json(await this.reprocessDeadLetters(Array.from(new Set(ids))));
+      } catch (error) {
+        logger.error('Failed to re-process dead letters:', error.message);
+        res.status(500).json({ error: 'Failed to re-process dead letters' });
+      }
+    });
   }
 
   setupSocketHandlers() {
+    this.io.use(createSocketAuth(this.storage));
+
+    // Another instance flushed stats or saved records; update the dashboards connected here
+    this.io.on('stats_flushed', () => this.broadcastStatsUpdate());
+    this.io.on('records_saved', (records) => this.pushRecords(records));
+
     this.io.on('connection', (socket) => {
-      const userAgent = socket.handshake.headers['user-agent'] || '';
-      const isFrontend = userAgent.includes('Mozilla') || socket.handshake.query.type === 'frontend';
+      const isFrontend = socket.data.clientType === 'frontend';
       
       if (isFrontend) {
         // Frontend client connection
         logger.info(`Frontend client connected: ${socket.id}`);
         this.frontendClients.add(socket.id);
-        
-        // Send initial stats
-        socket.emit('stats_update', {
-          processingStats: this.processingStats,
-          timestamp: new Date().toISOString()
+        socket.join('dashboards');
+        this.setStatsWindow(socket, 'all');
+
+        // Dashboards pick the window their stats updates cover
+        socket.on('stats_window', (window, ack) => {
+          const ok = this.setStatsWindow(socket, window);
+          if (typeof ack === 'function') {
+            ack(ok ? { status: 'ok', window } : { status: 'error', error: 'Invalid stats window' });
+          }
+        });
+
+        // ...and the records they are sent (see recordFeed.js)
+        socket.on('subscribe_records', (spec, ack) => {
+          const result = this.subscribeRecords(socket, spec);
+          if (typeof ack === 'function') {
+            ack(result);
+          }
+        });
+        socket.on('unsubscribe_records', (spec, ack) => {
+          const result = this.unsubscribeRecords(socket, spec);
+          if (typeof ack === 'function') {
+            ack(result);
+          }
         });
         
         socket.on('disconnect', () => {
@@ -97,21 +430,46 @@ class ListenerService {
         });
       } else {
         // Emitter connection
-        logger.info(`New emitter connected: ${socket.id} from ${socket.handshake.address}`);
+        const { emitterId, name } = socket.data.emitter;
+        logger.info(`New emitter connected: ${name} (${emitterId}) on ${socket.id} from ${socket.handshake.address}`);
+        socket.join(['emitters', `emitter:${emitterId}`]);
         
-        this.connectedEmitters.set(socket.id, {
+        // Kept in socket.data as well, so other instances can list it
+        const connection = {
+          emitterId,
+          name,
+          signatureAlgorithm: socket.data.emitter.signatureAlgorithm,
+          streamFormat: socket.data.emitter.streamFormat,
+          compression: socket.data.emitter.compression,
           connectedAt: new Date().toISOString(),
           address: socket.handshake.address,
           messagesReceived: 0,
-          lastMessageAt: null
+          bytesReceived: 0,
+          lastMessageAt: null,
+          inFlightBatches: 0,
+          lagMs: null, // batch creation to processing start, for the last batch
+          instanceId: this.instanceId
+        };
+        this.connectedEmitters.set(socket.id, connection);
+        socket.data.connection = connection;
+
+        // Tell the emitter how its messages must be signed and framed before it starts sending
+        socket.emit('session_config', {
+          emitterId,
+          signatureAlgorithm: socket.data.emitter.signatureAlgorithm,
+          signingKey: socket.data.emitter.signingKeyMode,
+          streamFormat: socket.data.emitter.streamFormat,
+          compression: socket.data.emitter.compression,
+          credits: this.emitterCredits,
+          paused: this.batchQueue.paused
         });
 
-        socket.on('encrypted_message_stream', async (data) => {
-          await this.handleMessageStream(socket, data);
+        socket.on('encrypted_message_stream', (data, ack) => {
+          this.enqueueMessageStream(socket, data, ack);
         });
 
         socket.on('disconnect', (reason) => {
-          logger.info(`Emitter disconnected: ${socket.id}, reason: ${reason}`);
+          logger.info(`Emitter disconnected: ${name} (${emitterId}) on ${socket.id}, reason: ${reason}`);
           this.connectedEmitters.delete(socket.id);
         });
       }
@@ -122,43 +480,201 @@ class ListenerService {
     });
   }
 
-  async handleMessageStream(socket, data) {
+  // Admits a batch into the processing queue, or refuses it with a retryable
+  // error when the emitter has used up its credits or the queue is full
+  enqueueMessageStream(socket, data, ack) {
+    const emitterInfo = this.connectedEmitters.get(socket.id);
+    const batchId = data && data.batchId;
+
+    let refusal = null;
+    if (emitterInfo && emitterInfo.inFlightBatches >= this.emitterCredits) {
+      refusal = `Too many batches in flight (limit ${this.emitterCredits})`;
+      this.metrics.batchesRefused.inc({ reason: 'credits' });
+    } else if (!this.batchQueue.push(() => this.handleMessageStream(socket, data, ack))) {
+      refusal = 'Listener is overloaded';
+      this.metrics.batchesRefused.inc({ reason: 'overloaded' });
+    }
+
+    if (refusal) {
+      logger.warn(`Refused batch ${batchId} from ${socket.data.emitter.emitterId}: ${refusal}`);
+      const payload = {
+        status: 'error',
+        batchId,
+        retryable: true,
+        overloaded: true,
+        retryAfterMs: OVERLOAD_RETRY_AFTER_MS,
+        error: refusal,
+        load: this.getLoad(),
+        timestamp: new Date().toISOString()
+      };
+      if (typeof ack === 'function') {
+        ack(payload);
+      } else {
+        socket.emit('processing_error', payload);
+      }
+      return false;
+    }
+
+    if (emitterInfo) {
+      emitterInfo.inFlightBatches++;
+    }
+    return true;
+  }
+
+  // Handles one batch. Emitters send batches with a Socket.IO ack callback and
+  // retry until they get { status: 'ok' }; the ProcessedBatch ledger makes
+  // retries idempotent. Errors are acked with retryable: false when sending
+  // the same batch again cannot succeed.
+  async handleMessageStream(socket, data, ack) {
     const startTime = Date.now();
     const emitterInfo = this.connectedEmitters.get(socket.id);
+    const { emitterId } = socket.data.emitter;
+    const batchId = data && data.batchId;
+    let claimed = false;
+    let phase = 'read'; // what the batch is doing, for the error metrics
+
+    const reply = (event, payload) => {
+      if (emitterInfo && emitterInfo.inFlightBatches > 0) {
+        emitterInfo.inFlightBatches--;
+      }
+
+      // Every reply tells the emitter how busy we are, so it can slow down
+      payload = { ...payload, load: this.getLoad() };
+      if (typeof ack === 'function') {
+        ack(payload);
+      } else {
+        socket.emit(event, payload);
+      }
+    };
     
     try {
-      logger.info(`Got message stream from ${socket.id} with ${data.messageCount} messages`);
+      logger.info(`Got message stream ${batchId} from ${socket.id} with ${data && data.messageCount} messages`);
 
       if (emitterInfo) {
         emitterInfo.messagesReceived++;
         emitterInfo.lastMessageAt = new Date().toISOString();
+        emitterInfo.bytesReceived += wireBytes(data);
+        if (data && data.timestamp) {
+          emitterInfo.lagMs = startTime - new Date(data.timestamp).getTime();
+        }
+      }
+
+      if (!batchId) {
+        throw permanentError('Message stream is missing its batchId');
       }
 
-      const encryptedMessages = parseMessageStream(data.stream);
-      this.processingStats.totalReceived += encryptedMessages.length;
+      phase = 'claim';
+      const claim = await this.storage.claimBatch(emitterId, batchId, this.replayWindowMs);
+      if (!claim.claimed) {
+        if (claim.status === 'done') {
+          // A retry (or replay) of a batch we already stored - answer with the original results
+          logger.info(`Batch ${batchId} from ${emitterId} was already processed, re-sending results`);
+          this.recordStats(emitterId, { duplicateBatches: 1 });
+          this.metrics.batches.inc({ outcome: 'duplicate' });
+          reply('message_received', { ...claim.results, status: 'ok', duplicate: true });
+          return;
+        }
+
+        this.metrics.batches.inc({ outcome: 'in progress' });
+        reply('processing_error', {
+          status: 'error',
+          batchId,
+          retryable: true,
+          error: 'Batch is already being processed',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      claimed = true;
+
+      phase = 'read';
+      let encryptedMessages;
+      try {
+        encryptedMessages = await decodeMessageStream(data, this.streamSettings);
+      } catch (error) {
+        throw permanentError(error.message);
+      }
 
       const results = {
+        batchId,
         messageCount: encryptedMessages.length,
         processedCount: 0,
         validCount: 0,
         invalidCount: 0,
         savedCount: 0,
+        lateCount: 0,
+        replayedCount: 0,
+        staleCount: 0,
+        sanitizedCount: 0,
+        deadLetterCount: 0,
+        invalidReasons: {},
         errors: []
       };
 
+      // Live nonces are never evicted; the emitter retries the batch once enough of them expire
+      phase = 'capacity';
+      if (!this.nonceCache.hasRoomFor(encryptedMessages.length)) {
+        throw new Error('Replay cache full');
+      }
+
+      const validMessages = [];
+      const acceptedNonces = [];
+      const deadLetters = [];
+      const receivedAt = new Date(startTime);
+
+      // Decrypting, parsing and validating happen off the main thread; replays are checked here, in order
+      phase = 'decode';
+      const decoded = await this.decodeBatch(encryptedMessages, socket.data.emitter, startTime);
+      results.timings = decoded.timings;
+
+      // The nonce cache only knows this instance's messages; clustered, the
+      // nonces are also claimed in storage, where other instances' show up
+      phase = 'nonces';
+      const claimedNonces = this.clustered
+        ? [...new Set(decoded.results.filter(result => result.valid).map(result => nonceKeyOf(emitterId, result.nonce)))]
+        : [];
+      const sharedReplays = new Set(await this.storage.claimNonces(claimedNonces, `${emitterId}:${batchId}`,
+        new Date(startTime + this.replayWindowMs)));
+
       for (let i = 0; i < encryptedMessages.length; i++) {
         try {
-          const result = await this.processEncryptedMessage(encryptedMessages[i], i);
+          const result = this.acceptDecoded(decoded.results[i], i, socket.data.emitter, sharedReplays);
           
           results.processedCount++;
           
           if (result.valid) {
             results.validCount++;
-            if (result.saved) {
-              results.savedCount++;
+            if (result.late) {
+              results.lateCount++;
+            }
+            if (result.sanitized) {
+              results.sanitizedCount++;
             }
+            validMessages.push(result.data);
+            acceptedNonces.push(result.nonceKey);
           } else {
             results.invalidCount++;
+            const reason = rejectionReason(result);
+            results.invalidReasons[reason] = (results.invalidReasons[reason] || 0) + 1;
+            if (result.replayed) {
+              results.replayedCount++;
+            }
+            if (result.stale) {
+              results.staleCount++;
+            }
+            if (DEAD_LETTER_STAGES.includes(result.stage)) {
+              deadLetters.push({
+                emitterId,
+                batchId,
+                messageIndex: i,
+                stage: result.stage,
+                error: result.reason,
+                ciphertext: encryptedMessages[i],
+                signatureAlgorithm: socket.data.emitter.signatureAlgorithm,
+                receivedAt,
+                ...(this.deadLetterRetentionMs > 0 ? { expireAt: new Date(startTime + this.deadLetterRetentionMs) } : {})
+              });
+            }
           }
           
         } catch (error) {
@@ -170,87 +686,350 @@ class ListenerService {
         }
       }
 
-      this.processingStats.totalProcessed += results.processedCount;
-      this.processingStats.totalValid += results.validCount;
-      this.processingStats.totalInvalid += results.invalidCount;
-      this.processingStats.totalSaved += results.savedCount;
-      this.processingStats.errors += results.errors.length;
+      // Persist the batch's dead letters, then every valid message in one bulk write
+      phase = 'save';
+      const writeStartedAt = Date.now();
+      try {
+        if (deadLetters.length > 0) {
+          await this.storage.addDeadLetters(deadLetters);
+          results.deadLetterCount = deadLetters.length;
+        }
+        if (validMessages.length > 0) {
+          const saved = await this.storage.addRecords(validMessages, {
+            emitterId,
+            maxRecordsPerBucket: this.maxRecordsPerBucket
+          });
+          results.savedCount = saved.savedCount;
+          if (saved.storedCount > 0) {
+            logger.info(`Batch ${batchId} resumed: ${saved.storedCount} of its records were stored by an earlier attempt`);
+          }
+        }
+      } catch (error) {
+        // Nothing is counted yet; forget the nonces so the emitter's retry is not seen as a replay
+        acceptedNonces.forEach(nonceKey => this.nonceCache.forget(nonceKey));
+        await this.storage.releaseNonces(claimedNonces, `${emitterId}:${batchId}`).catch(releaseError => {
+          logger.error(`Failed to release the nonces of batch ${batchId}:`, releaseError.message);
+        });
+        logger.error(`Failed to save ${validMessages.length} messages and ${deadLetters.length} dead letters:`, error.message);
+        throw error;
+      } finally {
+        this.metrics.storageWriteDuration.observe({ backend: this.storage.kind }, (Date.now() - writeStartedAt) / 1000);
+      }
 
       const processingTime = Date.now() - startTime;
       results.processingTime = processingTime;
       results.timestamp = new Date().toISOString();
 
+      // The records are stored, so the batch is answered ok and never
+      // released: a retry would see its messages as replays and count them
+      // again. completeBatch keeps retrying the ledger until it catches up.
+      claimed = false;
+      await this.completeBatch(emitterId, batchId, results);
+      this.recordBatchStats(emitterId, results);
+      this.metrics.batches.inc({ outcome: 'ok' });
+      this.metrics.batchDuration.observe({}, processingTime / 1000);
+
       logger.info(`Processed message stream in ${processingTime}ms:`, {
         processed: results.processedCount,
         valid: results.validCount,
         invalid: results.invalidCount,
         saved: results.savedCount,
-        errors: results.errors.length
+        late: results.lateCount,
+        sanitized: results.sanitizedCount,
+        replayed: results.replayedCount,
+        stale: results.staleCount,
+        deadLettered: results.deadLetterCount,
+        errors: results.errors.length,
+        timings: results.timings
       });
 
-      socket.emit('message_received', results);
-      
-      // Broadcast stats update to all frontend clients
-      this.broadcastStatsUpdate();
+      reply('message_received', { status: 'ok', ...results });
       
-      // If we saved data, fetch and broadcast recent data
       if (results.savedCount > 0) {
-        this.broadcastRecentData();
+        this.publishRecords(validMessages.map(data => feedRecord(data, emitterId, receivedAt)));
       }
 
     } catch (error) {
       logger.error('Failed to handle message stream:', error.message);
+      const reason = error.retryable === false ? ERROR_REASONS.read : ERROR_REASONS[phase];
+      this.recordStats(emitterId, { errors: 1, errorReasons: { [reason]: 1 } });
+      this.metrics.batches.inc({ outcome: 'error' });
+      this.metrics.errors.inc({ reason });
+
+      if (claimed) {
+        await this.storage.releaseBatch(emitterId, batchId).catch(releaseError => {
+          logger.error(`Failed to release batch ${batchId}:`, releaseError.message);
+        });
+      }
       
-      socket.emit('processing_error', {
+      reply('processing_error', {
+        status: 'error',
+        batchId,
+        retryable: error.retryable !== false,
         error: error.message,
         timestamp: new Date().toISOString()
       });
     }
   }
 
-  async processEncryptedMessage(encryptedMessage, index) {
+  // Marks a saved batch done in the ledger. On failure the claim is kept and
+  // the write retried every completeRetryMs; until it succeeds, a re-sent
+  // copy of the batch is answered as still being processed.
+  async completeBatch(emitterId, batchId, results) {
+    const key = `${emitterId}:${batchId}`;
+    this.unfinishedBatches.delete(key);
     try {
-      const decryptedString = decrypt(encryptedMessage);
-      const messageWithKey = JSON.parse(decryptedString);
-      
-      const isValid = validateSecretKey(messageWithKey);
-      
-      if (!isValid) {
-        logger.warn(`Invalid secret_key for message ${index}, discarding`);
-        return { valid: false, saved: false, reason: 'Invalid secret key' };
-      }
+      await this.storage.completeBatch(emitterId, batchId, results);
+    } catch (error) {
+      logger.error(`Failed to mark batch ${batchId} done, retrying in ${this.completeRetryMs}ms:`, error.message);
+      this.metrics.errors.inc({ reason: ERROR_REASONS.complete });
+      const timer = setTimeout(() => this.completeBatch(emitterId, batchId, results), this.completeRetryMs);
+      timer.unref();
+      this.unfinishedBatches.set(key, timer);
+    }
+  }
 
-      const { secret_key, ...originalMessage } = messageWithKey;
-      
-      const savedRecord = await TimeSeriesData.addRecord(originalMessage);
-      
-      logger.debug(`Successfully saved message ${index}:`, {
-        name: originalMessage.name,
-        route: `${originalMessage.origin}->${originalMessage.destination}`,
-        minuteBucket: savedRecord.minuteBucket
+  // Decodes one message on the main thread and checks it for replays;
+  // see createMessageDecoder for `options`
+  processEncryptedMessage(encryptedMessage, index, emitter, options) {
+    return this.acceptDecoded(this.decodeMessage(encryptedMessage, index, emitter, options), index, emitter);
+  }
+
+  // Checks a decoded message's nonce against the replay cache, and against
+  // the keys other instances have claimed, and gives the record its ID
+  acceptDecoded(result, index, emitter, sharedReplays = new Set()) {
+    if (!result.valid) {
+      return result;
+    }
+
+    const nonceKey = nonceKeyOf(emitter.emitterId, result.nonce);
+    if (!this.nonceCache.checkAndRemember(nonceKey) || sharedReplays.has(nonceKey)) {
+      logger.warn(`Rejected replayed message ${index} (nonce ${result.nonce})`);
+      return { valid: false, replayed: true, reason: 'Replayed message' };
+    }
+
+    return {
+      valid: true,
+      late: result.late,
+      sanitized: result.sanitized,
+      nonceKey,
+      data: { ...result.data, recordId: nonceKey }
+    };
+  }
+
+  // Decodes a batch in the worker pool, or on the main thread without one.
+  // Returns { results, timings } like DecryptPool.decode.
+  async decodeBatch(encryptedMessages, emitter, receivedAt) {
+    if (this.decryptPool) {
+      return this.decryptPool.decode(encryptedMessages, emitter, { receivedAt });
+    }
+
+    const startedAt = Date.now();
+    const stageMs = {};
+    const results = encryptedMessages.map((message, index) => this.decodeMessage(message, index, emitter, { receivedAt, timings: stageMs }));
+    return { results, timings: summarizeTimings(stageMs, Date.now() - startedAt) };
+  }
+
+  // Adds a stats delta (see utility/processingStats.js) to the totals and to
+  // the emitter's pending per-period stats
+  recordStats(emitterId, delta) {
+    addStats(this.processingStats, delta);
+    this.statsRecorder.record(emitterId, delta);
+  }
+
+  // Folds one batch's results into the processing stats and metrics
+  recordBatchStats(emitterId, results) {
+    this.recordStats(emitterId, {
+      totalReceived: results.messageCount,
+      totalProcessed: results.processedCount,
+      totalValid: results.validCount,
+      totalInvalid: results.invalidCount,
+      totalSaved: results.savedCount,
+      totalLate: results.lateCount,
+      totalReplayed: results.replayedCount,
+      totalStale: results.staleCount,
+      totalSanitized: results.sanitizedCount,
+      totalDeadLettered: results.deadLetterCount,
+      errors: results.errors.length,
+      invalidReasons: results.invalidReasons,
+      errorReasons: results.errors.length > 0 ? { [ERROR_REASONS.message]: results.errors.length } : {}
+    });
+
+    const { metrics } = this;
+    metrics.messagesReceived.inc({}, results.messageCount);
+    metrics.messagesValid.inc({}, results.validCount);
+    metrics.messagesSaved.inc({}, results.savedCount);
+    metrics.messagesDeadLettered.inc({}, results.deadLetterCount);
+    Object.entries(results.invalidReasons).forEach(([reason, count]) => {
+      metrics.messagesInvalid.inc({ reason }, count);
+    });
+    if (results.errors.length > 0) {
+      metrics.errors.inc({ reason: ERROR_REASONS.message }, results.errors.length);
+    }
+    metrics.decryptDuration.observe({}, results.timings.decrypt / 1000);
+  }
+
+  // Re-processes dead letters as they would have been processed on arrival,
+  // with the current keyring and the emitter's current signing key. Those
+  // that pass are stored; those failing at a dead-letter stage again stay
+  // pending, and the rest are marked rejected. Dead letters that are not
+  // pending (or are being re-processed elsewhere) are skipped.
+  //
+  // A dead letter whose status could not be updated is claimed again once
+  // its claim goes stale. Its record is then found stored and not saved a
+  // second time. Clustered, the nonces are claimed in storage as for live
+  // batches, so two instances cannot both store the same message.
+  async reprocessDeadLetters(ids) {
+    const claimed = await this.storage.claimDeadLetters(ids);
+    const outcomes = new Map();
+    let savedCount = 0;
+
+    const byEmitter = new Map();
+    claimed.forEach(deadLetter => {
+      byEmitter.set(deadLetter.emitterId, [...(byEmitter.get(deadLetter.emitterId) || []), deadLetter]);
+    });
+
+    for (const [emitterId, deadLetters] of byEmitter) {
+      const emitter = await this.storage.getEmitter(emitterId, { withSecret: true });
+      const decoded = [];
+
+      deadLetters.forEach(deadLetter => {
+        const id = deadLetter._id.toString();
+        if (!emitter) {
+          outcomes.set(id, { status: 'pending', error: 'Emitter not found' });
+          return;
+        }
+
+        const result = this.decodeMessage(deadLetter.ciphertext, deadLetter.messageIndex, {
+          emitterId,
+          signingKey: signingKeyFor(emitter),
+          signatureAlgorithm: deadLetter.signatureAlgorithm
+        }, { receivedAt: new Date(deadLetter.receivedAt).getTime() });
+
+        if (result.valid) {
+          decoded.push({ id, index: deadLetter.messageIndex, result, nonceKey: nonceKeyOf(emitterId, result.nonce) });
+        } else {
+          outcomes.set(id, { status: DEAD_LETTER_STAGES.includes(result.stage) ? 'pending' : 'rejected', error: result.reason });
+        }
       });
+      if (decoded.length === 0) {
+        continue;
+      }
 
-      return { 
-        valid: true, 
-        saved: true, 
-        data: originalMessage,
-        minuteBucket: savedRecord.minuteBucket 
-      };
+      const owner = `${emitterId}:reprocess-${crypto.randomUUID()}`;
+      let claimedNonces = [];
+      const accepted = [];
+      try {
+        const stored = new Set(await this.storage.storedRecordIds(decoded.map(({ nonceKey }) => nonceKey)));
+        const unstored = decoded.filter(({ id, nonceKey }) => {
+          if (stored.has(nonceKey)) {
+            outcomes.set(id, { status: 'reprocessed', recordId: nonceKey });
+            return false;
+          }
+          return true;
+        });
+
+        claimedNonces = this.clustered ? [...new Set(unstored.map(({ nonceKey }) => nonceKey))] : [];
+        const sharedReplays = new Set(await this.storage.claimNonces(claimedNonces, owner,
+          new Date(Date.now() + this.replayWindowMs)));
+
+        unstored.forEach(({ id, index, result }) => {
+          const checked = this.acceptDecoded(result, index, { emitterId }, sharedReplays);
+          if (checked.valid) {
+            accepted.push({ id, result: checked });
+          } else {
+            outcomes.set(id, { status: 'rejected', error: checked.reason });
+          }
+        });
+
+        if (accepted.length > 0) {
+          await this.storage.addRecords(accepted.map(({ result }) => result.data), {
+            emitterId,
+            maxRecordsPerBucket: this.maxRecordsPerBucket
+          });
+          accepted.forEach(({ id, result }) => outcomes.set(id, { status: 'reprocessed', recordId: result.data.recordId }));
+          savedCount += accepted.length;
+          this.recordStats(emitterId, { totalReprocessed: accepted.length, totalSaved: accepted.length });
+          const savedAt = new Date();
+          this.publishRecords(accepted.map(({ result }) => feedRecord(result.data, emitterId, savedAt)));
+        }
+      } catch (error) {
+        logger.error(`Failed to save ${decoded.length} re-processed messages:`, error.message);
+        accepted.forEach(({ result }) => this.nonceCache.forget(result.nonceKey));
+        await this.storage.releaseNonces(claimedNonces, owner).catch(releaseError => {
+          logger.error('Failed to release the nonces of re-processed messages:', releaseError.message);
+        });
+        decoded.filter(({ id }) => !outcomes.has(id)).forEach(({ id }) => {
+          outcomes.set(id, { status: 'pending', error: `Failed to save: ${error.message}` });
+        });
+      }
+    }
+
+    // The records are stored by now; a failed status update is reported, not thrown
+    const unfinished = [];
+    for (const [id, outcome] of outcomes) {
+      try {
+        await this.storage.finishDeadLetter(id, {
+          status: outcome.status,
+          lastError: outcome.error || null,
+          ...(outcome.recordId ? { recordId: outcome.recordId } : {})
+        });
+      } catch (error) {
+        logger.error(`Failed to update dead letter ${id}:`, error.message);
+        unfinished.push(id);
+      }
+    }
+
+    const results = Array.from(outcomes, ([id, outcome]) => ({ id, ...outcome }));
+    const reprocessed = results.filter(outcome => outcome.status === 'reprocessed').length;
+    this.metrics.messagesSaved.inc({}, savedCount);
+    logger.info(`Re-processed ${claimed.length} dead letters: ${reprocessed} stored, ${savedCount} of them now`);
+
+    const claimedIds = new Set(outcomes.keys());
+    return {
+      reprocessed,
+      results,
+      skipped: ids.filter(id => !claimedIds.has(id)),
+      unfinished
+    };
+  }
+
+  // Reloads nonces of records stored within the replay window, so a restart
+  // does not open a window in which captured messages could be replayed
+  async warmNonceCache() {
+    try {
+      const since = new Date(Date.now() - this.replayWindowMs);
+      const recent = await this.storage.recordIdsSince(since);
+
+      recent.forEach(({ recordId, timestamp }) => {
+        this.nonceCache.remember(recordId, new Date(timestamp).getTime() + this.replayWindowMs);
+      });
 
+      logger.info(`Loaded ${recent.length} recent nonces into the replay cache`);
     } catch (error) {
-      logger.error(`Failed to process encrypted message ${index}: ${error.message}`);
-      return { 
-        valid: false, 
-        saved: false, 
-        reason: error.message 
-      };
+      logger.error('Failed to warm replay cache:', error.message);
     }
   }
 
   async start() {
     try {
-      await connectDB();
-      logger.info('MongoDB connected successfully');
+      await this.storage.connect();
+      logger.info(`Storage ready (${this.storage.kind})`);
+
+      if (this.adapterKind === 'mongo') {
+        this.io.adapter(createBusAdapter(await createMongoBus()));
+      }
+      logger.info(`Socket.IO adapter: ${this.adapterKind} (instance ${this.instanceId})`);
+
+      await this.warmNonceCache();
+
+      if (this.rollupCompactor) {
+        this.rollupCompactor.start();
+      }
+      if (this.retentionJob) {
+        this.retentionJob.start();
+      }
+      this.startStatsFlush();
 
       this.server.listen(this.port, () => {
         logger.info(`Listener Service started on port ${this.port}`);
@@ -270,6 +1049,18 @@ class ListenerService {
   setupGracefulShutdown() {
     const gracefulShutdown = () => {
       logger.info('Received shutdown signal, closing server gracefully...');
+
+      if (this.rollupCompactor) {
+        this.rollupCompactor.stop();
+      }
+      if (this.retentionJob) {
+        this.retentionJob.stop();
+      }
+      if (this.decryptPool) {
+        this.decryptPool.close();
+      }
+      this.stopStatsFlush();
+      this.unfinishedBatches.forEach(timer => clearTimeout(timer));
       
       this.server.close(() => {
         logger.info('HTTP server closed');
@@ -277,10 +1068,14 @@ class ListenerService {
         this.io.close(() => {
           logger.info('Socket.IO server closed');
           
-          require('mongoose').connection.close();
-          logger.info('MongoDB connection closed');
-          logger.info('Listener Service shut down complete');
-          process.exit(0);
+          this.flushStats()
+            .then(() => this.storage.close())
+            .catch(error => logger.error('Failed to close storage:', error.message))
+            .then(() => {
+              logger.info('Storage closed');
+              logger.info('Listener Service shut down complete');
+              process.exit(0);
+            });
         });
       });
 
@@ -294,39 +1089,214 @@ class ListenerService {
     process.on('SIGINT', gracefulShutdown);
   }
 
-  broadcastStatsUpdate() {
-    if (this.frontendClients.size > 0) {
-      this.io.emit('stats_update', {
-        processingStats: this.processingStats,
+  // Drops live sockets belonging to an emitter, on whichever instance they
+  // are connected, e.g. after its credentials are revoked
+  disconnectEmitter(emitterId) {
+    this.io.in(`emitter:${emitterId}`).disconnectSockets(true);
+  }
+
+  // Emitters connected to this listener or, clustered, to any instance
+  async listConnectedEmitters() {
+    const sockets = await this.io.in('emitters').fetchSockets();
+    return sockets.map(socket => ({ id: socket.id, ...socket.data.connection }));
+  }
+
+  // Asks emitters to stop sending new batches while the queue is under pressure
+  broadcastFlowControl(paused) {
+    const load = this.getLoad();
+    logger.warn(paused
+      ? `Processing queue under pressure (${load.queuedBatches} batches queued) - pausing emitters`
+      : `Processing queue drained (${load.queuedBatches} batches queued) - resuming emitters`);
+
+    // Each instance paces its own emitters by its own queue
+    this.io.local.to('emitters').emit('flow_control', {
+      paused,
+      credits: this.emitterCredits,
+      load,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Short load summary sent to emitters with every ack
+  getLoad() {
+    const stats = this.batchQueue.getStats();
+    return {
+      activeBatches: stats.activeBatches,
+      queuedBatches: stats.queuedBatches,
+      maxQueued: stats.maxQueued,
+      paused: stats.paused,
+      oldestWaitMs: stats.oldestWaitMs
+    };
+  }
+
+  // Writes the pending per-period stats to storage, one flush at a time.
+  // Entries that fail to write are put back for the next flush. Resolves to
+  // how many were written.
+  flushStats() {
+    this.statsFlush = this.statsFlush.then(() => this.writePendingStats());
+    return this.statsFlush;
+  }
+
+  async writePendingStats() {
+    const entries = this.statsRecorder.drain();
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    try {
+      await this.storage.addStats(entries);
+      this.statsRecorder.written();
+      return entries.length;
+    } catch (error) {
+      logger.error(`Failed to write ${entries.length} processing stats entries:`, error.message);
+      this.statsRecorder.restore(entries);
+      return 0;
+    }
+  }
+
+  // Flushes every STATS_FLUSH_INTERVAL_MS
+  startStatsFlush() {
+    this.statsTimer = setInterval(() => this.publishStats(), this.statsFlushIntervalMs);
+    this.statsTimer.unref();
+  }
+
+  // Flushes the pending stats and, if there were any, pushes them to the
+  // dashboards here and asks the other instances to do the same for theirs
+  async publishStats() {
+    if (await this.flushStats() > 0) {
+      this.broadcastStatsUpdate();
+      if (this.clustered) {
+        this.io.serverSideEmit('stats_flushed');
+      }
+    }
+  }
+
+  stopStatsFlush() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = null;
+  }
+
+  // Stored and pending stats for a window (see resolveStatsWindow), optionally
+  // for one emitter. Returns null for a window that is not valid.
+  async getStats({ window = 'all', emitterId } = {}) {
+    const resolved = resolveStatsWindow(window);
+    if (!resolved) {
+      return null;
+    }
+
+    const query = { granularity: resolved.granularity, from: resolved.from, to: resolved.to, emitterId };
+    const stored = await this.storage.queryStats(query);
+    return summarizeStats([...stored, ...this.statsRecorder.find(query)], resolved);
+  }
+
+  // Moves a dashboard to the stats room of `window`; false if the window is not valid
+  setStatsWindow(socket, window) {
+    if (typeof window !== 'string' || !resolveStatsWindow(window)) {
+      return false;
+    }
+
+    if (socket.data.statsWindow) {
+      socket.leave(`stats:${socket.data.statsWindow}`);
+    }
+    socket.data.statsWindow = window;
+    socket.join(`stats:${window}`);
+    this.sendStatsUpdate(socket, window);
+    return true;
+  }
+
+  // Sends the stats of `window` to a socket or a room
+  async sendStatsUpdate(target, window) {
+    try {
+      const stats = await this.getStats({ window });
+      target.emit('stats_update', {
+        ...stats,
         timestamp: new Date().toISOString()
       });
+    } catch (error) {
+      logger.error('Failed to send processing stats:', error.message);
     }
   }
 
-  async broadcastRecentData() {
-    try {
-      const recentData = await TimeSeriesData.find()
-        .sort({ timestamp: -1 })
-        .limit(5)
-        .select('minuteBucket timestamp recordCount routes nameFrequency records');
-      
-      if (this.frontendClients.size > 0) {
-        this.io.emit('data_update', {
-          recentData,
-          timestamp: new Date().toISOString()
+  // Sends each dashboard on this instance the stats of the window it watches
+  broadcastStatsUpdate() {
+    if (this.frontendClients.size === 0) {
+      return;
+    }
+    for (const room of this.io.sockets.adapter.rooms.keys()) {
+      if (room.startsWith('stats:')) {
+        this.sendStatsUpdate(this.io.local.to(room), room.slice('stats:'.length));
+      }
+    }
+  }
+
+  // Joins a dashboard to a record subscription's room; returns the ack
+  subscribeRecords(socket, spec) {
+    const subscription = subscriptionKey(spec);
+    if (!subscription) {
+      return { status: 'error', error: 'Invalid record subscription' };
+    }
+
+    const held = Array.from(socket.rooms).filter(room => room.startsWith(ROOM_PREFIX));
+    if (held.length >= MAX_RECORD_SUBSCRIPTIONS && !held.includes(ROOM_PREFIX + subscription)) {
+      return { status: 'error', error: `At most ${MAX_RECORD_SUBSCRIPTIONS} record subscriptions` };
+    }
+    socket.join(ROOM_PREFIX + subscription);
+    return { status: 'ok', subscription };
+  }
+
+  unsubscribeRecords(socket, spec) {
+    const subscription = subscriptionKey(spec);
+    if (!subscription) {
+      return { status: 'error', error: 'Invalid record subscription' };
+    }
+    socket.leave(ROOM_PREFIX + subscription);
+    return { status: 'ok', subscription };
+  }
+
+  // Pushes newly saved records to the dashboards subscribed to them, here
+  // and, clustered, on every other instance
+  publishRecords(records) {
+    this.pushRecords(records);
+    if (this.clustered) {
+      this.io.serverSideEmit('records_saved', records);
+    }
+  }
+
+  // Sends each record subscription on this instance the records it matches
+  pushRecords(records) {
+    const now = new Date();
+    for (const room of this.io.sockets.adapter.rooms.keys()) {
+      if (!room.startsWith(ROOM_PREFIX)) {
+        continue;
+      }
+
+      const subscription = room.slice(ROOM_PREFIX.length);
+      const matching = records.filter(subscriptionFilter(subscription, now));
+      if (matching.length > 0) {
+        this.io.local.to(room).emit('records_update', {
+          subscription,
+          records: matching,
+          buckets: bucketDeltas(matching),
+          timestamp: now.toISOString()
         });
       }
-    } catch (error) {
-      logger.error('Failed to broadcast recent data:', error.message);
     }
   }
 
+  // Totals since start for /health, which is not authenticated; the
+  // breakdown by reason is served by /stats
+  getProcessingTotals() {
+    const { invalidReasons, errorReasons, ...totals } = this.processingStats;
+    return totals;
+  }
+
   getStatus() {
     return {
       port: this.port,
       connectedEmitters: this.connectedEmitters.size,
       frontendClients: this.frontendClients.size,
       processingStats: this.processingStats,
+      flowControl: this.batchQueue.getStats(),
       uptime: process.uptime()
     };
   }
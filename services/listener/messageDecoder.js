@@ -0,0 +1,114 @@
+const { performance } = require('perf_hooks');
+const { decrypt, validateSecretKey } = require('../../utility/crypto');
+const { checkEventTime } = require('../../utility/eventTime');
+const logger = require('../../utility/logger');
+
+// Decodes one encrypted message: decrypts it, parses the JSON, verifies the
+// signature and checks the payload schema and event time. It only depends
+// on its configuration and the clock, so it runs the same on the main thread
+// and in the decrypt workers. The replay check against the nonce cache is
+// left to the listener.
+//
+// Returns { valid: true, late, sanitized, nonce, data } or
+// { valid: false, reason, ... }. Decrypt, parse and signature failures
+// report their `stage`. Event time is judged against `receivedAt`, the
+// original arrival for a re-processed dead letter. Time spent per stage is
+// added to `timings` when given.
+
+const STAGES = ['decrypt', 'parse', 'signature', 'validation'];
+
+// Per-stage milliseconds of a batch, rounded, with every stage present
+function summarizeTimings(stageMs, wallMs) {
+  const round = ms => Math.round(ms * 100) / 100;
+  return {
+    ...Object.fromEntries(STAGES.map(stage => [stage, round(stageMs[stage] || 0)])),
+    wallMs: round(wallMs)
+  };
+}
+
+function createMessageDecoder({ eventTimePolicy, replayWindowMs, messageSchemas }) {
+  return function decodeMessage(encryptedMessage, index, emitter, { receivedAt = Date.now(), timings } = {}) {
+    let stage = 'decrypt';
+    let stageStart = performance.now();
+
+    // Closes the current stage's timing and starts the next one
+    const next = (nextStage) => {
+      if (timings) {
+        const now = performance.now();
+        timings[stage] = (timings[stage] || 0) + (now - stageStart);
+        stageStart = now;
+      }
+      stage = nextStage;
+    };
+
+    try {
+      const decryptedString = decrypt(encryptedMessage);
+      next('parse');
+      const messageWithKey = JSON.parse(decryptedString);
+
+      next('signature');
+      const isValid = validateSecretKey(messageWithKey, {
+        key: emitter.signingKey,
+        algorithm: emitter.signatureAlgorithm
+      });
+
+      if (!isValid) {
+        logger.warn(`Invalid secret_key for message ${index}, discarding`);
+        return { valid: false, stage, reason: 'Invalid secret key' };
+      }
+      next('validation');
+
+      const { secret_key, sig_alg, createdAt, nonce, schemaVersion, ...payload } = messageWithKey;
+
+      // Only the fields of the message's schema are kept
+      const checked = messageSchemas.validate(payload, schemaVersion);
+      if (!checked.valid) {
+        logger.warn(`Rejected message ${index}: ${checked.errors.map(({ field, message }) => `${field} ${message}`).join(', ')}`);
+        return { valid: false, reason: checked.reason, errors: checked.errors };
+      }
+
+      // Bucket by the signed event time, within the configured skew/lateness policy
+      const eventTime = checkEventTime(createdAt, eventTimePolicy, receivedAt);
+      if (!eventTime.accepted) {
+        logger.warn(`Rejected message ${index}: ${eventTime.reason} (createdAt: ${createdAt})`);
+        return { valid: false, reason: eventTime.reason };
+      }
+
+      // The late-data policy has accepted the message, but its nonce is only
+      // remembered for the replay window; anything older could be a replay
+      if (receivedAt - eventTime.timestamp.getTime() > replayWindowMs) {
+        logger.warn(`Rejected stale message ${index} (createdAt: ${createdAt})`);
+        return { valid: false, stale: true, reason: 'Stale message' };
+      }
+
+      if (typeof nonce !== 'string' || nonce.length === 0) {
+        return { valid: false, reason: 'Missing nonce' };
+      }
+
+      return {
+        valid: true,
+        late: eventTime.late,
+        sanitized: checked.sanitized.length > 0,
+        nonce,
+        data: { ...checked.value, timestamp: eventTime.timestamp }
+      };
+
+    } catch (error) {
+      logger.error(`Failed to process encrypted message ${index}: ${error.message}`);
+      return {
+        valid: false,
+        stage,
+        reason: error.message,
+        exception: true
+      };
+    } finally {
+      next(null);
+    }
+  };
+}
+
+module.exports = {
+  STAGES,
+  createMessageDecoder,
+  summarizeTimings
+};
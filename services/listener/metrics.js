@@ -0,0 +1,62 @@
+const { MetricsRegistry } = require('../../utility/metrics');
+
+// Prometheus metrics of a listener, served at GET /metrics. Counters cover
+// the same ground as processingStats; the histograms add the latency the
+// stats do not have. Gauges are read from the listener at scrape time.
+//
+// Reason labels come from small fixed sets: rejection reasons for invalid
+// messages, and ERROR_REASONS for batches and messages that failed.
+
+// A failed message, or the step a failed batch was at -> its `reason` label
+const ERROR_REASONS = {
+  message: 'Message error',
+  claim: 'Batch ledger',
+  read: 'Unreadable batch',
+  capacity: 'Replay cache full',
+  decode: 'Decode failure',
+  nonces: 'Replay check',
+  save: 'Storage failure',
+  complete: 'Batch ledger'
+};
+
+function createListenerMetrics(listener) {
+  const registry = new MetricsRegistry();
+
+  const metrics = {
+    registry,
+    messagesReceived: registry.counter('listener_messages_received_total', 'Messages received in batches'),
+    messagesValid: registry.counter('listener_messages_valid_total', 'Messages that passed every check'),
+    messagesInvalid: registry.counter('listener_messages_invalid_total', 'Messages rejected, by reason', { labelNames: ['reason'] }),
+    messagesSaved: registry.counter('listener_messages_saved_total', 'Records written to storage, including re-processed dead letters'),
+    messagesDeadLettered: registry.counter('listener_messages_dead_lettered_total', 'Messages kept as dead letters'),
+    errors: registry.counter('listener_errors_total', 'Failed batches and messages, by reason', { labelNames: ['reason'] }),
+    batches: registry.counter('listener_batches_total', 'Batches answered, by outcome', { labelNames: ['outcome'] }),
+    batchesRefused: registry.counter('listener_batches_refused_total', 'Batches refused by flow control, by reason', { labelNames: ['reason'] }),
+
+    batchDuration: registry.histogram('listener_batch_duration_seconds', 'Time to process a batch, from arrival to ack'),
+    decryptDuration: registry.histogram('listener_decrypt_duration_seconds', 'Time spent decrypting the messages of a batch, summed over workers'),
+    storageWriteDuration: registry.histogram('listener_storage_write_duration_seconds', 'Time to write a batch\'s records and dead letters', {
+      labelNames: ['backend']
+    })
+  };
+
+  registry.gauge('listener_connected_emitters', 'Emitters connected over Socket.IO', {
+    collect: () => listener.connectedEmitters.size
+  });
+  registry.gauge('listener_frontend_clients', 'Dashboards connected over Socket.IO', {
+    collect: () => listener.frontendClients.size
+  });
+  registry.gauge('listener_queued_batches', 'Batches waiting in the processing queue', {
+    collect: () => listener.batchQueue.getStats().queuedBatches
+  });
+  registry.gauge('listener_active_batches', 'Batches being processed', {
+    collect: () => listener.batchQueue.getStats().activeBatches
+  });
+
+  return metrics;
+}
+
+module.exports = {
+  ERROR_REASONS,
+  createListenerMetrics
+};
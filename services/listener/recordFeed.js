@@ -0,0 +1,107 @@
+const { resolveStatsWindow } = require('../../utility/processingStats');
+
+// Incremental pushes of saved records to dashboards. Instead of re-reading
+// the latest minutes after every batch, the listener that saved a batch
+// hands its records to the feed; clustered, it also forwards them once to
+// the other instances (see clusterAdapter.js). Every instance then sends
+// each subscription on it the records that match. Records come from the
+// saves themselves rather than from change streams: every write passes
+// through a listener, and native time-series collections have none.
+//
+// Dashboards subscribe with `subscribe_records` to any of:
+//   { all: true }           every record                  -> "all"
+//   { route: 'A->B' }       records from A to B           -> "route:A->B"
+//   { name: 'Jane Doe' }    records with that name        -> "name:Jane Doe"
+//   { window: '15m' }       records whose event time is   -> "window:15m"
+//                           within the window (see resolveStatsWindow)
+// Each subscription is a Socket.IO room ("records:<key>"), and gets
+// `records_update` events with the new records it matches and the per-minute
+// counts they add. A record matching several subscriptions of one dashboard
+// is sent once for each.
+
+const ROOM_PREFIX = 'records:';
+const SUBSCRIPTION_KINDS = ['all', 'route', 'name', 'window'];
+const MAX_VALUE_LENGTH = 200;
+
+function validValue(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_VALUE_LENGTH;
+}
+
+// A subscription's key, or null when it is not valid or names more than one kind
+function subscriptionKey(spec) {
+  const kinds = spec && typeof spec === 'object' ? SUBSCRIPTION_KINDS.filter(kind => spec[kind] !== undefined) : [];
+  if (kinds.length !== 1) {
+    return null;
+  }
+
+  const [kind] = kinds;
+  const value = spec[kind];
+  if (kind === 'all') {
+    return value === true ? 'all' : null;
+  }
+  if (!validValue(value)
+    || (kind === 'route' && !/^.+->.+$/.test(value))
+    || (kind === 'window' && (value === 'all' || !resolveStatsWindow(value)))) {
+    return null;
+  }
+  return `${kind}:${value}`;
+}
+
+function routeOf(record) {
+  return `${record.origin}->${record.destination}`;
+}
+
+// Which records a subscription key matches
+function subscriptionFilter(key, now = new Date()) {
+  const separator = key.indexOf(':');
+  const kind = separator === -1 ? key : key.slice(0, separator);
+  const value = key.slice(separator + 1);
+
+  if (kind === 'route') {
+    return record => routeOf(record) === value;
+  }
+  if (kind === 'name') {
+    return record => record.name === value;
+  }
+  if (kind === 'window') {
+    const { from } = resolveStatsWindow(value, now);
+    return record => new Date(record.timestamp) >= from;
+  }
+  return () => true;
+}
+
+// A saved message as dashboards are sent it, with the fields storage adds
+function feedRecord(data, emitterId, receivedAt) {
+  return {
+    recordId: data.recordId,
+    name: data.name,
+    origin: data.origin,
+    destination: data.destination,
+    timestamp: data.timestamp ? new Date(data.timestamp) : receivedAt,
+    emitterId,
+    receivedAt
+  };
+}
+
+// What the records add to each minute, shaped like the recent minutes
+function bucketDeltas(records) {
+  const minutes = new Map();
+  records.forEach(record => {
+    const minuteBucket = new Date(record.timestamp).toISOString().substring(0, 16);
+    minutes.set(minuteBucket, (minutes.get(minuteBucket) || 0) + 1);
+  });
+
+  return Array.from(minutes, ([minuteBucket, recordCount]) => ({
+    minuteBucket,
+    timestamp: new Date(`${minuteBucket}:00.000Z`),
+    recordCount
+  })).sort((a, b) => b.timestamp - a.timestamp);
+}
+
+module.exports = {
+  ROOM_PREFIX,
+  subscriptionKey,
+  subscriptionFilter,
+  feedRecord,
+  bucketDeltas
+};
@@ -0,0 +1,141 @@
+const cookie = require('cookie');
+const logger = require('../../utility/logger');
+const { negotiateSignatureAlgorithm } = require('../../utility/crypto');
+const { negotiateStreamFormat } = require('../../utility/messageFraming');
+const {
+  ACCESS_COOKIE,
+  verifyAccessToken,
+  verifyEmitterToken
+} = require('../../utility/authTokens');
+
+// Socket.IO middleware that classifies every connection by its credentials
+// instead of by user-agent or query flags:
+//   - handshake.auth.token holding a valid emitter token -> emitter
+//   - a dashboard session cookie                          -> frontend
+// Anything else is rejected before the connection is established.
+//
+// Emitters also offer the signature algorithms they support
+// (handshake.auth.signatureAlgorithms, in preference order); the first one we
+// support is recorded on the socket and announced in the session_config event.
+// The batch wire format is agreed on the same way from
+// handshake.auth.streamFormats and handshake.auth.compressions; emitters that
+// offer neither send text streams.
+
+function unauthorized(message, code = 'UNAUTHORIZED') {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+const SIGNING_KEY_MODES = ['emitter', 'shared'];
+
+// Reads SIGNING_KEY_MODE; throws for an unknown mode or a shared mode without
+// SIGNING_KEY, which would fail every message at the signature check
+function loadSigningKeyMode(env = process.env) {
+  const mode = env.SIGNING_KEY_MODE || 'emitter';
+  if (!SIGNING_KEY_MODES.includes(mode)) {
+    throw new Error(`SIGNING_KEY_MODE must be one of: ${SIGNING_KEY_MODES.join(', ')}`);
+  }
+  if (mode === 'shared' && !env.SIGNING_KEY) {
+    throw new Error('SIGNING_KEY_MODE=shared needs SIGNING_KEY');
+  }
+  return mode;
+}
+
+// Messages are signed with the emitter's own secret unless a shared key is configured
+function signingKeyFor(emitter, mode = loadSigningKeyMode()) {
+  return mode === 'shared' ? process.env.SIGNING_KEY : emitter.secret;
+}
+
+async function authenticateEmitter(storage, socket, token) {
+  let claims;
+  try {
+    claims = verifyEmitterToken(token);
+  } catch (error) {
+    // An expired token can be renewed (POST /emitters/token); anything else needs new credentials
+    throw unauthorized(`Invalid emitter token: ${error.message}`,
+      error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'UNAUTHORIZED');
+  }
+
+  const emitter = await storage.getEmitter(claims.sub, { withSecret: true });
+  if (!emitter || emitter.revoked) {
+    throw unauthorized('Emitter is not registered or has been revoked');
+  }
+  if (emitter.tokenVersion !== claims.ver) {
+    throw unauthorized('Emitter token has been superseded');
+  }
+
+  await storage.touchEmitter(emitter.emitterId, { lastSeenAt: new Date(), lastAddress: socket.handshake.address });
+
+  const signatureAlgorithm = negotiateSignatureAlgorithm(socket.handshake.auth.signatureAlgorithms);
+  if (!signatureAlgorithm) {
+    throw unauthorized('No mutually supported signature algorithm', 'UNSUPPORTED_SIGNATURE');
+  }
+
+  const stream = negotiateStreamFormat(socket.handshake.auth.streamFormats, socket.handshake.auth.compressions);
+  if (!stream) {
+    throw unauthorized('No mutually supported stream format', 'UNSUPPORTED_STREAM_FORMAT');
+  }
+
+  const signingKeyMode = loadSigningKeyMode();
+
+  return {
+    emitterId: emitter.emitterId,
+    name: emitter.name,
+    signingKeyMode,
+    signingKey: signingKeyFor(emitter, signingKeyMode),
+    signatureAlgorithm,
+    streamFormat: stream.streamFormat,
+    compression: stream.compression
+  };
+}
+
+function authenticateFrontend(socket) {
+  const cookies = cookie.parse(socket.handshake.headers.cookie || '');
+  const token = cookies[ACCESS_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const claims = verifyAccessToken(token);
+    return { id: claims.sub, email: claims.email, role: claims.role };
+  } catch (error) {
+    throw unauthorized('Dashboard session expired');
+  }
+}
+
+// Builds the middleware; emitters are looked up in `storage`
+function createSocketAuth(storage) {
+  return (socket, next) => socketAuth(storage, socket, next);
+}
+
+async function socketAuth(storage, socket, next) {
+  try {
+    const { token } = socket.handshake.auth || {};
+
+    if (token) {
+      socket.data.clientType = 'emitter';
+      socket.data.emitter = await authenticateEmitter(storage, socket, token);
+      return next();
+    }
+
+    const user = authenticateFrontend(socket);
+    if (user) {
+      socket.data.clientType = 'frontend';
+      socket.data.user = user;
+      return next();
+    }
+
+    next(unauthorized('Authentication required'));
+  } catch (error) {
+    logger.warn(`Rejected socket handshake from ${socket.handshake.address}: ${error.message}`);
+    next(error.data ? error : unauthorized('Authentication failed'));
+  }
+}
+
+module.exports = {
+  createSocketAuth,
+  loadSigningKeyMode,
+  signingKeyFor
+};
@@ -0,0 +1,655 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utility/logger');
+const { emptyStats, addStats } = require('../utility/processingStats');
+
+// Storage without a database, for local demos and tests. Each kind of data
+// is an append-only JSON-lines log in `dir`:
+//   records.jsonl      one line per stored message
+//   batches.jsonl      claim / complete / release entries of the batch ledger
+//   deadLetters.jsonl  the full dead letter after every change
+//   emitters.jsonl     the full emitter after every change, or a `touch`
+//                      entry with its new lastSeenAt and lastAddress
+//   users.jsonl        the full user after every change
+//   stats.jsonl        processing stats deltas, summed per period and emitter
+// Logs are replayed into memory on connect, and lines appended by another
+// process (the server reading what the listener wrote) are picked up before
+// every read. Each log must only be written by one process: the listener
+// writes records, batches, dead letters, emitters and stats; the server
+// writes users.
+// Queries scan memory, so this is meant for thousands of records, not millions.
+
+const MINUTE_MS = 60 * 1000;
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const LOGS = ['records', 'batches', 'deadLetters', 'emitters', 'users', 'stats'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+// Fields the models type as Date. Other strings stay strings even when they
+// look like a date, such as a message name.
+const DATE_FIELDS = new Set(['timestamp', 'receivedAt', 'createdAt', 'updatedAt', 'expireAt', 'claimedAt',
+  'completedAt', 'lastAttemptAt', 'lastSeenAt', 'lastLoginAt', 'periodStart']);
+
+// Formats of a UTC minute, hour or day, matching Rollup.getCounts
+const PERIOD_LENGTHS = { minute: 16, hour: 13, day: 10 };
+const PERIOD_SUFFIXES = { minute: ':00.000Z', hour: ':00:00.000Z', day: 'T00:00:00.000Z' };
+
+function reviveDates(key, value) {
+  return DATE_FIELDS.has(key) && typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+function inRange(record, from, to) {
+  return record.timestamp >= from && record.timestamp <= to;
+}
+
+// Counts of `key(record)` over records, largest first
+function countBy(records, key) {
+  const counts = new Map();
+  records.forEach(record => {
+    const value = key(record);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+}
+
+function deadLetterKey(entry) {
+  return `${entry.emitterId}:${entry.batchId}:${entry.messageIndex}`;
+}
+
+function statsKey(entry) {
+  return `${entry.granularity}|${new Date(entry.periodStart).getTime()}|${entry.emitterId}`;
+}
+
+function routeOf(record) {
+  return `${record.origin}->${record.destination}`;
+}
+
+class FileStorage {
+  constructor({ dir }) {
+    this.kind = 'file';
+    this.dir = dir;
+    this.queue = Promise.resolve();
+    this.offsets = {};
+    this.reset();
+    // Nonce claims are not logged: they only span the listeners of one process
+    this.nonces = new Map();
+  }
+
+  reset() {
+    this.records = [];
+    this.batches = new Map();
+    this.deadLetters = new Map();
+    this.emitters = new Map();
+    this.users = new Map();
+    this.stats = new Map();
+    LOGS.forEach(log => {
+      this.offsets[log] = 0;
+    });
+  }
+
+  // Runs reads and writes one at a time, so a check and the append that
+  // depends on it cannot interleave with another operation
+  run(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async connect() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await this.run(() => this.refresh());
+    logger.info(`Using file storage in ${this.dir} (${this.records.length} records)`);
+  }
+
+  async close() {
+    await this.queue;
+  }
+
+  getStatus() {
+    return {
+      backend: this.kind,
+      dir: this.dir,
+      records: this.records.length,
+      deadLetters: this.deadLetters.size,
+      emitters: this.emitters.size,
+      users: this.users.size,
+      stats: this.stats.size
+    };
+  }
+
+  file(log) {
+    return path.join(this.dir, `${log}.jsonl`);
+  }
+
+  // Applies lines appended to the logs since they were last read
+  async refresh(logs = LOGS) {
+    for (const log of logs) {
+      let size;
+      try {
+        size = (await fs.promises.stat(this.file(log))).size;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+      if (size === this.offsets[log]) {
+        continue;
+      }
+      if (size < this.offsets[log]) {
+        // The log was replaced; start over from every log
+        this.reset();
+        return this.refresh();
+      }
+
+      const handle = await fs.promises.open(this.file(log), 'r');
+      try {
+        const buffer = Buffer.alloc(size - this.offsets[log]);
+        await handle.read(buffer, 0, buffer.length, this.offsets[log]);
+
+        // A line still being written by another process is read next time
+        const complete = buffer.lastIndexOf('\n') + 1;
+        buffer.subarray(0, complete).toString('utf8').split('\n')
+          .filter(line => line)
+          .forEach(line => this.apply(log, JSON.parse(line, reviveDates)));
+        this.offsets[log] += complete;
+      } finally {
+        await handle.close();
+      }
+    }
+  }
+
+  async append(log, entries) {
+    await this.refresh([log]);
+    const text = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    await fs.promises.appendFile(this.file(log), text);
+    this.offsets[log] += Buffer.byteLength(text);
+    entries.forEach(entry => this.apply(log, JSON.parse(JSON.stringify(entry), reviveDates)));
+  }
+
+  apply(log, entry) {
+    if (log === 'records') {
+      this.records.push(entry);
+    } else if (log === 'batches') {
+      if (entry.op === 'release') {
+        this.batches.delete(entry._id);
+      } else {
+        this.batches.set(entry._id, { ...this.batches.get(entry._id), ...entry });
+      }
+    } else if (log === 'deadLetters') {
+      this.deadLetters.set(entry._id, entry);
+    } else if (log === 'emitters') {
+      if (entry.op === 'touch') {
+        const { op, ...fields } = entry;
+        if (this.emitters.has(entry.emitterId)) {
+          this.emitters.set(entry.emitterId, { ...this.emitters.get(entry.emitterId), ...fields });
+        }
+      } else {
+        this.emitters.set(entry.emitterId, entry);
+      }
+    } else if (log === 'stats') {
+      const key = statsKey(entry);
+      if (!this.stats.has(key)) {
+        this.stats.set(key, { ...entry, stats: emptyStats() });
+      }
+      addStats(this.stats.get(key).stats, entry.stats);
+    } else {
+      this.users.set(entry._id, entry);
+    }
+  }
+
+  // Reads run after pending writes and pick up other processes' appends
+  read(compute) {
+    return this.run(async () => {
+      await this.refresh();
+      return compute();
+    });
+  }
+
+  // Records
+
+  addRecords(messages, context = {}) {
+    if (!messages || messages.length === 0) {
+      return Promise.resolve({ savedCount: 0, minuteBuckets: [] });
+    }
+
+    const receivedAt = new Date();
+    const minutes = new Set();
+    const records = messages.map(messageData => {
+      const timestamp = messageData.timestamp ? new Date(messageData.timestamp) : receivedAt;
+      minutes.add(timestamp.toISOString().substring(0, 16));
+      return {
+        name: messageData.name,
+        origin: messageData.origin,
+        destination: messageData.destination,
+        timestamp,
+        recordId: messageData.recordId || `${timestamp.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+        emitterId: context.emitterId,
+        receivedAt
+      };
+    });
+
+    return this.run(async () => {
+      await this.append('records', records);
+      return { savedCount: records.length, minuteBuckets: Array.from(minutes) };
+    });
+  }
+
+  // Same filters, options and ordering as TimeSeriesData.findRecords
+  queryRange(filters, { sort = -1, limit = 100, after } = {}) {
+    return this.read(() => {
+      const compare = (a, b) => ((a.timestamp - b.timestamp) || a.recordId.localeCompare(b.recordId)) * sort;
+      return this.records
+        .filter(record => inRange(record, filters.from, filters.to)
+          && ['name', 'origin', 'destination', 'emitterId'].every(field => !filters[field] || record[field] === filters[field])
+          && (!after || compare(record, after) > 0))
+        .sort(compare)
+        .slice(0, limit)
+        .map(record => ({ ...record }));
+    });
+  }
+
+  // Same rows as Rollup.getCounts, computed from the records
+  counts(from, to, interval) {
+    return this.read(() => {
+      const periods = new Map();
+      this.records.filter(record => inRange(record, from, to)).forEach(record => {
+        const period = record.timestamp.toISOString().substring(0, PERIOD_LENGTHS[interval]) + PERIOD_SUFFIXES[interval];
+        const row = periods.get(period) || { period, recordCount: 0, minutes: new Set() };
+        row.recordCount++;
+        row.minutes.add(Math.floor(record.timestamp.getTime() / MINUTE_MS));
+        periods.set(period, row);
+      });
+
+      const rows = Array.from(periods.values())
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(({ period, recordCount, minutes }) => ({
+          period,
+          recordCount,
+          minuteBuckets: minutes.size,
+          avgRecordsPerMinute: recordCount / minutes.size
+        }));
+      return { rows, segments: this.segments(from, to) };
+    });
+  }
+
+  topRoutes(from, to, limit = 10) {
+    return this.top(routeOf, from, to, limit);
+  }
+
+  topNames(from, to, limit = 10) {
+    return this.top(record => record.name, from, to, limit);
+  }
+
+  top(key, from, to, limit) {
+    return this.read(() => ({
+      rows: countBy(this.records.filter(record => inRange(record, from, to)), key)
+        .slice(0, limit)
+        .map(({ value, count }) => ({ _id: value, totalCount: count })),
+      segments: this.segments(from, to)
+    }));
+  }
+
+  // Everything is answered from the records themselves
+  segments(from, to) {
+    return [{ resolution: 'minute', from: new Date(from), to: new Date(new Date(to).getTime() + 1) }];
+  }
+
+  // The `limit` most recent minutes, shaped like TimeSeriesData.getRecentMinutes
+  recent(limit = 10, { withRecords = false } = {}) {
+    return this.read(() => {
+      const minutes = new Map();
+      this.records.forEach(record => {
+        const minute = Math.floor(record.timestamp.getTime() / MINUTE_MS) * MINUTE_MS;
+        const records = minutes.get(minute) || [];
+        records.push(record);
+        minutes.set(minute, records);
+      });
+
+      return Array.from(minutes.keys())
+        .sort((a, b) => b - a)
+        .slice(0, limit)
+        .map(minute => {
+          const records = minutes.get(minute);
+          const timestamp = new Date(minute);
+          return {
+            minuteBucket: timestamp.toISOString().substring(0, 16),
+            timestamp,
+            recordCount: records.length,
+            routes: countBy(records, routeOf).map(({ value, count }) => ({ route: value, count })),
+            nameFrequency: countBy(records, record => record.name).map(({ value, count }) => ({ name: value, count })),
+            ...(withRecords ? { records: records.map(record => ({ ...record })).sort((a, b) => a.timestamp - b.timestamp) } : {})
+          };
+        });
+    });
+  }
+
+  recordIdsSince(since) {
+    return this.read(() => this.records
+      .filter(record => record.timestamp >= since)
+      .map(({ recordId, timestamp }) => ({ recordId, timestamp }))
+      .sort((a, b) => a.timestamp - b.timestamp));
+  }
+
+  // The IDs among `recordIds` that are stored
+  storedRecordIds(recordIds) {
+    return this.read(() => {
+      const wanted = new Set(recordIds);
+      return this.records.filter(record => wanted.has(record.recordId)).map(record => record.recordId);
+    });
+  }
+
+  // Batches - same results as the ProcessedBatch statics
+
+  claimBatch(emitterId, batchId, retentionMs) {
+    const _id = `${emitterId}:${batchId}`;
+    return this.run(async () => {
+      await this.refresh(['batches']);
+      const now = new Date();
+      const existing = this.batches.get(_id);
+
+      if (existing && existing.expireAt > now
+        && !(existing.status === 'processing' && now - existing.claimedAt > STALE_CLAIM_MS)) {
+        return { claimed: false, status: existing.status, results: existing.results };
+      }
+
+      await this.append('batches', [{
+        op: 'claim',
+        _id,
+        status: 'processing',
+        results: null,
+        claimedAt: now,
+        expireAt: new Date(now.getTime() + retentionMs)
+      }]);
+      return { claimed: true };
+    });
+  }
+
+  completeBatch(emitterId, batchId, results) {
+    return this.run(() => this.append('batches', [{
+      op: 'complete',
+      _id: `${emitterId}:${batchId}`,
+      status: 'done',
+      results,
+      completedAt: new Date()
+    }]));
+  }
+
+  releaseBatch(emitterId, batchId) {
+    return this.run(() => this.append('batches', [{ op: 'release', _id: `${emitterId}:${batchId}` }]));
+  }
+
+  // Nonces - the same results as the NonceClaim statics
+
+  claimNonces(keys, owner, expireAt) {
+    return this.run(() => {
+      const now = new Date();
+      this.nonces.forEach((claim, key) => {
+        if (claim.expireAt <= now) {
+          this.nonces.delete(key);
+        }
+      });
+
+      const taken = [];
+      keys.forEach(key => {
+        const claim = this.nonces.get(key);
+        if (claim) {
+          if (claim.owner !== owner) {
+            taken.push(key);
+          }
+        } else {
+          this.nonces.set(key, { owner, expireAt });
+        }
+      });
+      return taken;
+    });
+  }
+
+  releaseNonces(keys, owner) {
+    return this.run(() => {
+      keys.forEach(key => {
+        const claim = this.nonces.get(key);
+        if (claim && claim.owner === owner) {
+          this.nonces.delete(key);
+        }
+      });
+    });
+  }
+
+  // Dead letters - the same results as the DeadLetter statics
+
+  addDeadLetters(entries) {
+    return this.run(async () => {
+      await this.refresh(['deadLetters']);
+      const stored = new Set(Array.from(this.deadLetters.values(), deadLetterKey));
+      const added = entries
+        .filter(entry => !stored.has(deadLetterKey(entry)))
+        .map(entry => ({ _id: crypto.randomBytes(12).toString('hex'), status: 'pending', attempts: 0, ...entry }));
+      if (added.length > 0) {
+        await this.append('deadLetters', added);
+      }
+    });
+  }
+
+  listDeadLetters(filters, { limit = 100, after } = {}) {
+    return this.read(() => {
+      const now = new Date();
+      const compare = (a, b) => (b.receivedAt - a.receivedAt) || b._id.localeCompare(a._id);
+      const afterEntry = after && { receivedAt: after.receivedAt, _id: after.id };
+      return Array.from(this.deadLetters.values())
+        .filter(entry => entry.receivedAt >= filters.from && entry.receivedAt <= filters.to
+          && !(entry.expireAt && entry.expireAt <= now)
+          && ['emitterId', 'batchId', 'stage', 'status'].every(field => !filters[field] || entry[field] === filters[field])
+          && (!afterEntry || compare(entry, afterEntry) > 0))
+        .sort(compare)
+        .slice(0, limit)
+        .map(entry => ({ ...entry }));
+    });
+  }
+
+  claimDeadLetters(ids) {
+    return this.run(async () => {
+      await this.refresh(['deadLetters']);
+      const now = new Date();
+      const claimable = ids
+        .map(id => this.deadLetters.get(String(id)))
+        .filter(entry => entry && (entry.status === 'pending'
+          || (entry.status === 'reprocessing' && now - entry.claimedAt > STALE_CLAIM_MS)));
+
+      const claimed = claimable.map(entry => ({ ...entry, status: 'reprocessing', claimedAt: now }));
+      if (claimed.length > 0) {
+        await this.append('deadLetters', claimed);
+      }
+      return claimed.map(entry => ({ ...entry }));
+    });
+  }
+
+  finishDeadLetter(id, fields) {
+    return this.run(async () => {
+      await this.refresh(['deadLetters']);
+      const entry = this.deadLetters.get(String(id));
+      if (entry) {
+        const { claimedAt, ...rest } = entry;
+        await this.append('deadLetters', [{ ...rest, ...fields, attempts: entry.attempts + 1, lastAttemptAt: new Date() }]);
+      }
+    });
+  }
+
+  // Processing stats - the same entries as the ProcessingStat statics
+
+  addStats(entries) {
+    if (entries.length === 0) {
+      return Promise.resolve();
+    }
+    return this.run(() => this.append('stats', entries));
+  }
+
+  queryStats({ granularity, from, to, emitterId }) {
+    return this.read(() => {
+      const now = new Date();
+      return Array.from(this.stats.values())
+        .filter(entry => entry.granularity === granularity
+          && entry.periodStart >= from && entry.periodStart <= to
+          && !(entry.expireAt && entry.expireAt <= now)
+          && (!emitterId || entry.emitterId === emitterId))
+        .sort((a, b) => a.periodStart - b.periodStart)
+        .map(entry => ({ ...entry, stats: addStats(emptyStats(), entry.stats) }));
+    });
+  }
+
+  // Emitters - the same fields as the Emitter model
+
+  registerEmitter(name) {
+    return this.run(async () => {
+      await this.refresh(['emitters']);
+      if (Array.from(this.emitters.values()).some(emitter => emitter.name === name)) {
+        return null;
+      }
+
+      const now = new Date();
+      const emitter = {
+        emitterId: `em_${crypto.randomBytes(8).toString('hex')}`,
+        name,
+        secret: crypto.randomBytes(32).toString('hex'),
+        tokenVersion: 1,
+        revoked: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.append('emitters', [emitter]);
+      return { ...emitter };
+    });
+  }
+
+  getEmitter(emitterId, { withSecret = false } = {}) {
+    return this.read(() => {
+      const emitter = this.emitters.get(emitterId);
+      if (!emitter) {
+        return null;
+      }
+      const { secret, ...rest } = emitter;
+      return withSecret ? { ...emitter } : rest;
+    });
+  }
+
+  listEmitters() {
+    return this.read(() => Array.from(this.emitters.values())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(({ secret, ...emitter }) => emitter));
+  }
+
+  // Applies `change` to a stored emitter and returns the result, or null if it does not exist
+  updateEmitter(emitterId, change) {
+    return this.run(async () => {
+      await this.refresh(['emitters']);
+      const emitter = this.emitters.get(emitterId);
+      if (!emitter) {
+        return null;
+      }
+      const updated = { ...emitter, ...change(emitter), updatedAt: new Date() };
+      await this.append('emitters', [updated]);
+      return { ...updated };
+    });
+  }
+
+  async revokeEmitter(emitterId) {
+    const emitter = await this.updateEmitter(emitterId, () => ({ revoked: true }));
+    if (emitter) {
+      delete emitter.secret;
+    }
+    return emitter;
+  }
+
+  // Re-issues the secret, invalidates older tokens and reinstates a revoked emitter
+  rotateEmitter(emitterId) {
+    return this.updateEmitter(emitterId, emitter => ({
+      secret: crypto.randomBytes(32).toString('hex'),
+      revoked: false,
+      tokenVersion: emitter.tokenVersion + 1
+    }));
+  }
+
+  // Logs only the touched fields: every handshake touches its emitter, and
+  // the full emitter would repeat its secret in the log each time
+  touchEmitter(emitterId, { lastSeenAt, lastAddress }) {
+    return this.run(async () => {
+      await this.refresh(['emitters']);
+      if (this.emitters.has(emitterId)) {
+        await this.append('emitters', [{ op: 'touch', emitterId, lastSeenAt, lastAddress }]);
+      }
+    });
+  }
+
+  // Users - the same fields as the User model
+
+  countUsers() {
+    return this.read(() => this.users.size);
+  }
+
+  createUser(fields) {
+    return this.run(async () => {
+      await this.refresh(['users']);
+      const users = Array.from(this.users.values());
+      const email = fields.email.trim().toLowerCase();
+      if (users.some(user => user.email === email || (fields.firstUser && user.firstUser))) {
+        return null;
+      }
+
+      const now = new Date();
+      const user = {
+        _id: crypto.randomBytes(12).toString('hex'),
+        role: 'viewer',
+        tokenVersion: 0,
+        ...fields,
+        name: fields.name.trim(),
+        email,
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.append('users', [user]);
+      const { passwordHash, ...rest } = user;
+      return rest;
+    });
+  }
+
+  getUser(id) {
+    return this.read(() => {
+      const user = this.users.get(String(id));
+      if (!user) {
+        return null;
+      }
+      const { passwordHash, ...rest } = user;
+      return rest;
+    });
+  }
+
+  findUserByEmail(email, { withPassword = false } = {}) {
+    return this.read(() => {
+      const user = Array.from(this.users.values()).find(candidate => candidate.email === email.trim().toLowerCase());
+      if (!user) {
+        return null;
+      }
+      const { passwordHash, ...rest } = user;
+      return withPassword ? { ...user } : rest;
+    });
+  }
+
+  updateUser(id, change) {
+    return this.run(async () => {
+      await this.refresh(['users']);
+      const user = this.users.get(String(id));
+      if (user) {
+        await this.append('users', [{ ...user, ...change(user), updatedAt: new Date() }]);
+      }
+    });
+  }
+
+  recordLogin(id) {
+    return this.updateUser(id, () => ({ lastLoginAt: new Date() }));
+  }
+
+  revokeUserTokens(id) {
+    return this.updateUser(id, user => ({ tokenVersion: user.tokenVersion + 1 }));
+  }
+}
+
+module.exports = FileStorage;
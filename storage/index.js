@@ -0,0 +1,85 @@
+// Storage used by the listener and the server, chosen with STORAGE_BACKEND:
+//   mongo (default)  MongoStorage - MongoDB through the models in models/
+//   file             FileStorage - append-only files in STORAGE_DIR, no database
+//
+// Every backend implements the same methods:
+//   connect(), close(), getStatus()
+//   records   addRecords(messages, context), queryRange(filters, options),
+//             counts(from, to, interval), topRoutes(from, to, limit),
+//             topNames(from, to, limit), recent(limit, { withRecords }),
+//             recordIdsSince(since), storedRecordIds(recordIds)
+//   batches   claimBatch(emitterId, batchId, retentionMs),
+//             completeBatch(emitterId, batchId, results),
+//             releaseBatch(emitterId, batchId)
+//   nonces    claimNonces(keys, owner, expireAt), releaseNonces(keys, owner)
+//   dead letters
+//             addDeadLetters(entries), listDeadLetters(filters, { limit, after }),
+//             claimDeadLetters(ids), finishDeadLetter(id, fields)
+//   stats     addStats(entries), queryStats({ granularity, from, to, emitterId })
+//   emitters  registerEmitter(name), getEmitter(emitterId, { withSecret }),
+//             listEmitters(), revokeEmitter(emitterId),
+//             rotateEmitter(emitterId), touchEmitter(emitterId, fields)
+//   users     countUsers(), createUser(fields), getUser(id),
+//             findUserByEmail(email, { withPassword }), recordLogin(id),
+//             revokeUserTokens(id)
+// Records and minutes have the shapes TimeSeriesData returns;
+// dead letters, emitters and users are plain objects with the fields of the
+// DeadLetter, Emitter and User models. Stats entries are described in
+// utility/processingStats.js; addStats adds them to what is stored.
+// registerEmitter and createUser return null when the name or email is taken.
+
+const path = require('path');
+
+const BACKENDS = ['mongo', 'file'];
+
+function createStorage({ backend = process.env.STORAGE_BACKEND || 'mongo', dir = process.env.STORAGE_DIR } = {}) {
+  if (backend === 'mongo') {
+    const MongoStorage = require('./mongoStorage');
+    return new MongoStorage();
+  }
+  if (backend === 'file') {
+    const FileStorage = require('./fileStorage');
+    return new FileStorage({ dir: dir || path.join(__dirname, '../.data') });
+  }
+  throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+}
+
+// The storage shared by everything in this process
+let shared = null;
+function getStorage() {
+  if (!shared) {
+    shared = createStorage();
+  }
+  return shared;
+}
+
+// Emitter fields that are safe to show to an admin
+function publicEmitter(emitter) {
+  return {
+    emitterId: emitter.emitterId,
+    name: emitter.name,
+    revoked: emitter.revoked,
+    lastSeenAt: emitter.lastSeenAt,
+    lastAddress: emitter.lastAddress,
+    createdAt: emitter.createdAt
+  };
+}
+
+// Public representation of a user, safe to send to the browser
+function publicUser(user) {
+  return {
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt
+  };
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  publicEmitter,
+  publicUser
+};
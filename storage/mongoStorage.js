@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const TimeSeries = require('../models/timeSeries');
+const Rollup = require('../models/Rollup');
+const Emitter = require('../models/Emitter');
+const ProcessedBatch = require('../models/ProcessedBatch');
+const NonceClaim = require('../models/NonceClaim');
+const DeadLetter = require('../models/DeadLetter');
+const ProcessingStat = require('../models/ProcessingStat');
+const User = require('../models/User');
+const logger = require('../utility/logger');
+
+// Storage in MongoDB. Records go to the model selected by TIMESERIES_STORAGE;
+// counts and top-N queries read the rollups the listener maintains.
+class MongoStorage {
+  constructor() {
+    this.kind = 'mongo';
+  }
+
+  async connect() {
+    await connectDB();
+
+    // Sets up the selected time-series model, migrating old bucket indexes if needed
+    if (await TimeSeries.prepare()) {
+      logger.info('Migrated minute buckets to sub-bucket indexes');
+    }
+  }
+
+  close() {
+    return mongoose.connection.close();
+  }
+
+  getStatus() {
+    return {
+      backend: this.kind,
+      timeSeries: TimeSeries.modelName,
+      connected: mongoose.connection.readyState === 1
+    };
+  }
+
+  // Records
+
+  addRecords(messages, context) {
+    return TimeSeries.addRecords(messages, context);
+  }
+
+  queryRange(filters, options) {
+    return TimeSeries.findRecords(filters, options);
+  }
+
+  counts(from, to, interval) {
+    return Rollup.getCounts(from, to, interval);
+  }
+
+  topRoutes(from, to, limit) {
+    return Rollup.getTop('routes', from, to, limit);
+  }
+
+  topNames(from, to, limit) {
+    return Rollup.getTop('nameFrequency', from, to, limit);
+  }
+
+  recent(limit, options) {
+    return TimeSeries.getRecentMinutes(limit, options);
+  }
+
+  recordIdsSince(since) {
+    return TimeSeries.getRecordIdsSince(since);
+  }
+
+  async storedRecordIds(recordIds) {
+    const stored = await TimeSeries.findStoredRecords(recordIds);
+    return stored.flatMap(doc => doc.records.map(record => record.recordId));
+  }
+
+  // Batches
+
+  claimBatch(emitterId, batchId, retentionMs) {
+    return ProcessedBatch.claim(emitterId, batchId, retentionMs);
+  }
+
+  completeBatch(emitterId, batchId, results) {
+    return ProcessedBatch.complete(emitterId, batchId, results);
+  }
+
+  releaseBatch(emitterId, batchId) {
+    return ProcessedBatch.release(emitterId, batchId);
+  }
+
+  // Nonces
+
+  claimNonces(keys, owner, expireAt) {
+    return NonceClaim.claim(keys, owner, expireAt);
+  }
+
+  releaseNonces(keys, owner) {
+    return NonceClaim.release(keys, owner);
+  }
+
+  // Dead letters
+
+  addDeadLetters(entries) {
+    return DeadLetter.addMany(entries);
+  }
+
+  listDeadLetters(filters, options) {
+    return DeadLetter.findPage(filters, options);
+  }
+
+  claimDeadLetters(ids) {
+    return DeadLetter.claim(ids);
+  }
+
+  finishDeadLetter(id, fields) {
+    return DeadLetter.finish(id, fields);
+  }
+
+  // Processing stats
+
+  addStats(entries) {
+    return ProcessingStat.addMany(entries);
+  }
+
+  queryStats(query) {
+    return ProcessingStat.findPeriods(query);
+  }
+
+  // Emitters
+
+  async registerEmitter(name) {
+    const emitter = await Emitter.register(name);
+    return emitter && emitter.toObject();
+  }
+
+  getEmitter(emitterId, { withSecret = false } = {}) {
+    const query = Emitter.findOne({ emitterId });
+    return (withSecret ? query.select('+secret') : query).lean();
+  }
+
+  listEmitters() {
+    return Emitter.find().sort({ createdAt: 1 }).lean();
+  }
+
+  revokeEmitter(emitterId) {
+    return Emitter.findOneAndUpdate(
+      { emitterId },
+      { $set: { revoked: true, updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+  }
+
+  rotateEmitter(emitterId) {
+    return Emitter.rotate(emitterId).lean();
+  }
+
+  touchEmitter(emitterId, fields) {
+    return Emitter.updateOne({ emitterId }, { $set: fields });
+  }
+
+  // Users
+
+  countUsers() {
+    return User.estimatedDocumentCount();
+  }
+
+  // The unique indexes refuse a taken email (or a second first user) atomically
+  async createUser(fields) {
+    try {
+      const user = await User.create(fields);
+      return user.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  getUser(id) {
+    return User.findById(id).lean();
+  }
+
+  findUserByEmail(email, { withPassword = false } = {}) {
+    const query = User.findOne({ email: email.trim().toLowerCase() });
+    return (withPassword ? query.select('+passwordHash') : query).lean();
+  }
+
+  recordLogin(id) {
+    return User.updateOne({ _id: id }, { $set: { lastLoginAt: new Date(), updatedAt: new Date() } });
+  }
+
+  // Bumped on logout so previously issued refresh tokens stop working
+  revokeUserTokens(id) {
+    return User.updateOne({ _id: id }, { $inc: { tokenVersion: 1 }, $set: { updatedAt: new Date() } });
+  }
+}
+
+module.exports = MongoStorage;
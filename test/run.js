@@ -0,0 +1,46 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+// Runs every test script in turn for `npm test`. The scripts report each
+// check as "<name> test: PASSED/FAILED" and print "<name> test failed: ..."
+// when a group throws, so a run fails on either of those, on a non-zero
+// exit, or when a script stops before "All tests completed!".
+
+const SCRIPTS = ['test-crypto.js', 'test-ingest.js', 'test-api.js', 'test-auth.js'];
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+function runScript(script) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, script)], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8',
+    timeout: TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  process.stdout.write(result.stdout || '');
+  process.stderr.write(result.stderr || '');
+
+  const output = `${result.stdout || ''}\n${result.stderr || ''}`;
+  const failures = output.split('\n').filter(line => / test: FAILED\b/.test(line) || / test failed:/.test(line));
+  if (result.error) {
+    failures.push(`${script} did not finish: ${result.error.message}`);
+  } else if (result.status !== 0) {
+    failures.push(`${script} exited with code ${result.status}`);
+  } else if (!output.includes('All tests completed!')) {
+    failures.push(`${script} stopped before completing`);
+  }
+  return failures;
+}
+
+function main() {
+  const failures = SCRIPTS.flatMap(script => runScript(script).map(failure => `${script}: ${failure.trim()}`));
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} test failure(s):`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`\nAll ${SCRIPTS.length} test scripts passed.`);
+}
+
+main();
@@ -0,0 +1,623 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const TimeSeriesData = require('../models/TimeSeriesData');
+const TimeSeriesEvent = require('../models/TimeSeriesEvent');
+const Rollup = require('../models/Rollup');
+const RollupState = require('../models/RollupState');
+const { loadRetentionPolicy, RetentionJob } = require('../utility/retention');
+const { toEvents, verify } = require('../utility/migrateTimeSeries');
+const dataController = require('../controllers/dataController');
+const deadLetterController = require('../controllers/deadLetterController');
+const DeadLetter = require('../models/DeadLetter');
+const FileStorage = require('../storage/fileStorage');
+const { publicEmitter } = require('../storage');
+const ListenerService = require('../services/listener/listener');
+const { createSocketAuth } = require('../services/listener/socketAuth');
+const { signAccessToken, signEmitterToken, emitterTokenProof } = require('../utility/authTokens');
+
+// Calls a controller with a fake request and collects the response
+async function call(handler, query) {
+  const response = { statusCode: 200, body: null };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+  await handler({ query }, res);
+  return response;
+}
+
+// Builds a record the way findRecords returns it
+function record(minute, id) {
+  return { name: 'Rajesh Kumar', origin: 'Mumbai', destination: 'Delhi', timestamp: new Date(Date.UTC(2024, 0, 15, 14, minute)), recordId: `em_test:${id}` };
+}
+
+// Runs a handshake through the socket middleware; resolves with the socket
+// and the error it was refused with, if any
+function handshake(socketAuth, token) {
+  const socket = { handshake: { auth: token ? { token } : {}, headers: {}, address: '10.0.0.9' }, data: {} };
+  return new Promise(resolve => socketAuth(socket, error => resolve({ socket, error })));
+}
+
+// Sends a JSON request to a listener; resolves with the status and body
+async function request(url, method, body, headers = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Sets the secrets emitter credentials are issued with; returns a function restoring the old ones
+function useEmitterSecrets() {
+  const secrets = {
+    EMITTER_TOKEN_SECRET: 'test-emitter-secret',
+    EMITTER_REGISTRATION_KEY: 'test-registration-key',
+    JWT_ACCESS_SECRET: 'test-access-secret',
+    LISTENER_DECRYPT_WORKERS: '0'
+  };
+  const previous = Object.fromEntries(Object.keys(secrets).map(name => [name, process.env[name]]));
+  Object.assign(process.env, secrets);
+
+  return () => Object.entries(previous).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+}
+
+async function testValidation() {
+  console.log('\n=== Testing Query Validation ===');
+
+  try {
+    // Test 1: Every invalid parameter is reported, in one consistent shape
+    console.log('\n1. Testing invalid parameters...');
+    const invalid = await call(dataController.listRecords, {
+      from: 'yesterday',
+      limit: '5000',
+      sort: 'sideways',
+      route: 'Mumbai',
+      cursor: 'not-a-cursor'
+    });
+    const params = invalid.body.errors.map(error => error.param).sort();
+
+    console.log(`Status: ${invalid.statusCode}, errors: ${JSON.stringify(invalid.body.errors)}`);
+    console.log(`Invalid parameters test: ${invalid.statusCode === 400 && invalid.body.status === false
+      && params.join(',') === 'cursor,from,limit,route,sort' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Windows must be ordered and rollups bounded
+    console.log('\n2. Testing time windows...');
+    const reversed = await call(dataController.topRoutes, { from: '2024-01-16T00:00:00Z', to: '2024-01-15T00:00:00Z' });
+    const tooWide = await call(dataController.hourlyRollup, { from: '2023-01-01T00:00:00Z', to: '2024-01-01T00:00:00Z' });
+    const reader = dataController.createQueryReader({ from: String(Date.UTC(2024, 0, 15)) });
+    const window = reader.window();
+
+    console.log(`Reversed: ${reversed.body.errors[0].message}`);
+    console.log(`Too wide: ${tooWide.body.errors[0].message}`);
+    console.log(`Time window test: ${reversed.statusCode === 400 && tooWide.statusCode === 400
+      && window.from.toISOString() === '2024-01-15T00:00:00.000Z' && reader.errors.length === 0 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Validation test failed:', error.message);
+  }
+}
+
+async function testPagination() {
+  console.log('\n=== Testing Cursor Pagination ===');
+
+  const originalFindRecords = TimeSeriesData.findRecords;
+  try {
+    // Serves findRecords from memory with the same ordering and cursor rules
+    const stored = [record(1, 'a'), record(2, 'b'), record(2, 'c'), record(3, 'd'), record(4, 'e')];
+    const calls = [];
+    TimeSeriesData.findRecords = async (filters, options) => {
+      calls.push({ filters, options });
+      const ordered = [...stored].sort((x, y) => (x.timestamp - y.timestamp || x.recordId.localeCompare(y.recordId)) * options.sort);
+      const start = options.after
+        ? ordered.findIndex(item => item.timestamp.getTime() === options.after.timestamp.getTime() && item.recordId === options.after.recordId) + 1
+        : 0;
+      return ordered.slice(start, start + options.limit);
+    };
+
+    // Test 1: Pages follow each other without gaps or repeats
+    console.log('\n1. Testing pages...');
+    const seen = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const page = await call(dataController.listRecords, { sort: 'asc', limit: '2', route: 'Mumbai->Delhi', ...(cursor ? { cursor } : {}) });
+      seen.push(...page.body.data.map(item => item.recordId));
+      cursor = page.body.pagination.nextCursor;
+      pages++;
+    } while (cursor && pages < 10);
+
+    console.log(`Pages: ${pages}, records: ${seen.join(', ')}`);
+    console.log(`Route filter: ${calls[0].filters.origin}->${calls[0].filters.destination}`);
+    console.log(`Pagination test: ${pages === 3 && seen.join(',') === stored.map(item => item.recordId).join(',')
+      && calls[0].filters.origin === 'Mumbai' && calls[0].filters.destination === 'Delhi' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Cursors round-trip
+    console.log('\n2. Testing cursors...');
+    const decoded = dataController.decodeCursor(dataController.encodeCursor(stored[2]));
+    console.log(`Cursor test: ${decoded.recordId === 'em_test:c' && decoded.timestamp.getTime() === stored[2].timestamp.getTime()
+      && dataController.decodeCursor('e30') === null ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Pagination test failed:', error.message);
+  } finally {
+    TimeSeriesData.findRecords = originalFindRecords;
+  }
+}
+
+async function testRollups() {
+  console.log('\n=== Testing Rollups ===');
+
+  const originalGetTop = Rollup.getTop;
+  try {
+    const at = (day, hour, minute = 0) => new Date(Date.UTC(2024, 0, day, hour, minute));
+    const describe = segments => segments.map(({ resolution, from, to }) => `${resolution}:${from.toISOString().substring(5, 16)}-${to.toISOString().substring(5, 16)}`);
+
+    // Test 1: A long window uses days in the middle, hours and minutes at the edges
+    console.log('\n1. Testing segment planning...');
+    const wide = Rollup.planSegments(at(14, 22, 30), at(17, 3, 15), at(17, 2));
+    const hourly = Rollup.planSegments(at(14, 22, 30), at(17, 3, 15), at(17, 2), 'hour');
+    const noRollups = Rollup.planSegments(at(14, 22, 30), at(17, 3, 15), null);
+    const short = Rollup.planSegments(at(15, 10, 5), at(15, 10, 50), at(17, 2));
+    const minutely = Rollup.planSegments(at(14, 22, 30), at(15, 3, 15), at(17, 2), 'minute');
+
+    console.log(`Wide window: ${describe(wide).join(', ')}`);
+    console.log(`Hourly breakdown: ${describe(hourly).join(', ')}`);
+    console.log(`Segment planning test: ${describe(wide).join(',') === [
+      'minute:01-14T22:30-01-14T23:00',
+      'hour:01-14T23:00-01-15T00:00',
+      'day:01-15T00:00-01-17T00:00',
+      'hour:01-17T00:00-01-17T02:00',
+      'minute:01-17T02:00-01-17T03:15'
+    ].join(',') && !hourly.some(segment => segment.resolution === 'day') && hourly.length === 3
+      && noRollups.length === 1 && noRollups[0].resolution === 'minute'
+      && short.length === 1 && short[0].resolution === 'minute'
+      && minutely.length === 1 && minutely[0].resolution === 'minute' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Merging sums totals and counters across documents
+    console.log('\n2. Testing counter merging...');
+    const merged = Rollup.mergeCounters([
+      { recordCount: 3, routes: [{ route: 'Mumbai->Delhi', count: 2 }, { route: 'Pune->Goa', count: 1 }], nameFrequency: [{ name: 'Amit Singh', count: 3 }] },
+      { recordCount: 2, minuteBuckets: 4, routes: [{ route: 'Mumbai->Delhi', count: 2 }], nameFrequency: [{ name: 'Priya Sharma', count: 2 }] }
+    ]);
+    console.log(`Merged: ${JSON.stringify(merged.routes)}`);
+    console.log(`Counter merging test: ${merged.recordCount === 5 && merged.minuteBuckets === 5
+      && merged.routes[0].route === 'Mumbai->Delhi' && merged.routes[0].count === 4
+      && merged.nameFrequency.length === 2 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: The route matrix splits every route into its origin and destination
+    console.log('\n3. Testing the route matrix...');
+    let requestedLimit = null;
+    Rollup.getTop = async (field, from, to, limit) => {
+      requestedLimit = limit;
+      return {
+        rows: [{ _id: 'Mumbai->Delhi', totalCount: 5 }, { _id: 'Pune->Delhi', totalCount: 3 }, { _id: 'Pune->Goa', totalCount: 4 }],
+        segments: []
+      };
+    };
+    const matrix = await call(dataController.routeMatrix, { from: '2024-01-15T00:00:00Z', to: '2024-01-16T00:00:00Z' });
+    const tooWideMinutes = await call(dataController.minutelyRollup, { from: '2024-01-14T00:00:00Z', to: '2024-01-16T00:00:00Z' });
+
+    console.log(`Origins: ${matrix.body.origins}, destinations: ${matrix.body.destinations}`);
+    console.log(`Route matrix test: ${matrix.statusCode === 200 && requestedLimit === Infinity
+      && matrix.body.origins.join(',') === 'Pune,Mumbai' && matrix.body.destinations.join(',') === 'Delhi,Goa'
+      && matrix.body.data.length === 3 && matrix.body.data[2].origin === 'Pune' && matrix.body.data[2].count === 4
+      && tooWideMinutes.statusCode === 400 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Rollup test failed:', error.message);
+  } finally {
+    Rollup.getTop = originalGetTop;
+  }
+}
+
+async function testRetention() {
+  console.log('\n=== Testing Retention ===');
+
+  const originals = {
+    aggregate: TimeSeriesData.aggregate,
+    updateMany: TimeSeriesData.updateMany,
+    countMinutes: TimeSeriesData.countDocuments,
+    countRollups: Rollup.countDocuments,
+    getState: RollupState.get
+  };
+
+  try {
+    // Test 1: Each tier must outlive the one it summarizes
+    console.log('\n1. Testing retention policies...');
+    const defaults = loadRetentionPolicy({});
+    let rejected = 0;
+    [
+      { RAW_RECORDS_RETENTION_DAYS: '40' },
+      { HOURLY_ROLLUP_RETENTION_DAYS: '10' },
+      { MINUTE_BUCKET_RETENTION_DAYS: '0', HOURLY_ROLLUP_RETENTION_DAYS: '90' },
+      { DAILY_ROLLUP_RETENTION_DAYS: '-1' }
+    ].forEach(env => {
+      try {
+        loadRetentionPolicy(env);
+      } catch (error) {
+        rejected++;
+      }
+    });
+    console.log(`Defaults: ${JSON.stringify(defaults)}`);
+    console.log(`Retention policy test: ${defaults.rawRecordsDays === 7 && defaults.minuteBucketDays === 30
+      && defaults.dailyRollupDays === 0 && rejected === 4 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: A dry run reports what would go and changes nothing
+    console.log('\n2. Testing a dry run...');
+    const now = Date.UTC(2024, 5, 1);
+    const calls = { updates: 0, minuteFilter: null, rollupFilters: [] };
+    TimeSeriesData.aggregate = async () => [{ buckets: 12, records: 3400 }];
+    TimeSeriesData.updateMany = async () => { calls.updates++; };
+    TimeSeriesData.countDocuments = async (filter) => { calls.minuteFilter = filter; return 5; };
+    Rollup.countDocuments = async (filter) => { calls.rollupFilters.push(filter); return 2; };
+    RollupState.get = async () => ({ rolledUpBefore: new Date(now - 40 * 24 * 60 * 60 * 1000) });
+
+    const job = new RetentionJob(loadRetentionPolicy({ DAILY_ROLLUP_RETENTION_DAYS: '730' }));
+    job.syncTtlIndex = async () => 'none';
+    const report = await job.runOnce({ dryRun: true, now });
+
+    console.log(`Report: ${JSON.stringify({ ...report, startedAt: undefined, durationMs: undefined })}`);
+    console.log(`Dry run test: ${report.dryRun && report.strippedRecords.records === 3400 && report.deletedMinuteBuckets === 5
+      && report.deletedHourlyRollups === 2 && report.deletedDailyRollups === 2 && calls.updates === 0
+      // Minute buckets are only deleted up to the last rolled-up hour
+      && calls.minuteFilter.timestamp.$lt.getTime() === now - 40 * 24 * 60 * 60 * 1000
+      && calls.rollupFilters.map(filter => filter.resolution).join(',') === 'hour,day' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Stripped buckets stay out of the unique record ID index, old databases included
+    console.log('\n3. Testing the record ID index...');
+    const recordIdIndex = TimeSeriesData.schema.indexes().find(([fields]) => fields['records.recordId'] === 1);
+    const dropped = [];
+    let rebuilt = 0;
+    TimeSeriesData.collection.indexes = async () => [{ name: 'records.recordId_1', key: { 'records.recordId': 1 }, unique: true }];
+    TimeSeriesData.collection.dropIndex = async (name) => { dropped.push(name); };
+    TimeSeriesData.createIndexes = async () => { rebuilt++; };
+    const migrated = await TimeSeriesData.migrateRecordIdIndex();
+    TimeSeriesData.collection.indexes = async () => [{ name: 'records.recordId_1', unique: true, partialFilterExpression: recordIdIndex[1].partialFilterExpression }];
+    const migratedAgain = await TimeSeriesData.migrateRecordIdIndex();
+
+    console.log(`Index options: ${JSON.stringify(recordIdIndex[1])}`);
+    console.log(`Record ID index test: ${recordIdIndex[1].unique && recordIdIndex[1].partialFilterExpression
+      && !TimeSeriesData.schema.path('records').schema.path('recordId').options.unique
+      && migrated && !migratedAgain && dropped.join(',') === 'records.recordId_1' && rebuilt === 1 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Retention test failed:', error.message);
+  } finally {
+    delete TimeSeriesData.collection.indexes;
+    delete TimeSeriesData.collection.dropIndex;
+    delete TimeSeriesData.createIndexes;
+    TimeSeriesData.aggregate = originals.aggregate;
+    TimeSeriesData.updateMany = originals.updateMany;
+    TimeSeriesData.countDocuments = originals.countMinutes;
+    Rollup.countDocuments = originals.countRollups;
+    RollupState.get = originals.getState;
+  }
+}
+
+async function testNativeStorage() {
+  console.log('\n=== Testing Native Time-series Storage ===');
+
+  const originals = { buckets: TimeSeriesData.aggregate, events: TimeSeriesEvent.aggregate };
+  try {
+    // Test 1: Both storages can stand in for each other
+    console.log('\n1. Testing storage API...');
+    const shared = ['prepare', 'addRecords', 'addRecord', 'getRecordIdsSince', 'getByTimeRange', 'getRecentMinutes',
+      'getHourlyAggregation', 'getTopRoutes', 'getTopNames', 'findRecords', 'aggregateMinutes', 'findHours',
+      'stripRecords', 'deleteMinutes', 'syncExpiry'];
+    const missing = shared.filter(name => typeof TimeSeriesData[name] !== 'function' || typeof TimeSeriesEvent[name] !== 'function');
+    const options = TimeSeriesEvent.schema.options.timeseries;
+
+    console.log(`Time-series options: ${JSON.stringify(options)}`);
+    console.log(`Storage API test: ${missing.length === 0 && options.timeField === 'timestamp'
+      && options.metaField === 'meta' ? 'PASSED' : `FAILED (missing ${missing.join(', ')})`}`);
+
+    // Test 2: Minute buckets become one event per record, and counts are compared per day
+    console.log('\n2. Testing migration...');
+    const events = toEvents({
+      timestamp: new Date(Date.UTC(2024, 0, 15, 14, 2)),
+      records: [record(2, 'a'), { ...record(2, 'b'), emitterId: 'em_test', receivedAt: new Date(Date.UTC(2024, 0, 15, 14, 3)) }]
+    });
+    TimeSeriesData.aggregate = async () => [{ _id: '2024-01-15', records: 120, purged: 0 }, { _id: '2024-01-16', records: 80, purged: 40 }];
+    TimeSeriesEvent.aggregate = async () => [{ _id: '2024-01-15', records: 120 }, { _id: '2024-01-16', records: 79 }];
+    const result = await verify(new Date(Date.UTC(2024, 0, 15)), new Date(Date.UTC(2024, 0, 17)));
+
+    console.log(`Event: ${JSON.stringify(events[1])}`);
+    console.log(`Verification: ${JSON.stringify(result)}`);
+    console.log(`Migration test: ${events.length === 2 && events[0].meta.origin === 'Mumbai' && events[1].emitterId === 'em_test'
+      && events[0].recordId === 'em_test:a' && !result.ok && result.expected === 200 && result.actual === 199
+      && result.purged === 40 && result.mismatches.length === 1 && result.mismatches[0].day === '2024-01-16' ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Native storage test failed:', error.message);
+  } finally {
+    TimeSeriesData.aggregate = originals.buckets;
+    TimeSeriesEvent.aggregate = originals.events;
+  }
+}
+
+async function testFileStorage() {
+  console.log('\n=== Testing File Storage ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  try {
+    const storage = new FileStorage({ dir });
+    await storage.connect();
+
+    // Test 1: Records answer the same queries as the MongoDB storage
+    console.log('\n1. Testing records...');
+    const from = new Date(Date.UTC(2024, 0, 15, 14, 0));
+    const to = new Date(Date.UTC(2024, 0, 15, 15, 59, 59, 999));
+    await storage.addRecords([record(1, 'a'), record(2, 'b'), { ...record(2, 'c'), origin: 'Pune' }], { emitterId: 'em_test' });
+    await storage.addRecords([{ ...record(70, 'd'), name: 'Amit Shah' }], { emitterId: 'em_test' });
+
+    const page = await storage.queryRange({ from, to, origin: 'Mumbai' }, { sort: 1, limit: 2 });
+    const next = await storage.queryRange({ from, to, origin: 'Mumbai' }, { sort: 1, limit: 2, after: page[1] });
+    const counts = await storage.counts(from, to, 'hour');
+    const minutes = await storage.counts(from, to, 'minute');
+    const routes = await storage.topRoutes(from, to, 1);
+    const recent = await storage.recent(1);
+
+    console.log(`Pages: ${page.map(item => item.recordId)} / ${next.map(item => item.recordId)}`);
+    console.log(`Hours: ${JSON.stringify(counts.rows)}`);
+    console.log(`Records test: ${page.length === 2 && next.length === 1 && next[0].recordId === 'em_test:d'
+      && counts.rows.length === 2 && counts.rows[0].recordCount === 3 && counts.rows[0].minuteBuckets === 2
+      && minutes.rows.map(row => `${row.period}=${row.recordCount}`).join(',')
+        === '2024-01-15T14:01:00.000Z=1,2024-01-15T14:02:00.000Z=2,2024-01-15T15:10:00.000Z=1'
+      && routes.rows[0]._id === 'Mumbai->Delhi' && routes.rows[0].totalCount === 3
+      && recent.length === 1 && recent[0].minuteBucket === '2024-01-15T15:10' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Emitters, users and the batch ledger survive a restart
+    console.log('\n2. Testing a restart...');
+    const emitter = await storage.registerEmitter('emitter-1');
+    const duplicate = await storage.registerEmitter('emitter-1');
+    const rotated = await storage.rotateEmitter(emitter.emitterId);
+    await storage.revokeEmitter(emitter.emitterId);
+    const seenAt = new Date(Date.UTC(2024, 0, 15, 16, 0));
+    await storage.touchEmitter(emitter.emitterId, { lastSeenAt: seenAt, lastAddress: '10.0.0.7' });
+    const touch = JSON.parse(fs.readFileSync(path.join(dir, 'emitters.jsonl'), 'utf8').trim().split('\n').pop());
+    const user = await storage.createUser({ name: 'Admin', email: 'Admin@Example.com', role: 'admin', passwordHash: 'salt:hash', firstUser: true });
+    const secondFirst = await storage.createUser({ name: 'Other', email: 'other@example.com', passwordHash: 'salt:hash', firstUser: true });
+    await storage.claimBatch('em_test', 'batch-1', 60000);
+    await storage.completeBatch('em_test', 'batch-1', { savedCount: 4 });
+    await storage.addRecords([{ ...record(3, 'e'), name: '2024-01-15T14:03:00.000Z' }], { emitterId: 'em_test' });
+    await storage.close();
+
+    const reopened = new FileStorage({ dir });
+    await reopened.connect();
+    const stored = await reopened.getEmitter(emitter.emitterId, { withSecret: true });
+    const login = await reopened.findUserByEmail(' admin@example.com', { withPassword: true });
+    const claim = await reopened.claimBatch('em_test', 'batch-1', 60000);
+    const reloaded = await reopened.queryRange({ from, to }, { sort: 1, limit: 10 });
+    const dateLike = reloaded.find(item => item.recordId === 'em_test:e');
+
+    console.log(`Emitter: ${JSON.stringify(publicEmitter(stored))}, tokenVersion=${stored.tokenVersion}`);
+    console.log(`Touch entry: ${JSON.stringify(touch)}`);
+    console.log(`Batch: ${JSON.stringify(claim)}`);
+    console.log(`Restart test: ${duplicate === null && stored.revoked && stored.secret === rotated.secret && stored.tokenVersion === 2
+      && touch.op === 'touch' && touch.secret === undefined && stored.lastSeenAt.getTime() === seenAt.getTime() && stored.lastAddress === '10.0.0.7'
+      && user && !user.passwordHash && secondFirst === null && login._id === user._id && login.passwordHash === 'salt:hash'
+      && !claim.claimed && claim.results.savedCount === 4 && reloaded.length === 5
+      && reloaded[0].timestamp instanceof Date && reloaded[0].receivedAt instanceof Date
+      && dateLike.name === '2024-01-15T14:03:00.000Z' ? 'PASSED' : 'FAILED'}`);
+    await reopened.close();
+
+  } catch (error) {
+    console.error('File storage test failed:', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testEmitterAuth() {
+  console.log('\n=== Testing Emitter Credentials ===');
+
+  const restoreSecrets = useEmitterSecrets();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emitter-auth-test-'));
+  const storage = new FileStorage({ dir });
+  let listener = null;
+  try {
+    await storage.connect();
+    listener = new ListenerService(0, { storage });
+    await new Promise(resolve => listener.server.listen(0, resolve));
+    const url = `http://localhost:${listener.server.address().port}`;
+    const socketAuth = createSocketAuth(storage);
+    const asAdmin = { Authorization: `Bearer ${signAccessToken({ _id: 'user-admin', email: 'admin@example.com', role: 'admin' })}` };
+    const asViewer = { Authorization: `Bearer ${signAccessToken({ _id: 'user-viewer', email: 'viewer@example.com', role: 'viewer' })}` };
+
+    // Test 1: Registration needs the registration key or an admin
+    console.log('\n1. Testing registration...');
+    const noKey = await request(`${url}/emitters/register`, 'POST', { name: 'emitter-1' });
+    const wrongKey = await request(`${url}/emitters/register`, 'POST', { name: 'emitter-1' }, { 'X-Registration-Key': 'wrong-key' });
+    const registered = await request(`${url}/emitters/register`, 'POST', { name: 'emitter-1' }, { 'X-Registration-Key': 'test-registration-key' });
+    const taken = await request(`${url}/emitters/register`, 'POST', { name: 'emitter-1' }, asAdmin);
+    const byAdmin = await request(`${url}/emitters/register`, 'POST', { name: 'emitter-2' }, asAdmin);
+    const { emitterId } = registered.body;
+
+    console.log(`Statuses: no key ${noKey.status}, wrong key ${wrongKey.status}, key ${registered.status}, taken ${taken.status}, admin ${byAdmin.status}`);
+    console.log(`Registration test: ${noKey.status === 401 && wrongKey.status === 401 && registered.status === 201
+      && typeof registered.body.token === 'string' && typeof registered.body.secret === 'string'
+      && taken.status === 409 && byAdmin.status === 201 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: The handshake accepts current tokens only
+    console.log('\n2. Testing handshakes...');
+    const accepted = await handshake(socketAuth, registered.body.token);
+    const anonymous = await handshake(socketAuth);
+    const forged = await handshake(socketAuth, signEmitterToken({ emitterId: 'em_unknown', name: 'ghost', tokenVersion: 0 }));
+    const expiredToken = jwt.sign({ sub: emitterId, name: 'emitter-1', typ: 'emitter', ver: 0, exp: Math.floor(Date.now() / 1000) - 10 },
+      process.env.EMITTER_TOKEN_SECRET);
+    const expired = await handshake(socketAuth, expiredToken);
+    const seen = await storage.getEmitter(emitterId);
+
+    console.log(`Accepted as: ${accepted.socket.data.clientType} ${accepted.socket.data.emitter && accepted.socket.data.emitter.emitterId}`);
+    console.log(`Handshake test: ${!accepted.error && accepted.socket.data.clientType === 'emitter'
+      && accepted.socket.data.emitter.emitterId === emitterId && accepted.socket.data.emitter.signingKey === registered.body.secret
+      && anonymous.error && anonymous.error.message === 'Authentication required'
+      && forged.error && forged.error.message === 'Emitter is not registered or has been revoked'
+      && expired.error && expired.error.data.code === 'TOKEN_EXPIRED'
+      && seen.lastAddress === '10.0.0.9' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Rotating bumps tokenVersion, so the old token and secret stop working
+    console.log('\n3. Testing rotation...');
+    const anonymousRotate = await request(`${url}/emitters/${emitterId}/rotate`, 'POST', undefined);
+    const viewerRotate = await request(`${url}/emitters/${emitterId}/rotate`, 'POST', undefined, asViewer);
+    const unknownRotate = await request(`${url}/emitters/em_unknown/rotate`, 'POST', undefined, asAdmin);
+    const rotated = await request(`${url}/emitters/${emitterId}/rotate`, 'POST', undefined, asAdmin);
+    const oldToken = await handshake(socketAuth, registered.body.token);
+    const newToken = await handshake(socketAuth, rotated.body.token);
+    const timestamp = Date.now();
+    const oldProof = await request(`${url}/emitters/token`, 'POST',
+      { emitterId, timestamp, proof: emitterTokenProof(emitterId, registered.body.secret, timestamp) });
+    const newProof = await request(`${url}/emitters/token`, 'POST',
+      { emitterId, timestamp, proof: emitterTokenProof(emitterId, rotated.body.secret, timestamp) });
+    const staleProof = await request(`${url}/emitters/token`, 'POST',
+      { emitterId, timestamp: timestamp - 5 * 60 * 1000, proof: emitterTokenProof(emitterId, rotated.body.secret, timestamp - 5 * 60 * 1000) });
+    const renewed = newProof.body.token ? await handshake(socketAuth, newProof.body.token) : {};
+
+    console.log(`Statuses: anonymous ${anonymousRotate.status}, viewer ${viewerRotate.status}, unknown ${unknownRotate.status}, admin ${rotated.status}`);
+    console.log(`Old token refused with: ${oldToken.error && oldToken.error.message}`);
+    console.log(`Rotation test: ${anonymousRotate.status === 401 && viewerRotate.status === 403 && unknownRotate.status === 404
+      && rotated.status === 200 && rotated.body.secret !== registered.body.secret
+      && oldToken.error && oldToken.error.message === 'Emitter token has been superseded'
+      && !newToken.error && newToken.socket.data.emitter.signingKey === rotated.body.secret
+      && oldProof.status === 401 && staleProof.status === 401 && newProof.status === 200
+      && renewed.socket && !renewed.error ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: Revoking refuses every token and proof until the next rotation
+    console.log('\n4. Testing revocation...');
+    const viewerRevoke = await request(`${url}/emitters/${emitterId}/revoke`, 'POST', undefined, asViewer);
+    const revoked = await request(`${url}/emitters/${emitterId}/revoke`, 'POST', undefined, asAdmin);
+    const revokedToken = await handshake(socketAuth, rotated.body.token);
+    const proofTime = Date.now();
+    const revokedProof = await request(`${url}/emitters/token`, 'POST',
+      { emitterId, timestamp: proofTime, proof: emitterTokenProof(emitterId, rotated.body.secret, proofTime) });
+    const reinstated = await request(`${url}/emitters/${emitterId}/rotate`, 'POST', undefined, asAdmin);
+    const reinstatedToken = await handshake(socketAuth, reinstated.body.token);
+    const listed = await request(`${url}/emitters`, 'GET', undefined, asAdmin);
+
+    console.log(`Revoked token refused with: ${revokedToken.error && revokedToken.error.message}`);
+    console.log(`Revocation test: ${viewerRevoke.status === 403 && revoked.status === 200 && revoked.body.revoked === true
+      && !('secret' in revoked.body)
+      && revokedToken.error && revokedToken.error.message === 'Emitter is not registered or has been revoked'
+      && revokedProof.status === 401 && reinstated.status === 200 && !reinstatedToken.error
+      && listed.body.every(item => !('secret' in item)) ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Emitter credential test failed:', error.message);
+  } finally {
+    if (listener) {
+      listener.io.close();
+    }
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    restoreSecrets();
+  }
+}
+
+async function testDeadLetterApi() {
+  console.log('\n=== Testing Dead Letter API ===');
+
+  const originalFindPage = DeadLetter.findPage;
+  try {
+    // Serves findPage from memory, newest first
+    const stored = [1, 2, 3].map(minute => ({
+      _id: `64b000000000000000000${minute}00`,
+      emitterId: 'em_test',
+      batchId: 'batch-1',
+      messageIndex: minute,
+      stage: 'decrypt',
+      ciphertext: `cipher-${minute}`,
+      receivedAt: new Date(Date.UTC(2024, 0, 15, 14, minute)),
+      status: 'pending'
+    }));
+    const calls = [];
+    DeadLetter.findPage = async (filters, options) => {
+      calls.push({ filters, options });
+      const ordered = [...stored].reverse();
+      const start = options.after ? ordered.findIndex(entry => entry._id === options.after.id) + 1 : 0;
+      return ordered.slice(start, start + options.limit);
+    };
+
+    // Test 1: Filters are validated and pages follow each other
+    console.log('\n1. Testing listing...');
+    const invalid = await call(deadLetterController.listDeadLetters, { stage: 'storage', status: 'lost' });
+    const query = { from: '2024-01-15T00:00:00Z', to: '2024-01-16T00:00:00Z', stage: 'decrypt', limit: '2' };
+    const first = await call(deadLetterController.listDeadLetters, query);
+    const second = await call(deadLetterController.listDeadLetters, { ...query, cursor: first.body.pagination.nextCursor });
+
+    console.log(`Invalid: ${JSON.stringify(invalid.body.errors)}`);
+    console.log(`Pages: ${first.body.data.map(entry => entry.messageIndex)} / ${second.body.data.map(entry => entry.messageIndex)}`);
+    console.log(`Listing test: ${invalid.statusCode === 400 && invalid.body.errors.map(error => error.param).join(',') === 'stage,status'
+      && first.body.data.map(entry => entry.messageIndex).join(',') === '3,2' && first.body.data[0].id === stored[2]._id
+      && second.body.data.length === 1 && !second.body.pagination.hasMore && calls[0].filters.stage === 'decrypt'
+      && deadLetterController.decodeCursor('e30') === null ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Export streams every match as JSON lines
+    console.log('\n2. Testing export...');
+    const output = { headers: {}, chunks: [], ended: false };
+    await deadLetterController.exportDeadLetters({ query: { from: '2024-01-15T00:00:00Z' } }, {
+      headersSent: false,
+      setHeader(name, value) {
+        output.headers[name] = value;
+      },
+      write(chunk) {
+        output.chunks.push(chunk);
+      },
+      end() {
+        output.ended = true;
+      }
+    });
+    const lines = output.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+
+    console.log(`Export: ${output.headers['Content-Type']}, ${lines.length} lines`);
+    console.log(`Export test: ${output.ended && output.headers['Content-Type'] === 'application/x-ndjson'
+      && lines.length === 3 && lines[2].ciphertext === 'cipher-1' ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Dead letter API test failed:', error.message);
+  } finally {
+    DeadLetter.findPage = originalFindPage;
+  }
+}
+
+async function main() {
+  console.log('Running tests for the historical data API...');
+
+  await testValidation();
+  await testPagination();
+  await testRollups();
+  await testRetention();
+  await testNativeStorage();
+  await testFileStorage();
+  await testEmitterAuth();
+  await testDeadLetterApi();
+
+  console.log('\nAll tests completed!');
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  testValidation,
+  testPagination,
+  testRollups,
+  testRetention,
+  testNativeStorage,
+  testFileStorage,
+  testEmitterAuth,
+  testDeadLetterApi
+};
@@ -0,0 +1,285 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const authController = require('../controllers/authController');
+const { requireAuth, requireAuthPage, requireRole } = require('../middleware/auth');
+const { ACCESS_COOKIE, REFRESH_COOKIE, verifyAccessToken, verifyRefreshToken } = require('../utility/authTokens');
+const { getStorage } = require('../storage');
+
+// Calls a handler with a fake request; collects the response, the cookies
+// it sets and clears, and whether it passed the request on
+async function call(handler, { body, cookies = {}, headers = {}, user } = {}) {
+  const response = { statusCode: 200, body: null, cookies: {}, cleared: {}, redirect: null, nextCalled: false };
+  const req = { body, cookies, headers, user };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    },
+    cookie(name, value, options) {
+      response.cookies[name] = { value, options };
+      return this;
+    },
+    clearCookie(name, options) {
+      response.cleared[name] = options;
+      return this;
+    },
+    redirect(location) {
+      response.redirect = location;
+      return this;
+    }
+  };
+  await handler(req, res, () => {
+    response.nextCalled = true;
+  });
+  response.user = req.user;
+  return response;
+}
+
+// The cookies a browser would send after a response
+function cookiesFrom(response) {
+  return Object.fromEntries(Object.entries(response.cookies).map(([name, cookie]) => [name, cookie.value]));
+}
+
+// True when both auth cookies were cleared with the paths they were set on
+function clearedBoth(response) {
+  return response.cleared[ACCESS_COOKIE] && response.cleared[ACCESS_COOKIE].path === '/'
+    && response.cleared[REFRESH_COOKIE] && response.cleared[REFRESH_COOKIE].path === '/api/auth';
+}
+
+async function testRegistration() {
+  console.log('\n=== Testing Registration ===');
+
+  const previous = process.env.ALLOW_REGISTRATION;
+  delete process.env.ALLOW_REGISTRATION;
+  try {
+    // Test 1: The first account becomes admin and gets scoped cookies
+    console.log('\n1. Testing the first account...');
+    const first = await call(authController.register, {
+      body: { name: 'Admin', email: 'Admin@Example.com', password: 'admin-password', role: 'viewer' }
+    });
+    const access = first.cookies[ACCESS_COOKIE];
+    const refresh = first.cookies[REFRESH_COOKIE];
+    const claims = access ? verifyAccessToken(access.value) : {};
+
+    console.log(`First account: ${first.statusCode}, ${first.body.user && first.body.user.role}`);
+    console.log(`First account test: ${first.statusCode === 201 && first.body.user.role === 'admin'
+      && first.body.user.email === 'admin@example.com' && !('passwordHash' in first.body.user)
+      && claims.role === 'admin' && claims.sub === first.body.user.id ? 'PASSED' : 'FAILED'}`);
+
+    console.log(`Cookie scoping test: ${access && refresh
+      && access.options.path === '/' && refresh.options.path === '/api/auth'
+      && access.options.httpOnly && refresh.options.httpOnly
+      && access.options.sameSite === 'strict' && refresh.options.sameSite === 'strict'
+      && access.options.maxAge < refresh.options.maxAge
+      && verifyRefreshToken(refresh.value).tokenVersion === 0 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Later accounts need an admin or open registration
+    console.log('\n2. Testing later accounts...');
+    const closed = await call(authController.register, {
+      body: { name: 'Viewer', email: 'viewer@example.com', password: 'viewer-password' }
+    });
+    const byAdmin = await call(authController.register, {
+      body: { name: 'Second Admin', email: 'second@example.com', password: 'second-password', role: 'admin' },
+      cookies: cookiesFrom(first)
+    });
+
+    process.env.ALLOW_REGISTRATION = 'true';
+    const open = await call(authController.register, {
+      body: { name: 'Viewer', email: 'viewer@example.com', password: 'viewer-password', role: 'admin' }
+    });
+    delete process.env.ALLOW_REGISTRATION;
+
+    const byViewer = await call(authController.register, {
+      body: { name: 'Third', email: 'third@example.com', password: 'third-password', role: 'admin' },
+      headers: { authorization: `Bearer ${open.cookies[ACCESS_COOKIE] ? open.cookies[ACCESS_COOKIE].value : ''}` }
+    });
+
+    console.log(`Statuses: closed ${closed.statusCode}, by admin ${byAdmin.statusCode}, open ${open.statusCode}, by viewer ${byViewer.statusCode}`);
+    console.log(`Admin rule test: ${closed.statusCode === 403 && Object.keys(closed.cookies).length === 0
+      && byAdmin.statusCode === 201 && byAdmin.body.user.role === 'admin'
+      && open.statusCode === 201 && open.body.user.role === 'viewer'
+      && byViewer.statusCode === 403 && await getStorage().countUsers() === 3 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Bad input and taken emails are refused
+    console.log('\n3. Testing invalid registrations...');
+    const missing = await call(authController.register, { body: { name: 'Nobody', email: 'nobody@example.com' } });
+    const badEmail = await call(authController.register, { body: { name: 'Nobody', email: 'nobody', password: 'long-enough' } });
+    const shortPassword = await call(authController.register, { body: { name: 'Nobody', email: 'nobody@example.com', password: 'short' } });
+    const taken = await call(authController.register, {
+      body: { name: 'Copy', email: 'VIEWER@example.com', password: 'viewer-password' },
+      cookies: cookiesFrom(first)
+    });
+
+    console.log(`Statuses: ${missing.statusCode}, ${badEmail.statusCode}, ${shortPassword.statusCode}, ${taken.statusCode}`);
+    console.log(`Invalid registration test: ${missing.statusCode === 400 && badEmail.statusCode === 400
+      && shortPassword.statusCode === 400 && taken.statusCode === 409
+      && taken.body.message === 'Email is already registered' && Object.keys(taken.cookies).length === 0 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Registration test failed:', error.message);
+  } finally {
+    if (previous === undefined) delete process.env.ALLOW_REGISTRATION;
+    else process.env.ALLOW_REGISTRATION = previous;
+  }
+}
+
+async function testSessions() {
+  console.log('\n=== Testing Sessions ===');
+
+  try {
+    // Test 1: Login checks the password and records the login
+    console.log('\n1. Testing login...');
+    const wrong = await call(authController.login, { body: { email: 'viewer@example.com', password: 'not-the-password' } });
+    const unknown = await call(authController.login, { body: { email: 'ghost@example.com', password: 'viewer-password' } });
+    const empty = await call(authController.login, { body: { email: 'viewer@example.com' } });
+    const login = await call(authController.login, { body: { email: ' Viewer@Example.com ', password: 'viewer-password' } });
+    const stored = login.body.user ? await getStorage().getUser(login.body.user.id) : null;
+
+    console.log(`Statuses: wrong ${wrong.statusCode}, unknown ${unknown.statusCode}, empty ${empty.statusCode}, login ${login.statusCode}`);
+    console.log(`Login test: ${wrong.statusCode === 401 && unknown.statusCode === 401
+      && wrong.body.message === unknown.body.message && Object.keys(wrong.cookies).length === 0
+      && empty.statusCode === 400 && login.statusCode === 200 && login.body.user.role === 'viewer'
+      && login.cookies[ACCESS_COOKIE] && login.cookies[REFRESH_COOKIE]
+      && stored && stored.lastLoginAt instanceof Date ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Refresh swaps the refresh cookie for a new pair
+    console.log('\n2. Testing refresh...');
+    const missing = await call(authController.refresh);
+    const forged = await call(authController.refresh, { cookies: { [REFRESH_COOKIE]: 'not-a-token' } });
+    const wrongKind = await call(authController.refresh, { cookies: { [REFRESH_COOKIE]: login.cookies[ACCESS_COOKIE].value } });
+    const refreshed = await call(authController.refresh, { cookies: cookiesFrom(login) });
+    const again = await call(authController.refresh, { cookies: cookiesFrom(refreshed) });
+
+    console.log(`Statuses: missing ${missing.statusCode}, forged ${forged.statusCode}, access token ${wrongKind.statusCode}, refresh ${refreshed.statusCode}, again ${again.statusCode}`);
+    console.log(`Refresh test: ${missing.statusCode === 401 && forged.statusCode === 401 && clearedBoth(forged)
+      && wrongKind.statusCode === 401 && refreshed.statusCode === 200 && again.statusCode === 200
+      && verifyAccessToken(refreshed.cookies[ACCESS_COOKIE].value).sub === login.body.user.id
+      && refreshed.cookies[REFRESH_COOKIE].options.path === '/api/auth' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Logout revokes every refresh token issued before it
+    console.log('\n3. Testing logout...');
+    const logout = await call(authController.logout, { cookies: cookiesFrom(again) });
+    const afterLogout = await call(authController.refresh, { cookies: cookiesFrom(again) });
+    const older = await call(authController.refresh, { cookies: cookiesFrom(login) });
+    const relogin = await call(authController.login, { body: { email: 'viewer@example.com', password: 'viewer-password' } });
+    const fresh = await call(authController.refresh, { cookies: cookiesFrom(relogin) });
+    const anonymous = await call(authController.logout);
+
+    console.log(`Statuses: logout ${logout.statusCode}, after ${afterLogout.statusCode}, older ${older.statusCode}, fresh ${fresh.statusCode}`);
+    console.log(`Logout test: ${logout.statusCode === 200 && clearedBoth(logout)
+      && afterLogout.statusCode === 401 && afterLogout.body.message === 'Refresh token revoked' && clearedBoth(afterLogout)
+      && older.statusCode === 401 && fresh.statusCode === 200
+      && verifyRefreshToken(relogin.cookies[REFRESH_COOKIE].value).tokenVersion === 1
+      && anonymous.statusCode === 200 && clearedBoth(anonymous) ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: /me answers for the signed-in user only
+    console.log('\n4. Testing the current user...');
+    const me = await call(authController.me, { user: { id: relogin.body.user.id } });
+    const gone = await call(authController.me, { user: { id: 'ffffffffffffffffffffffff' } });
+
+    console.log(`Statuses: me ${me.statusCode}, gone ${gone.statusCode}`);
+    console.log(`Current user test: ${me.statusCode === 200 && me.body.user.email === 'viewer@example.com'
+      && gone.statusCode === 401 && clearedBoth(gone) ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Session test failed:', error.message);
+  }
+}
+
+async function testMiddleware() {
+  console.log('\n=== Testing Auth Middleware ===');
+
+  try {
+    const admin = await call(authController.login, { body: { email: 'admin@example.com', password: 'admin-password' } });
+    const viewer = await call(authController.login, { body: { email: 'viewer@example.com', password: 'viewer-password' } });
+    const adminOnly = requireRole('admin');
+
+    // Test 1: requireAuth takes the cookie or a Bearer header
+    console.log('\n1. Testing requireAuth...');
+    const anonymous = await call(requireAuth);
+    const forged = await call(requireAuth, { cookies: { [ACCESS_COOKIE]: 'not-a-token' } });
+    const refreshOnly = await call(requireAuth, { headers: { authorization: `Bearer ${viewer.cookies[REFRESH_COOKIE].value}` } });
+    const byCookie = await call(requireAuth, { cookies: cookiesFrom(viewer) });
+    const byHeader = await call(requireAuth, { headers: { authorization: `Bearer ${admin.cookies[ACCESS_COOKIE].value}` } });
+    const page = await call(requireAuthPage);
+
+    console.log(`Statuses: anonymous ${anonymous.statusCode}, forged ${forged.statusCode}, refresh token ${refreshOnly.statusCode}`);
+    console.log(`requireAuth test: ${anonymous.statusCode === 401 && !anonymous.nextCalled
+      && anonymous.body.message === 'Authentication required'
+      && forged.statusCode === 401 && !forged.nextCalled && refreshOnly.statusCode === 401 && !refreshOnly.nextCalled
+      && byCookie.nextCalled && byCookie.user.role === 'viewer' && byCookie.user.email === 'viewer@example.com'
+      && byHeader.nextCalled && byHeader.user.role === 'admin'
+      && page.redirect === '/login.html' && !page.nextCalled ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: requireRole lets only the listed roles through
+    console.log('\n2. Testing requireRole...');
+    const asViewer = await call(adminOnly, { user: byCookie.user });
+    const asAdmin = await call(adminOnly, { user: byHeader.user });
+    const withoutAuth = await call(adminOnly);
+    const either = await call(requireRole('admin', 'viewer'), { user: byCookie.user });
+
+    console.log(`Statuses: viewer ${asViewer.statusCode}, no user ${withoutAuth.statusCode}`);
+    console.log(`requireRole test: ${asViewer.statusCode === 403 && !asViewer.nextCalled
+      && asViewer.body.message === 'Insufficient permissions'
+      && withoutAuth.statusCode === 403 && !withoutAuth.nextCalled
+      && asAdmin.nextCalled && asAdmin.body === null && either.nextCalled ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Auth middleware test failed:', error.message);
+  }
+}
+
+// Points the shared storage at an empty file store and sets the signing secrets;
+// returns a function undoing both
+async function useAuthStorage() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  const settings = {
+    STORAGE_BACKEND: 'file',
+    STORAGE_DIR: dir,
+    JWT_ACCESS_SECRET: 'test-access-secret',
+    JWT_REFRESH_SECRET: 'test-refresh-secret'
+  };
+  const previous = Object.fromEntries(Object.keys(settings).map(name => [name, process.env[name]]));
+  Object.assign(process.env, settings);
+  await getStorage().connect();
+
+  return async () => {
+    await getStorage().close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  };
+}
+
+async function main() {
+  console.log('Running tests for authentication...');
+
+  const restore = await useAuthStorage();
+  try {
+    await testRegistration();
+    await testSessions();
+    await testMiddleware();
+  } finally {
+    await restore();
+  }
+
+  console.log('\nAll tests completed!');
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  testRegistration,
+  testSessions,
+  testMiddleware
+};
@@ -1,8 +1,14 @@
 require('dotenv').config();
-const { encrypt, decrypt, createHash, validateSecretKey } = require('../utility/crypto');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { encrypt, decrypt, loadKeyring, canonicalize, createSignature, negotiateSignatureAlgorithm, validateSecretKey } = require('../utility/crypto');
 const { generateRandomMessage, createMessageWithHash, createMessageStream, parseMessageStream } = require('../utility/messageGenerator');
+const { loadStreamSettings, negotiateStreamFormat, encodeFrames, decodeFrames, encodeMessageStream, decodeMessageStream } = require('../utility/messageFraming');
+const { loadSigningKeyMode } = require('../services/listener/socketAuth');
 const logger = require('../utility/logger');
 
+const signing = { key: process.env.SIGNING_KEY || 'test-signing-key', algorithm: 'hmac-sha256' };
+
 async function testCryptoFunctions() {
   console.log('\n=== Testing Crypto Functions ===');
   
@@ -18,33 +24,119 @@ async function testCryptoFunctions() {
     console.log(`Decrypted: ${decrypted}`);
     console.log(`Encryption/Decryption test: ${testMessage === decrypted ? 'PASSED' : 'FAILED'}`);
     
-    // Test 2: Hash generation
-    console.log('\n2. Testing hash generation...');
+    // Test 2: Signature generation
+    console.log('\n2. Testing signature generation...');
     const testObj = { name: 'John Doe', origin: 'Mumbai', destination: 'Delhi' };
-    const hash1 = createHash(testObj);
-    const hash2 = createHash(testObj);
-    const hash3 = createHash({ name: 'Jane Doe', origin: 'Mumbai', destination: 'Delhi' });
+    const sig1 = createSignature(testObj, signing.key);
+    const sig2 = createSignature({ destination: 'Delhi', origin: 'Mumbai', name: 'John Doe' }, signing.key);
+    const sig3 = createSignature({ name: 'Jane Doe', origin: 'Mumbai', destination: 'Delhi' }, signing.key);
+    const sig4 = createSignature(testObj, 'some-other-key');
     
     console.log(`Object: ${JSON.stringify(testObj)}`);
-    console.log(`Hash 1: ${hash1}`);
-    console.log(`Hash 2: ${hash2}`);
-    console.log(`Hash 3 (different data): ${hash3}`);
-    console.log(`Hash consistency test: ${hash1 === hash2 ? 'PASSED' : 'FAILED'}`);
-    console.log(`Hash uniqueness test: ${hash1 !== hash3 ? 'PASSED' : 'FAILED'}`);
+    console.log(`Signature 1: ${sig1}`);
+    console.log(`Signature 2 (keys reordered): ${sig2}`);
+    console.log(`Signature 3 (different data): ${sig3}`);
+    console.log(`Signature consistency test: ${sig1 === sig2 ? 'PASSED' : 'FAILED'}`);
+    console.log(`Signature uniqueness test: ${sig1 !== sig3 && sig1 !== sig4 ? 'PASSED' : 'FAILED'}`);
+    
+    // Separator characters inside values must not make different messages collide
+    const collisionA = canonicalize({ a: 'x|b:y' });
+    const collisionB = canonicalize({ a: 'x', b: 'y' });
+    const nested = canonicalize({ b: [1, { d: true, c: null }], a: 1.5 });
+    console.log(`Canonical nested form: ${nested}`);
+    console.log(`Canonical serialization test: ${collisionA !== collisionB && nested === '{"a":1.5,"b":[1,{"c":null,"d":true}]}' ? 'PASSED' : 'FAILED'}`);
     
     // Test 3: Secret key validation
     console.log('\n3. Testing secret key validation...');
-    const messageWithValidKey = createMessageWithHash(testObj);
-    const isValid = validateSecretKey(messageWithValidKey);
+    const messageWithValidKey = createMessageWithHash(testObj, signing);
+    const isValid = validateSecretKey(messageWithValidKey, signing);
     
-    // Test with invalid key
+    // Test with invalid key, wrong signing secret and a downgraded algorithm
     const messageWithInvalidKey = { ...messageWithValidKey, secret_key: 'invalid_key' };
-    const isInvalid = validateSecretKey(messageWithInvalidKey);
+    const isInvalid = validateSecretKey(messageWithInvalidKey, signing);
+    const wrongSecret = validateSecretKey(messageWithValidKey, { ...signing, key: 'some-other-key' });
+    const sha512Message = createMessageWithHash(testObj, { ...signing, algorithm: 'hmac-sha512' });
+    const algorithmMismatch = validateSecretKey(sha512Message, signing);
     
     console.log(`Message with valid key: ${JSON.stringify(messageWithValidKey)}`);
     console.log(`Valid key validation: ${isValid}`);
     console.log(`Invalid key validation: ${isInvalid}`);
-    console.log(`Secret key validation test: ${isValid && !isInvalid ? 'PASSED' : 'FAILED'}`);
+    console.log(`Secret key validation test: ${isValid && !isInvalid && !wrongSecret && !algorithmMismatch ? 'PASSED' : 'FAILED'}`);
+    
+    const negotiated = negotiateSignatureAlgorithm(['hmac-md5', 'hmac-sha512', 'hmac-sha256']);
+    const noneShared = negotiateSignatureAlgorithm(['hmac-md5']);
+    console.log(`Signature negotiation test: ${negotiated === 'hmac-sha512' && noneShared === null ? 'PASSED' : 'FAILED'}`);
+
+    const refusesConfig = env => {
+      try {
+        loadSigningKeyMode(env);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    };
+    const signingModeOk = loadSigningKeyMode({}) === 'emitter'
+      && loadSigningKeyMode({ SIGNING_KEY_MODE: 'shared', SIGNING_KEY: 'key' }) === 'shared'
+      && refusesConfig({ SIGNING_KEY_MODE: 'shared' }) && refusesConfig({ SIGNING_KEY_MODE: 'sharde' });
+    console.log(`Signing key mode test: ${signingModeOk ? 'PASSED' : 'FAILED'}`);
+    
+    // Test 4: Tampered ciphertext is rejected by the GCM auth tag
+    console.log('\n4. Testing tamper detection...');
+    const parts = encrypt(JSON.stringify(testObj)).split(':');
+    const flipped = (parseInt(parts[4][0], 16) ^ 1).toString(16);
+    parts[4] = flipped + parts[4].substring(1);
+    let tamperRejected = false;
+    try {
+      decrypt(parts.join(':'));
+    } catch (error) {
+      tamperRejected = error.message === 'Message authentication failed';
+    }
+    console.log(`Wire format: ${encrypted.split(':').slice(0, 2).join(':')}:...`);
+    console.log(`Tamper detection test: ${encrypted.startsWith('v2:') && tamperRejected ? 'PASSED' : 'FAILED'}`);
+
+    // A truncated tag or IV must not pass, even when it is a prefix of the real one
+    const intact = encrypt(testMessage).split(':');
+    const shortened = [
+      [intact[0], intact[1], intact[2], intact[3].substring(0, 8), intact[4]],
+      [intact[0], intact[1], intact[2].substring(0, 16), intact[3], intact[4]]
+    ];
+    const truncatedRejected = shortened.every(candidate => {
+      try {
+        decrypt(candidate.join(':'));
+        return false;
+      } catch (error) {
+        return error.message === 'Message authentication failed';
+      }
+    });
+    console.log(`Truncated tag test: ${truncatedRejected ? 'PASSED' : 'FAILED'}`);
+    
+    // Test 5: Key rotation - old and new keys both decrypt, unknown keys do not
+    console.log('\n5. Testing key rotation...');
+    const oldRing = loadKeyring({ ENCRYPTION_KEYS: 'k1:first-passphrase' });
+    const rotatedRing = loadKeyring({
+      ENCRYPTION_KEYS: `k2:${crypto.randomBytes(32).toString('hex')},k1:first-passphrase`
+    });
+    const fromOldKey = encrypt(testMessage, { keyring: oldRing });
+    const fromNewKey = encrypt(testMessage, { keyring: rotatedRing });
+    let unknownKeyRejected = false;
+    try {
+      decrypt(fromNewKey, { keyring: oldRing });
+    } catch (error) {
+      unknownKeyRejected = true;
+    }
+    const rotationOk = rotatedRing.activeKeyId === 'k2'
+      && decrypt(fromOldKey, { keyring: rotatedRing }) === testMessage
+      && decrypt(fromNewKey, { keyring: rotatedRing }) === testMessage
+      && unknownKeyRejected;
+    console.log(`Key rotation test: ${rotationOk ? 'PASSED' : 'FAILED'}`);
+    
+    // Test 6: Legacy iv:cipher messages still decode
+    console.log('\n6. Testing legacy message decoding...');
+    const legacyRing = loadKeyring({ ENCRYPTION_KEY: 'legacy-secret' });
+    const legacyIv = crypto.randomBytes(16);
+    const legacyCipher = crypto.createCipheriv('aes-256-ctr', crypto.scryptSync('legacy-secret', 'salt', 32), legacyIv);
+    const legacyMessage = legacyIv.toString('hex') + ':' + legacyCipher.update(testMessage, 'utf8', 'hex') + legacyCipher.final('hex');
+    console.log(`Legacy decoding test: ${decrypt(legacyMessage, { keyring: legacyRing }) === testMessage ? 'PASSED' : 'FAILED'}`);
     
   } catch (error) {
     console.error('Crypto test failed:', error.message);
@@ -66,7 +158,7 @@ async function testMessageGeneration() {
     
     // Test 2: Message stream creation and parsing
     console.log('\n2. Testing message stream creation and parsing...');
-    const messageStream = createMessageStream();
+    const messageStream = createMessageStream(signing);
     const parsedMessages = parseMessageStream(messageStream);
     
     console.log(`Message stream length: ${messageStream.length} characters`);
@@ -76,10 +168,10 @@ async function testMessageGeneration() {
     // Test 3: End-to-end message flow
     console.log('\n3. Testing end-to-end message flow...');
     const originalMessage = generateRandomMessage();
-    const messageWithHash = createMessageWithHash(originalMessage);
+    const messageWithHash = createMessageWithHash(originalMessage, signing);
     const encryptedMessage = encrypt(JSON.stringify(messageWithHash));
     const decryptedMessage = JSON.parse(decrypt(encryptedMessage));
-    const isValidMessage = validateSecretKey(decryptedMessage);
+    const isValidMessage = validateSecretKey(decryptedMessage, signing);
     
     console.log(`Original: ${JSON.stringify(originalMessage)}`);
     console.log(`With hash: ${JSON.stringify(messageWithHash)}`);
@@ -96,7 +188,7 @@ async function testMessageGeneration() {
     for (let i = 0; i < testCount; i++) {
       try {
         const decrypted = JSON.parse(decrypt(parsedMessages[i]));
-        const valid = validateSecretKey(decrypted);
+        const valid = validateSecretKey(decrypted, signing);
         if (valid) validCount++;
         console.log(`Message ${i + 1}: ${valid ? 'VALID' : 'INVALID'}`);
       } catch (error) {
@@ -111,11 +203,99 @@ async function testMessageGeneration() {
   }
 }
 
+async function testMessageFraming() {
+  console.log('\n=== Testing Binary Message Frames ===');
+
+  try {
+    const stream = createMessageStream({ ...signing, batchSize: { min: 100, max: 100 } });
+    const messages = parseMessageStream(stream);
+    const settings = loadStreamSettings({});
+
+    // Test 1: Frames carry the raw ciphertext and decode to the same wire strings
+    console.log('\n1. Testing frame round trip...');
+    const odd = [...messages.slice(0, 3), 'legacy-or-garbage', 'v2:default:ABC:def:00'];
+    const frames = encodeFrames(messages);
+    const roundTrip = decodeFrames(encodeFrames(odd));
+
+    console.log(`Text stream: ${Buffer.byteLength(stream)} bytes, binary frames: ${frames.length} bytes`);
+    console.log(`Frame round trip test: ${decodeFrames(frames).join('|') === stream && roundTrip.join('|') === odd.join('|')
+      && frames.length < Buffer.byteLength(stream) * 0.6 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Compressed batches decode, and only go out compressed when that is smaller
+    console.log('\n2. Testing compression...');
+    const batch = { batchId: 'batch-1', stream, messageCount: messages.length };
+    const decoded = [];
+    for (const compression of ['gzip', 'deflate', 'none']) {
+      const wire = await encodeMessageStream(batch, { streamFormat: 'binary', compression });
+      console.log(`${compression}: sent as ${wire.compression}, ${wire.frames.length} bytes`);
+      decoded.push(wire.stream === undefined && wire.batchId === 'batch-1' && wire.frames.length <= frames.length
+        && (await decodeMessageStream(wire, settings)).join('|') === stream);
+    }
+    const repetitive = Array(50).fill(messages[0]).join('|');
+    const squeezed = await encodeMessageStream({ batchId: 'batch-2', stream: repetitive }, { streamFormat: 'binary', compression: 'gzip' });
+    const text = await encodeMessageStream(batch, { streamFormat: 'text', compression: 'gzip' });
+
+    console.log(`Compression test: ${decoded.every(Boolean) && squeezed.compression === 'gzip'
+      && (await decodeMessageStream(squeezed, settings)).join('|') === repetitive
+      && text === batch && (await decodeMessageStream(text, settings)).length === messages.length ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Damaged, oversized and unsupported batches are refused
+    console.log('\n3. Testing malformed batches...');
+    const bomb = zlib.gzipSync(Buffer.alloc(20 * 1024 * 1024));
+    const textOnly = loadStreamSettings({ STREAM_FORMATS: 'text' });
+    const refusals = [];
+    for (const [data, accepted = settings] of [
+      [{ format: 'binary', compression: 'none', frames: frames.subarray(0, frames.length - 3) }],
+      [{ format: 'binary', compression: 'none', frames: Buffer.from([0, 0, 0, 1, 9]) }],
+      [{ format: 'binary', compression: 'gzip', frames: Buffer.from('not gzip') }],
+      [{ format: 'binary', compression: 'gzip', frames: bomb }],
+      [{ format: 'binary', compression: 'none', frames: Buffer.alloc(0) }],
+      [{ format: 'binary', compression: 'brotli', frames }],
+      [{ format: 'binary', compression: 'none', frames: 'not a buffer' }],
+      [{ format: 'binary', compression: 'none', frames }, textOnly],
+      [{ format: 'morse', stream }]
+    ]) {
+      try {
+        await decodeMessageStream(data, accepted);
+        refusals.push('accepted');
+      } catch (error) {
+        refusals.push(error.message);
+      }
+    }
+
+    refusals.forEach(reason => console.log(`  ${reason}`));
+    console.log(`Malformed batch test: ${refusals.every(reason => reason !== 'accepted') ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: Negotiation falls back to text for emitters that offer nothing
+    console.log('\n4. Testing format negotiation...');
+    const binaryGzip = negotiateStreamFormat(['binary', 'text'], ['gzip', 'deflate'], settings);
+    const legacy = negotiateStreamFormat(undefined, undefined, settings);
+    const textListener = negotiateStreamFormat(['binary', 'text'], ['deflate'], textOnly);
+    const uncompressed = negotiateStreamFormat(['binary'], ['brotli'], settings);
+    const none = negotiateStreamFormat(['morse'], [], settings);
+    let badSetting = false;
+    try {
+      loadStreamSettings({ STREAM_FORMATS: 'binary,morse' });
+    } catch (error) {
+      badSetting = true;
+    }
+
+    console.log(`Negotiated: ${JSON.stringify({ binaryGzip, legacy, textListener, uncompressed, none })}`);
+    console.log(`Negotiation test: ${binaryGzip.streamFormat === 'binary' && binaryGzip.compression === 'gzip'
+      && legacy.streamFormat === 'text' && textListener.streamFormat === 'text' && textListener.compression === 'none'
+      && uncompressed.compression === 'none' && none === null && badSetting ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Message framing test failed:', error.message);
+  }
+}
+
 async function main() {
   console.log('Running tests to make sure crypto functions work properly...');
   
   await testCryptoFunctions();
   await testMessageGeneration();
+  await testMessageFraming();
   
   console.log('\nAll tests completed!');
 }
@@ -126,5 +306,6 @@ if (require.main === module) {
 
 module.exports = {
   testCryptoFunctions,
-  testMessageGeneration
+  testMessageGeneration,
+  testMessageFraming
 };
\ No newline at end of file
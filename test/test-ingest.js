@@ -0,0 +1,1466 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { encrypt } = require('../utility/crypto');
+const { generateRandomMessage, createMessageWithHash, generateMessageBatch, CORRUPTION_KINDS } = require('../utility/messageGenerator');
+const { loadEventTimePolicy, checkEventTime } = require('../utility/eventTime');
+const NonceCache = require('../utility/nonceCache');
+const { SCHEMAS, createSchemaRegistry, loadMessageSchemas } = require('../utility/messageSchema');
+const { encodeMessageStream } = require('../utility/messageFraming');
+const { MetricsRegistry, metricsHandler } = require('../utility/metrics');
+const { resolveStatsWindow } = require('../utility/processingStats');
+const { signEmitterToken, signAccessToken, ACCESS_COOKIE } = require('../utility/authTokens');
+const { io: connectSocket } = require('socket.io-client');
+const BatchQueue = require('../utility/batchQueue');
+const ListenerService = require('../services/listener/listener');
+const DecryptPool = require('../services/listener/decryptPool');
+const { createMemoryBus, createMongoBus } = require('../services/listener/clusterAdapter');
+const { subscriptionKey } = require('../services/listener/recordFeed');
+const EmitterService = require('../services/emitter/emitter');
+const Outbox = require('../services/emitter/outbox');
+const { saveCredentials, loadCredentials, clearCredentials } = require('../services/emitter/credentials');
+const { createEmitterMetrics } = require('../services/emitter/metrics');
+const { loadEmitterConfig, emitterNames, profileIntervalFactor } = require('../services/emitter/config');
+const FileStorage = require('../storage/fileStorage');
+const TimeSeriesData = require('../models/TimeSeriesData');
+const Rollup = require('../models/Rollup');
+
+const emitter = {
+  emitterId: 'em_test',
+  signingKey: 'test-signing-key',
+  signatureAlgorithm: 'hmac-sha256'
+};
+
+// A listener on file storage in a temporary directory, so
+// handleMessageStream can run without MongoDB. Returns a cleanup function.
+async function createFileListener(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+  const storage = new FileStorage({ dir });
+  await storage.connect();
+  const listener = new ListenerService(0, { storage, ...options });
+
+  return {
+    listener,
+    storage,
+    cleanup: async () => {
+      listener.io.close();
+      if (listener.decryptPool) {
+        await listener.decryptPool.close();
+      }
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Builds an encrypted message the way an emitter would
+function buildMessage(overrides = {}) {
+  const message = createMessageWithHash({ ...generateRandomMessage(), ...overrides }, {
+    key: emitter.signingKey,
+    algorithm: emitter.signatureAlgorithm
+  });
+  return encrypt(JSON.stringify(message));
+}
+
+// Alters the last hex digit, so the GCM auth check fails
+function flip(ciphertext) {
+  return ciphertext.slice(0, -1) + (ciphertext.slice(-1) === '0' ? '1' : '0');
+}
+
+async function testEventTime() {
+  console.log('\n=== Testing Event Time Policy ===');
+
+  try {
+    const now = Date.parse('2024-01-15T14:30:00Z');
+    const rejectPolicy = loadEventTimePolicy({ MAX_CLOCK_SKEW_MS: '30000', LATE_DATA_WINDOW_MS: '3600000' });
+    const mergePolicy = loadEventTimePolicy({ LATE_DATA_POLICY: 'merge' });
+
+    // Test 1: On-time, late and future messages
+    console.log('\n1. Testing skew and lateness checks...');
+    const onTime = checkEventTime('2024-01-15T14:29:50Z', rejectPolicy, now);
+    const lateInWindow = checkEventTime('2024-01-15T14:00:00Z', rejectPolicy, now);
+    const future = checkEventTime('2024-01-15T14:31:00Z', rejectPolicy, now);
+    const tooLate = checkEventTime('2024-01-15T12:00:00Z', rejectPolicy, now);
+    const tooLateMerged = checkEventTime('2024-01-15T12:00:00Z', mergePolicy, now);
+    const missing = checkEventTime(undefined, rejectPolicy, now);
+
+    console.log(`On time: ${JSON.stringify(onTime)}`);
+    console.log(`Late within window: ${JSON.stringify(lateInWindow)}`);
+    console.log(`Future: ${future.reason}`);
+    console.log(`Beyond window (reject): ${tooLate.reason}`);
+    console.log(`Missing: ${missing.reason}`);
+
+    const passed = onTime.accepted && !onTime.late
+      && lateInWindow.accepted && lateInWindow.late
+      && !future.accepted && !tooLate.accepted && tooLateMerged.accepted && !missing.accepted
+      && lateInWindow.timestamp.toISOString() === '2024-01-15T14:00:00.000Z';
+    console.log(`Event time policy test: ${passed ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Event time test failed:', error.message);
+  }
+}
+
+async function testMessageSchema() {
+  console.log('\n=== Testing Message Schemas ===');
+
+  try {
+    const registry = loadMessageSchemas({});
+    const message = generateRandomMessage();
+
+    // Test 1: Payloads are checked field by field and trimmed to the schema
+    console.log('\n1. Testing the version 1 schema...');
+    const sanitized = registry.validate({ ...message, name: `  ${message.name} `, role: 'admin' });
+    const missing = registry.validate({ ...message, name: '' });
+    const unknownOrigin = registry.validate({ ...message, origin: 'Atlantis' });
+    const tooLong = registry.validate({ ...message, name: 'x'.repeat(101) });
+    const wrongType = registry.validate({ ...message, destination: 42 });
+    const strict = loadMessageSchemas({ MESSAGE_UNKNOWN_FIELDS: 'reject' }).validate({ ...message, role: 'admin' });
+
+    console.log(`Sanitized: ${JSON.stringify(sanitized.sanitized)}`);
+    console.log(`Reasons: ${[missing, unknownOrigin, tooLong, wrongType, strict].map(result => result.reason).join(', ')}`);
+    console.log(`Schema test: ${sanitized.valid && Object.keys(sanitized.value).join(',') === 'name,origin,destination'
+      && sanitized.value.name === message.name && sanitized.sanitized.length === 2
+      && missing.reason === 'Missing fields' && unknownOrigin.reason === 'Invalid origin' && tooLong.reason === 'Invalid name'
+      && wrongType.errors[0].message === 'must be a string' && strict.reason === 'Unknown fields'
+      && loadMessageSchemas({ MESSAGE_REFERENCE_DATA: 'none' }).validate({ ...message, origin: 'Atlantis' }).valid ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: A new message version is accepted next to the old one
+    console.log('\n2. Testing schema versions...');
+    const versioned = createSchemaRegistry({
+      1: SCHEMAS[1],
+      2: { ...SCHEMAS[1], vehicle: { type: 'string', required: true, allowed: ['bus', 'train'] } }
+    });
+    const v1 = versioned.validate(message);
+    const v2 = versioned.validate({ ...message, vehicle: 'train' }, 2);
+    const v2Missing = versioned.validate(message, 2);
+    const unknownVersion = versioned.validate(message, 'constructor');
+
+    console.log(`Version 2: ${JSON.stringify(v2.value)}`);
+    console.log(`Version test: ${v1.valid && !v1.value.vehicle && v2.valid && v2.value.vehicle === 'train'
+      && v2Missing.reason === 'Missing fields' && unknownVersion.reason === 'Unsupported schema version' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: The listener stores only the schema's fields
+    console.log('\n3. Testing the listener...');
+    const listener = new ListenerService(0);
+    const accepted = listener.processEncryptedMessage(buildMessage({ origin: ` ${message.origin}`, role: 'admin' }), 0, emitter);
+    const rejected = listener.processEncryptedMessage(buildMessage({ destination: 'Atlantis' }), 1, emitter);
+    const future = listener.processEncryptedMessage(buildMessage({ schemaVersion: 9 }), 2, emitter);
+    listener.io.close();
+
+    console.log(`Stored fields: ${Object.keys(accepted.data).join(', ')}`);
+    console.log(`Listener schema test: ${accepted.valid && accepted.sanitized && accepted.data.role === undefined
+      && accepted.data.origin === message.origin && rejected.reason === 'Invalid destination'
+      && future.reason === 'Unsupported schema version' ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Message schema test failed:', error.message);
+  }
+}
+
+async function testReplayProtection() {
+  console.log('\n=== Testing Replay Protection ===');
+
+  try {
+    // Test 1: Nonce cache remembers keys and never drops one before it expires
+    console.log('\n1. Testing nonce cache...');
+    const cache = new NonceCache({ maxEntries: 2, ttlMs: 1000 });
+    const first = cache.checkAndRemember('a', 0);
+    const repeat = cache.checkAndRemember('a', 10);
+    cache.checkAndRemember('b', 20);
+    const full = !cache.hasRoomFor(1, 30);
+    const kept = cache.has('a', 30) && !cache.checkAndRemember('a', 40);
+    const roomAfterExpiry = cache.hasRoomFor(2, 2000);
+    const expired = cache.checkAndRemember('b', 2000);
+
+    console.log(`Cache stats: ${JSON.stringify(cache.getStats())}`);
+    console.log(`Nonce cache test: ${first && !repeat && full && kept && roomAfterExpiry && expired && cache.getStats().fullRejections === 1 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: The listener rejects a re-sent message with a distinct reason
+    console.log('\n2. Testing replayed and late messages...');
+    const listener = new ListenerService(0);
+    const message = buildMessage();
+    const firstPass = listener.processEncryptedMessage(message, 0, emitter);
+    const replay = listener.processEncryptedMessage(message, 1, emitter);
+    const tooLate = listener.processEncryptedMessage(
+      buildMessage({ createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() }), 2, emitter
+    );
+    listener.io.close();
+
+    console.log(`First delivery: valid=${firstPass.valid}, recordId=${firstPass.data && firstPass.data.recordId}`);
+    console.log(`Replay: ${replay.reason}`);
+    console.log(`Late (reject policy): ${tooLate.reason}`);
+    console.log(`Replay protection test: ${firstPass.valid && !replay.valid && replay.replayed && !tooLate.valid && !tooLate.stale ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: With LATE_DATA_POLICY=merge, late data is merged up to the replay window
+    console.log('\n3. Testing late data under the merge policy...');
+    const previousPolicy = process.env.LATE_DATA_POLICY;
+    process.env.LATE_DATA_POLICY = 'merge';
+    const mergeListener = new ListenerService(0);
+    if (previousPolicy === undefined) delete process.env.LATE_DATA_POLICY;
+    else process.env.LATE_DATA_POLICY = previousPolicy;
+
+    const merged = mergeListener.processEncryptedMessage(
+      buildMessage({ createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() }), 0, emitter
+    );
+    const stale = mergeListener.processEncryptedMessage(
+      buildMessage({ createdAt: new Date(Date.now() - mergeListener.replayWindowMs - 60000).toISOString() }), 1, emitter
+    );
+    mergeListener.io.close();
+
+    console.log(`Replay window: ${mergeListener.replayWindowMs}ms`);
+    console.log(`Two hours late: valid=${merged.valid}, late=${merged.late}`);
+    console.log(`Beyond the replay window: ${stale.reason}`);
+    console.log(`Merge policy test: ${merged.valid && merged.late && !stale.valid && stale.stale ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: A batch that does not fit in the nonce cache is refused, not let through
+    console.log('\n4. Testing a full nonce cache...');
+    const { listener: fullListener, storage, cleanup } = await createFileListener();
+    try {
+      fullListener.nonceCache = new NonceCache({ maxEntries: 1, ttlMs: fullListener.replayWindowMs });
+      const events = [];
+      const socket = { id: 'replay-socket', data: { emitter }, emit: (event, payload) => events.push({ event, payload }) };
+      await fullListener.handleMessageStream(socket, { batchId: 'replay-1', stream: [buildMessage(), buildMessage()].join('|'), messageCount: 2 });
+
+      const refused = events.find(({ event }) => event === 'processing_error');
+      console.log(`Refused with: ${refused && refused.payload.error}`);
+      console.log(`Full cache test: ${refused && fullListener.nonceCache.size === 0 && !storage.batches.has('em_test:replay-1') ? 'PASSED' : 'FAILED'}`);
+    } finally {
+      await cleanup();
+    }
+
+    // Test 5: A retried batch is acked with the original results and not counted twice
+    console.log('\n5. Testing a retried batch...');
+    const { listener: retryListener, cleanup: retryCleanup } = await createFileListener();
+    try {
+      const socket = { id: 'retry-socket', data: { emitter }, emit: () => {} };
+      const batch = { batchId: 'retry-1', stream: [buildMessage({ createdAt: 'not a date' })].join('|'), messageCount: 1 };
+      const acks = [];
+
+      await retryListener.handleMessageStream(socket, batch, response => acks.push(response));
+      await retryListener.handleMessageStream(socket, batch, response => acks.push(response));
+
+      const [first, retry] = acks;
+      console.log(`First ack: status=${first.status}, invalid=${first.invalidCount}`);
+      console.log(`Retry ack: status=${retry.status}, duplicate=${retry.duplicate}`);
+      console.log(`Retried batch test: ${first.status === 'ok' && retry.status === 'ok' && retry.duplicate
+        && retry.invalidCount === first.invalidCount && retryListener.processingStats.totalReceived === 1
+        && retryListener.processingStats.duplicateBatches === 1 ? 'PASSED' : 'FAILED'}`);
+    } finally {
+      await retryCleanup();
+    }
+
+    // Test 6: A saved batch the ledger cannot mark done is still acked ok, and its claim kept
+    console.log('\n6. Testing a ledger failure after saving...');
+    const { listener: ledgerListener, storage: ledgerStorage, cleanup: ledgerCleanup } = await createFileListener();
+    try {
+      const socket = { id: 'ledger-socket', data: { emitter }, emit: () => {} };
+      const batch = { batchId: 'ledger-1', stream: [buildMessage(), buildMessage()].join('|'), messageCount: 2 };
+      const acks = [];
+      const completeBatch = ledgerStorage.completeBatch.bind(ledgerStorage);
+      let failures = 1;
+      ledgerStorage.completeBatch = async (...args) => {
+        if (failures > 0) {
+          failures--;
+          throw new Error('Ledger unavailable');
+        }
+        return completeBatch(...args);
+      };
+      ledgerListener.completeRetryMs = 20;
+
+      await ledgerListener.handleMessageStream(socket, batch, response => acks.push(response));
+      const whileFailing = ledgerStorage.batches.get('em_test:ledger-1').status;
+      await ledgerListener.handleMessageStream(socket, batch, response => acks.push(response));
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await ledgerListener.handleMessageStream(socket, batch, response => acks.push(response));
+
+      const [first, inProgress, retry] = acks;
+      console.log(`Acks: ${acks.map(ack => `${ack.status}${ack.duplicate ? ' (duplicate)' : ''}`).join(', ')}`);
+      console.log(`Ledger while failing: ${whileFailing}, stats: received=${ledgerListener.processingStats.totalReceived}, saved=${ledgerListener.processingStats.totalSaved}`);
+      console.log(`Ledger failure test: ${first.status === 'ok' && first.savedCount === 2 && whileFailing === 'processing'
+        && inProgress.status === 'error' && inProgress.retryable && retry.status === 'ok' && retry.duplicate
+        && retry.savedCount === 2 && ledgerListener.unfinishedBatches.size === 0
+        && ledgerListener.processingStats.totalReceived === 2 && ledgerListener.processingStats.totalSaved === 2
+        && ledgerListener.processingStats.errors === 0 ? 'PASSED' : 'FAILED'}`);
+    } finally {
+      await ledgerCleanup();
+    }
+
+  } catch (error) {
+    console.error('Replay protection test failed:', error.message);
+  }
+}
+
+// A batch as the emitter queues it
+function outboxBatch(batchId) {
+  return { batchId, stream: `stream-${batchId}`, timestamp: new Date().toISOString(), messageCount: 1 };
+}
+
+// Resolves once `condition()` holds, or after `timeoutMs`
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function testOutbox() {
+  console.log('\n=== Testing the Emitter Outbox ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  let emitterService = null;
+  const originalRandom = Math.random;
+  try {
+    // Test 1: Unacked batches survive a restart in order, and numbering resumes
+    console.log('\n1. Testing a restart...');
+    const outbox = new Outbox(dir);
+    outbox.load();
+    ['b1', 'b2', 'b3'].forEach(batchId => outbox.enqueue(outboxBatch(batchId)));
+    const acked = outbox.ack('b2');
+    const unknownAck = outbox.ack('b9');
+    fs.writeFileSync(path.join(dir, '000000000002-broken.json'), '{not json');
+    fs.writeFileSync(path.join(dir, '000000000009-partial.json.tmp'), '{');
+
+    const reopened = new Outbox(dir);
+    const loaded = reopened.load();
+    reopened.enqueue(outboxBatch('b4'));
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+    console.log(`Reloaded: ${loaded} batches, pending ${reopened.pending().map(batch => batch.batchId).join(', ')}`);
+    console.log(`Files: ${files.join(', ')}`);
+    console.log(`Restart test: ${acked && !unknownAck && loaded === 2
+      && reopened.pending().map(batch => batch.batchId).join(',') === 'b1,b3,b4'
+      && reopened.peek().stream === 'stream-b1'
+      && files.join(',') === '000000000001-b1.json,000000000003-b3.json,000000000004-b4.json' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Expired batches are set aside and not reloaded
+    console.log('\n2. Testing expiry...');
+    const expired = reopened.expire('b3');
+    const afterExpiry = new Outbox(dir);
+    afterExpiry.load();
+    const expiredFiles = fs.readdirSync(path.join(dir, 'expired'));
+
+    console.log(`Expired: ${expiredFiles.join(', ')}; pending ${afterExpiry.pending().map(batch => batch.batchId).join(', ')}`);
+    console.log(`Expiry test: ${expired && !reopened.expire('b3') && expiredFiles.join(',') === '000000000003-b3.json'
+      && afterExpiry.pending().map(batch => batch.batchId).join(',') === 'b1,b4' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Retries back off exponentially, half fixed and half random, up to the cap
+    console.log('\n3. Testing the retry delay...');
+    emitterService = new EmitterService('localhost', 0, { name: 'outbox-emitter', metrics: createEmitterMetrics() });
+    Math.random = () => 0;
+    const shortest = [1, 2, 3, 10].map(attempt => emitterService.getRetryDelay(attempt));
+    Math.random = () => 0.999999;
+    const longest = [1, 2, 3, 10].map(attempt => emitterService.getRetryDelay(attempt));
+    Math.random = originalRandom;
+
+    let flushes = 0;
+    const flush = emitterService.flush;
+    emitterService.flush = () => flushes++;
+    emitterService.retryBaseDelayMs = 20;
+    emitterService.scheduleRetry(60);
+    const firstTimer = emitterService.retryTimer;
+    emitterService.scheduleRetry();
+    const scheduledAt = Date.now();
+    await waitFor(() => flushes > 0);
+    const waited = Date.now() - scheduledAt;
+    emitterService.flush = flush;
+
+    console.log(`Delays: ${shortest.join(', ')} to ${longest.join(', ')}; retry flushed after ${waited}ms`);
+    console.log(`Retry delay test: ${shortest.join(',') === '500,1000,2000,30000' && longest.join(',') === '1000,2000,4000,60000'
+      && firstTimer && emitterService.retryAttempt === 1 && flushes === 1 && waited >= 50
+      && emitterService.retryTimer === null ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: After a restart and reconnect the backlog is redelivered in order, a failed batch first
+    console.log('\n4. Testing redelivery...');
+    emitterService.outbox = new Outbox(dir);
+    emitterService.outbox.load();
+    emitterService.retryAttempt = 0;
+    emitterService.retryBaseDelayMs = 5;
+    emitterService.credentials = { emitterId: 'em_outbox', secret: 'secret' };
+    emitterService.messageTimer = setTimeout(() => {}, 0); // keeps new batches out of the way
+
+    const handlers = {};
+    const sent = [];
+    const answers = [{ status: 'error', retryable: true, error: 'Storage failure' }];
+    emitterService.socket = {
+      id: 'outbox-socket',
+      on: (event, handler) => {
+        handlers[event] = handler;
+      },
+      timeout: () => ({
+        emitWithAck: async (event, payload) => {
+          sent.push(payload.batchId);
+          return answers.shift() || { status: 'ok', messageCount: 1 };
+        }
+      })
+    };
+    emitterService.setupSocketEventHandlers();
+    handlers.connect();
+    handlers.session_config({ signingKey: 'emitter', signatureAlgorithm: 'hmac-sha256', credits: 1 });
+    await waitFor(() => emitterService.outbox.size === 0);
+
+    console.log(`Sent: ${sent.join(', ')}`);
+    console.log(`Redelivery test: ${sent.join(',') === 'b1,b1,b4' && emitterService.outbox.size === 0
+      && emitterService.retryAttempt === 0
+      && fs.readdirSync(dir).filter(file => file.endsWith('.json')).length === 0 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Outbox test failed:', error.message);
+  } finally {
+    Math.random = originalRandom;
+    if (emitterService) {
+      emitterService.stopPeriodicMessaging();
+      emitterService.cancelRetry();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testRejectedCredentials() {
+  console.log('\n=== Testing Rejected Emitter Credentials ===');
+
+  const name = `rejected-emitter-${process.pid}`;
+  const emitterService = new EmitterService('localhost', 0, { name, metrics: createEmitterMetrics() });
+  try {
+    saveCredentials({ emitterId: 'em_rejected', name, token: 'revoked-token', secret: 'secret' });
+    emitterService.credentials = loadCredentials(name);
+    emitterService.reconnectInterval = 20;
+    let connects = 0;
+    emitterService.connect = () => connects++;
+
+    const handlers = {};
+    emitterService.socket = {
+      on: (event, handler) => {
+        handlers[event] = handler;
+      },
+      disconnect: () => {}
+    };
+    emitterService.setupSocketEventHandlers();
+
+    // Test 1: Rejected credentials are cleared, and no new connection is tried without new ones
+    console.log('\n1. Testing a rejected handshake...');
+    handlers.connect_error(Object.assign(new Error('Emitter is not registered or has been revoked'), { data: { code: 'UNAUTHORIZED' } }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    console.log(`After rejection: ${JSON.stringify({ cached: !!loadCredentials(name), connects, reconnectAttempts: emitterService.reconnectAttempts })}`);
+    console.log(`Rejected credentials test: ${loadCredentials(name) === null && emitterService.credentials === null
+      && connects === 0 && emitterService.reconnectAttempts === 0 && emitterService.credentialsTimer ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Installing rotated credentials brings the emitter back
+    console.log('\n2. Testing installed credentials...');
+    saveCredentials({ emitterId: 'em_rejected', name, token: 'rotated-token', secret: 'rotated-secret' });
+    await waitFor(() => connects > 0);
+
+    console.log(`Connection attempts: ${connects}`);
+    console.log(`Installed credentials test: ${connects === 1 && emitterService.credentialsTimer === null ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Rejected credentials test failed:', error.message);
+  } finally {
+    emitterService.stop();
+    clearCredentials(name);
+  }
+}
+
+async function testFlowControl() {
+  console.log('\n=== Testing Flow Control ===');
+
+  try {
+    // Test 1: The queue limits concurrency, refuses overflow and signals pressure
+    console.log('\n1. Testing the batch queue...');
+    const pressure = [];
+    const releases = [];
+    const queue = new BatchQueue({ concurrency: 1, maxQueued: 2, onPressureChange: paused => pressure.push(paused) });
+    const task = () => new Promise(resolve => releases.push(resolve));
+
+    const accepted = [queue.push(task), queue.push(task), queue.push(task)];
+    const overflow = queue.push(task);
+    const busy = queue.getStats();
+
+    while (releases.length > 0 || queue.active > 0) {
+      if (releases.length > 0) releases.shift()();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const drained = queue.getStats();
+
+    console.log(`While busy: ${JSON.stringify({ active: busy.activeBatches, queued: busy.queuedBatches, paused: busy.paused })}`);
+    console.log(`Pressure changes: ${JSON.stringify(pressure)}`);
+    console.log(`Batch queue test: ${accepted.every(Boolean) && !overflow && busy.activeBatches === 1 && busy.queuedBatches === 2
+      && busy.paused && !drained.paused && drained.processedBatches === 3 && drained.rejectedBatches === 1
+      && pressure.join(',') === 'true,false' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: An emitter over its credits is refused with a retryable error
+    console.log('\n2. Testing emitter credits...');
+    const listener = new ListenerService(0);
+    try {
+      const socket = { id: 'credit-socket', data: { emitter }, emit: () => {} };
+      listener.connectedEmitters.set(socket.id, { emitterId: emitter.emitterId, inFlightBatches: listener.emitterCredits });
+
+      const acks = [];
+      const admitted = listener.enqueueMessageStream(socket, { batchId: 'credit-1' }, response => acks.push(response));
+
+      console.log(`Refused with: ${acks[0] && acks[0].error}`);
+      console.log(`Emitter credits test: ${!admitted && acks[0].retryable && acks[0].overloaded
+        && acks[0].retryAfterMs > 0 && listener.batchQueue.size === 0 ? 'PASSED' : 'FAILED'}`);
+    } finally {
+      listener.io.close();
+    }
+
+  } catch (error) {
+    console.error('Flow control test failed:', error.message);
+  }
+}
+
+async function testLoadGeneration() {
+  console.log('\n=== Testing Load Generation ===');
+
+  try {
+    // Test 1: Flags override environment variables, which override defaults
+    console.log('\n1. Testing emitter configuration...');
+    const config = loadEmitterConfig(
+      ['--profile', 'burst', '--batch-size=10-20', '--invalid-ratio', '0.25', '--emitters', '3'],
+      { EMITTER_PROFILE: 'ramp', EMITTER_INTERVAL_MS: '2000', EMITTER_CORRUPTION: 'bad-hash,missing-fields' }
+    );
+    const defaults = loadEmitterConfig([], {});
+    let rejected = 0;
+    [['--invalid-ratio', '2'], ['--profile', 'spiky'], ['--corruption', 'bad-key'], ['--batch-size', '9-3'], ['--rate', '5']].forEach(argv => {
+      try {
+        loadEmitterConfig(argv, {});
+      } catch (error) {
+        rejected++;
+      }
+    });
+
+    console.log(`Config: ${JSON.stringify({ profile: config.profile, intervalMs: config.intervalMs, batchSize: config.batchSize, corruptionKinds: config.corruptionKinds })}`);
+    console.log(`Names: ${emitterNames(config).join(', ')}`);
+    const named = emitterNames(loadEmitterConfig(['--emitters', '2', '--name', 'loadgen'], {}));
+    console.log(`Emitter config test: ${config.profile === 'burst' && config.intervalMs === 2000 && config.batchSize.min === 10
+      && config.batchSize.max === 20 && config.invalidRatio === 0.25 && config.corruptionKinds.length === 2
+      && emitterNames(config).join(',') === 'emitter-1,emitter-2,emitter-3'
+      && named.join(',') === 'loadgen-1,loadgen-2' && emitterNames(defaults).join(',') === 'emitter-1'
+      && defaults.batchSize.min === 49 && defaults.batchSize.max === 499 && defaults.intervalMs === 10000
+      && rejected === 5 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Profiles scale the interval over the run
+    console.log('\n2. Testing scenario profiles...');
+    const factors = {
+      steady: profileIntervalFactor('steady', 30000),
+      burstOn: profileIntervalFactor('burst', 65000),
+      burstOff: profileIntervalFactor('burst', 30000),
+      rampStart: profileIntervalFactor('ramp', 0),
+      rampEnd: profileIntervalFactor('ramp', 600000)
+    };
+    console.log(`Factors: ${JSON.stringify(factors)}`);
+    console.log(`Profile test: ${factors.steady === 1 && factors.burstOn === 0.1 && factors.burstOff === 1
+      && factors.rampStart === 1 && Math.abs(factors.rampEnd - 0.1) < 1e-9 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Every kind of corrupted message is rejected by the listener
+    console.log('\n3. Testing corrupted messages...');
+    const listener = new ListenerService(0);
+    try {
+      const signing = { key: emitter.signingKey, algorithm: emitter.signatureAlgorithm };
+      const reasons = {};
+      CORRUPTION_KINDS.forEach(kind => {
+        const batch = generateMessageBatch({ ...signing, batchSize: { min: 5, max: 5 }, invalidRatio: 1, corruptionKinds: [kind] });
+        reasons[kind] = batch.map((message, index) => {
+          const result = listener.processEncryptedMessage(message, index, emitter);
+          return result.valid ? 'accepted' : (result.exception ? 'Undecodable message' : result.reason);
+        });
+      });
+      const clean = generateMessageBatch({ ...signing, batchSize: { min: 5, max: 5 } })
+        .map((message, index) => listener.processEncryptedMessage(message, index, emitter).valid);
+
+      Object.entries(reasons).forEach(([kind, results]) => console.log(`${kind}: ${[...new Set(results)].join(', ')}`));
+      console.log(`Corruption test: ${Object.values(reasons).every(results => results.length === 5 && !results.includes('accepted'))
+        && reasons['bad-hash'].every(reason => reason === 'Invalid secret key')
+        && reasons['missing-fields'].every(reason => reason === 'Missing fields')
+        && clean.length === 5 && clean.every(Boolean) ? 'PASSED' : 'FAILED'}`);
+    } finally {
+      listener.io.close();
+    }
+
+  } catch (error) {
+    console.error('Load generation test failed:', error.message);
+  }
+}
+
+// Applies bulkWrite operations to in-memory sub-bucket documents, failing an
+// upsert into a full sub-bucket with E11000 as the unique index would.
+// `failWhen(operation, index)` makes the write stop there with another error,
+// after the operations before it were applied, as an ordered bulkWrite does.
+function stubBucketStore() {
+  const documents = new Map();
+  const recordIds = new Set();
+  const originals = { bulkWrite: TimeSeriesData.bulkWrite, findOne: TimeSeriesData.findOne, aggregate: TimeSeriesData.aggregate };
+  const store = { documents, failWhen: null };
+
+  // The counter entry an array filter such as { 'route0.route': 'A->B' } picks
+  const filtered = (doc, path, arrayFilters) => {
+    const [field, identifier] = /^(\w+)\.\$\[(\w+)\]/.exec(path).slice(1);
+    const [key, value] = Object.entries(arrayFilters.find(filter => Object.keys(filter)[0].startsWith(`${identifier}.`)))[0];
+    return doc[field].find(entry => entry[key.split('.')[1]] === value);
+  };
+
+  TimeSeriesData.bulkWrite = async (operations) => {
+    operations.forEach((operation, index) => {
+      const { updateOne: { filter, update, upsert, arrayFilters } } = operation;
+      if (store.failWhen && store.failWhen(operation, index)) {
+        store.failWhen = null;
+        throw Object.assign(new Error('connection reset'), { writeErrors: [{ index, code: 6 }] });
+      }
+
+      const key = `${filter.minuteBucket}:${filter.subBucket}`;
+      const doc = documents.get(key);
+      if (upsert) {
+        if (doc && doc.recordCount > filter.recordCount.$lte) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { writeErrors: [{ index, code: 11000 }] });
+        }
+        if (update.$push.records.$each.some(record => recordIds.has(record.recordId))) {
+          throw Object.assign(new Error('E11000 duplicate key error'), {
+            writeErrors: [{ index, code: 11000, keyPattern: { 'records.recordId': 1 } }]
+          });
+        }
+        update.$push.records.$each.forEach(record => recordIds.add(record.recordId));
+        const target = doc || { ...update.$setOnInsert, recordCount: 0, records: [] };
+        target.records.push(...update.$push.records.$each.map(record => ({ ...record })));
+        target.recordCount += update.$inc.recordCount;
+        documents.set(key, target);
+      } else if (!doc) {
+        return;
+      } else if (update.$push && update.$push.routes) {
+        doc.routes = doc.routes || [];
+        if (!doc.routes.some(entry => entry.route === update.$push.routes.route)) doc.routes.push({ ...update.$push.routes });
+      } else if (update.$push && update.$push.nameFrequency) {
+        doc.nameFrequency = doc.nameFrequency || [];
+        if (!doc.nameFrequency.some(entry => entry.name === update.$push.nameFrequency.name)) doc.nameFrequency.push({ ...update.$push.nameFrequency });
+      } else if (arrayFilters) {
+        const ids = filter.records.$elemMatch.recordId.$in;
+        if (!doc.records.some(record => ids.includes(record.recordId) && record.uncounted)) {
+          return;
+        }
+        Object.entries(update.$inc).forEach(([path, count]) => {
+          filtered(doc, path, arrayFilters).count += count;
+        });
+        doc.records.filter(record => ids.includes(record.recordId)).forEach(record => delete record.uncounted);
+      }
+    });
+  };
+
+  TimeSeriesData.findOne = ({ minuteBucket }) => {
+    const last = Array.from(documents.values())
+      .filter(doc => doc.minuteBucket === minuteBucket)
+      .sort((a, b) => b.subBucket - a.subBucket)[0];
+    const query = { sort: () => query, select: () => query, lean: async () => last || null };
+    return query;
+  };
+
+  // Only the lookup of stored records (findStoredRecords)
+  TimeSeriesData.aggregate = async ([{ $match }]) => {
+    const ids = $match['records.recordId'].$in;
+    return Array.from(documents.values())
+      .map(doc => ({ minuteBucket: doc.minuteBucket, subBucket: doc.subBucket, records: doc.records.filter(record => ids.includes(record.recordId)) }))
+      .filter(doc => doc.records.length > 0);
+  };
+
+  store.restore = () => {
+    TimeSeriesData.bulkWrite = originals.bulkWrite;
+    TimeSeriesData.findOne = originals.findOne;
+    TimeSeriesData.aggregate = originals.aggregate;
+  };
+  return store;
+}
+
+async function testSubBuckets() {
+  console.log('\n=== Testing Minute Sub-buckets ===');
+
+  const store = stubBucketStore();
+  try {
+    const messages = (count, prefix) => Array.from({ length: count }, (_, i) => ({
+      name: i % 2 ? 'Amit Singh' : 'Priya Sharma',
+      origin: 'Mumbai',
+      destination: i % 3 ? 'Delhi' : 'Pune',
+      timestamp: new Date(Date.UTC(2024, 0, 15, 14, 7, i % 60)),
+      recordId: `${prefix}-${i}`
+    }));
+
+    // Test 1: A busy minute overflows into numbered sub-buckets
+    console.log('\n1. Testing overflow...');
+    await TimeSeriesData.addRecords(messages(150, 'a'), { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+    await TimeSeriesData.addRecords(messages(60, 'b'), { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+    await TimeSeriesData.addRecords(messages(30, 'c'), { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+    const sizes = Array.from(store.documents.values())
+      .sort((a, b) => a.subBucket - b.subBucket)
+      .map(doc => `${doc.subBucket}:${doc.recordCount}`);
+
+    console.log(`Sub-buckets: ${sizes.join(', ')}`);
+    console.log(`Overflow test: ${sizes.join(',') === '0:100,1:50,2:90'
+      && Array.from(store.documents.values()).every(doc => doc.records.length === doc.recordCount) ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Readers see one minute
+    console.log('\n2. Testing merged reads...');
+    const documents = Array.from(store.documents.values());
+    const [minute] = TimeSeriesData.mergeSubBuckets(documents);
+    const rollup = Rollup.mergeCounters(documents);
+    const routeTotal = minute.routes.reduce((sum, { count }) => sum + count, 0);
+
+    console.log(`Minute: ${minute.minuteBucket}, ${minute.recordCount} records in ${minute.subBuckets} sub-buckets, routes ${JSON.stringify(minute.routes)}`);
+    console.log(`Merged reads test: ${TimeSeriesData.mergeSubBuckets(documents).length === 1 && minute.recordCount === 240
+      && minute.records.length === 240 && routeTotal === 240 && minute.routes.length === 2
+      && rollup.recordCount === 240 && rollup.minuteBuckets === 1 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: A record that is already stored is not written or counted again
+    console.log('\n3. Testing a stored record sent again...');
+    const before = JSON.stringify(Array.from(store.documents.values()));
+    const resent = await TimeSeriesData.addRecords(messages(1, 'a'), { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+
+    console.log(`Resent: saved ${resent.savedCount}, already stored ${resent.storedCount}`);
+    console.log(`Stored record test: ${resent.savedCount === 1 && resent.storedCount === 1
+      && JSON.stringify(Array.from(store.documents.values())) === before ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: A batch over several sub-buckets whose write fails partway is
+    // completed by its retry, each record stored and counted once
+    console.log('\n4. Testing a retry after a partial write...');
+    const busy = messages(250, 'd').map(message => ({ ...message, timestamp: new Date(Date.UTC(2024, 0, 15, 14, 8, 0)) }));
+    const minuteDocs = () => Array.from(store.documents.values()).filter(doc => doc.minuteBucket === '2024-01-15T14:08');
+    const results = [];
+    // Stops after the second sub-bucket's records are pushed, before they are counted
+    let counterUpdates = 0;
+    store.failWhen = operation => operation.updateOne.arrayFilters && ++counterUpdates === 2;
+    try {
+      await TimeSeriesData.addRecords(busy, { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+      results.push('saved');
+    } catch (error) {
+      results.push(error.message);
+    }
+    const partial = minuteDocs().reduce((sum, doc) => sum + doc.recordCount, 0);
+    const retried = await TimeSeriesData.addRecords(busy, { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+    const again = await TimeSeriesData.addRecords(busy, { emitterId: 'em_test', maxRecordsPerBucket: 100 });
+
+    const stored = minuteDocs().flatMap(doc => doc.records);
+    const total = (field) => minuteDocs().reduce((sum, doc) => sum + doc[field].reduce((count, entry) => count + entry.count, 0), 0);
+    console.log(`First attempt: ${results[0]}; ${partial} records stored`);
+    console.log(`Retry: already stored ${retried.storedCount}; sub-buckets ${minuteDocs().map(doc => `${doc.subBucket}:${doc.recordCount}`).join(', ')}`);
+    console.log(`Partial write test: ${results[0].startsWith('Failed to add records') && partial === 200
+      && retried.savedCount === 250 && retried.storedCount === 200 && again.storedCount === 250
+      && stored.length === 250 && new Set(stored.map(record => record.recordId)).size === 250
+      && minuteDocs().reduce((sum, doc) => sum + doc.recordCount, 0) === 250
+      && total('routes') === 250 && total('nameFrequency') === 250
+      && stored.every(record => !record.uncounted) ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Sub-bucket test failed:', error.message);
+  } finally {
+    store.restore();
+  }
+}
+
+async function testDeadLetters() {
+  console.log('\n=== Testing Dead Letters ===');
+
+  const { listener, storage, cleanup } = await createFileListener();
+  try {
+    // The emitter signs with its own secret, but the session was given the wrong key
+    const registered = await storage.registerEmitter('emitter-dead-letters');
+    const session = { emitterId: registered.emitterId, signingKey: 'wrong-key', signatureAlgorithm: 'hmac-sha256' };
+    const signed = (overrides = {}) => encrypt(JSON.stringify(createMessageWithHash({ ...generateRandomMessage(), ...overrides }, {
+      key: registered.secret,
+      algorithm: 'hmac-sha256'
+    })));
+    const socket = { id: 'dead-letter-socket', data: { emitter: session }, emit: () => {} };
+
+    // Test 1: Undecodable and unverifiable messages are kept with their ciphertext, once per batch
+    console.log('\n1. Testing dead-lettered messages...');
+    const stream = [signed(), 'not-a-ciphertext', encrypt('{not json'), signed({ name: '' })];
+    const batch = { batchId: 'dead-1', stream: stream.join('|'), messageCount: stream.length };
+    const acks = [];
+    await listener.handleMessageStream(socket, batch, response => acks.push(response));
+    await storage.addDeadLetters([{ emitterId: registered.emitterId, batchId: 'dead-1', messageIndex: 1, stage: 'decrypt', ciphertext: 'again', receivedAt: new Date() }]);
+
+    const window = { from: new Date(0), to: new Date() };
+    const deadLetters = await storage.listDeadLetters(window, { limit: 10 });
+    const stages = deadLetters.map(deadLetter => `${deadLetter.messageIndex}:${deadLetter.stage}`).sort();
+
+    console.log(`Ack: invalid=${acks[0].invalidCount}, deadLetters=${acks[0].deadLetterCount}`);
+    console.log(`Stored: ${stages.join(', ')}`);
+    console.log(`Dead letter test: ${acks[0].deadLetterCount === 4 && stages.join(',') === '0:signature,1:decrypt,2:parse,3:signature'
+      && deadLetters.every(deadLetter => deadLetter.status === 'pending' && deadLetter.batchId === 'dead-1')
+      && deadLetters.find(deadLetter => deadLetter.messageIndex === 1).ciphertext === 'not-a-ciphertext'
+      && listener.processingStats.totalDeadLettered === 4 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Re-processing checks them with the emitter's current key
+    console.log('\n2. Testing re-processing...');
+    const ids = deadLetters.map(deadLetter => deadLetter._id);
+    const outcome = await listener.reprocessDeadLetters(ids);
+    const again = await listener.reprocessDeadLetters(ids);
+    const byIndex = new Map(deadLetters.map(deadLetter => [deadLetter._id, deadLetter.messageIndex]));
+    const statuses = outcome.results.map(result => `${byIndex.get(result.id)}:${result.status}`).sort();
+    const records = await storage.queryRange(window, { limit: 10 });
+
+    console.log(`Outcomes: ${statuses.join(', ')}`);
+    console.log(`Second run: reprocessed=${again.reprocessed}, skipped=${again.skipped.length}`);
+    console.log(`Re-processing test: ${statuses.join(',') === '0:reprocessed,1:pending,2:pending,3:rejected'
+      && outcome.reprocessed === 1 && records.length === 1 && records[0].emitterId === registered.emitterId
+      && again.reprocessed === 0 && again.skipped.length === 2
+      && (await storage.listDeadLetters({ ...window, status: 'pending' }, { limit: 10 })).every(deadLetter => deadLetter.attempts === 2) ? 'PASSED' : 'FAILED'}`);
+
+    // Clustered from here on, with the nonce claims recorded
+    listener.clustered = true;
+    const claims = [];
+    storage.claimNonces = (keys, owner, expireAt) => {
+      claims.push(...keys);
+      return FileStorage.prototype.claimNonces.call(storage, keys, owner, expireAt);
+    };
+    const addDeadLetter = async (batchId, ciphertext) => {
+      await storage.addDeadLetters([{
+        emitterId: registered.emitterId, batchId, messageIndex: 0, stage: 'signature',
+        ciphertext, signatureAlgorithm: 'hmac-sha256', receivedAt: new Date()
+      }]);
+      const listed = await storage.listDeadLetters({ from: new Date(0), to: new Date() }, { limit: 20 });
+      return listed.find(deadLetter => deadLetter.batchId === batchId)._id;
+    };
+    const storedCopies = async (recordId) => (await storage.queryRange({ from: new Date(0), to: new Date(Date.now() + 86400000), emitterId: registered.emitterId }, { limit: 20 }))
+      .filter(record => record.recordId === recordId).length;
+
+    // Test 3: A failed status update is reported, and the stale re-claim finds the record stored
+    console.log('\n3. Testing a failed status update...');
+    const unfinishedId = await addDeadLetter('dead-2', signed());
+    storage.finishDeadLetter = async () => {
+      throw new Error('connection reset');
+    };
+    const failed = await listener.reprocessDeadLetters([unfinishedId]);
+    delete storage.finishDeadLetter;
+    storage.deadLetters.get(String(unfinishedId)).claimedAt = new Date(0);
+    const resumed = await listener.reprocessDeadLetters([unfinishedId]);
+    const recordId = failed.results[0].recordId;
+    const finished = (await storage.listDeadLetters({ from: new Date(0), to: new Date() }, { limit: 20 }))
+      .find(deadLetter => deadLetter._id === unfinishedId);
+
+    console.log(`First run: ${JSON.stringify({ status: failed.results[0].status, unfinished: failed.unfinished.length })}`);
+    console.log(`Re-claimed: ${JSON.stringify({ status: resumed.results[0].status, copies: await storedCopies(recordId) })}`);
+    console.log(`Unfinished re-processing test: ${failed.results[0].status === 'reprocessed' && failed.unfinished.join() === unfinishedId
+      && claims.includes(recordId) && resumed.results[0].status === 'reprocessed' && resumed.results[0].recordId === recordId
+      && resumed.unfinished.length === 0 && await storedCopies(recordId) === 1
+      && finished.status === 'reprocessed' && finished.recordId === recordId ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: A message another instance has claimed is not stored again
+    console.log('\n4. Testing a message claimed elsewhere...');
+    const ciphertext = signed();
+    const { nonce } = listener.decodeMessage(ciphertext, 0, {
+      emitterId: registered.emitterId,
+      signingKey: registered.secret,
+      signatureAlgorithm: 'hmac-sha256'
+    }, { receivedAt: Date.now() });
+    await storage.claimNonces([`${registered.emitterId}:${nonce}`], 'other-instance', new Date(Date.now() + 60000));
+    const taken = await listener.reprocessDeadLetters([await addDeadLetter('dead-3', ciphertext)]);
+
+    console.log(`Outcome: ${JSON.stringify(taken.results[0])}`);
+    console.log(`Cluster claim test: ${taken.results[0].status === 'rejected' && taken.results[0].error === 'Replayed message'
+      && await storedCopies(`${registered.emitterId}:${nonce}`) === 0 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Dead letter test failed:', error.message);
+  } finally {
+    await cleanup();
+  }
+}
+
+async function testDecryptPool() {
+  console.log('\n=== Testing Decrypt Worker Pool ===');
+
+  const listener = new ListenerService(0);
+  listener.io.close();
+  const pool = new DecryptPool({
+    size: 2,
+    eventTimePolicy: listener.eventTimePolicy,
+    replayWindowMs: listener.replayWindowMs,
+    schemaSettings: {}
+  });
+  try {
+    // Every fifth message is corrupted in a different way
+    const messages = Array.from({ length: 60 }, (_, i) => {
+      if (i % 5 !== 4) {
+        return buildMessage();
+      }
+      return [flip(buildMessage()), 'garbage', buildMessage({ origin: 'Atlantis' })][Math.floor(i / 5) % 3];
+    });
+    const receivedAt = Date.now();
+
+    // Test 1: Workers decode slices in parallel with the same results as the main thread
+    console.log('\n1. Testing parallel decoding...');
+    const { results, timings } = await pool.decode(messages, emitter, { receivedAt });
+    const inline = messages.map((message, i) => listener.decodeMessage(message, i, emitter, { receivedAt }));
+    const same = results.length === inline.length && results.every((result, i) => result.valid === inline[i].valid
+      && result.reason === inline[i].reason && result.stage === inline[i].stage
+      && (!result.valid || (result.nonce === inline[i].nonce && result.data.timestamp.getTime() === inline[i].data.timestamp.getTime())));
+
+    console.log(`Valid: ${results.filter(result => result.valid).length}/${results.length}`);
+    console.log(`Timings: ${JSON.stringify(timings)}`);
+    console.log(`Pool stats: ${JSON.stringify(pool.getStats())}`);
+    console.log(`Parallel decode test: ${same && results.filter(result => result.valid).length === 48
+      && ['decrypt', 'parse', 'signature', 'validation', 'wallMs'].every(stage => timings[stage] >= 0)
+      && pool.getStats().running === 2 && pool.getStats().messages === 60 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: A crashed worker is replaced
+    console.log('\n2. Testing a worker crash...');
+    await pool.workers[0].terminate();
+    const retry = await pool.decode(messages.slice(0, 30), emitter, { receivedAt });
+
+    console.log(`Restarts: ${pool.getStats().workerRestarts}, running: ${pool.getStats().running}`);
+    console.log(`Worker restart test: ${pool.getStats().workerRestarts === 1 && pool.getStats().running === 2
+      && retry.results.length === 30 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Decrypt pool test failed:', error.message);
+  } finally {
+    await pool.close();
+  }
+}
+
+async function testBinaryStreams() {
+  console.log('\n=== Testing Binary Message Streams ===');
+
+  const { listener, storage, cleanup } = await createFileListener();
+  try {
+    const socket = { id: 'binary-socket', data: { emitter }, emit: () => {} };
+    const send = async (data) => {
+      const acks = [];
+      await listener.handleMessageStream(socket, data, response => acks.push(response));
+      return acks[0];
+    };
+    const stream = [buildMessage(), buildMessage(), flip(buildMessage()), buildMessage({ origin: 'Atlantis' })].join('|');
+
+    // Test 1: Compressed binary frames are processed like the text stream
+    console.log('\n1. Testing a gzip binary batch...');
+    const binary = await encodeMessageStream({ batchId: 'binary-1', stream, messageCount: 4 }, { streamFormat: 'binary', compression: 'gzip' });
+    const text = await send({ batchId: 'text-1', stream: stream.split('|').map(() => buildMessage()).join('|'), messageCount: 4 });
+    const ack = await send(binary);
+    const deadLetters = await storage.listDeadLetters({ from: new Date(0), to: new Date() }, { limit: 10 });
+
+    console.log(`Binary ack: ${JSON.stringify({ status: ack.status, valid: ack.validCount, saved: ack.savedCount, deadLetters: ack.deadLetterCount })}`);
+    console.log(`Binary batch test: ${Buffer.isBuffer(binary.frames) && ack.status === 'ok' && ack.validCount === 2 && ack.savedCount === 2
+      && text.status === 'ok' && text.savedCount === 4
+      && deadLetters.length === 1 && deadLetters[0].ciphertext === stream.split('|')[2] ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Frames that cannot be read are refused for good
+    console.log('\n2. Testing a damaged binary batch...');
+    const damaged = await send({ ...binary, batchId: 'binary-2', frames: binary.frames.subarray(0, 20) });
+
+    console.log(`Damaged ack: ${JSON.stringify({ status: damaged.status, retryable: damaged.retryable, error: damaged.error })}`);
+    console.log(`Damaged batch test: ${damaged.status === 'error' && damaged.retryable === false ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Binary stream test failed:', error.message);
+  } finally {
+    await cleanup();
+  }
+}
+
+// Scrapes a registry through the /metrics handler
+async function scrape(registry, headers = {}, options = {}) {
+  const response = { statusCode: null, headers: {}, body: '' };
+  await metricsHandler(registry, options)({ headers }, {
+    set statusCode(code) {
+      response.statusCode = code;
+    },
+    setHeader(name, value) {
+      response.headers[name] = value;
+    },
+    end(body) {
+      response.body = body;
+    }
+  });
+  return response;
+}
+
+async function testMetrics() {
+  console.log('\n=== Testing Prometheus Metrics ===');
+
+  const { listener, cleanup } = await createFileListener();
+  try {
+    // Test 1: The registry renders the text exposition format
+    console.log('\n1. Testing the registry...');
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_events_total', 'Events seen', { labelNames: ['reason'] });
+    const histogram = registry.histogram('test_duration_seconds', 'How long things took', { buckets: [0.1, 1] });
+    registry.gauge('test_clients', 'Clients right now', { collect: () => 3 });
+    counter.inc({ reason: 'say "hi"\n' });
+    counter.inc({ reason: 'plain' }, 2);
+    [0.05, 0.5, 5].forEach(value => histogram.observe({}, value));
+    let badLabel = false;
+    try {
+      counter.inc({ other: 'x' });
+    } catch (error) {
+      badLabel = true;
+    }
+    const text = await registry.render();
+    const lines = text.split('\n');
+
+    console.log(text.trim());
+    console.log(`Registry test: ${lines.includes('# TYPE test_events_total counter')
+      && lines.includes('test_events_total{reason="say \\"hi\\"\\n"} 1') && lines.includes('test_events_total{reason="plain"} 2')
+      && lines.includes('test_duration_seconds_bucket{le="0.1"} 1') && lines.includes('test_duration_seconds_bucket{le="1"} 2')
+      && lines.includes('test_duration_seconds_bucket{le="+Inf"} 3') && lines.includes('test_duration_seconds_sum 5.55')
+      && lines.includes('test_clients 3') && badLabel ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: The listener counts messages by outcome and times its batches
+    console.log('\n2. Testing listener metrics...');
+    const socket = { id: 'metrics-socket', data: { emitter }, emit: () => {} };
+    const stream = [buildMessage(), buildMessage(), flip(buildMessage()), buildMessage({ origin: 'Atlantis' })];
+    await listener.handleMessageStream(socket, { batchId: 'metrics-1', stream: stream.join('|') }, () => {});
+    await listener.handleMessageStream(socket, { batchId: 'metrics-2', stream: '' }, () => {});
+    listener.frontendClients.add('dashboard-socket');
+    const scraped = await scrape(listener.metrics.registry);
+    const metric = line => scraped.body.split('\n').includes(line);
+
+    console.log(scraped.body.split('\n').filter(line => line.startsWith('listener_') && !line.includes('_bucket')).join('\n'));
+    console.log(`Listener metrics test: ${scraped.statusCode === 200 && scraped.headers['Content-Type'].startsWith('text/plain; version=0.0.4')
+      && metric('listener_messages_received_total 4') && metric('listener_messages_valid_total 2') && metric('listener_messages_saved_total 2')
+      && metric('listener_messages_invalid_total{reason="Undecodable message"} 1') && metric('listener_messages_invalid_total{reason="Invalid origin"} 1')
+      && metric('listener_errors_total{reason="Unreadable batch"} 1') && metric('listener_batches_total{outcome="ok"} 1')
+      && metric('listener_batch_duration_seconds_count 1') && metric('listener_decrypt_duration_seconds_count 1')
+      && metric('listener_storage_write_duration_seconds_count{backend="file"} 1')
+      && metric('listener_connected_emitters 0') && metric('listener_frontend_clients 1') ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: METRICS_TOKEN guards the endpoint
+    console.log('\n3. Testing the metrics token...');
+    const denied = await scrape(listener.metrics.registry, {}, { token: 'scrape-me' });
+    const allowed = await scrape(listener.metrics.registry, { authorization: 'Bearer scrape-me' }, { token: 'scrape-me' });
+
+    console.log(`Without token: ${denied.statusCode}, with token: ${allowed.statusCode}`);
+    console.log(`Metrics token test: ${denied.statusCode === 401 && allowed.statusCode === 200 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: The emitter reports sends, acks and failures per emitter
+    console.log('\n4. Testing emitter metrics...');
+    const emitterMetrics = createEmitterMetrics();
+    const emitterService = new EmitterService('localhost', 0, { name: 'metrics-emitter', metrics: emitterMetrics });
+    const answers = [{ status: 'ok', messageCount: 2 }, { status: 'error', retryable: false, error: 'bad' }, null];
+    emitterService.socket = {
+      timeout: () => ({
+        emitWithAck: async () => {
+          const answer = answers.shift();
+          if (!answer) {
+            throw new Error('operation has timed out');
+          }
+          return answer;
+        }
+      })
+    };
+    emitterService.isConnected = true;
+    emitterService.outbox.expire = () => true;
+    emitterService.scheduleRetry = () => {};
+    for (const batchId of ['sent-1', 'sent-2', 'sent-3']) {
+      await emitterService.deliver({ batchId, stream: stream.join('|'), messageCount: 4, timestamp: new Date().toISOString() });
+    }
+    const emitterText = (await scrape(emitterMetrics.registry)).body.split('\n');
+    const labels = '{emitter="metrics-emitter"}';
+
+    console.log(emitterText.filter(line => line.startsWith('emitter_') && !line.includes('_bucket')).join('\n'));
+    console.log(`Emitter metrics test: ${emitterText.includes(`emitter_batches_sent_total${labels} 3`)
+      && emitterText.includes(`emitter_batches_acked_total${labels} 1`)
+      && emitterText.includes('emitter_batches_failed_total{emitter="metrics-emitter",reason="rejected"} 1')
+      && emitterText.includes('emitter_batches_failed_total{emitter="metrics-emitter",reason="timeout"} 1')
+      && emitterText.includes(`emitter_ack_duration_seconds_count${labels} 2`)
+      && emitterText.includes(`emitter_bytes_sent_total${labels} ${Buffer.byteLength(stream.join('|')) * 3}`)
+      && emitterText.includes(`emitter_connected${labels} 1`) ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Metrics test failed:', error.message);
+  } finally {
+    await cleanup();
+  }
+}
+
+async function testProcessingStats() {
+  console.log('\n=== Testing Persistent Processing Stats ===');
+
+  const { listener, storage, cleanup } = await createFileListener();
+  let restarted = null;
+  try {
+    const other = { ...emitter, emitterId: 'em_other' };
+    const send = async (session, data) => {
+      const socket = { id: `${session.emitterId}-socket`, data: { emitter: session }, emit: () => {} };
+      await listener.handleMessageStream(socket, data, () => {});
+    };
+
+    // Test 1: Stats are broken down by emitter and reason, and survive a restart
+    console.log('\n1. Testing stats across a restart...');
+    await send(emitter, { batchId: 'stats-1', stream: [buildMessage(), buildMessage(), flip(buildMessage())].join('|'), messageCount: 3 });
+    await send(other, { batchId: 'stats-2', stream: buildMessage({ origin: 'Atlantis' }), messageCount: 1 });
+    await send(other, { stream: buildMessage(), messageCount: 1 });
+    const pending = await listener.getStats();
+    const flushed = await listener.flushStats();
+
+    restarted = new ListenerService(0, { storage: new FileStorage({ dir: storage.dir }) });
+    await restarted.storage.connect();
+    const stats = await restarted.getStats();
+    const byEmitter = new Map(stats.byEmitter.map(entry => [entry.emitterId, entry.processingStats]));
+
+    console.log(`Totals: ${JSON.stringify({ received: stats.processingStats.totalReceived, saved: stats.processingStats.totalSaved, errors: stats.processingStats.errors })}`);
+    console.log(`Reasons: ${JSON.stringify({ invalid: stats.processingStats.invalidReasons, errors: stats.processingStats.errorReasons })}`);
+    console.log(`Restart test: ${flushed === 6 && pending.processingStats.totalReceived === 4
+      && stats.processingStats.totalReceived === 4 && stats.processingStats.totalSaved === 2
+      && byEmitter.get(emitter.emitterId).totalValid === 2 && byEmitter.get(emitter.emitterId).totalInvalid === 1
+      && byEmitter.get(other.emitterId).totalInvalid === 1 && byEmitter.get(other.emitterId).errorReasons['Unreadable batch'] === 1
+      && Object.values(stats.processingStats.invalidReasons).reduce((sum, count) => sum + count, 0) === 2
+      && stats.series.length === 1 && stats.window.granularity === 'day' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Windows pick a granularity, and stats not yet flushed are included
+    console.log('\n2. Testing stats windows...');
+    await send(emitter, { batchId: 'stats-3', stream: buildMessage(), messageCount: 1 });
+    const recent = await listener.getStats({ window: '15m', emitterId: emitter.emitterId });
+    const granularities = ['15m', '24h', '30d', 'all'].map(name => resolveStatsWindow(name).granularity);
+
+    console.log(`Granularities: ${granularities.join(', ')}`);
+    console.log(`15m window for ${emitter.emitterId}: received=${recent.processingStats.totalReceived}, series=${recent.series.length}`);
+    console.log(`Window test: ${granularities.join(',') === 'minute,hour,day,day' && recent.processingStats.totalReceived === 4
+      && recent.byEmitter.length === 1 && recent.series.length >= 1
+      && resolveStatsWindow('soon') === null && resolveStatsWindow('0h') === null && await listener.getStats({ window: '5y' }) === null ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Stats that fail to write are kept for the next flush
+    console.log('\n3. Testing a failed flush...');
+    const addStats = storage.addStats;
+    storage.addStats = () => Promise.reject(new Error('disk full'));
+    const failed = await listener.flushStats();
+    const kept = (await listener.getStats()).processingStats.totalReceived;
+    storage.addStats = addStats;
+    const retried = await listener.flushStats();
+
+    console.log(`Failed flush wrote ${failed}, retry wrote ${retried}, total after restart: ${(await restarted.getStats()).processingStats.totalReceived}`);
+    console.log(`Failed flush test: ${failed === 0 && kept === 5 && retried === 3
+      && (await restarted.getStats()).processingStats.totalReceived === 5 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Processing stats test failed:', error.message);
+  } finally {
+    if (restarted) {
+      restarted.io.close();
+      if (restarted.decryptPool) {
+        await restarted.decryptPool.close();
+      }
+    }
+    await cleanup();
+  }
+}
+
+// Resolves with the first `event` a client receives, or rejects after `timeoutMs`
+function nextEvent(client, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+    client.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+// Sets the secrets socket handshakes are signed with; returns a function restoring the old ones
+function useSocketSecrets() {
+  const secrets = { EMITTER_TOKEN_SECRET: 'test-emitter-secret', JWT_ACCESS_SECRET: 'test-access-secret' };
+  const previous = Object.fromEntries(Object.keys(secrets).map(name => [name, process.env[name]]));
+  Object.assign(process.env, secrets);
+
+  return () => Object.entries(previous).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+}
+
+// Starts a listener's server on a free port; returns its URL
+async function listenOn(listener) {
+  await new Promise(resolve => listener.server.listen(0, resolve));
+  return `http://localhost:${listener.server.address().port}`;
+}
+
+// A dashboard socket with a signed-in session, connected once it has its first stats
+async function connectDashboard(url) {
+  const user = { _id: 'user-dashboard', email: 'dashboard@example.com', role: 'viewer' };
+  const dashboard = connectSocket(url, {
+    extraHeaders: { cookie: `${ACCESS_COOKIE}=${signAccessToken(user)}` },
+    transports: ['websocket']
+  });
+  await nextEvent(dashboard, 'stats_update');
+  return dashboard;
+}
+
+async function testClusterAdapter() {
+  console.log('\n=== Testing Clustered Listeners ===');
+
+  const restoreSecrets = useSocketSecrets();
+
+  // Two instances on one storage, as two listeners on one database would be
+  const bus = createMemoryBus();
+  const { listener: first, storage, cleanup } = await createFileListener({ adapter: 'memory', bus });
+  const second = new ListenerService(0, { storage, adapter: 'memory', bus });
+  const clients = [];
+  try {
+    const [firstUrl, secondUrl] = [await listenOn(first), await listenOn(second)];
+
+    // An emitter on the first instance, a dashboard on the second
+    const registered = await storage.registerEmitter('emitter-cluster');
+    const emitterClient = connectSocket(firstUrl, { auth: { token: signEmitterToken(registered) }, transports: ['websocket'] });
+    clients.push(emitterClient);
+    await nextEvent(emitterClient, 'session_config');
+
+    const dashboard = await connectDashboard(secondUrl);
+    clients.push(dashboard);
+
+    // Test 1: Every instance sees every connected emitter
+    console.log('\n1. Testing the shared emitter list...');
+    const servers = await second.io.of('/').adapter.serverCount();
+    const listed = await second.listConnectedEmitters();
+
+    console.log(`Servers: ${servers}, emitters seen from the second instance: ${JSON.stringify(listed.map(entry => `${entry.name}@${entry.instanceId}`))}`);
+    console.log(`Emitter list test: ${servers === 2 && listed.length === 1 && listed[0].emitterId === registered.emitterId
+      && listed[0].instanceId === first.instanceId && second.connectedEmitters.size === 0 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Broadcasts and stats from one instance reach dashboards on the other
+    console.log('\n2. Testing broadcasts across instances...');
+    await dashboard.emitWithAck('subscribe_records', { all: true });
+    const recordsUpdate = nextEvent(dashboard, 'records_update');
+    first.publishRecords([{ recordId: 'cluster-1', name: 'Jane Doe', origin: 'Mumbai', destination: 'Delhi', timestamp: new Date() }]);
+    const pushedRecords = await recordsUpdate;
+
+    first.recordStats(registered.emitterId, { totalReceived: 7, totalValid: 7 });
+    const statsUpdate = nextEvent(dashboard, 'stats_update');
+    await first.publishStats();
+    const pushed = await statsUpdate;
+
+    console.log(`Dashboard got records_update: ${pushedRecords.records.length} records, stats_update received=${pushed.processingStats.totalReceived}`);
+    console.log(`Broadcast test: ${pushedRecords.records[0].recordId === 'cluster-1' && pushed.processingStats.totalReceived === 7
+      && pushed.byEmitter[0].emitterId === registered.emitterId ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Revoking on one instance drops the emitter's socket on the other
+    console.log('\n3. Testing disconnects across instances...');
+    const disconnected = nextEvent(emitterClient, 'disconnect');
+    second.disconnectEmitter(registered.emitterId);
+    const reason = await disconnected;
+
+    console.log(`Emitter disconnected: ${reason}`);
+    console.log(`Cluster disconnect test: ${reason === 'io server disconnect' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 4: A message replayed to another instance is rejected there too
+    console.log('\n4. Testing replays across instances...');
+    const message = buildMessage();
+    const acks = [];
+    const socket = { id: 'cluster-replay', data: { emitter }, emit: () => {} };
+    await first.handleMessageStream(socket, { batchId: 'cluster-a', stream: message, messageCount: 1 }, ack => acks.push(ack));
+    await second.handleMessageStream(socket, { batchId: 'cluster-b', stream: message, messageCount: 1 }, ack => acks.push(ack));
+
+    // A batch's own claims are not replays, so its retries go through
+    const expireAt = new Date(Date.now() + 60000);
+    const own = await storage.claimNonces(['em_test:n1'], 'em_test:batch-1', expireAt);
+    const retried = await storage.claimNonces(['em_test:n1', 'em_test:n2'], 'em_test:batch-1', expireAt);
+    const other = await storage.claimNonces(['em_test:n1', 'em_test:n2', 'em_test:n3'], 'em_test:batch-2', expireAt);
+    await storage.releaseNonces(['em_test:n1', 'em_test:n2'], 'em_test:batch-1');
+    const released = await storage.claimNonces(['em_test:n1'], 'em_test:batch-2', expireAt);
+
+    const [accepted, replayed] = acks;
+    console.log(`First instance: saved=${accepted.savedCount}; second instance: replayed=${replayed.replayedCount}, reasons=${JSON.stringify(replayed.invalidReasons)}`);
+    console.log(`Cluster replay test: ${accepted.savedCount === 1 && replayed.status === 'ok' && replayed.savedCount === 0
+      && replayed.replayedCount === 1 && replayed.invalidReasons['Replayed message'] === 1
+      && own.length === 0 && retried.length === 0 && other.join(',') === 'em_test:n1,em_test:n2'
+      && released.length === 0 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Cluster adapter test failed:', error.message);
+  } finally {
+    clients.forEach(client => client.close());
+    second.io.close();
+    if (second.decryptPool) {
+      await second.decryptPool.close();
+    }
+    await cleanup();
+    restoreSecrets();
+  }
+}
+
+// A database whose adapter collection hands out change streams the test drives
+function fakeAdapterDb() {
+  const watches = [];
+  const collection = {
+    createIndex: async () => 'createdAt_1',
+    insertOne: async () => ({ acknowledged: true }),
+    watch: (pipeline, options) => {
+      const stream = new EventEmitter();
+      stream.resumeToken = null;
+      stream.closed = false;
+      stream.close = async () => {
+        stream.closed = true;
+      };
+      watches.push({ options, stream });
+      return stream;
+    }
+  };
+  return { db: { collection: () => collection }, watches };
+}
+
+function adapterChange(token, payload) {
+  return { _id: { _data: token }, fullDocument: { _id: token, createdAt: new Date(), kind: 'message', nsp: '/', to: null, payload } };
+}
+
+async function testMongoBus() {
+  console.log('\n=== Testing the MongoDB Adapter Bus ===');
+
+  try {
+    const { db, watches } = fakeAdapterDb();
+    const bus = await createMongoBus(db, { reopenDelayMs: 10, maxReopenDelayMs: 40 });
+    const received = [];
+    const unsubscribe = bus.subscribe(envelope => received.push(envelope.payload));
+
+    // Test 1: A failed change stream is reopened where it left off
+    console.log('\n1. Testing a failed change stream...');
+    watches[0].stream.emit('change', adapterChange('t1', 'first'));
+    watches[0].stream.emit('error', Object.assign(new Error('cursor killed'), { code: 43 }));
+    await waitFor(() => watches.length === 2);
+    watches[1].stream.emit('change', adapterChange('t2', 'second'));
+
+    console.log(`Reopened with: ${JSON.stringify(watches[1] && watches[1].options)}; received ${received.join(', ')}`);
+    console.log(`Reopen test: ${watches.length === 2 && watches[0].stream.closed
+      && watches[1].options.resumeAfter._data === 't1' && received.join(',') === 'first,second' ? 'PASSED' : 'FAILED'}`);
+
+    // Test 2: Once the resume token is too old the stream starts again from now
+    console.log('\n2. Testing lost history...');
+    watches[1].stream.emit('error', Object.assign(new Error('resume point no longer in the oplog'), { code: 286 }));
+    await waitFor(() => watches.length === 3);
+
+    console.log(`Reopened with: ${JSON.stringify(watches[2] && watches[2].options)}`);
+    console.log(`Lost history test: ${watches.length === 3 && !watches[2].options.resumeAfter ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Failures back off, and nothing is reopened once the last subscriber leaves
+    console.log('\n3. Testing backoff and unsubscribing...');
+    const failedAt = Date.now();
+    watches[2].stream.emit('error', new Error('not primary'));
+    await waitFor(() => watches.length === 4);
+    const waited = Date.now() - failedAt;
+    watches[3].stream.emit('error', new Error('not primary'));
+    unsubscribe();
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    console.log(`Second reopen after ${waited}ms; ${watches.length} streams opened`);
+    console.log(`Backoff test: ${waited >= 20 && watches.length === 4 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('MongoDB adapter bus test failed:', error.message);
+  }
+}
+
+async function testRecordFeed() {
+  console.log('\n=== Testing Record Subscriptions ===');
+
+  // Test 1: Subscriptions name exactly one valid kind
+  console.log('\n1. Testing subscription specs...');
+  const valid = [{ all: true }, { route: 'Mumbai->Delhi' }, { name: 'Jane Doe' }, { window: '15m' }].map(subscriptionKey);
+  const invalid = [null, {}, { all: 'yes' }, { route: 'Mumbai' }, { window: 'all' }, { window: 'soon' },
+    { name: '' }, { name: 'x'.repeat(201) }, { route: 'Mumbai->Delhi', name: 'Jane Doe' }].map(subscriptionKey);
+
+  console.log(`Keys: ${valid.join(', ')}`);
+  console.log(`Subscription spec test: ${valid.join(',') === 'all,route:Mumbai->Delhi,name:Jane Doe,window:15m'
+    && invalid.every(key => key === null) ? 'PASSED' : 'FAILED'}`);
+
+  const restoreSecrets = useSocketSecrets();
+  const { listener, cleanup } = await createFileListener();
+  let dashboard = null;
+  try {
+    dashboard = await connectDashboard(await listenOn(listener));
+    const socket = { id: 'feed-socket', data: { emitter }, emit: () => {} };
+
+    // A message on one route, and another on a different one
+    const first = generateRandomMessage();
+    let second = generateRandomMessage();
+    while (`${second.origin}->${second.destination}` === `${first.origin}->${first.destination}`) {
+      second = generateRandomMessage();
+    }
+    const route = `${first.origin}->${first.destination}`;
+
+    // Test 2: Each subscription gets only the new records it matches
+    console.log('\n2. Testing pushed records...');
+    const acks = [
+      await dashboard.emitWithAck('subscribe_records', { route }),
+      await dashboard.emitWithAck('subscribe_records', { window: '15m' }),
+      await dashboard.emitWithAck('subscribe_records', { route: 'nowhere' })
+    ];
+    const updates = [];
+    dashboard.on('records_update', update => updates.push(update));
+    await listener.handleMessageStream(socket, { batchId: 'feed-1', stream: [buildMessage(first), buildMessage(second)].join('|'), messageCount: 2 }, () => {});
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const bySubscription = new Map(updates.map(update => [update.subscription, update]));
+    const routeUpdate = bySubscription.get(`route:${route}`);
+    const windowUpdate = bySubscription.get('window:15m');
+
+    console.log(`Acks: ${acks.map(ack => ack.status).join(', ')}`);
+    console.log(`Updates: ${updates.map(update => `${update.subscription} (${update.records.length})`).join(', ')}`);
+    console.log(`Pushed records test: ${acks[0].status === 'ok' && acks[1].status === 'ok' && acks[2].status === 'error'
+      && updates.length === 2 && routeUpdate.records.length === 1 && routeUpdate.records[0].name === first.name
+      && routeUpdate.records[0].emitterId === emitter.emitterId && windowUpdate.records.length === 2
+      && windowUpdate.buckets.reduce((sum, bucket) => sum + bucket.recordCount, 0) === 2 ? 'PASSED' : 'FAILED'}`);
+
+    // Test 3: Unsubscribed dashboards are no longer sent records
+    console.log('\n3. Testing unsubscribing...');
+    await dashboard.emitWithAck('unsubscribe_records', { route });
+    await dashboard.emitWithAck('unsubscribe_records', { window: '15m' });
+    updates.length = 0;
+    await listener.handleMessageStream(socket, { batchId: 'feed-2', stream: buildMessage(first), messageCount: 1 }, () => {});
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    console.log(`Updates after unsubscribing: ${updates.length}`);
+    console.log(`Unsubscribe test: ${updates.length === 0 ? 'PASSED' : 'FAILED'}`);
+
+  } catch (error) {
+    console.error('Record feed test failed:', error.message);
+  } finally {
+    if (dashboard) {
+      dashboard.close();
+    }
+    await cleanup();
+    restoreSecrets();
+  }
+}
+
+async function main() {
+  console.log('Running tests for message ingest guards...');
+
+  await testEventTime();
+  await testMessageSchema();
+  await testReplayProtection();
+  await testOutbox();
+  await testRejectedCredentials();
+  await testFlowControl();
+  await testLoadGeneration();
+  await testSubBuckets();
+  await testDeadLetters();
+  await testDecryptPool();
+  await testBinaryStreams();
+  await testMetrics();
+  await testProcessingStats();
+  await testClusterAdapter();
+  await testMongoBus();
+  await testRecordFeed();
+
+  console.log('\nAll tests completed!');
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  testEventTime,
+  testMessageSchema,
+  testReplayProtection,
+  testOutbox,
+  testRejectedCredentials,
+  testFlowControl,
+  testLoadGeneration,
+  testSubBuckets,
+  testDeadLetters,
+  testDecryptPool,
+  testBinaryStreams,
+  testMetrics,
+  testProcessingStats,
+  testClusterAdapter,
+  testMongoBus,
+  testRecordFeed
+};
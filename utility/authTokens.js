@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_COOKIE = 'accessToken';
+const REFRESH_COOKIE = 'refreshToken';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const EMITTER_TOKEN_TTL = process.env.EMITTER_TOKEN_TTL || '30d';
+
+// Reads a signing secret from the environment, failing loudly if it is missing
+function getSecret(name) {
+  const secret = process.env[name];
+  if (!secret) {
+    throw new Error(`${name} is not configured`);
+  }
+  return secret;
+}
+
+// Converts a jsonwebtoken duration ("15m", "7d") to milliseconds for cookie maxAge
+function durationToMs(duration) {
+  if (typeof duration === 'number') {
+    return duration * 1000;
+  }
+
+  const match = /^(\d+)([smhd])$/.exec(duration);
+  if (!match) {
+    throw new Error(`Unsupported token duration: ${duration}`);
+  }
+
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseInt(match[1], 10) * units[match[2]];
+}
+
+// Short-lived token carried on every request to the server and listener
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, role: user.role },
+    getSecret('JWT_ACCESS_SECRET'),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Long-lived token only sent to the refresh endpoint
+function signRefreshToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), tokenVersion: user.tokenVersion },
+    getSecret('JWT_REFRESH_SECRET'),
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+}
+
+function verifyAccessToken(token) {
+  return jwt.verify(token, getSecret('JWT_ACCESS_SECRET'));
+}
+
+function verifyRefreshToken(token) {
+  return jwt.verify(token, getSecret('JWT_REFRESH_SECRET'));
+}
+
+// Token an emitter presents in its Socket.IO handshake
+function signEmitterToken(emitter) {
+  return jwt.sign(
+    { sub: emitter.emitterId, name: emitter.name, typ: 'emitter', ver: emitter.tokenVersion },
+    getSecret('EMITTER_TOKEN_SECRET'),
+    { expiresIn: EMITTER_TOKEN_TTL }
+  );
+}
+
+// Constant-time string comparison; hashing first hides the lengths too
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Proof that an emitter holds its secret, sent to renew an expired handshake token
+function emitterTokenProof(emitterId, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${emitterId}.${timestamp}`).digest('hex');
+}
+
+function verifyEmitterToken(token) {
+  const claims = jwt.verify(token, getSecret('EMITTER_TOKEN_SECRET'));
+  if (claims.typ !== 'emitter') {
+    throw new Error('Not an emitter token');
+  }
+  return claims;
+}
+
+function cookieOptions(maxAge, path = '/') {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path,
+    maxAge
+  };
+}
+
+// Issues a fresh access/refresh token pair as httpOnly cookies
+function setAuthCookies(res, user) {
+  res.cookie(ACCESS_COOKIE, signAccessToken(user), cookieOptions(durationToMs(ACCESS_TOKEN_TTL)));
+  res.cookie(REFRESH_COOKIE, signRefreshToken(user), cookieOptions(durationToMs(REFRESH_TOKEN_TTL), '/api/auth'));
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions(undefined));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(undefined, '/api/auth'));
+}
+
+// Pulls the access token from the cookie, falling back to a Bearer header for scripts
+function extractAccessToken(req) {
+  if (req.cookies && req.cookies[ACCESS_COOKIE]) {
+    return req.cookies[ACCESS_COOKIE];
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.substring(7);
+  }
+
+  return null;
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  signEmitterToken,
+  verifyEmitterToken,
+  safeEqual,
+  emitterTokenProof,
+  setAuthCookies,
+  clearAuthCookies,
+  extractAccessToken
+};
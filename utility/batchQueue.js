@@ -0,0 +1,90 @@
+// Bounded FIFO of batches waiting to be processed, with a concurrency limit.
+// Batches beyond maxQueued are refused, so a slow database makes emitters
+// back off instead of piling work up in listener memory.
+// The queue is "under pressure" once it reaches highWaterMark and stays so
+// until it drains to lowWaterMark; onPressureChange(paused) is called on
+// each transition so emitters can be told to pause and resume.
+
+class BatchQueue {
+  constructor({ concurrency = 4, maxQueued = 50, highWaterMark, lowWaterMark, onPressureChange } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.highWaterMark = highWaterMark !== undefined ? highWaterMark : Math.ceil(maxQueued * 0.75);
+    this.lowWaterMark = lowWaterMark !== undefined ? lowWaterMark : Math.floor(maxQueued * 0.25);
+    this.onPressureChange = onPressureChange || (() => {});
+
+    this.queue = []; // [{ run, enqueuedAt }] oldest first
+    this.active = 0;
+    this.paused = false;
+    this.processed = 0;
+    this.rejected = 0;
+    this.lastWaitMs = 0;
+  }
+
+  // Queues an async task; returns false if the queue is full
+  push(run, now = Date.now()) {
+    if (this.queue.length >= this.maxQueued) {
+      this.rejected++;
+      return false;
+    }
+
+    this.queue.push({ run, enqueuedAt: now });
+    this.drain();
+    this.updatePressure();
+    return true;
+  }
+
+  // Starts queued tasks while there are free slots
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { run, enqueuedAt } = this.queue.shift();
+      this.active++;
+      this.lastWaitMs = Date.now() - enqueuedAt;
+
+      Promise.resolve()
+        .then(run)
+        .catch(() => {}) // tasks report their own errors
+        .finally(() => {
+          this.active--;
+          this.processed++;
+          this.drain();
+          this.updatePressure();
+        });
+    }
+  }
+
+  updatePressure() {
+    if (!this.paused && this.queue.length >= this.highWaterMark) {
+      this.paused = true;
+      this.onPressureChange(true);
+    } else if (this.paused && this.queue.length <= this.lowWaterMark) {
+      this.paused = false;
+      this.onPressureChange(false);
+    }
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+
+  // How long the oldest queued batch has been waiting
+  oldestWaitMs(now = Date.now()) {
+    return this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0;
+  }
+
+  getStats(now = Date.now()) {
+    return {
+      activeBatches: this.active,
+      queuedBatches: this.queue.length,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      paused: this.paused,
+      oldestWaitMs: this.oldestWaitMs(now),
+      lastWaitMs: this.lastWaitMs,
+      processedBatches: this.processed,
+      rejectedBatches: this.rejected
+    };
+  }
+}
+
+module.exports = BatchQueue;
@@ -1,76 +1,286 @@
 const crypto = require('crypto');
 const logger = require('./logger');
 
-const ALGORITHM = 'aes-256-ctr'; 
-const SECRET_KEY = process.env.ENCRYPTION_KEY || 'syook-default-secret-key-32chars!!'; 
-const IV_LENGTH = 16; // AES block size
+// Message encryption uses AES-256-GCM with keys held in a keyring, so the
+// listener can accept several keys at once while they are being rotated.
+//
+// Wire format (v2):  v2:<keyId>:<iv hex>:<auth tag hex>:<ciphertext hex>
+// Legacy format:     <iv hex>:<ciphertext hex>   (AES-256-CTR, decrypt only)
+//
+// Keyring configuration:
+//   ENCRYPTION_KEYS          comma-separated "keyId:secret" entries
+//   ENCRYPTION_ACTIVE_KEY_ID key used for new messages (default: first entry)
+//   ENCRYPTION_KEY           legacy single key; used for legacy messages and
+//                            as keyId "default" when ENCRYPTION_KEYS is unset
+//   ACCEPT_LEGACY_MESSAGES   set to "false" to reject iv:cipher messages
+//
+// A secret may be 64 hex characters (used as the raw key), "base64:<32 bytes>"
+// or a passphrase, which is stretched once with scrypt and a per-key salt.
 
-// Encrypts a message using AES-256-CTR
-function encrypt(text) {
+const ALGORITHM = 'aes-256-gcm';
+const LEGACY_ALGORITHM = 'aes-256-ctr';
+const WIRE_VERSION = 'v2';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12; // Recommended GCM nonce size
+const AUTH_TAG_LENGTH = 16; // Full-length GCM tag; shorter tags are easier to forge
+const LEGACY_IV_LENGTH = 16; // AES block size
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Message signatures are HMACs over canonical JSON, keyed with the
+// emitter's own secret or the shared SIGNING_KEY
+const SIGNATURE_ALGORITHMS = {
+  'hmac-sha256': 'sha256',
+  'hmac-sha512': 'sha512'
+};
+const DEFAULT_SIGNATURE_ALGORITHM = 'hmac-sha256';
+const SUPPORTED_SIGNATURE_ALGORITHMS = (process.env.SIGNATURE_ALGORITHMS || 'hmac-sha256,hmac-sha512')
+  .split(',')
+  .map(algorithm => algorithm.trim())
+  .filter(algorithm => SIGNATURE_ALGORITHMS[algorithm]);
+
+let keyringCache = null;
+
+// Turns a configured secret into a 32-byte key
+function deriveKey(keyId, secret) {
+  if (/^[0-9a-fA-F]{64}$/.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+
+  if (secret.startsWith('base64:')) {
+    const key = Buffer.from(secret.substring(7), 'base64');
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Key "${keyId}" must decode to ${KEY_LENGTH} bytes`);
+    }
+    return key;
+  }
+
+  return crypto.scryptSync(secret, `syook-keyring:${keyId}`, KEY_LENGTH);
+}
+
+// Builds the keyring from environment-style configuration
+function loadKeyring(env = process.env) {
+  const keys = new Map();
+
+  if (env.ENCRYPTION_KEYS) {
+    env.ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('ENCRYPTION_KEYS entries must look like keyId:secret');
+      }
+
+      const keyId = entry.substring(0, separator);
+      const secret = entry.substring(separator + 1);
+      if (!KEY_ID_PATTERN.test(keyId)) {
+        throw new Error(`Invalid key id "${keyId}" - use letters, digits, "-" or "_"`);
+      }
+      if (keys.has(keyId)) {
+        throw new Error(`Duplicate key id "${keyId}" in ENCRYPTION_KEYS`);
+      }
+
+      keys.set(keyId, deriveKey(keyId, secret));
+    });
+  } else if (env.ENCRYPTION_KEY) {
+    keys.set('default', deriveKey('default', env.ENCRYPTION_KEY));
+  }
+
+  if (keys.size === 0) {
+    throw new Error('No encryption keys configured - set ENCRYPTION_KEYS or ENCRYPTION_KEY');
+  }
+
+  const activeKeyId = env.ENCRYPTION_ACTIVE_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not in the keyring`);
+  }
+
+  // Legacy CTR messages were encrypted with scrypt(ENCRYPTION_KEY, 'salt')
+  const legacyKey = env.ACCEPT_LEGACY_MESSAGES !== 'false' && env.ENCRYPTION_KEY
+    ? crypto.scryptSync(env.ENCRYPTION_KEY, 'salt', KEY_LENGTH)
+    : null;
+
+  return { keys, activeKeyId, legacyKey };
+}
+
+// Returns the process-wide keyring, deriving keys only on first use
+function getKeyring() {
+  if (!keyringCache) {
+    keyringCache = loadKeyring();
+    logger.info(`Loaded encryption keyring: ${Array.from(keyringCache.keys.keys()).join(', ')} (active: ${keyringCache.activeKeyId})`);
+  }
+  return keyringCache;
+}
+
+// Replaces the cached keyring, e.g. after rotating keys or in tests
+function setKeyring(keyring) {
+  keyringCache = keyring;
+}
+
+// Encrypts a message using AES-256-GCM with the active (or given) key
+function encrypt(text, options = {}) {
   try {
+    const keyring = options.keyring || getKeyring();
+    const keyId = options.keyId || keyring.activeKeyId;
+    const key = keyring.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key id "${keyId}"`);
+    }
+
     const iv = crypto.randomBytes(IV_LENGTH);
-    const key = crypto.scryptSync(SECRET_KEY, 'salt', 32);
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(Buffer.from(`${WIRE_VERSION}:${keyId}`));
+
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
-    
-    const result = iv.toString('hex') + ':' + encrypted;
-    
-    return result;
+    const authTag = cipher.getAuthTag().toString('hex');
+
+    return [WIRE_VERSION, keyId, iv.toString('hex'), authTag, encrypted].join(':');
   } catch (error) {
     logger.error('Encryption failed:', error.message);
     throw error;
   }
 }
 
-// Decrypts a message using AES-256-CTR
-function decrypt(encryptedText) {
+function decryptV2(parts, keyring) {
+  if (parts.length !== 5) {
+    throw new Error('Invalid encrypted text format');
+  }
+
+  const [, keyId, ivHex, tagHex, encrypted] = parts;
+  const key = keyring.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key id "${keyId}"`);
+  }
+
+  // Buffer.from(hex) stops at the first bad digit, so check the hex length too
+  const iv = Buffer.from(ivHex, 'hex');
+  const authTag = Buffer.from(tagHex, 'hex');
+  if (iv.length !== IV_LENGTH || ivHex.length !== IV_LENGTH * 2
+    || authTag.length !== AUTH_TAG_LENGTH || tagHex.length !== AUTH_TAG_LENGTH * 2) {
+    throw new Error('Message authentication failed');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  decipher.setAAD(Buffer.from(`${WIRE_VERSION}:${keyId}`));
+  decipher.setAuthTag(authTag);
+
   try {
-    const textParts = encryptedText.split(':');
-    if (textParts.length !== 2) {
-      throw new Error('Invalid encrypted text format');
-    }
-    
-    const iv = Buffer.from(textParts[0], 'hex');
-    const encrypted = textParts[1];
-    
-    const key = crypto.scryptSync(SECRET_KEY, 'salt', 32);
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
     return decrypted;
+  } catch (error) {
+    throw new Error('Message authentication failed');
+  }
+}
+
+function decryptLegacy(parts, keyring) {
+  if (!keyring.legacyKey) {
+    throw new Error('Legacy message format is not accepted');
+  }
+  if (parts.length !== 2) {
+    throw new Error('Invalid encrypted text format');
+  }
+
+  const iv = Buffer.from(parts[0], 'hex');
+  if (iv.length !== LEGACY_IV_LENGTH) {
+    throw new Error('Invalid encrypted text format');
+  }
+
+  const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, keyring.legacyKey, iv);
+  let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
+
+// Decrypts a v2 (AES-256-GCM) message with any key in the keyring,
+// falling back to the legacy AES-256-CTR format
+function decrypt(encryptedText, options = {}) {
+  try {
+    if (typeof encryptedText !== 'string') {
+      throw new Error('Invalid encrypted text format');
+    }
+
+    const keyring = options.keyring || getKeyring();
+    const parts = encryptedText.split(':');
+
+    return parts[0] === WIRE_VERSION
+      ? decryptV2(parts, keyring)
+      : decryptLegacy(parts, keyring);
   } catch (error) {
     logger.error('Decryption failed:', error.message);
     throw error;
   }
 }
 
-// Creates SHA-256 hash of an object
-function createHash(obj) {
+// Serializes a value to canonical JSON: object keys sorted at every level,
+// arrays kept in order, undefined members dropped. Two structurally equal
+// payloads always produce the same string, whatever their key order.
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined) {
+      throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+    }
+    return serialized;
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+}
+
+// Picks the first algorithm the emitter offers that we also support
+function negotiateSignatureAlgorithm(offered, supported = SUPPORTED_SIGNATURE_ALGORITHMS) {
+  const offeredList = Array.isArray(offered) && offered.length ? offered : [DEFAULT_SIGNATURE_ALGORITHM];
+  return offeredList.find(algorithm => supported.includes(algorithm)) || null;
+}
+
+// Creates an HMAC signature of an object's canonical JSON form
+function createSignature(obj, key, algorithm = DEFAULT_SIGNATURE_ALGORITHM) {
   try {
-    const sortedKeys = Object.keys(obj).sort();
-    const objString = sortedKeys.map(key => `${key}:${obj[key]}`).join('|');
-    
-    const hash = crypto.createHash('sha256');
-    hash.update(objString);
-    
-    return hash.digest('hex');
+    const digest = SIGNATURE_ALGORITHMS[algorithm];
+    if (!digest) {
+      throw new Error(`Unsupported signature algorithm "${algorithm}"`);
+    }
+    if (!key) {
+      throw new Error('Signing key is required');
+    }
+
+    return crypto.createHmac(digest, key).update(canonicalize(obj)).digest('hex');
   } catch (error) {
-    logger.error('Hash creation failed:', error.message);
+    logger.error('Signature creation failed:', error.message);
     throw error;
   }
 }
 
-// Validates if the secret_key matches the hash of the original message
-function validateSecretKey(messageWithKey) {
+// Validates the secret_key signature of a message. The algorithm named in
+// sig_alg is itself signed, and must match options.algorithm when given.
+function validateSecretKey(messageWithKey, options = {}) {
   try {
-    const { secret_key, ...originalMessage } = messageWithKey;
-    const expectedHash = createHash(originalMessage);
-    
-    return secret_key === expectedHash;
+    const { secret_key, ...signedMessage } = messageWithKey;
+    const algorithm = signedMessage.sig_alg;
+
+    if (typeof secret_key !== 'string' || !SIGNATURE_ALGORITHMS[algorithm]) {
+      return false;
+    }
+    if (options.algorithm && algorithm !== options.algorithm) {
+      return false;
+    }
+
+    const expected = Buffer.from(createSignature(signedMessage, options.key, algorithm), 'hex');
+    const actual = Buffer.from(secret_key, 'hex');
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
   } catch (error) {
     logger.error('Secret key validation failed:', error.message);
     return false;
@@ -80,6 +290,13 @@ function validateSecretKey(messageWithKey) {
 module.exports = {
   encrypt,
   decrypt,
-  createHash,
+  loadKeyring,
+  getKeyring,
+  setKeyring,
+  SIGNATURE_ALGORITHMS,
+  SUPPORTED_SIGNATURE_ALGORITHMS,
+  canonicalize,
+  negotiateSignatureAlgorithm,
+  createSignature,
   validateSecretKey
-};
\ No newline at end of file
+};
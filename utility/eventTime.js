@@ -0,0 +1,64 @@
+// Event-time checks for incoming messages. Each message carries a signed
+// createdAt set by the emitter; records are bucketed by that time rather
+// than by when the listener happened to receive them.
+//
+//   MAX_CLOCK_SKEW_MS     how far in the future (or behind) createdAt may be
+//                         before it counts as skewed/late (default 30s)
+//   LATE_DATA_WINDOW_MS   late messages within this window are merged into
+//                         their historical minute bucket (default 1h)
+//   LATE_DATA_POLICY      what to do with messages older than the window:
+//                         "reject" (default) or "merge"
+
+const LATE_POLICIES = ['reject', 'merge'];
+
+function parseDuration(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Reads the event-time policy from environment-style configuration
+function loadEventTimePolicy(env = process.env) {
+  const latePolicy = env.LATE_DATA_POLICY || 'reject';
+  if (!LATE_POLICIES.includes(latePolicy)) {
+    throw new Error(`LATE_DATA_POLICY must be one of: ${LATE_POLICIES.join(', ')}`);
+  }
+
+  return {
+    maxClockSkewMs: parseDuration(env.MAX_CLOCK_SKEW_MS, 30 * 1000),
+    lateWindowMs: parseDuration(env.LATE_DATA_WINDOW_MS, 60 * 60 * 1000),
+    latePolicy
+  };
+}
+
+// Decides whether a message's createdAt is acceptable.
+// Returns { accepted, timestamp, late, reason }.
+function checkEventTime(createdAt, policy, now = Date.now()) {
+  if (createdAt === undefined || createdAt === null || createdAt === '') {
+    return { accepted: false, reason: 'Missing event time' };
+  }
+
+  const timestamp = new Date(createdAt);
+  if (Number.isNaN(timestamp.getTime())) {
+    return { accepted: false, reason: 'Invalid event time' };
+  }
+
+  const age = now - timestamp.getTime();
+
+  if (age < -policy.maxClockSkewMs) {
+    return { accepted: false, reason: 'Event time too far in the future' };
+  }
+
+  const late = age > policy.maxClockSkewMs;
+
+  if (age > policy.lateWindowMs && policy.latePolicy === 'reject') {
+    return { accepted: false, late, reason: 'Event time outside lateness window' };
+  }
+
+  return { accepted: true, timestamp, late };
+}
+
+module.exports = {
+  LATE_POLICIES,
+  loadEventTimePolicy,
+  checkEventTime
+};
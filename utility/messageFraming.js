@@ -0,0 +1,231 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { parseMessageStream } = require('./messageGenerator');
+
+// Wire formats for a batch of encrypted messages, agreed on in the handshake:
+//
+//   text    { stream: "<msg>|<msg>|..." }  hex ciphertexts joined by "|"
+//   binary  { format: 'binary', compression, frames: <Buffer> }
+//
+// Binary frames travel as a Socket.IO binary attachment. Each frame is a
+// 4-byte big-endian length followed by a type byte:
+//
+//   0x01  v2 ciphertext: key id length (1 byte), key id, iv (12 bytes),
+//         auth tag (16 bytes), ciphertext - the raw bytes behind the hex
+//   0x00  any other message as UTF-8 text (legacy or malformed ones)
+//
+// Decoding turns every frame back into its wire-format string, so decrypt,
+// dead letters and re-processing see the same text in both formats. The
+// frames of a batch may be compressed with gzip or deflate; `compression`
+// says which ("none" otherwise).
+//
+// Listener:  STREAM_FORMATS        formats accepted (default "binary,text")
+//            STREAM_COMPRESSIONS   compressions accepted (default "gzip,deflate")
+
+const STREAM_FORMATS = ['binary', 'text'];
+const COMPRESSIONS = ['gzip', 'deflate'];
+
+const TEXT_FRAME = 0x00;
+const V2_FRAME = 0x01;
+const FRAME_HEADER_LENGTH = 4;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const MAX_KEY_ID_LENGTH = 255;
+
+// A decompressed batch may not grow beyond this, however small it arrived
+const MAX_FRAMES_BYTES = 16 * 1024 * 1024;
+
+const V2_PATTERN = new RegExp(`^v2:([A-Za-z0-9_-]{1,${MAX_KEY_ID_LENGTH}}):([0-9a-f]{${IV_LENGTH * 2}}):([0-9a-f]{${AUTH_TAG_LENGTH * 2}}):((?:[0-9a-f]{2})*)$`);
+
+const compressors = {
+  gzip: promisify(zlib.gzip),
+  deflate: promisify(zlib.deflate)
+};
+const decompressors = {
+  gzip: promisify(zlib.gunzip),
+  deflate: promisify(zlib.inflate)
+};
+
+function splitList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Reads the formats and compressions the listener accepts
+function loadStreamSettings(env = process.env) {
+  const formats = splitList(env.STREAM_FORMATS || STREAM_FORMATS.join(','));
+  const compressions = splitList(env.STREAM_COMPRESSIONS || COMPRESSIONS.join(',')).filter(compression => compression !== 'none');
+
+  if (formats.length === 0 || formats.some(format => !STREAM_FORMATS.includes(format))) {
+    throw new Error(`STREAM_FORMATS must list some of: ${STREAM_FORMATS.join(', ')}`);
+  }
+  if (compressions.some(compression => !COMPRESSIONS.includes(compression))) {
+    throw new Error(`STREAM_COMPRESSIONS must list some of: ${COMPRESSIONS.join(', ')}, or "none"`);
+  }
+  return { formats, compressions };
+}
+
+// Picks the first offered format we accept and, for binary frames, the first
+// offered compression. Emitters that offer nothing only speak text.
+// Returns { streamFormat, compression } or null.
+function negotiateStreamFormat(offeredFormats, offeredCompressions, settings = loadStreamSettings()) {
+  const formats = Array.isArray(offeredFormats) && offeredFormats.length ? offeredFormats : ['text'];
+  const streamFormat = formats.find(format => settings.formats.includes(format));
+  if (!streamFormat) {
+    return null;
+  }
+
+  const compressions = Array.isArray(offeredCompressions) ? offeredCompressions : [];
+  const compression = streamFormat === 'binary'
+    ? compressions.find(offered => settings.compressions.includes(offered)) || 'none'
+    : 'none';
+  return { streamFormat, compression };
+}
+
+function packMessage(message) {
+  const match = V2_PATTERN.exec(message);
+  if (!match) {
+    return Buffer.concat([Buffer.from([TEXT_FRAME]), Buffer.from(message, 'utf8')]);
+  }
+
+  const [, keyId, ivHex, tagHex, ciphertextHex] = match;
+  return Buffer.concat([
+    Buffer.from([V2_FRAME, keyId.length]),
+    Buffer.from(keyId, 'ascii'),
+    Buffer.from(ivHex, 'hex'),
+    Buffer.from(tagHex, 'hex'),
+    Buffer.from(ciphertextHex, 'hex')
+  ]);
+}
+
+function unpackMessage(frame) {
+  if (frame[0] === TEXT_FRAME) {
+    return frame.toString('utf8', 1);
+  }
+  if (frame[0] !== V2_FRAME) {
+    throw new Error(`Unknown frame type ${frame[0]}`);
+  }
+
+  const keyIdLength = frame[1];
+  const ivStart = 2 + keyIdLength;
+  const tagStart = ivStart + IV_LENGTH;
+  const ciphertextStart = tagStart + AUTH_TAG_LENGTH;
+  if (frame.length < ciphertextStart) {
+    throw new Error('Truncated ciphertext frame');
+  }
+
+  return [
+    'v2',
+    frame.toString('ascii', 2, ivStart),
+    frame.toString('hex', ivStart, tagStart),
+    frame.toString('hex', tagStart, ciphertextStart),
+    frame.toString('hex', ciphertextStart)
+  ].join(':');
+}
+
+// Encrypted message strings -> length-prefixed frames
+function encodeFrames(messages) {
+  const parts = [];
+  messages.forEach(message => {
+    const frame = packMessage(message);
+    const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+    header.writeUInt32BE(frame.length);
+    parts.push(header, frame);
+  });
+  return Buffer.concat(parts);
+}
+
+// Length-prefixed frames -> encrypted message strings
+function decodeFrames(buffer) {
+  const messages = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (offset + FRAME_HEADER_LENGTH > buffer.length) {
+      throw new Error('Truncated frame header');
+    }
+    const length = buffer.readUInt32BE(offset);
+    offset += FRAME_HEADER_LENGTH;
+    if (length === 0 || offset + length > buffer.length) {
+      throw new Error(length === 0 ? 'Empty frame' : 'Truncated frame');
+    }
+
+    messages.push(unpackMessage(buffer.subarray(offset, offset + length)));
+    offset += length;
+  }
+  return messages;
+}
+
+async function decompressFrames(frames, compression) {
+  try {
+    return await decompressors[compression](frames, { maxOutputLength: MAX_FRAMES_BYTES });
+  } catch (error) {
+    throw new Error(`Could not decompress ${compression} frames: ${error.message}`);
+  }
+}
+
+// Turns an outbox batch ({ stream, ... }) into what is sent for the session's
+// format. Compressed frames are only sent when they come out smaller, which
+// they barely do for the ciphertext itself.
+async function encodeMessageStream(payload, { streamFormat = 'text', compression = 'none' } = {}) {
+  if (streamFormat !== 'binary') {
+    return payload;
+  }
+
+  const { stream, ...batch } = payload;
+  const frames = encodeFrames(parseMessageStream(stream));
+  if (compression !== 'none') {
+    const compressed = await compressors[compression](frames);
+    if (compressed.length < frames.length) {
+      return { ...batch, format: 'binary', compression, frames: compressed };
+    }
+  }
+  return { ...batch, format: 'binary', compression: 'none', frames };
+}
+
+// Size of a batch's messages on the wire, binary frames or text stream
+function wireBytes(data) {
+  if (data && Buffer.isBuffer(data.frames)) {
+    return data.frames.length;
+  }
+  return data && typeof data.stream === 'string' ? Buffer.byteLength(data.stream) : 0;
+}
+
+// The encrypted messages of a received batch, in either format.
+// Throws for batches that cannot be read, whatever the retry.
+async function decodeMessageStream(data, settings = loadStreamSettings()) {
+  const format = (data && data.format) || 'text';
+  if (!settings.formats.includes(format)) {
+    throw new Error(`Unsupported stream format "${format}"`);
+  }
+  if (format === 'text') {
+    return parseMessageStream(data.stream);
+  }
+
+  if (!Buffer.isBuffer(data.frames)) {
+    throw new Error('Invalid message stream format');
+  }
+  const compression = data.compression || 'none';
+  if (compression !== 'none' && !settings.compressions.includes(compression)) {
+    throw new Error(`Unsupported stream compression "${compression}"`);
+  }
+
+  const frames = compression === 'none' ? data.frames : await decompressFrames(data.frames, compression);
+  const messages = decodeFrames(frames);
+  if (messages.length === 0) {
+    throw new Error('Invalid message stream format');
+  }
+  return messages;
+}
+
+module.exports = {
+  STREAM_FORMATS,
+  COMPRESSIONS,
+  MAX_FRAMES_BYTES,
+  loadStreamSettings,
+  negotiateStreamFormat,
+  encodeFrames,
+  decodeFrames,
+  encodeMessageStream,
+  decodeMessageStream,
+  wireBytes
+};
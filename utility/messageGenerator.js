@@ -1,6 +1,7 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { createHash, encrypt } = require('./crypto');
+const { createSignature, encrypt } = require('./crypto');
 const logger = require('./logger');
 
 // Load data from data.json
@@ -41,28 +42,78 @@ function generateRandomMessage() {
   };
 }
 
-// Creates a message with secret_key hash
-function createMessageWithHash(originalMessage) {
-  const secret_key = createHash(originalMessage);
+// Creates a message with a secret_key HMAC signature.
+// options.key is the emitter's signing secret (default: shared SIGNING_KEY),
+// options.algorithm the negotiated signature algorithm.
+// createdAt (the event time) is stamped here unless already set, and a random
+// nonce is added; both are signed so the listener can reject replays.
+function createMessageWithHash(originalMessage, options = {}) {
+  const key = options.key || process.env.SIGNING_KEY;
+  const signedMessage = {
+    ...originalMessage,
+    createdAt: originalMessage.createdAt || new Date().toISOString(),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    sig_alg: options.algorithm || 'hmac-sha256'
+  };
+  const secret_key = createSignature(signedMessage, key, signedMessage.sig_alg);
   
   return {
-    ...originalMessage,
+    ...signedMessage,
     secret_key
   };
 }
 
-// generate random batch of messages (49-499 as per requirements)
-function generateMessageBatch() {
-  const messageCount = Math.floor(Math.random() * (499 - 49 + 1)) + 49; 
+// Replaces the last hex digit of a string with a different one
+function flipLastHexDigit(value) {
+  return value.slice(0, -1) + (value.slice(-1) === '0' ? '1' : '0');
+}
+
+// Deliberately broken messages for exercising the listener's invalid path.
+// Each builds an encrypted message the listener must reject.
+const CORRUPTIONS = {
+  // Signed, then the signature is altered
+  'bad-hash': (message, options) => {
+    const signed = createMessageWithHash(message, options);
+    return encrypt(JSON.stringify({ ...signed, secret_key: flipLastHexDigit(signed.secret_key) }));
+  },
+  // Valid message whose ciphertext fails the GCM auth check
+  'bad-ciphertext': (message, options) => flipLastHexDigit(encrypt(JSON.stringify(createMessageWithHash(message, options)))),
+  // Decrypts to truncated JSON
+  'malformed-json': (message, options) => encrypt(JSON.stringify(createMessageWithHash(message, options)).slice(0, -1)),
+  // Correctly signed, but without one of name/origin/destination
+  'missing-fields': (message, options) => {
+    const fields = Object.keys(message);
+    const { [getRandomElement(fields)]: dropped, ...rest } = message;
+    return encrypt(JSON.stringify(createMessageWithHash(rest, options)));
+  }
+};
+
+const CORRUPTION_KINDS = Object.keys(CORRUPTIONS);
+
+// Generates a random batch of encrypted messages.
+// options.batchSize ({ min, max }, default 49-499) sets the size range;
+// options.invalidRatio of the messages are corrupted with a random kind
+// from options.corruptionKinds (default: all).
+function generateMessageBatch(options = {}) {
+  const { batchSize = { min: 49, max: 499 }, invalidRatio = 0, corruptionKinds = CORRUPTION_KINDS } = options;
+  const signing = { key: options.key, algorithm: options.algorithm };
+  const messageCount = Math.floor(Math.random() * (batchSize.max - batchSize.min + 1)) + batchSize.min;
   const encryptedMessages = [];
+  let corruptedCount = 0;
   
   logger.info(`Generating ${messageCount} messages`);
   
   for (let i = 0; i < messageCount; i++) {
     try {
       const originalMessage = generateRandomMessage();
+
+      if (invalidRatio > 0 && Math.random() < invalidRatio) {
+        encryptedMessages.push(CORRUPTIONS[getRandomElement(corruptionKinds)](originalMessage, signing));
+        corruptedCount++;
+        continue;
+      }
       
-      const messageWithHash = createMessageWithHash(originalMessage);
+      const messageWithHash = createMessageWithHash(originalMessage, signing);
       
       const encryptedMessage = encrypt(JSON.stringify(messageWithHash));
       
@@ -72,13 +123,17 @@ function generateMessageBatch() {
     }
   }
   
+  if (corruptedCount > 0) {
+    logger.info(`Corrupted ${corruptedCount} of ${messageCount} messages on purpose`);
+  }
+  
   return encryptedMessages;
 }
 
 // Creates a pipe-separated stream of encrypted messages
-function createMessageStream() {
+function createMessageStream(options = {}) {
   try {
-    const encryptedMessages = generateMessageBatch();
+    const encryptedMessages = generateMessageBatch(options);
     const messageStream = encryptedMessages.join('|');
     
     logger.info(`Created message stream with ${encryptedMessages.length} messages, total length: ${messageStream.length} characters`);
@@ -108,6 +163,7 @@ function parseMessageStream(messageStream) {
 }
 
 module.exports = {
+  CORRUPTION_KINDS,
   loadData,
   generateRandomMessage,
   createMessageWithHash,
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+// Declarative schemas for decrypted message payloads. A message names its
+// schema in the signed `schemaVersion` field; messages without one are
+// version 1, which is what every emitter so far sends. A new emitter message
+// version gets a new entry in SCHEMAS, so old and new emitters can send side
+// by side.
+//
+// Field rules:
+//   type        'string', 'number' or 'boolean'
+//   required    the field must be present (and not an empty string)
+//   trim        surrounding whitespace is removed before the other checks
+//   minLength / maxLength, min / max, integer
+//   allowed     an array of values, or the name of a list in the reference
+//               data (MESSAGE_REFERENCE_DATA, default data.json)
+//
+// Fields a schema does not declare are stripped from the record, or reject
+// the message with MESSAGE_UNKNOWN_FIELDS=reject. Only declared fields are
+// returned, so nothing else reaches storage.
+//
+//   MESSAGE_REFERENCE_DATA   JSON file with the lists named by `allowed`,
+//                            or "none" to skip those checks
+//   MESSAGE_UNKNOWN_FIELDS   "strip" (default) or "reject"
+
+const MAX_TEXT_LENGTH = 100;
+
+const SCHEMAS = {
+  1: {
+    name: { type: 'string', required: true, trim: true, maxLength: MAX_TEXT_LENGTH },
+    origin: { type: 'string', required: true, trim: true, maxLength: MAX_TEXT_LENGTH, allowed: 'origins' },
+    destination: { type: 'string', required: true, trim: true, maxLength: MAX_TEXT_LENGTH, allowed: 'destinations' }
+  }
+};
+
+const UNKNOWN_FIELD_POLICIES = ['strip', 'reject'];
+const DEFAULT_REFERENCE_DATA = path.join(__dirname, '../data.json');
+
+// Checks one value against its rule; returns an error message or null
+function checkValue(value, rule, referenceData) {
+  if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+    return `must be a ${rule.type}`;
+  }
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters`;
+    }
+  }
+  if (rule.type === 'number') {
+    if (rule.integer && !Number.isInteger(value)) {
+      return 'must be an integer';
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `must be at most ${rule.max}`;
+    }
+  }
+  if (rule.allowed !== undefined) {
+    const allowed = Array.isArray(rule.allowed) ? rule.allowed : referenceData && referenceData[rule.allowed];
+    if (allowed && !allowed.includes(value)) {
+      return Array.isArray(rule.allowed) ? `must be one of: ${allowed.join(', ')}` : `is not in the ${rule.allowed} list`;
+    }
+  }
+  return null;
+}
+
+// Builds a validator for `schemas` (version -> fields).
+// validate(payload, version) returns
+//   { valid: true, value, sanitized: [{ field, action }] } or
+//   { valid: false, reason, errors: [{ field, message }] }
+// where `reason` is short and drawn from a small set, for the stats.
+function createSchemaRegistry(schemas, { referenceData = null, unknownFields = 'strip' } = {}) {
+  return {
+    versions: Object.keys(schemas).map(Number),
+
+    validate(payload, version = 1) {
+      const fields = Object.prototype.hasOwnProperty.call(schemas, version) ? schemas[version] : null;
+      if (!fields) {
+        return { valid: false, reason: 'Unsupported schema version', errors: [{ field: 'schemaVersion', message: `unknown version ${version}` }] };
+      }
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { valid: false, reason: 'Invalid payload', errors: [{ field: null, message: 'must be a JSON object' }] };
+      }
+
+      const value = {};
+      const errors = [];
+      const sanitized = [];
+      let reason = null;
+
+      Object.entries(fields).forEach(([field, rule]) => {
+        let fieldValue = payload[field];
+        if (rule.trim && typeof fieldValue === 'string' && fieldValue.trim() !== fieldValue) {
+          fieldValue = fieldValue.trim();
+          sanitized.push({ field, action: 'trimmed' });
+        }
+
+        if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+          if (rule.required) {
+            errors.push({ field, message: 'is required' });
+            reason = reason || 'Missing fields';
+          }
+          return;
+        }
+
+        const message = checkValue(fieldValue, rule, referenceData);
+        if (message) {
+          errors.push({ field, message });
+          reason = reason || `Invalid ${field}`;
+          return;
+        }
+        value[field] = fieldValue;
+      });
+
+      const unknown = Object.keys(payload).filter(field => !Object.prototype.hasOwnProperty.call(fields, field));
+      if (unknown.length > 0) {
+        if (unknownFields === 'reject') {
+          unknown.forEach(field => errors.push({ field, message: 'is not part of the schema' }));
+          reason = reason || 'Unknown fields';
+        } else {
+          unknown.forEach(field => sanitized.push({ field, action: 'stripped' }));
+        }
+      }
+
+      return errors.length > 0 ? { valid: false, reason, errors } : { valid: true, value, sanitized };
+    }
+  };
+}
+
+// Reads the reference lists; null when checks against them are turned off
+function loadReferenceData(file) {
+  if (file === 'none') {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// The registry of built-in schemas, configured from environment-style settings
+function loadMessageSchemas(env = process.env) {
+  const unknownFields = env.MESSAGE_UNKNOWN_FIELDS || 'strip';
+  if (!UNKNOWN_FIELD_POLICIES.includes(unknownFields)) {
+    throw new Error(`MESSAGE_UNKNOWN_FIELDS must be one of: ${UNKNOWN_FIELD_POLICIES.join(', ')}`);
+  }
+
+  return createSchemaRegistry(SCHEMAS, {
+    referenceData: loadReferenceData(env.MESSAGE_REFERENCE_DATA || DEFAULT_REFERENCE_DATA),
+    unknownFields
+  });
+}
+
+module.exports = {
+  SCHEMAS,
+  createSchemaRegistry,
+  loadMessageSchemas
+};
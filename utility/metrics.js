@@ -0,0 +1,88 @@
+const client = require('prom-client');
+const { safeEqual } = require('./authTokens');
+const logger = require('./logger');
+
+// Prometheus metrics through prom-client. Each service builds its own
+// registry (see services/*/metrics.js) rather than using prom-client's
+// global one, so several listeners or emitters in one process do not
+// collide, and serves it at /metrics.
+//
+// Gauges can be given a `collect` function, read at every scrape, that
+// returns a number or a list of { labels, value }.
+//
+// With METRICS_TOKEN set, a scrape must send "Authorization: Bearer <token>".
+
+const CONTENT_TYPE = client.Registry.PROMETHEUS_CONTENT_TYPE;
+
+// Seconds; suits batch handling from a few milliseconds to tens of seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Replaces a gauge's samples with what its `collect` function returned
+function setCollected(gauge, collected) {
+  if (typeof collected === 'number') {
+    gauge.set(collected);
+    return;
+  }
+  gauge.reset();
+  collected.forEach(({ labels, value }) => gauge.set(labels, value));
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.registry = new client.Registry();
+  }
+
+  counter(name, help, { labelNames = [] } = {}) {
+    return new client.Counter({ name, help, labelNames, registers: [this.registry] });
+  }
+
+  gauge(name, help, { labelNames = [], collect } = {}) {
+    return new client.Gauge({
+      name,
+      help,
+      labelNames,
+      registers: [this.registry],
+      ...(collect ? { collect() { setCollected(this, collect()); } } : {})
+    });
+  }
+
+  histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    return new client.Histogram({ name, help, labelNames, buckets, registers: [this.registry] });
+  }
+
+  // Every metric in the text exposition format
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+// Request handler serving `registry`; works for Express and plain http servers
+function metricsHandler(registry, { token = process.env.METRICS_TOKEN } = {}) {
+  return async (req, res) => {
+    const authorization = req.headers.authorization || '';
+    if (token && !safeEqual(authorization, `Bearer ${token}`)) {
+      res.statusCode = 401;
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      res.end('Unauthorized\n');
+      return;
+    }
+
+    try {
+      const body = await registry.render();
+      res.statusCode = 200;
+      res.setHeader('Content-Type', CONTENT_TYPE);
+      res.end(body);
+    } catch (error) {
+      logger.error('Failed to collect metrics:', error.message);
+      res.statusCode = 500;
+      res.end('Failed to collect metrics\n');
+    }
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  MetricsRegistry,
+  metricsHandler
+};
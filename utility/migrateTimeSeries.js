@@ -0,0 +1,156 @@
+const TimeSeriesData = require('../models/TimeSeriesData');
+const TimeSeriesEvent = require('../models/TimeSeriesEvent');
+const logger = require('./logger');
+
+// Copies minute buckets (TimeSeriesData) into the native time-series
+// collection (TimeSeriesEvent), then checks that every day has the same
+// number of records on both sides. Buckets are streamed with a cursor and
+// their records inserted in batches, so memory use does not grow with the
+// size of the collection. Records already removed by retention cannot be
+// copied; they are reported as `purged`.
+// The target range must be empty, so an interrupted run is resumed by
+// passing the first unfinished day as --from.
+//
+//   node utility/migrateTimeSeries.js [--from <date>] [--to <date>] [--batch-size <n>]
+//
+// Then set TIMESERIES_STORAGE=native and restart the listener and server.
+
+const MINUTE_MS = 60 * 1000;
+
+// The events of one minute document
+function toEvents(bucket) {
+  return (bucket.records || []).map(record => ({
+    timestamp: record.timestamp,
+    meta: { name: record.name, origin: record.origin, destination: record.destination },
+    recordId: record.recordId,
+    emitterId: record.emitterId,
+    receivedAt: record.receivedAt
+  }));
+}
+
+function floorToMinute(date) {
+  return new Date(Math.floor(new Date(date).getTime() / MINUTE_MS) * MINUTE_MS);
+}
+
+// Records per UTC day ('YYYY-MM-DD') in [from, to) in the buckets and in the events
+async function countByDay(from, to) {
+  const day = { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: 'UTC' } };
+  const [source, target] = await Promise.all([
+    TimeSeriesData.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to } } },
+      { $group: { _id: day, records: { $sum: { $size: '$records' } }, purged: { $sum: { $subtract: ['$recordCount', { $size: '$records' }] } } } }
+    ]),
+    TimeSeriesEvent.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to } } },
+      { $group: { _id: day, records: { $sum: 1 } } }
+    ])
+  ]);
+
+  const days = new Map();
+  source.forEach(({ _id, records, purged }) => days.set(_id, { day: _id, expected: records, purged, actual: 0 }));
+  target.forEach(({ _id, records }) => {
+    const entry = days.get(_id) || { day: _id, expected: 0, purged: 0, actual: 0 };
+    entry.actual = records;
+    days.set(_id, entry);
+  });
+  return Array.from(days.values()).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+// Compares per-day counts; returns { ok, expected, actual, purged, mismatches }
+async function verify(from, to) {
+  const days = await countByDay(from, to);
+  const mismatches = days.filter(entry => entry.expected !== entry.actual);
+
+  return {
+    ok: mismatches.length === 0,
+    expected: days.reduce((sum, entry) => sum + entry.expected, 0),
+    actual: days.reduce((sum, entry) => sum + entry.actual, 0),
+    purged: days.reduce((sum, entry) => sum + entry.purged, 0),
+    mismatches
+  };
+}
+
+// Streams the buckets in [from, to) into the native collection and verifies the result
+async function migrate({ from = new Date(0), to = new Date(), batchSize = 5000 } = {}) {
+  from = floorToMinute(from);
+  to = floorToMinute(to);
+
+  await TimeSeriesEvent.prepare();
+  const existing = await TimeSeriesEvent.countDocuments({ timestamp: { $gte: from, $lt: to } });
+  if (existing > 0) {
+    throw new Error(`The native collection already has ${existing} records between ${from.toISOString()} and ${to.toISOString()}`);
+  }
+
+  const cursor = TimeSeriesData.find({ timestamp: { $gte: from, $lt: to } })
+    .sort({ timestamp: 1, subBucket: 1 })
+    .select('timestamp records')
+    .lean()
+    .cursor();
+
+  let pending = [];
+  let buckets = 0;
+  let copied = 0;
+  const flush = async () => {
+    if (pending.length > 0) {
+      await TimeSeriesEvent.insertMany(pending, { ordered: false });
+      copied += pending.length;
+      pending = [];
+    }
+  };
+
+  for await (const bucket of cursor) {
+    buckets++;
+    pending.push(...toEvents(bucket));
+    if (pending.length >= batchSize) {
+      await flush();
+      logger.info(`Copied ${copied} records up to ${bucket.timestamp.toISOString()}`);
+    }
+  }
+  await flush();
+
+  const verification = await verify(from, to);
+  return { from, to, buckets, copied, verification };
+}
+
+if (require.main === module) {
+  require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+  const mongoose = require('mongoose');
+  const connectDB = require('../config/db');
+
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const from = new Date(option('from') || 0);
+  const to = new Date(option('to') || Date.now());
+  const batchSize = parseInt(option('batch-size') || '5000', 10);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to || !(batchSize > 0)) {
+    logger.error('Usage: node utility/migrateTimeSeries.js [--from <date>] [--to <date>] [--batch-size <n>]');
+    process.exit(1);
+  }
+
+  connectDB()
+    .then(() => migrate({ from, to, batchSize }))
+    .then(result => {
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.verification.ok) {
+        logger.error(`Verification failed on ${result.verification.mismatches.length} days`);
+        process.exitCode = 1;
+      } else {
+        logger.info(`Migrated ${result.copied} records from ${result.buckets} minute buckets`);
+      }
+      return mongoose.connection.close();
+    })
+    .catch(error => {
+      logger.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  toEvents,
+  migrate,
+  verify
+};
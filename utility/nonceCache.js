@@ -0,0 +1,77 @@
+// Bounded, time-limited set of seen keys used for replay detection.
+// Entries live in a Map, whose insertion order doubles as an expiry queue:
+// the oldest entries are at the front and are dropped once they expire.
+// A key is never dropped before it expires, since that would let a replay of
+// it through; callers check hasRoomFor() and defer work while the cache is full.
+
+class NonceCache {
+  constructor({ maxEntries = 200000, ttlMs = 2 * 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.fullRejections = 0;
+  }
+
+  // Whether `count` more keys fit under maxEntries once expired keys are dropped
+  hasRoomFor(count, now = Date.now()) {
+    this.prune(now);
+    if (this.entries.size + count <= this.maxEntries) {
+      return true;
+    }
+    this.fullRejections++;
+    return false;
+  }
+
+  // Records a key; returns false if it was already seen (i.e. a replay)
+  checkAndRemember(key, now = Date.now()) {
+    this.prune(now);
+
+    if (this.entries.has(key)) {
+      return false;
+    }
+
+    this.entries.set(key, now + this.ttlMs);
+    return true;
+  }
+
+  // Pre-loads a key seen before a restart; call in ascending expiry order
+  remember(key, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, expiresAt);
+  }
+
+  has(key, now = Date.now()) {
+    const expiresAt = this.entries.get(key);
+    return expiresAt !== undefined && expiresAt > now;
+  }
+
+  // Removes a key, e.g. when the message it belongs to could not be stored
+  forget(key) {
+    this.entries.delete(key);
+  }
+
+  // Drops expired entries from the front of the queue
+  prune(now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      fullRejections: this.fullRejections
+    };
+  }
+}
+
+module.exports = NonceCache;
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Passwords are stored as "salt:hash" using scrypt with a random per-user salt
+
+const SALT_LENGTH = 16;
+const HASH_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+  const hash = await scrypt(password, salt, HASH_LENGTH);
+
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+// Checks a candidate password against a stored hash
+async function verifyPassword(passwordHash, password) {
+  if (!passwordHash) {
+    return false;
+  }
+
+  const [salt, storedHash] = passwordHash.split(':');
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,185 @@
+// Processing statistics kept per emitter and period, so they survive
+// restarts and add up across listeners. A listener records deltas in a
+// StatsRecorder and flushes them to storage every STATS_FLUSH_INTERVAL_MS;
+// storage adds them to one entry per emitter for the minute, the hour and
+// the day they happened in. Queries pick the granularity that fits their
+// window and sum the entries, merged with what has not been flushed yet.
+//
+// An entry is { granularity, periodStart, emitterId, stats, expireAt }, where
+// `stats` holds the STAT_COUNTERS plus invalidReasons and errorReasons
+// (reason -> count). Minute entries are kept for two days and hour entries
+// for 90 days; day entries are kept for good.
+//
+// Windows are "all" or a duration such as "15m", "24h" or "7d", ending now.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const STAT_COUNTERS = [
+  'totalReceived',
+  'totalProcessed',
+  'totalValid',
+  'totalInvalid',
+  'totalSaved',
+  'totalLate',
+  'totalReplayed',
+  'totalStale',
+  'duplicateBatches',
+  'totalSanitized',
+  'totalDeadLettered',
+  'totalReprocessed',
+  'errors'
+];
+const REASON_FIELDS = ['invalidReasons', 'errorReasons'];
+
+const GRANULARITIES = { minute: MINUTE_MS, hour: HOUR_MS, day: DAY_MS };
+const RETENTION_MS = { minute: 2 * DAY_MS, hour: 90 * DAY_MS, day: null };
+
+// Longest window answered from each granularity, keeping a series to a few hundred points
+const MAX_WINDOW_MS = { minute: 6 * HOUR_MS, hour: 14 * DAY_MS };
+const MAX_WINDOW_DAYS = 3650;
+const WINDOW_UNITS = { m: MINUTE_MS, h: HOUR_MS, d: DAY_MS };
+
+function emptyStats() {
+  return {
+    ...Object.fromEntries(STAT_COUNTERS.map(counter => [counter, 0])),
+    invalidReasons: {},
+    errorReasons: {}
+  };
+}
+
+// Adds `delta` (any subset of the stats fields) into `target`
+function addStats(target, delta) {
+  STAT_COUNTERS.forEach(counter => {
+    target[counter] += delta[counter] || 0;
+  });
+  REASON_FIELDS.forEach(field => {
+    Object.entries(delta[field] || {}).forEach(([reason, count]) => {
+      target[field][reason] = (target[field][reason] || 0) + count;
+    });
+  });
+  return target;
+}
+
+function periodStart(date, granularity) {
+  const unitMs = GRANULARITIES[granularity];
+  return new Date(Math.floor(date.getTime() / unitMs) * unitMs);
+}
+
+// Reads a window name; returns { name, from, to, granularity } or null when it is not valid
+function resolveStatsWindow(name = 'all', now = new Date()) {
+  if (name === 'all') {
+    return { name, from: new Date(0), to: now, granularity: 'day' };
+  }
+
+  const match = /^(\d+)([mhd])$/.exec(String(name));
+  const durationMs = match ? parseInt(match[1], 10) * WINDOW_UNITS[match[2]] : 0;
+  if (durationMs <= 0 || durationMs > MAX_WINDOW_DAYS * DAY_MS) {
+    return null;
+  }
+
+  // The finest granularity that fits the window; both are kept longer than they answer for
+  const granularity = ['minute', 'hour'].find(candidate => durationMs <= MAX_WINDOW_MS[candidate]) || 'day';
+  return { name, from: periodStart(new Date(now.getTime() - durationMs), granularity), to: now, granularity };
+}
+
+// Pending deltas, one entry per granularity, period and emitter. Drained
+// entries are still found until they are marked written or restored, so
+// nothing goes missing from queries while a flush is under way.
+class StatsRecorder {
+  constructor() {
+    this.pending = new Map();
+    this.writing = [];
+  }
+
+  entry(granularity, start, emitterId) {
+    const key = `${granularity}|${start.getTime()}|${emitterId}`;
+    if (!this.pending.has(key)) {
+      const retentionMs = RETENTION_MS[granularity];
+      this.pending.set(key, {
+        granularity,
+        periodStart: start,
+        emitterId,
+        stats: emptyStats(),
+        expireAt: retentionMs ? new Date(start.getTime() + GRANULARITIES[granularity] + retentionMs) : null
+      });
+    }
+    return this.pending.get(key);
+  }
+
+  // Adds a delta to the emitter's minute, hour and day
+  record(emitterId, delta, at = new Date()) {
+    Object.keys(GRANULARITIES).forEach(granularity => {
+      addStats(this.entry(granularity, periodStart(at, granularity), emitterId).stats, delta);
+    });
+  }
+
+  // Takes every pending entry to write it; call written() or restore() after
+  drain() {
+    this.writing = Array.from(this.pending.values());
+    this.pending = new Map();
+    return this.writing;
+  }
+
+  written() {
+    this.writing = [];
+  }
+
+  // Puts back entries that could not be written
+  restore(entries) {
+    this.writing = [];
+    entries.forEach(({ granularity, periodStart: start, emitterId, stats }) => {
+      addStats(this.entry(granularity, start, emitterId).stats, stats);
+    });
+  }
+
+  // Entries not yet in storage matching a storage query
+  find({ granularity, from, to, emitterId }) {
+    return [...this.writing, ...this.pending.values()].filter(entry => entry.granularity === granularity
+      && entry.periodStart >= from && entry.periodStart <= to
+      && (!emitterId || entry.emitterId === emitterId));
+  }
+}
+
+// Sums entries of one granularity into window totals, per-emitter totals
+// and a series of per-period totals, oldest first
+function summarizeStats(entries, window) {
+  const processingStats = emptyStats();
+  const byEmitter = new Map();
+  const series = new Map();
+
+  entries.forEach(({ emitterId, periodStart: start, stats }) => {
+    addStats(processingStats, stats);
+    if (!byEmitter.has(emitterId)) {
+      byEmitter.set(emitterId, emptyStats());
+    }
+    addStats(byEmitter.get(emitterId), stats);
+
+    const key = new Date(start).getTime();
+    if (!series.has(key)) {
+      series.set(key, emptyStats());
+    }
+    addStats(series.get(key), stats);
+  });
+
+  return {
+    window,
+    processingStats,
+    byEmitter: Array.from(byEmitter, ([emitterId, stats]) => ({ emitterId, processingStats: stats }))
+      .sort((a, b) => b.processingStats.totalReceived - a.processingStats.totalReceived),
+    series: Array.from(series, ([start, stats]) => ({ periodStart: new Date(start), processingStats: stats }))
+      .sort((a, b) => a.periodStart - b.periodStart)
+  };
+}
+
+module.exports = {
+  STAT_COUNTERS,
+  REASON_FIELDS,
+  GRANULARITIES,
+  emptyStats,
+  addStats,
+  resolveStatsWindow,
+  StatsRecorder,
+  summarizeStats
+};
@@ -0,0 +1,221 @@
+const TimeSeries = require('../models/timeSeries');
+const Rollup = require('../models/Rollup');
+const RollupState = require('../models/RollupState');
+const logger = require('./logger');
+
+// Retention of stored data. Each tier is kept for a number of days; 0 keeps
+// it forever.
+//
+//   RAW_RECORDS_RETENTION_DAYS      individual records inside minute buckets
+//                                   (default 7); afterwards the bucket keeps
+//                                   only its counters (recordCount, routes,
+//                                   nameFrequency)
+//   MINUTE_BUCKET_RETENTION_DAYS    minute buckets themselves (default 30)
+//   HOURLY_ROLLUP_RETENTION_DAYS    hour rollups (default 365)
+//   DAILY_ROLLUP_RETENTION_DAYS     day rollups (default 0, forever)
+//   RETENTION_TTL_INDEX             "true" lets MongoDB delete minute buckets
+//                                   with a TTL index on createdAt (with native
+//                                   storage: the collection's expireAfterSeconds)
+//                                   instead of the purge job
+//
+// The purge job never deletes a minute bucket whose hour has not been rolled
+// up yet. With RETENTION_DRY_RUN=true (or --dry-run) it only reports what it
+// would delete.
+//
+//   node utility/retention.js [--dry-run]
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDays(env, name, fallback) {
+  const value = env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error(`${name} must be a number of days (0 keeps data forever)`);
+  }
+  return days;
+}
+
+// Reads the retention policy from environment-style configuration
+function loadRetentionPolicy(env = process.env) {
+  const policy = {
+    rawRecordsDays: parseDays(env, 'RAW_RECORDS_RETENTION_DAYS', 7),
+    minuteBucketDays: parseDays(env, 'MINUTE_BUCKET_RETENTION_DAYS', 30),
+    hourlyRollupDays: parseDays(env, 'HOURLY_ROLLUP_RETENTION_DAYS', 365),
+    dailyRollupDays: parseDays(env, 'DAILY_ROLLUP_RETENTION_DAYS', 0),
+    ttlIndex: env.RETENTION_TTL_INDEX === 'true',
+    dryRun: env.RETENTION_DRY_RUN === 'true'
+  };
+
+  // Each tier has to outlive the finer one it summarizes
+  const tiers = [
+    ['RAW_RECORDS_RETENTION_DAYS', policy.rawRecordsDays],
+    ['MINUTE_BUCKET_RETENTION_DAYS', policy.minuteBucketDays],
+    ['HOURLY_ROLLUP_RETENTION_DAYS', policy.hourlyRollupDays],
+    ['DAILY_ROLLUP_RETENTION_DAYS', policy.dailyRollupDays]
+  ];
+  for (let i = 1; i < tiers.length; i++) {
+    const [finerName, finerDays] = tiers[i - 1];
+    const [name, days] = tiers[i];
+    if (days !== 0 && (finerDays === 0 || finerDays > days)) {
+      throw new Error(`${name} must be 0 or at least ${finerName}`);
+    }
+  }
+
+  return policy;
+}
+
+// Start of the retained period for a tier, or null when it is kept forever
+function cutoff(days, now) {
+  return days > 0 ? new Date(now - days * DAY_MS) : null;
+}
+
+class RetentionJob {
+  constructor(policy = loadRetentionPolicy(), { intervalMs = 60 * 60 * 1000 } = {}) {
+    this.policy = policy;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  start() {
+    logger.info(`Applying the retention policy every ${this.intervalMs / 1000} seconds${this.policy.dryRun ? ' (dry run)' : ''}`);
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Applies the policy once. Returns a report of what was (or, in a dry
+  // run, would be) removed.
+  async runOnce({ dryRun = this.policy.dryRun, now = Date.now() } = {}) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const report = {
+        dryRun,
+        startedAt: new Date(now),
+        ttlIndex: await this.syncTtlIndex(dryRun),
+        strippedRecords: await this.stripRawRecords(cutoff(this.policy.rawRecordsDays, now), dryRun),
+        deletedMinuteBuckets: this.policy.ttlIndex ? 0 : await this.deleteMinuteBuckets(cutoff(this.policy.minuteBucketDays, now), dryRun),
+        deletedHourlyRollups: await this.deleteRollups('hour', cutoff(this.policy.hourlyRollupDays, now), dryRun),
+        deletedDailyRollups: await this.deleteRollups('day', cutoff(this.policy.dailyRollupDays, now), dryRun)
+      };
+      report.durationMs = Date.now() - now;
+
+      this.lastReport = report;
+      logger.info(`${dryRun ? 'Retention dry run, would remove' : 'Retention removed'}:`, {
+        records: report.strippedRecords.records,
+        minuteBuckets: report.deletedMinuteBuckets,
+        hourlyRollups: report.deletedHourlyRollups,
+        dailyRollups: report.deletedDailyRollups,
+        ttlIndex: report.ttlIndex
+      });
+      return report;
+    } catch (error) {
+      logger.error('Retention run failed:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Empties the records of minute buckets older than `before`, keeping their counters
+  async stripRawRecords(before, dryRun) {
+    if (!before) {
+      return { buckets: 0, records: 0 };
+    }
+    return TimeSeries.stripRecords(before, dryRun);
+  }
+
+  // Deletes minute buckets older than `before` whose hours are already rolled up
+  async deleteMinuteBuckets(before, dryRun) {
+    if (!before) {
+      return 0;
+    }
+
+    const state = await RollupState.get();
+    if (state && state.rolledUpBefore < before) {
+      before = state.rolledUpBefore;
+    }
+
+    return TimeSeries.deleteMinutes(before, dryRun);
+  }
+
+  async deleteRollups(resolution, before, dryRun) {
+    if (!before) {
+      return 0;
+    }
+
+    const filter = { resolution, timestamp: { $lt: before } };
+    if (dryRun) {
+      return Rollup.countDocuments(filter);
+    }
+    const { deletedCount } = await Rollup.deleteMany(filter);
+    return deletedCount;
+  }
+
+  // Creates, updates or drops the TTL expiry of minute data to match the policy
+  async syncTtlIndex(dryRun) {
+    const seconds = this.policy.ttlIndex && this.policy.minuteBucketDays > 0
+      ? Math.round(this.policy.minuteBucketDays * DAY_MS / 1000)
+      : null;
+
+    const action = await TimeSeries.syncExpiry(seconds, dryRun);
+    if (!dryRun && action !== 'none') {
+      logger.info(`Retention TTL expiry: ${action}`);
+    }
+    return action;
+  }
+
+  getStatus() {
+    return {
+      policy: this.policy,
+      intervalMs: this.intervalMs,
+      running: this.running,
+      lastReport: this.lastReport
+    };
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+  const mongoose = require('mongoose');
+  const connectDB = require('../config/db');
+
+  const dryRun = process.argv.includes('--dry-run');
+  let job;
+  try {
+    job = new RetentionJob(loadRetentionPolicy());
+  } catch (error) {
+    logger.error(`Invalid retention policy: ${error.message}`);
+    process.exit(1);
+  }
+
+  connectDB()
+    .then(() => job.runOnce({ dryRun: dryRun || job.policy.dryRun }))
+    .then(report => {
+      console.log(JSON.stringify(report, null, 2));
+      return mongoose.connection.close();
+    })
+    .catch(error => {
+      logger.error('Retention run failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadRetentionPolicy,
+  RetentionJob
+};
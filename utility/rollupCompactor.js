@@ -0,0 +1,140 @@
+const TimeSeries = require('../models/timeSeries');
+const Rollup = require('../models/Rollup');
+const RollupState = require('../models/RollupState');
+const logger = require('./logger');
+
+// Keeps the hour and day rollups up to date. Each run rolls up:
+//   - hours that closed since the previous run (their end is more than
+//     closeDelayMs in the past, so in-flight batches have landed), and
+//   - closed hours whose minute buckets changed since the previous run,
+//     e.g. because late data was merged into them.
+// Days are rebuilt whenever one of their hours is. Progress is stored in
+// RollupState, so a restarted compactor continues where it stopped and the
+// first run ever backfills all existing minute data.
+//
+// To backfill a range by hand:
+//   node utility/rollupCompactor.js --from 2024-01-01T00:00:00Z --to 2024-02-01T00:00:00Z
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class RollupCompactor {
+  constructor({ intervalMs = 60 * 1000, closeDelayMs = 2 * 60 * 1000 } = {}) {
+    this.intervalMs = intervalMs;
+    this.closeDelayMs = closeDelayMs;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    logger.info(`Rolling up closed hours every ${this.intervalMs / 1000} seconds`);
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Start of the earliest hour that has not closed yet
+  closedBefore(now = Date.now()) {
+    return new Date(Math.floor((now - this.closeDelayMs) / HOUR_MS) * HOUR_MS);
+  }
+
+  async runOnce(now = Date.now()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const runStartedAt = new Date(now);
+    try {
+      const closedBefore = this.closedBefore(now);
+      const state = await RollupState.get();
+
+      // First run: everything closed so far. Later runs: newly closed or changed hours.
+      const hours = await TimeSeries.findHours(state
+        ? { before: closedBefore, after: state.rolledUpBefore, changedSince: state.lastRunAt }
+        : { before: closedBefore });
+      const result = await this.rebuild(hours);
+      await RollupState.record(closedBefore, runStartedAt);
+
+      this.lastRun = { ...result, rolledUpBefore: closedBefore, startedAt: runStartedAt, durationMs: Date.now() - now };
+      if (result.hours > 0) {
+        logger.info(`Rolled up ${result.hours} hours and ${result.days} days up to ${closedBefore.toISOString()}`);
+      }
+      return this.lastRun;
+    } catch (error) {
+      logger.error('Rollup run failed:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Rebuilds the rollups of every hour with minute data in [from, to)
+  async backfill(from, to) {
+    const hours = await TimeSeries.findHours({ after: new Date(from), before: new Date(to) });
+    const result = await this.rebuild(hours);
+    logger.info(`Backfilled ${result.hours} hours and ${result.days} days between ${new Date(from).toISOString()} and ${new Date(to).toISOString()}`);
+    return result;
+  }
+
+  // Rebuilds the given hours, oldest first, then the days they belong to
+  async rebuild(hours) {
+    const days = new Set();
+
+    for (const hour of hours) {
+      await Rollup.rebuildHour(hour);
+      days.add(Math.floor(hour.getTime() / DAY_MS) * DAY_MS);
+    }
+
+    for (const day of days) {
+      await Rollup.rebuildDay(new Date(day));
+    }
+
+    return { hours: hours.length, days: days.size };
+  }
+
+  getStatus() {
+    return {
+      intervalMs: this.intervalMs,
+      closeDelayMs: this.closeDelayMs,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+  const mongoose = require('mongoose');
+  const connectDB = require('../config/db');
+
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const from = new Date(option('from') || 0);
+  const to = new Date(option('to') || Date.now());
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    logger.error('Usage: node utility/rollupCompactor.js [--from <date>] [--to <date>]');
+    process.exit(1);
+  }
+
+  connectDB()
+    .then(() => new RollupCompactor().backfill(from, to))
+    .then(() => mongoose.connection.close())
+    .catch(error => {
+      logger.error('Backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = RollupCompactor;